@@ -114,6 +114,12 @@ interface IRiddleNFT is IERC721 {
         uint256 commission
     );
 
+    event ResalePriceUpdated(
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 price
+    );
+
     event CommissionDistributed(
         uint256 totalCommission,
         uint256 burned,
@@ -471,6 +471,7 @@ contract RiddleNFTAdvanced is
         for (uint256 i = 0; i < questionIds.length; i++) {
             require(questions[questionIds[i]].validated, "Question not validated");
             require(questions[questionIds[i]].difficulty == difficulty, "Question difficulty mismatch");
+            session.correctAnswerHashes.push(questions[questionIds[i]].correctAnswerHash);
         }
 
         emit RiddleSessionCreated(sessionId, maxMints, prizePool, winnerSlots, difficulty, category);
@@ -179,6 +179,7 @@ contract RiddleNFT is
         require(riddle.status == RiddleStatus.ACTIVE, "Riddle not active");
         require(!nft.solved, "Already solved");
         require(!hasUserSolvedRiddle[nft.riddleId][msg.sender], "User already solved this riddle");
+        require(_isNormalizedAnswer(answer), "Answer not normalized");
 
         // Burn RDLN tokens for attempt (progressive burn handled by RDLN contract)
         uint256 burnAmount = rdlnToken.burnFailedAttempt(msg.sender);
@@ -271,6 +272,8 @@ contract RiddleNFT is
             tokenForSale[tokenId] = true;
             tokenResalePrice[tokenId] = price;
         }
+
+        emit ResalePriceUpdated(tokenId, msg.sender, price);
     }
 
     function buyNFT(uint256 tokenId) external payable nonReentrant whenNotPaused {
@@ -512,4 +515,23 @@ contract RiddleNFT is
         }
         return string(buffer);
     }
+
+    // Answers are submitted in the canonical form of sdk/answers.js; the ASCII part of it is checked here so a
+    // "Paris" or "paris " never burns an attempt against the hash of "paris"
+    function _isNormalizedAnswer(string memory answer) internal pure returns (bool) {
+        bytes memory data = bytes(answer);
+        if (data.length == 0 || data[0] == 0x20 || data[data.length - 1] == 0x20) {
+            return false;
+        }
+        for (uint256 i = 0; i < data.length; i++) {
+            bytes1 char = data[i];
+            if (char < 0x20 || char == 0x7F || (char >= 0x41 && char <= 0x5A)) {
+                return false;
+            }
+            if (char == 0x20 && data[i - 1] == 0x20) {
+                return false;
+            }
+        }
+        return true;
+    }
 }
\ No newline at end of file
@@ -256,6 +256,14 @@ contract RONAdvanced is
         uint256 validatorCount
     );
 
+    event CrossValidationProvided(
+        bytes32 indexed queryHash,
+        address indexed validator,
+        bool consensus,
+        uint256 consensusCount,
+        uint256 validatorCount
+    );
+
     event DemocraticSafeguardActivated(
         string safeguardType,
         address indexed trigger,
@@ -571,6 +579,8 @@ contract RONAdvanced is
         uint256 totalValidators = crossValidators[queryHash].length;
         uint256 consensusPercentage = (consensusCount * 100) / totalValidators;
 
+        emit CrossValidationProvided(queryHash, msg.sender, consensus, consensusCount, totalValidators);
+
         if (consensusPercentage >= CONSENSUS_THRESHOLD) {
             emit CrossValidationCompleted(queryHash, msg.sender, consensus, totalValidators);
         }
@@ -87,6 +87,9 @@ contract RONUpgradeable is
     error ArrayLengthMismatch();
     error InvalidDifficulty(uint8 difficulty);
     error RateLimitExceeded(address user, uint256 cooldownRemaining);
+    error ReputationSyncAlreadyProcessed(bytes32 syncHash);
+    error InvalidReputationSync(bytes32 syncHash);
+    error StaleReputationSync(address user, uint256 sourceChain, uint256 snapshotTime, uint256 lastSnapshotTime);
 
     // ============ OPTIMIZED STRUCTS ============
 
@@ -116,6 +119,14 @@ contract RONUpgradeable is
         // Total: 3 storage slots vs original 5 slots (40% gas savings)
     }
 
+    /**
+     * @dev Latest reputation snapshot received from another chain for a user
+     */
+    struct ReputationSnapshot {
+        uint128 ronAmount;          // Slot 1: First half
+        uint64 snapshotTime;        // Slot 1: Source block timestamp of the sync
+    }
+
     // ============ STATE VARIABLES ============
 
     mapping(address => UserStatsOptimized) public userStats;
@@ -139,8 +150,13 @@ contract RONUpgradeable is
     mapping(address => mapping(string => uint256)) public userMetrics;
     mapping(string => uint256) public systemMetrics;
 
+    // Cross-chain reputation received from other chains
+    mapping(address => mapping(uint256 => ReputationSnapshot)) public reputationSnapshots; // user => source chain
+    mapping(address => uint256) public crossChainRON; // highest of the latest snapshots across source chains
+    uint256[] public reputationSourceChains; // source chains that have delivered a snapshot
+
     // Upgrade storage gap
-    uint256[50] private __gap;
+    uint256[47] private __gap;
 
     // ============ EVENTS ============
 
@@ -183,6 +199,14 @@ contract RONUpgradeable is
         bytes32 syncHash
     );
 
+    event CrossChainReputationReceived(
+        address indexed user,
+        uint256 ronAmount,
+        uint256 indexed sourceChain,
+        bytes32 syncHash,
+        AccessTier newTier
+    );
+
     event ComplianceUpdate(
         address indexed user,
         bool blocked,
@@ -338,7 +362,7 @@ contract RONUpgradeable is
         }
 
         // Update tier
-        AccessTier newTier = _calculateUserTier(stats.totalRON);
+        AccessTier newTier = _calculateUserTier(_tierReputation(user));
         stats.tier = uint32(newTier);
 
         // Update global statistics
@@ -569,7 +593,7 @@ contract RONUpgradeable is
 
         uint256 userRON = userStats[user].totalRON;
         bytes32 syncHash = keccak256(abi.encodePacked(
-            user, userRON, targetChain, block.timestamp
+            user, userRON, block.chainid, targetChain, block.timestamp
         ));
 
         if (!processedReputationTransfers[syncHash]) {
@@ -578,6 +602,52 @@ contract RONUpgradeable is
         }
     }
 
+    /**
+     * @dev Apply a reputation snapshot relayed from a CrossChainReputationSync event on another chain.
+     * The syncHash is an unkeyed hash of the snapshot fields: recomputing it only binds those fields for replay
+     * protection, as any BRIDGE_ROLE holder can hash any amount. The amount is trusted from the BRIDGE_ROLE caller.
+     * Snapshots must be newer than the last one applied for the user and source chain and replace it, so RON lost
+     * on the source chain is lost here too; tiers follow the highest of local RON and the latest snapshot of each
+     * source chain, local RON itself is unchanged
+     * @param snapshotTime Timestamp of the source block that emitted the sync
+     */
+    function receiveReputationSync(
+        address user,
+        uint256 ronAmount,
+        uint256 sourceChain,
+        uint256 snapshotTime,
+        bytes32 syncHash
+    ) external onlyRole(BRIDGE_ROLE) whenNotPaused {
+        if (!supportedChains[sourceChain]) {
+            revert("Chain not supported");
+        }
+        if (processedReputationTransfers[syncHash]) {
+            revert ReputationSyncAlreadyProcessed(syncHash);
+        }
+        if (keccak256(abi.encodePacked(user, ronAmount, sourceChain, block.chainid, snapshotTime)) != syncHash) {
+            revert InvalidReputationSync(syncHash);
+        }
+
+        ReputationSnapshot storage snapshot = reputationSnapshots[user][sourceChain];
+        if (snapshotTime <= snapshot.snapshotTime) {
+            revert StaleReputationSync(user, sourceChain, snapshotTime, snapshot.snapshotTime);
+        }
+
+        if (snapshot.snapshotTime == 0) {
+            _addReputationSource(sourceChain);
+        }
+
+        processedReputationTransfers[syncHash] = true;
+        snapshot.ronAmount = uint128(ronAmount);
+        snapshot.snapshotTime = uint64(snapshotTime);
+        crossChainRON[user] = _latestRemoteRON(user);
+
+        AccessTier newTier = _calculateUserTier(_tierReputation(user));
+        userStats[user].tier = uint32(newTier);
+
+        emit CrossChainReputationReceived(user, ronAmount, sourceChain, syncHash, newTier);
+    }
+
     // ============ ANALYTICS AND METRICS ============
 
     function _updatePerformanceMetrics(
@@ -661,6 +731,35 @@ contract RONUpgradeable is
         return baseReward;
     }
 
+    /**
+     * @dev Remember a chain that delivered a snapshot, so the user's remote RON can be derived from every source
+     */
+    function _addReputationSource(uint256 sourceChain) internal {
+        for (uint256 i = 0; i < reputationSourceChains.length; i++) {
+            if (reputationSourceChains[i] == sourceChain) return;
+        }
+        reputationSourceChains.push(sourceChain);
+    }
+
+    /**
+     * @dev Highest of the user's latest snapshots across source chains
+     */
+    function _latestRemoteRON(address user) internal view returns (uint256 remote) {
+        for (uint256 i = 0; i < reputationSourceChains.length; i++) {
+            uint256 amount = reputationSnapshots[user][reputationSourceChains[i]].ronAmount;
+            if (amount > remote) remote = amount;
+        }
+    }
+
+    /**
+     * @dev Reputation that decides a user's tier: local RON or the highest current snapshot from another chain
+     */
+    function _tierReputation(address user) internal view returns (uint256) {
+        uint256 local = userStats[user].totalRON;
+        uint256 remote = crossChainRON[user];
+        return remote > local ? remote : local;
+    }
+
     function _calculateUserTier(uint256 totalRON) internal pure returns (AccessTier) {
         if (totalRON >= ORACLE_THRESHOLD) return AccessTier.ORACLE;
         if (totalRON >= EXPERT_THRESHOLD) return AccessTier.EXPERT;
@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./RDLNUpgradeable.sol";
+
+/**
+ * @title RDLNBridgeMinter
+ * @dev Inbound side of the RDLNUpgradeable bridge, kept out of the token to hold its bytecode down.
+ * Verifies BRIDGE_SIGNER_ROLE signatures over each transfer and caps mints per source chain and day, then mints
+ * through the token's bridgeMint with BRIDGE_MINTER_ROLE. Supported chains and processed transfers stay on the token
+ */
+contract RDLNBridgeMinter is AccessControl, EIP712 {
+    bytes32 public constant BRIDGE_SIGNER_ROLE = keccak256("BRIDGE_SIGNER_ROLE");
+
+    // EIP-712 message bridge signers sign for each inbound transfer
+    bytes32 public constant BRIDGE_MINT_TYPEHASH = keccak256(
+        "BridgeMint(address from,address to,uint256 amount,uint256 sourceChain,bytes32 transactionHash)"
+    );
+
+    RDLNUpgradeable public immutable token;
+
+    uint256 public bridgeSignatureThreshold; // Distinct BRIDGE_SIGNER_ROLE signatures per mint, 0 = disabled
+    mapping(uint256 => uint256) public bridgeDailyLimit; // Source chain => RDLN mintable per day
+    mapping(uint256 => mapping(uint256 => uint256)) public bridgeDailyMinted; // Source chain => day => RDLN minted
+
+    event BridgeRateLimitUpdated(uint256 indexed chainId, uint256 dailyLimit);
+    event BridgeSignatureThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+
+    error InvalidAddress(address addr);
+    error BridgeNotConfigured();
+    error BridgeRateLimitExceeded(uint256 sourceChain, uint256 requested, uint256 remaining);
+    error InvalidBridgeSignature(address signer);
+    error InsufficientBridgeSignatures(uint256 provided, uint256 required);
+
+    /**
+     * @param _token RDLNUpgradeable proxy; this contract needs its BRIDGE_MINTER_ROLE
+     * @param _admin Holder of DEFAULT_ADMIN_ROLE (signers, threshold and rate limits)
+     */
+    constructor(address _token, address _admin) EIP712("RDLNBridgeMinter", "1") {
+        if (_token == address(0)) revert InvalidAddress(_token);
+        if (_admin == address(0)) revert InvalidAddress(_admin);
+
+        token = RDLNUpgradeable(_token);
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+    }
+
+    /**
+     * @dev Set how much RDLN may be minted per day for transfers from a source chain
+     * @param chainId Source chain ID
+     * @param dailyLimit RDLN per day; 0 stops inbound transfers from that chain
+     */
+    function setBridgeRateLimit(
+        uint256 chainId,
+        uint256 dailyLimit
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        bridgeDailyLimit[chainId] = dailyLimit;
+        emit BridgeRateLimitUpdated(chainId, dailyLimit);
+    }
+
+    /**
+     * @dev Set how many distinct bridge signers must sign an inbound transfer; 0 disables inbound minting
+     */
+    function setBridgeSignatureThreshold(uint256 threshold) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 oldThreshold = bridgeSignatureThreshold;
+        bridgeSignatureThreshold = threshold;
+        emit BridgeSignatureThresholdUpdated(oldThreshold, threshold);
+    }
+
+    /**
+     * @dev RDLN that can still be minted today for transfers from a source chain
+     */
+    function bridgeMintRemaining(uint256 sourceChain) public view returns (uint256) {
+        uint256 minted = bridgeDailyMinted[sourceChain][block.timestamp / 1 days];
+        uint256 limit = bridgeDailyLimit[sourceChain];
+        return minted >= limit ? 0 : limit - minted;
+    }
+
+    /**
+     * @dev Mint tokens burned by bridgeTokens on a source chain. Anyone may submit the transfer; it needs
+     * bridgeSignatureThreshold signatures from distinct BRIDGE_SIGNER_ROLE holders over the BridgeMint message,
+     * sorted by signer address. The token refuses unsupported source chains and transfers it already minted
+     * @param from Sender on the source chain
+     * @param to Recipient on this chain
+     * @param amount Amount burned on the source chain
+     * @param sourceChain Source chain ID
+     * @param transactionHash transactionHash of the source CrossChainTransfer event
+     * @param signatures Bridge signer signatures, ordered by ascending signer address
+     */
+    function completeBridgeTransfer(
+        address from,
+        address to,
+        uint256 amount,
+        uint256 sourceChain,
+        bytes32 transactionHash,
+        bytes[] calldata signatures
+    ) external {
+        if (to == address(0)) revert InvalidAddress(to);
+        if (bridgeSignatureThreshold == 0) revert BridgeNotConfigured();
+        if (signatures.length < bridgeSignatureThreshold) {
+            revert InsufficientBridgeSignatures(signatures.length, bridgeSignatureThreshold);
+        }
+
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            BRIDGE_MINT_TYPEHASH, from, to, amount, sourceChain, transactionHash
+        )));
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            if (signer <= lastSigner || !hasRole(BRIDGE_SIGNER_ROLE, signer)) {
+                revert InvalidBridgeSignature(signer);
+            }
+            lastSigner = signer;
+        }
+
+        uint256 remaining = bridgeMintRemaining(sourceChain);
+        if (amount > remaining) revert BridgeRateLimitExceeded(sourceChain, amount, remaining);
+
+        bridgeDailyMinted[sourceChain][block.timestamp / 1 days] += amount;
+        token.bridgeMint(from, to, amount, sourceChain, transactionHash);
+    }
+}
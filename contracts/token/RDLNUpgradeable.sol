@@ -23,7 +23,7 @@ import "../interfaces/IRDLN.sol";
  * - Circuit breakers for security
  * - Comprehensive event logging
  * - Compliance hooks ready
- * - Cross-chain bridge preparation
+ * - Cross-chain bridge; inbound transfers are minted by RDLNBridgeMinter
  * - UUPS upgradeable pattern
  */
 contract RDLNUpgradeable is
@@ -46,6 +46,7 @@ contract RDLNUpgradeable is
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
     bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
     bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+    bytes32 public constant BRIDGE_MINTER_ROLE = keccak256("BRIDGE_MINTER_ROLE");
 
     // Token distribution constants
     uint256 public constant TOTAL_SUPPLY = 1_000_000_000 * 10**18; // 1 billion RDLN
@@ -96,6 +97,7 @@ contract RDLNUpgradeable is
     // Cross-chain bridge
     mapping(uint256 => bool) public supportedChains;
     mapping(bytes32 => bool) public processedTransactions;
+    mapping(address => uint256) public bridgeNonces; // Sender => outbound transfers made, part of each transfer id
 
     // ============ EVENTS ============
 
@@ -132,6 +134,14 @@ contract RDLNUpgradeable is
         bytes32 transactionHash
     );
 
+    event CrossChainTransferCompleted(
+        address indexed from,
+        address indexed to,
+        uint256 amount,
+        uint256 sourceChain,
+        bytes32 transactionHash
+    );
+
     event BatchOperationExecuted(
         address indexed executor,
         uint256 operationType,
@@ -149,6 +159,7 @@ contract RDLNUpgradeable is
     error SingleBurnLimitExceeded(uint256 requested, uint256 singleLimit);
     error ComplianceViolation(address user, string reason);
     error CrossChainNotSupported(uint256 chainId);
+    error BridgeTransferAlreadyProcessed(bytes32 transactionHash);
     error BatchSizeExceeded(uint256 requested, uint256 maxSize);
     error UnauthorizedUpgrade(address caller);
 
@@ -334,7 +345,7 @@ contract RDLNUpgradeable is
         emit ComplianceModuleUpdated(oldModule, _complianceModule, _enabled);
     }
 
-    // ============ CROSS-CHAIN BRIDGE PREPARATION ============
+    // ============ CROSS-CHAIN BRIDGE ============
 
     /**
      * @dev Add supported chain for bridging
@@ -368,13 +379,40 @@ contract RDLNUpgradeable is
 
         _burn(msg.sender, amount);
 
-        bytes32 txHash = keccak256(abi.encodePacked(
-            msg.sender, to, amount, targetChain, block.timestamp, block.number
+        // The sender's nonce keeps identical transfers in one block apart; chain and token keep ids unique across deployments
+        bytes32 txHash = keccak256(abi.encode(
+            block.chainid, address(this), msg.sender, bridgeNonces[msg.sender]++, to, amount, targetChain
         ));
 
         emit CrossChainTransfer(msg.sender, to, amount, targetChain, txHash);
     }
 
+    /**
+     * @dev Mint tokens burned by bridgeTokens on a source chain. Signature checks and rate limits live in the
+     * BRIDGE_MINTER_ROLE holder (RDLNBridgeMinter); each source transactionHash is minted once.
+     * The tokens were burned on the source chain, so this mints outside the allocations
+     * @param from Sender on the source chain
+     * @param to Recipient on this chain
+     * @param amount Amount burned on the source chain
+     * @param sourceChain Source chain ID
+     * @param transactionHash transactionHash of the source CrossChainTransfer event
+     */
+    function bridgeMint(
+        address from,
+        address to,
+        uint256 amount,
+        uint256 sourceChain,
+        bytes32 transactionHash
+    ) external onlyRole(BRIDGE_MINTER_ROLE) whenNotPaused {
+        if (!supportedChains[sourceChain]) revert CrossChainNotSupported(sourceChain);
+        if (processedTransactions[transactionHash]) revert BridgeTransferAlreadyProcessed(transactionHash);
+
+        processedTransactions[transactionHash] = true;
+        _mint(to, amount);
+
+        emit CrossChainTransferCompleted(from, to, amount, sourceChain, transactionHash);
+    }
+
     // ============ ENHANCED ALLOCATION FUNCTIONS ============
 
     function mintPrizePool(address to, uint256 amount) external onlyRole(MINTER_ROLE) whenNotPaused {
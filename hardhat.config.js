@@ -41,13 +41,18 @@ module.exports = {
   },
   networks: {
     hardhat: {
-      chainId: 31337,
+      // HARDHAT_CHAIN_ID=31338 npx hardhat node --port 8546 starts the second local chain for bridge testing
+      chainId: Number(process.env.HARDHAT_CHAIN_ID || 31337),
       allowUnlimitedContractSize: true, // Allow oversized contracts for testing
     },
     localhost: {
       url: "http://127.0.0.1:8545",
       chainId: 31337,
     },
+    localhost2: {
+      url: "http://127.0.0.1:8546",
+      chainId: 31338,
+    },
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL || "https://sepolia.infura.io/v3/YOUR_INFURA_PROJECT_ID",
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
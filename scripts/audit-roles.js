@@ -0,0 +1,75 @@
+// Audit role membership of every contract in deployments/<network>.json against config/roles/<network>.json
+// Membership is reconstructed from RoleGranted/RoleRevoked events; exits non-zero when anything deviates
+//
+// Usage:
+//   npx hardhat run scripts/audit-roles.js --network amoy
+//
+// Environment:
+//   AUDIT_FROM_BLOCK   first block to scan (defaults to the record's startBlock)
+//   AUDIT_BLOCK_RANGE  eth_getLogs window size (default 5000)
+//   AUDIT_OUTPUT       write the full JSON report to this path
+
+const hre = require("hardhat");
+const fs = require("fs");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { auditRoles, loadRolePolicy } = require("./lib/roles");
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+
+    console.log(`🔐 Auditing roles on ${networkName}...\n`);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const record = DeploymentRecord.load(networkName, chainId);
+    const policy = loadRolePolicy(networkName);
+
+    const report = await auditRoles(hre, record, policy, {
+        fromBlock: process.env.AUDIT_FROM_BLOCK ? Number(process.env.AUDIT_FROM_BLOCK) : undefined,
+        blockRange: Number(process.env.AUDIT_BLOCK_RANGE || 5000)
+    });
+
+    for (const [key, contract] of Object.entries(report.contracts)) {
+        console.log(`📄 ${contract.name} (${key}) ${contract.address}`);
+        for (const [roleName, role] of Object.entries(contract.roles)) {
+            console.log(`   ${roleName}: ${role.holders.length > 0 ? role.holders.join(", ") : "-"}`);
+        }
+        console.log();
+    }
+
+    if (process.env.AUDIT_OUTPUT) {
+        fs.writeFileSync(process.env.AUDIT_OUTPUT, JSON.stringify(report, null, 2) + "\n");
+        console.log("💾 Report written to:", process.env.AUDIT_OUTPUT);
+    }
+
+    if (report.findings.length === 0) {
+        console.log("✅ Role membership matches policy");
+        return report;
+    }
+
+    console.log(`⚠️  ${report.findings.length} deviation(s) from policy:`);
+    for (const finding of report.findings) {
+        if (finding.type === "extra") {
+            const reason = finding.undeclared ? "role not declared in policy" : "not in policy";
+            console.log(`   ➕ ${finding.contract}.${finding.role} held by ${finding.label} (${reason})`);
+        } else if (finding.type === "missing") {
+            console.log(`   ➖ ${finding.contract}.${finding.role} missing for ${finding.label}`);
+        } else {
+            console.log(`   ❓ ${finding.contract} unknown role ${finding.role} held by ${finding.accounts.join(", ")}`);
+        }
+    }
+
+    process.exitCode = 1;
+    return report;
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(process.exitCode || 0))
+        .catch((error) => {
+            console.error("❌ Role audit failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
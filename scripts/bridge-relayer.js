@@ -0,0 +1,103 @@
+// Bridge relayer: watches RDLNUpgradeable CrossChainTransfer events on the --network chain and completes the
+// transfers with completeBridgeTransfer on BRIDGE_DESTINATION's RDLNBridgeMinter. Both chains need a deployment record
+//
+// Usage (two local chains):
+//   npx hardhat node                                          # chain 31337 on 8545
+//   HARDHAT_CHAIN_ID=31338 npx hardhat node --port 8546       # chain 31338 on 8546
+//   npm run deploy:localhost && npm run deploy:localhost2
+//   BRIDGE_DESTINATION=localhost2 npm run bridge:relayer -- --network localhost
+//
+// Environment:
+//   BRIDGE_DESTINATION           Hardhat network name of the destination chain (required)
+//   BRIDGE_RELAYER_PRIVATE_KEY   key paying for completeBridgeTransfer (defaults to the destination node's first account)
+//   BRIDGE_SIGNER_KEYS           comma-separated keys holding BRIDGE_SIGNER_ROLE on the minter (defaults to the relayer key)
+//   BRIDGE_SOURCE_CONFIRMATIONS  blocks a transfer must be buried under before it is relayed (defaults to the
+//                                source network config's "finality", then 64)
+//   BRIDGE_POLL_INTERVAL         seconds between polls (default 15)
+//   BRIDGE_FROM_BLOCK            first source block of the initial scan (defaults to the record's startBlock)
+//   BRIDGE_BLOCK_RANGE           largest eth_getLogs window in blocks (default 5000)
+//   BRIDGE_MAX_TICKS             stop after this many polls (runs until interrupted by default)
+
+const hre = require("hardhat");
+const { loadNetworkConfig, buildTxOverrides } = require("./lib/config");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { BridgeRelayer } = require("./lib/bridge-relayer");
+
+function number(name, scale = 1) {
+    return process.env[name] ? Number(process.env[name]) * scale : undefined;
+}
+
+/**
+ * @dev The recorded RDLNUpgradeable of a chain, refusing token variants without the bridge
+ */
+function bridgeToken(record) {
+    const entry = record.getContract("rdln");
+    if (!entry) throw new Error(`No rdln in ${record.file}; deploy the ecosystem first`);
+    if (entry.name !== "RDLNUpgradeable") {
+        throw new Error(`rdln in ${record.file} is ${entry.name}; bridging needs RDLNUpgradeable`);
+    }
+    return entry;
+}
+
+/**
+ * @dev The recorded RDLNBridgeMinter of the destination chain
+ */
+function bridgeMinter(record) {
+    bridgeToken(record);
+    const entry = record.getContract("bridgeMinter");
+    if (!entry) throw new Error(`No bridgeMinter in ${record.file}; add a bridge section to the network config and deploy`);
+    return entry;
+}
+
+async function main() {
+    const { ethers } = hre;
+    const sourceName = hre.network.name;
+    const destinationName = process.env.BRIDGE_DESTINATION;
+    if (!destinationName) throw new Error("Set BRIDGE_DESTINATION to the destination network name");
+    const destinationNetwork = hre.config.networks[destinationName];
+    if (!destinationNetwork?.url) throw new Error(`Unknown destination network "${destinationName}"`);
+
+    const { chainId: sourceChainId } = await ethers.provider.getNetwork();
+    const sourceRecord = DeploymentRecord.load(sourceName, sourceChainId);
+    const source = await ethers.getContractAt("RDLNUpgradeable", bridgeToken(sourceRecord).address);
+
+    const provider = new ethers.JsonRpcProvider(destinationNetwork.url);
+    const { chainId: destinationChainId } = await provider.getNetwork();
+    const destinationRecord = DeploymentRecord.load(destinationName, destinationChainId);
+    const relayer = process.env.BRIDGE_RELAYER_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.BRIDGE_RELAYER_PRIVATE_KEY, provider)
+        : await provider.getSigner(0);
+    const minter = await ethers.getContractAt("RDLNBridgeMinter", bridgeMinter(destinationRecord).address, relayer);
+    const signers = process.env.BRIDGE_SIGNER_KEYS
+        ? process.env.BRIDGE_SIGNER_KEYS.split(",").map((key) => new ethers.Wallet(key.trim()))
+        : [relayer];
+
+    const config = loadNetworkConfig(destinationName);
+    const bridge = new BridgeRelayer(source, minter, sourceRecord, {
+        signers,
+        sourceConfirmations: number("BRIDGE_SOURCE_CONFIRMATIONS") ?? loadNetworkConfig(sourceName).finality,
+        pollInterval: number("BRIDGE_POLL_INTERVAL", 1000),
+        fromBlock: number("BRIDGE_FROM_BLOCK"),
+        blockRange: number("BRIDGE_BLOCK_RANGE"),
+        overrides: buildTxOverrides(config.gas),
+        confirmations: config.confirmations
+    });
+
+    process.on("SIGINT", () => bridge.stop());
+    process.on("SIGTERM", () => bridge.stop());
+
+    await bridge.run({ maxTicks: number("BRIDGE_MAX_TICKS") ?? Infinity });
+    provider.destroy();
+    console.log("👋 Relayer stopped");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Relayer failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
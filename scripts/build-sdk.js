@@ -0,0 +1,29 @@
+// SDK build: regenerates the ABIs in sdk/abis from the compiled contracts and sdk/addresses.json from the public
+// deployment records in deployments/. Run after changing a contract or deploying to a public network
+//
+// Usage:
+//   npm run sdk:build
+//
+// Environment:
+//   SDK_INCLUDE_LOCAL   "true" to also add the hardhat and localhost records (for local development only)
+
+const hre = require("hardhat");
+const { buildSdk } = require("./lib/sdk-build");
+
+async function main() {
+    await hre.run("compile", { quiet: true });
+    const { contracts, chains } = await buildSdk(hre, { includeLocal: process.env.SDK_INCLUDE_LOCAL === "true" });
+    console.log(`📦 Wrote ${contracts.length} ABIs to sdk/abis: ${contracts.join(", ")}`);
+    console.log(`📒 Address book covers ${chains.length} chain(s)${chains.length ? `: ${chains.join(", ")}` : ""}`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ SDK build failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
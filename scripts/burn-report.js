@@ -0,0 +1,71 @@
+// RDLN burn and supply report: brings the event index up to date and exports daily burns per burn type, Grand Prize
+// and dev/ops inflows, supply, allocated vs. circulating supply and MAX_DAILY_BURN headroom as JSON and CSV
+//
+// Usage:
+//   npm run report:burns -- --network amoy
+//   BURN_REPORT_SINCE=2025-06-01 BURN_REPORT_UNTIL=2025-06-30 npm run report:burns -- --network amoy
+//
+// Environment:
+//   BURN_REPORT_OUT     output path without extension; .json and .csv are written (default deployments/reports/<network>-burns)
+//   BURN_REPORT_SINCE   first day of the report, unix seconds or ISO date (defaults to the first indexed burn or mint)
+//   BURN_REPORT_UNTIL   last day of the report, unix seconds or ISO date (defaults to the indexed block)
+//   INDEXER_DB          event database shared with scripts/index-events.js (default deployments/index/<network>.sqlite)
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { formatEther } = require("ethers");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { EventIndexer, EventStore, databaseFile, indexedContracts, timeParam } = require("./lib/event-indexer");
+const { BURN_SERIES, buildBurnReport, toCsv } = require("./lib/burn-report");
+
+async function main() {
+    const networkName = hre.network.name;
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    const record = DeploymentRecord.load(networkName, chainId);
+    const rdln = record.contracts.rdln;
+    if (!rdln?.address) throw new Error(`No RDLN in ${record.file}`);
+    const token = await hre.ethers.getContractAt(rdln.name, rdln.address);
+
+    const store = await EventStore.open(process.env.INDEXER_DB || databaseFile(record));
+    const indexer = new EventIndexer(store, await indexedContracts(hre, record), { fromBlock: record.data.startBlock });
+    await indexer.start();
+    await indexer.tick();
+
+    const report = await buildBurnReport(store, token, {
+        since: timeParam(process.env.BURN_REPORT_SINCE),
+        until: timeParam(process.env.BURN_REPORT_UNTIL),
+        holders: Object.values(record.contracts).map((entry) => entry.address).filter(Boolean)
+    });
+    store.close();
+
+    const out = process.env.BURN_REPORT_OUT || path.join(path.dirname(record.file), "reports", `${networkName}-burns`);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(`${out}.json`, JSON.stringify(report, null, 2) + "\n");
+    fs.writeFileSync(`${out}.csv`, toCsv(report));
+
+    const rdlnAmount = (wei) => `${Number(formatEther(wei)).toLocaleString("en-US")} RDLN`;
+    const first = report.days[0]?.date ?? "-";
+    const last = report.days.at(-1)?.date ?? "-";
+    console.log(`🔥 Burns ${first} to ${last} (${report.days.length} day(s)), up to block ${report.indexedBlock}`);
+    for (const series of BURN_SERIES) console.log(`   ${series.padEnd(14)} ${rdlnAmount(report.totals[series])}`);
+    console.log(`📥 Inflows: ${rdlnAmount(report.totals.grandPrize)} to the Grand Prize, ${rdlnAmount(report.totals.devOps)} to dev/ops`);
+    console.log(`💰 Supply ${rdlnAmount(report.supply.totalSupply)}: ${rdlnAmount(report.supply.allocated)} allocated, ` +
+        `${rdlnAmount(report.supply.circulating)} circulating`);
+    if (report.dailyBurnLimit.lastDay) {
+        console.log(`🧯 Daily burn headroom on ${report.dailyBurnLimit.lastDay.date}: ${rdlnAmount(report.dailyBurnLimit.lastDay.headroom)}`);
+    }
+    console.log(`📄 Written to ${out}.json and ${out}.csv`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Burn report failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
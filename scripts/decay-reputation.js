@@ -0,0 +1,108 @@
+// Reputation decay crank: applies RONAdvanced.applyReputationDecay to every known user past DECAY_PERIOD
+// Users are discovered from RON events; the scan position and applied decays are kept in deployments/<network>.json
+//
+// Usage:
+//   DECAY_DRY_RUN=true npm run decay:reputation -- --network amoy
+//   DECAY_INTERVAL=24 npx hardhat run scripts/decay-reputation.js --network amoy   (crank once a day until stopped)
+//
+// Environment:
+//   DECAY_DRY_RUN       "true" to list who would decay and by how much without sending anything
+//   DECAY_BATCH_GAS     estimated gas per batch of transactions sent together (default 3000000)
+//   DECAY_FROM_BLOCK    first block of the initial user scan (defaults to the record's startBlock)
+//   DECAY_BLOCK_RANGE   largest eth_getLogs window in blocks (default 5000)
+//   DECAY_INTERVAL      hours between runs; runs once when unset
+//   DECAY_OUTPUT        write the report of the last run as JSON to this file
+//   DECAY_PRIVATE_KEY   key paying for the transactions (defaults to the network's first account)
+
+const hre = require("hardhat");
+const fs = require("fs");
+const { loadNetworkConfig, buildTxOverrides } = require("./lib/config");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { ReputationDecayCrank } = require("./lib/reputation-decay");
+
+function number(name) {
+    return process.env[name] ? Number(process.env[name]) : undefined;
+}
+
+function printReport(report, dryRun) {
+    const rows = dryRun ? report.eligible : report.applied;
+    for (const row of rows) {
+        const ron = `${row.oldRON} -> ${dryRun ? row.expectedRON : row.newRON} RON`;
+        const tier = `${row.oldTier} -> ${dryRun ? row.expectedTier : row.newTier}`;
+        console.log(`   ${row.user}  ${row.daysSinceActivity}d inactive  ${ron}  ${tier}`);
+    }
+
+    if (dryRun) {
+        console.log(`\n✅ Dry run: ${report.eligible.length} user(s) in ${report.batches.length} batch(es), nothing sent`);
+    } else {
+        console.log(`\n📉 Decayed ${report.applied.length} user(s) in ${report.batches.length} batch(es); ` +
+            `${report.tierChanges.length} governance tier change(s)`);
+    }
+}
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+    const dryRun = process.env.DECAY_DRY_RUN === "true";
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const record = DeploymentRecord.load(networkName, chainId);
+    const entry = record.getContract("ron");
+    if (!entry) throw new Error(`No ron in ${record.file}; deploy the ecosystem first`);
+    if ((entry.variant || entry.name) !== "RONAdvanced") {
+        throw new Error(`ron in ${record.file} is ${entry.variant || entry.name}; reputation decay needs RONAdvanced`);
+    }
+
+    const config = loadNetworkConfig(networkName);
+    const signer = process.env.DECAY_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.DECAY_PRIVATE_KEY, ethers.provider)
+        : (await ethers.getSigners())[0];
+    const ron = await ethers.getContractAt(entry.name, entry.address, signer);
+
+    const crank = new ReputationDecayCrank(ron, record, {
+        batchGas: number("DECAY_BATCH_GAS"),
+        fromBlock: number("DECAY_FROM_BLOCK"),
+        blockRange: number("DECAY_BLOCK_RANGE"),
+        overrides: buildTxOverrides(config.gas),
+        confirmations: config.confirmations
+    });
+
+    let stopped = false;
+    let wake;
+    const stop = () => {
+        stopped = true;
+        wake?.();
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+
+    console.log(`📉 Reputation decay on ${networkName} (${entry.address})${dryRun ? " - dry run" : ""}\n`);
+    let report;
+    while (!stopped) {
+        report = await crank.run({ dryRun });
+        printReport(report, dryRun);
+        if (process.env.DECAY_OUTPUT) {
+            fs.writeFileSync(process.env.DECAY_OUTPUT, JSON.stringify(report, null, 2) + "\n");
+            console.log("💾 Report written to:", process.env.DECAY_OUTPUT);
+        }
+
+        if (!process.env.DECAY_INTERVAL || dryRun) break;
+        await new Promise((resolve) => {
+            wake = resolve;
+            setTimeout(resolve, number("DECAY_INTERVAL") * 3_600_000);
+        });
+    }
+
+    return report;
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Reputation decay failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
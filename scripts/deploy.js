@@ -0,0 +1,94 @@
+// Deploy the Riddlen ecosystem to any configured network
+// Contract variants and gas settings come from config/networks/<network>.json, wallets from config/wallets/<network>.json;
+// progress is recorded in deployments/<network>.json and re-running resumes from the last completed phase
+//
+// Usage:
+//   npm run deploy                          (in-process hardhat network)
+//   npm run deploy:amoy
+//   npx hardhat run scripts/deploy.js --network <network>
+//   DEPLOY_RESET=true npm run deploy:localhost   (ignore the existing record)
+//   DEPLOY_SAFE_BATCH=true npm run deploy:polygon (export admin phases as Safe batches for wallets.admin)
+
+const hre = require("hardhat");
+const { loadNetworkConfig } = require("./lib/config");
+const { deployEcosystem, variantFor } = require("./lib/ecosystem");
+const { readContractStatus } = require("./lib/treasury-drip");
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+
+    console.log(`🚀 Deploying Riddlen ecosystem to ${networkName}...\n`);
+
+    const [deployer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+    console.log("📋 Deploying with account:", deployer.address);
+    console.log("💰 Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)));
+    console.log("🌐 Network:", networkName, "Chain ID:", chainId.toString());
+
+    const config = loadNetworkConfig(networkName);
+    const variants = ["rdln", "ron", "riddleNFT", "treasuryDrip"].map((key) => variantFor(config, key).name);
+    console.log("📦 Contracts:", variants.join(", "));
+
+    // The in-process hardhat network starts empty on every run, so its record can never be resumed
+    const reset = networkName === "hardhat" || process.env.DEPLOY_RESET === "true";
+
+    const safe = process.env.DEPLOY_SAFE_BATCH === "true";
+
+    const { record, batches } = await deployEcosystem(hre, config, { reset, safe });
+
+    console.log("\n=== Deployment Summary ===");
+    console.log("📋 Contract Addresses:");
+    for (const contract of Object.values(record.contracts)) {
+        console.log(`   ${contract.name}: ${contract.address} ${contract.proxy ? "(Proxy)" : ""}`);
+    }
+    console.log("👛 Wallets:");
+    for (const [name, address] of Object.entries(record.data.wallets)) {
+        console.log(`   ${name}: ${address}`);
+    }
+
+    const pending = Object.entries(record.data.phases).filter(([, phase]) => phase.status === "pending");
+    for (const [name, phase] of pending) {
+        console.log(`\n⏸️  Phase "${name}" pending: ${phase.reason}`);
+    }
+
+    const drip = record.getContract("treasuryDrip");
+    if (drip) {
+        const status = await readContractStatus(await ethers.getContractAt(drip.name, drip.address));
+        console.log("\n💧 Treasury Drip Status:");
+        console.log("   Total released:     ", ethers.formatEther(status.totalReleased), "RDLN");
+        console.log("   Releases executed:  ", status.releasesExecuted);
+        console.log("   Failed attempts:    ", status.failedAttempts, `(consecutive: ${status.consecutiveFailures})`);
+        console.log("   Remaining releases: ", status.remainingReleases);
+        console.log("   Can release now:    ", status.canReleaseNow);
+        console.log("   Paused:             ", status.isPaused);
+        console.log("   Automation enabled: ", status.automationEnabled);
+        console.log("   Treasury approval:  ", ethers.formatEther(status.treasuryApproval), "RDLN");
+        console.log("   Pending owner:      ", status.pendingOwner);
+    }
+
+    console.log("\n💾 Deployment record saved to:", record.file);
+
+    if (batches.length > 0) {
+        console.log(`\n📦 Admin phases exported for the Safe at ${record.data.wallets.admin}:`);
+        for (const file of batches) {
+            console.log(`   ${file}`);
+        }
+        console.log(`   Simulate before signing: SAFE_NETWORK=${networkName} npm run simulate:safe`);
+    }
+    console.log("\n🎉 Riddlen ecosystem deployment complete!");
+
+    return record;
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Deployment failed:", error);
+            console.error("   Completed phases are recorded; re-run the same command to resume.");
+            process.exit(1);
+        });
+}
+
+module.exports = main;
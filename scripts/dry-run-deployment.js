@@ -0,0 +1,85 @@
+// Estimate what a deployment costs before running it on a real network
+// The full deployment runs on the in-process Hardhat network with the target network's config; every
+// transaction is priced at the target's gas price and contract sizes are checked against the 24KB limit
+//
+// Usage:
+//   DRY_RUN_NETWORK=amoy npm run deploy:dry-run
+//   DRY_RUN_NETWORK=polygon DRY_RUN_GAS_PRICE=80 npx hardhat run scripts/dry-run-deployment.js
+//
+// Environment:
+//   DRY_RUN_NETWORK    network whose config/networks/<network>.json is deployed (required)
+//   DRY_RUN_GAS_PRICE  gas price in gwei to price the run at (defaults to the network's gas settings)
+//   DRY_RUN_OUTPUT     write the full report as JSON to this file
+//
+// Exits non-zero when a contract exceeds the code size limit, since the target network would reject it.
+
+const hre = require("hardhat");
+const fs = require("fs");
+const { loadNetworkConfig } = require("./lib/config");
+const { MAX_CODE_SIZE, dryRunDeployment } = require("./lib/dry-run");
+
+async function main() {
+    const { ethers } = hre;
+    const target = process.env.DRY_RUN_NETWORK;
+    if (!target) {
+        throw new Error("Set DRY_RUN_NETWORK to the network to estimate (e.g. amoy)");
+    }
+
+    console.log(`🧮 Dry run of the ${target} deployment on the in-process Hardhat network...\n`);
+
+    const report = await dryRunDeployment(hre, loadNetworkConfig(target), {
+        gasPrice: process.env.DRY_RUN_GAS_PRICE,
+        log: () => {}
+    });
+
+    const format = (cost) => (cost === undefined ? "n/a" : `${ethers.formatEther(cost)}`);
+
+    console.log("=== Gas per Step ===");
+    for (const phase of report.phases) {
+        const status = phase.status === "completed" ? "" : ` (${phase.status})`;
+        console.log(`📦 ${phase.description}${status}: ${phase.gasUsed} gas, ${format(phase.cost)}`);
+        for (const tx of phase.transactions) {
+            console.log(`   ${tx.label.padEnd(52)} ${tx.gasUsed.padStart(9)} gas  ${format(tx.cost)}`);
+        }
+    }
+
+    console.log("\n=== Total ===");
+    console.log("⛽ Gas used:", report.totalGas);
+    if (report.gasPrice === undefined) {
+        console.log(`⚠️  No gas price configured for ${target}; set DRY_RUN_GAS_PRICE to estimate the cost`);
+    } else {
+        console.log("💲 Gas price:", ethers.formatUnits(report.gasPrice, "gwei"), "gwei");
+        console.log("💰 Total cost:", format(report.totalCost), "(native token)");
+    }
+
+    console.log(`\n=== Contract Sizes (limit ${MAX_CODE_SIZE / 1024} KiB) ===`);
+    for (const size of report.sizes) {
+        const kib = (size.deployedBytes / 1024).toFixed(3);
+        console.log(`   ${size.exceedsLimit ? "❌" : "✅"} ${size.name} (${size.key}): ${kib} KiB`);
+    }
+
+    const oversized = report.sizes.filter((size) => size.exceedsLimit);
+    if (oversized.length > 0) {
+        console.log(`\n❌ ${oversized.map((size) => size.name).join(", ")} exceed the size limit; ` +
+            `${target} will reject the deployment (only the hardhat network allows unlimited contract size)`);
+        process.exitCode = 1;
+    }
+
+    if (process.env.DRY_RUN_OUTPUT) {
+        fs.writeFileSync(process.env.DRY_RUN_OUTPUT, JSON.stringify(report, null, 2) + "\n");
+        console.log("\n💾 Report written to:", process.env.DRY_RUN_OUTPUT);
+    }
+
+    return report;
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(process.exitCode || 0))
+        .catch((error) => {
+            console.error("❌ Dry run failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,88 @@
+// Governance bot: follows RONAdvanced proposals, reminds voters while they are open, executes them once voting has
+// ended and records the outcome in deployments/<network>.json. Optionally serves the live tallies over HTTP
+//
+// Usage:
+//   npm run governance:bot -- --network amoy
+//   GOVERNANCE_PORT=8080 GOVERNANCE_SINKS=console,webhook:https://hooks.example.com/riddlen npm run governance:bot -- --network amoy
+//   curl localhost:8080/proposals/3
+//
+// Environment:
+//   GOVERNANCE_SINKS            comma-separated reminder/outcome sinks: console, file:<path>, webhook:<url> (default console)
+//   GOVERNANCE_WEBHOOK_TOKEN    sent as "Authorization: Bearer <token>" to webhook sinks
+//   GOVERNANCE_PORT             serve GET /proposals and /proposals/<id> with the live tallies on this port
+//   GOVERNANCE_HOST             interface the tallies are served on (default 127.0.0.1; "0.0.0.0" for every interface)
+//   GOVERNANCE_EXECUTE          "false" to only watch and remind, without calling executeProposal
+//   GOVERNANCE_REMINDER_HOURS   remind voters this many hours before voting ends (default 24)
+//   GOVERNANCE_POLL_INTERVAL    seconds between polls (default 60)
+//   GOVERNANCE_FROM_BLOCK       first block of the initial scan (defaults to the record's startBlock)
+//   GOVERNANCE_BLOCK_RANGE      largest eth_getLogs window in blocks (default 5000)
+//   GOVERNANCE_MAX_TICKS        stop after this many polls (runs until interrupted by default)
+//   GOVERNANCE_PRIVATE_KEY      key paying for executeProposal (defaults to the network's first account)
+
+const hre = require("hardhat");
+const { loadNetworkConfig, buildTxOverrides } = require("./lib/config");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { GovernanceBot, createTallyServer } = require("./lib/governance-bot");
+const { createSinks } = require("./lib/poller");
+
+function number(name, scale = 1) {
+    return process.env[name] ? Number(process.env[name]) * scale : undefined;
+}
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const record = DeploymentRecord.load(networkName, chainId);
+    const entry = record.getContract("ron");
+    if (!entry) throw new Error(`No ron in ${record.file}; deploy the ecosystem first`);
+    if ((entry.variant || entry.name) !== "RONAdvanced") {
+        throw new Error(`ron in ${record.file} is ${entry.variant || entry.name}; on-chain governance needs RONAdvanced`);
+    }
+
+    const config = loadNetworkConfig(networkName);
+    const signer = process.env.GOVERNANCE_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.GOVERNANCE_PRIVATE_KEY, ethers.provider)
+        : (await ethers.getSigners())[0];
+    const ron = await ethers.getContractAt(entry.name, entry.address, signer);
+
+    const bot = new GovernanceBot(ron, record, {
+        sinks: createSinks(process.env.GOVERNANCE_SINKS || "console", {
+            headers: process.env.GOVERNANCE_WEBHOOK_TOKEN ? { Authorization: `Bearer ${process.env.GOVERNANCE_WEBHOOK_TOKEN}` } : {}
+        }),
+        execute: process.env.GOVERNANCE_EXECUTE !== "false",
+        reminderWindow: number("GOVERNANCE_REMINDER_HOURS", 3600),
+        pollInterval: number("GOVERNANCE_POLL_INTERVAL", 1000),
+        fromBlock: number("GOVERNANCE_FROM_BLOCK"),
+        blockRange: number("GOVERNANCE_BLOCK_RANGE"),
+        overrides: buildTxOverrides(config.gas),
+        confirmations: config.confirmations
+    });
+
+    let server;
+    if (process.env.GOVERNANCE_PORT) {
+        server = createTallyServer(bot);
+        const host = process.env.GOVERNANCE_HOST || "127.0.0.1";
+        await new Promise((resolve) => server.listen(number("GOVERNANCE_PORT"), host, resolve));
+        console.log(`📊 Live tallies on http://${host}:${server.address().port}/proposals`);
+    }
+
+    process.on("SIGINT", () => bot.stop());
+    process.on("SIGTERM", () => bot.stop());
+
+    await bot.run({ maxTicks: number("GOVERNANCE_MAX_TICKS") ?? Infinity });
+    server?.close();
+    console.log("👋 Governance bot stopped");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Governance bot failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
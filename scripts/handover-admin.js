@@ -0,0 +1,79 @@
+// Hand admin rights over from the deployer to governance (timelock or multisig)
+// Every admin-class role on the recorded contracts and TreasuryDrip ownership move to the "governance" wallet
+// of config/wallets/<network>.json; the deployer's admin roles are renounced only after governance is verified
+//
+// Usage:
+//   HANDOVER_PLAN_ONLY=true npx hardhat run scripts/handover-admin.js --network amoy
+//   npm run handover -- --network amoy
+//
+// Environment:
+//   HANDOVER_PLAN_ONLY  "true" to print what would move without sending anything
+//   GOVERNANCE_ADDRESS  referenced by the testnet and polygon wallet profiles
+
+const hre = require("hardhat");
+const { loadNetworkConfig, buildTxOverrides } = require("./lib/config");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { handoverAdmin } = require("./lib/handover");
+const { checkWalletCode, loadWalletProfile, resolveGovernance } = require("./lib/wallets");
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+
+    console.log(`🏛️  Handing admin rights over to governance on ${networkName}...\n`);
+
+    const signers = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+    const record = DeploymentRecord.load(networkName, chainId);
+    const config = loadNetworkConfig(networkName);
+
+    const profile = loadWalletProfile(networkName);
+    const governance = resolveGovernance(profile, {
+        deployer: signers[0].address,
+        signers: signers.map((signer) => signer.address)
+    });
+    await checkWalletCode(ethers.provider, profile, { governance });
+
+    console.log("📋 Current admin:", signers[0].address);
+    console.log("🏛️  Governance:   ", governance, "\n");
+
+    const result = await handoverAdmin(hre, record, governance, {
+        planOnly: process.env.HANDOVER_PLAN_ONLY === "true",
+        overrides: buildTxOverrides(config.gas),
+        confirmations: config.confirmations
+    });
+
+    if (!result.contracts) {
+        console.log("\n✅ Plan only: nothing sent");
+        return result;
+    }
+
+    console.log("\n=== Handover Summary ===");
+    for (const [key, entry] of Object.entries(result.contracts)) {
+        if (entry.roles) {
+            console.log(`   ${key}: ${entry.roles.length} admin role(s) moved`);
+        } else {
+            console.log(`   ${key}: ownership ${entry.ownership}`);
+        }
+    }
+    if (result.batches.length > 0) {
+        console.log("\n📦 Ownership acceptance exported for governance:");
+        for (const file of result.batches) {
+            console.log(`   ${file}`);
+        }
+    }
+    console.log("\n💾 Handover recorded in:", record.file);
+
+    return result;
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Handover failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,73 @@
+// Event indexer: copies burns, RON awards, riddle mints and solves, NFT resales and treasury releases from the
+// recorded contracts into deployments/index/<network>.sqlite and serves them over HTTP
+//
+// Usage:
+//   npm run index:events -- --network amoy
+//   curl localhost:8081/riddles/3/solvers
+//   curl "localhost:8081/burns?since=2025-06-02"
+//   curl localhost:8081/nfts/for-sale
+//
+// Environment:
+//   INDEXER_PORT            serve the REST API on this port (default 8081; "false" to only index)
+//   INDEXER_HOST            interface the REST API listens on (default 127.0.0.1; "0.0.0.0" for every interface)
+//   INDEXER_DB              database file (default deployments/index/<network>.sqlite)
+//   INDEXER_CONFIRMATIONS   blocks an event must be buried under before it is indexed (default 0)
+//   INDEXER_REORG_DEPTH     deepest reorganization detected and rolled back, in blocks (default 64)
+//   INDEXER_POLL_INTERVAL   seconds between polls (default 15)
+//   INDEXER_FROM_BLOCK      first block of the initial scan (defaults to the record's startBlock)
+//   INDEXER_BLOCK_RANGE     largest eth_getLogs window in blocks (default 5000)
+//   INDEXER_MAX_TICKS       stop after this many polls (runs until interrupted by default)
+
+const hre = require("hardhat");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { EventIndexer, EventStore, createIndexerServer, databaseFile, indexedContracts } = require("./lib/event-indexer");
+
+function number(name, scale = 1) {
+    return process.env[name] ? Number(process.env[name]) * scale : undefined;
+}
+
+async function main() {
+    const networkName = hre.network.name;
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    const record = DeploymentRecord.load(networkName, chainId);
+    const contracts = await indexedContracts(hre, record);
+    const store = await EventStore.open(process.env.INDEXER_DB || databaseFile(record));
+
+    const indexer = new EventIndexer(store, contracts, {
+        fromBlock: number("INDEXER_FROM_BLOCK") ?? record.data.startBlock,
+        confirmations: number("INDEXER_CONFIRMATIONS"),
+        reorgDepth: number("INDEXER_REORG_DEPTH"),
+        pollInterval: number("INDEXER_POLL_INTERVAL", 1000),
+        blockRange: number("INDEXER_BLOCK_RANGE")
+    });
+    console.log(`💾 Database: ${store.file}`);
+
+    let server;
+    if (process.env.INDEXER_PORT !== "false") {
+        server = createIndexerServer(store);
+        const host = process.env.INDEXER_HOST || "127.0.0.1";
+        await new Promise((resolve) => server.listen(number("INDEXER_PORT") ?? 8081, host, resolve));
+        console.log(`🌐 REST API on http://${host}:${server.address().port}/status`);
+    }
+
+    process.on("SIGINT", () => indexer.stop());
+    process.on("SIGTERM", () => indexer.stop());
+
+    await indexer.run({ maxTicks: number("INDEXER_MAX_TICKS") ?? Infinity });
+    server?.close();
+    store.save();
+    store.close();
+    console.log("👋 Indexer stopped");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Indexer failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,63 @@
+// Treasury drip keeper: polls checkUpkeep and submits performUpkeep for the recorded RiddlenTreasuryDripAutomated
+// Stands in for Chainlink Automation / Gelato; the key must be an authorized automation service (or the owner)
+//
+// Usage:
+//   npx hardhat run scripts/keeper.js --network amoy
+//   KEEPER_TIME_TRAVEL=true npm run keeper -- --network localhost   (local node: jump to each release)
+//
+// Environment:
+//   KEEPER_PRIVATE_KEY     automation service key (defaults to the network's first account)
+//   KEEPER_POLL_INTERVAL   seconds between checks while waiting (default 60)
+//   KEEPER_RETRY_DELAY     first back-off after a failure in seconds, doubled per failure (default 60)
+//   KEEPER_MAX_BACKOFF     longest back-off in seconds (default 3600)
+//   KEEPER_HEALTH_CHECKS   "false" to skip the periodic performHealthCheck
+//   KEEPER_TIME_TRAVEL     "true" to advance a Hardhat node (any chain id) to the next release instead of waiting
+//   KEEPER_MAX_TICKS       stop after this many iterations (runs until interrupted by default)
+
+const hre = require("hardhat");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { TreasuryDripKeeper } = require("./lib/keeper");
+
+function seconds(name, fallback) {
+    return process.env[name] ? Number(process.env[name]) * 1000 : fallback;
+}
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const record = DeploymentRecord.load(networkName, chainId);
+    const entry = record.getContract("treasuryDrip");
+    if (!entry) throw new Error(`No treasuryDrip in ${record.file}; deploy the ecosystem first`);
+
+    const signer = process.env.KEEPER_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, ethers.provider)
+        : (await ethers.getSigners())[0];
+    const drip = await ethers.getContractAt(entry.name, entry.address, signer);
+
+    const keeper = new TreasuryDripKeeper(drip, {
+        pollInterval: seconds("KEEPER_POLL_INTERVAL", undefined),
+        retryDelay: seconds("KEEPER_RETRY_DELAY", undefined),
+        maxBackoff: seconds("KEEPER_MAX_BACKOFF", undefined),
+        healthChecks: process.env.KEEPER_HEALTH_CHECKS !== "false",
+        timeTravel: process.env.KEEPER_TIME_TRAVEL === "true"
+    });
+
+    process.on("SIGINT", () => keeper.stop());
+    process.on("SIGTERM", () => keeper.stop());
+
+    await keeper.run({ maxTicks: process.env.KEEPER_MAX_TICKS ? Number(process.env.KEEPER_MAX_TICKS) : Infinity });
+    console.log("👋 Keeper stopped");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Keeper failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,93 @@
+// Solver leaderboards: brings the event index up to date, ranks users all-time, for one riddle week and per riddle
+// category, and exports the rankings as JSON for the website
+//
+// Usage:
+//   npm run leaderboards -- --network amoy
+//   LEADERBOARD_INTERVAL=300 npm run leaderboards -- --network amoy     # rebuild every 5 minutes
+//
+// Environment:
+//   LEADERBOARD_OUT            JSON export (default deployments/leaderboards/<network>.json)
+//   LEADERBOARD_WEEK           riddle week of the weekly boards (defaults to the current week)
+//   LEADERBOARD_LIMIT          entries per board (default 100)
+//   LEADERBOARD_MIN_ATTEMPTS   attempts needed to rank for accuracy (default 3)
+//   LEADERBOARD_INTERVAL       rebuild every this many seconds (builds once by default)
+//   INDEXER_DB                 event database shared with scripts/index-events.js (default deployments/index/<network>.sqlite)
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { EventIndexer, EventStore, databaseFile, indexedContracts } = require("./lib/event-indexer");
+const { buildLeaderboards, loadRiddles } = require("./lib/leaderboard");
+
+function number(name, scale = 1) {
+    return process.env[name] ? Number(process.env[name]) * scale : undefined;
+}
+
+/**
+ * @dev Time window of a weekly riddle week, from the RiddleNFT week schedule
+ */
+async function weekWindow(weeklyNFT, week) {
+    const genesis = Number(await weeklyNFT.GENESIS_TIME());
+    const duration = Number(await weeklyNFT.WEEK_DURATION());
+    week ??= Number(await weeklyNFT.getCurrentWeek());
+    const since = genesis + (week - 1) * duration;
+    return { week, since, until: since + duration - 1 };
+}
+
+async function main() {
+    const networkName = hre.network.name;
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    const record = DeploymentRecord.load(networkName, chainId);
+    const contracts = await indexedContracts(hre, record);
+    const byAddress = new Map(contracts.map((entry) => [entry.address.toLowerCase(), entry.contract]));
+    const weeklyNFT = contracts.find((entry) => entry.name === "RiddleNFT")?.contract;
+    if (!weeklyNFT) throw new Error(`No RiddleNFT in ${record.file}; leaderboards are built from weekly riddle solves`);
+
+    const store = await EventStore.open(process.env.INDEXER_DB || databaseFile(record));
+    const indexer = new EventIndexer(store, contracts, { fromBlock: record.data.startBlock });
+    await indexer.start();
+
+    const out = process.env.LEADERBOARD_OUT || path.join(path.dirname(record.file), "leaderboards", `${networkName}.json`);
+    const riddles = {};
+    let stopped = false;
+    let wake;
+    process.on("SIGINT", () => { stopped = true; wake?.(); });
+    process.on("SIGTERM", () => { stopped = true; wake?.(); });
+
+    while (!stopped) {
+        await indexer.tick();
+        await loadRiddles(store, (address) => byAddress.get(address.toLowerCase()), riddles);
+        const leaderboards = buildLeaderboards(store, riddles, {
+            weekly: await weekWindow(weeklyNFT, number("LEADERBOARD_WEEK")),
+            limit: number("LEADERBOARD_LIMIT"),
+            minAttempts: number("LEADERBOARD_MIN_ATTEMPTS")
+        });
+
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        fs.writeFileSync(out, JSON.stringify(leaderboards, null, 2) + "\n");
+        const leader = leaderboards.allTime.totalRON[0];
+        console.log(`🏆 Leaderboards up to block ${leaderboards.indexedBlock} written to ${out}` +
+            (leader ? ` (top RON: ${leader.address} with ${leader.value})` : ""));
+
+        const interval = number("LEADERBOARD_INTERVAL", 1000);
+        if (interval === undefined) break;
+        await new Promise((resolve) => {
+            wake = resolve;
+            setTimeout(resolve, interval);
+        });
+    }
+    store.close();
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Leaderboards failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
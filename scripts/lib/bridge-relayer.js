@@ -0,0 +1,229 @@
+// Reference relayer for the RDLNUpgradeable bridge: watches CrossChainTransfer on the source chain, collects
+// BRIDGE_SIGNER_ROLE signatures over the BridgeMint message and calls completeBridgeTransfer on the destination's
+// RDLNBridgeMinter
+
+const { Contract, formatEther } = require("ethers");
+const { FINALITY_CONFIRMATIONS, queryInChunks, revertReason } = require("./chain");
+const { Poller } = require("./poller");
+
+const BRIDGE_MINT_TYPES = {
+    BridgeMint: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "sourceChain", type: "uint256" },
+        { name: "transactionHash", type: "bytes32" }
+    ]
+};
+
+/**
+ * @dev EIP-712 domain of the destination minter, as published by eip712Domain()
+ */
+async function bridgeDomain(minter) {
+    const domain = await minter.eip712Domain();
+    return {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId,
+        verifyingContract: domain.verifyingContract
+    };
+}
+
+/**
+ * @dev Sign a transfer with every signer, ordered by signer address as completeBridgeTransfer requires
+ */
+async function signBridgeMint(signers, domain, transfer) {
+    const message = {
+        from: transfer.from,
+        to: transfer.to,
+        amount: transfer.amount,
+        sourceChain: transfer.sourceChain,
+        transactionHash: transfer.transactionHash
+    };
+    const signed = await Promise.all(signers.map(async (signer) => ({
+        address: (await signer.getAddress()).toLowerCase(),
+        signature: await signer.signTypedData(domain, BRIDGE_MINT_TYPES, message)
+    })));
+    return signed
+        .sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0))
+        .map((item) => item.signature);
+}
+
+class BridgeRelayer extends Poller {
+    /**
+     * @param source RDLNUpgradeable on the source chain (read-only; any runner with a provider)
+     * @param minter RDLNBridgeMinter on the destination chain, connected to the signer paying for the mints
+     * @param record Source chain deployment record; relay progress is kept under "bridgeRelayer.<destination chain>"
+     * @param options.signers BRIDGE_SIGNER_ROLE holders on the minter (at least bridgeSignatureThreshold)
+     * @param options.sourceConfirmations Blocks a transfer must be buried under before it is relayed
+     * (default FINALITY_CONFIRMATIONS; 0 relays unconfirmed transfers and is only meant for local chains)
+     * @param options.pollInterval Milliseconds between polls (default 15s)
+     * @param options.blockRange Largest eth_getLogs window in blocks (default 5000)
+     * @param options.fromBlock First source block of the initial scan (defaults to the record's startBlock)
+     * @param options.overrides Destination transaction overrides
+     * @param options.confirmations Destination confirmations to wait for per mint
+     * @param options.log Progress logger (defaults to console.log)
+     */
+    constructor(source, minter, record, options = {}) {
+        super(options, 15_000);
+        this.source = source;
+        this.minter = minter;
+        this.record = record;
+        this.signers = options.signers || [];
+        this.sourceConfirmations = options.sourceConfirmations ?? FINALITY_CONFIRMATIONS;
+        this.blockRange = options.blockRange ?? 5000;
+        this.fromBlock = options.fromBlock;
+        this.overrides = { ...options.overrides };
+        this.confirmations = options.confirmations ?? 1;
+    }
+
+    get state() {
+        const relays = this.record.data.bridgeRelayer || {};
+        if (!relays[this.destinationChain]) {
+            relays[this.destinationChain] = { scannedBlock: undefined, transfers: {} };
+            this.record.set("bridgeRelayer", relays);
+        }
+        return relays[this.destinationChain];
+    }
+
+    /**
+     * @dev Resolve both chains and the destination token, and refuse to start with a destination that would reject
+     * every mint
+     */
+    async start() {
+        this.sourceChain = (await this.source.runner.provider.getNetwork()).chainId.toString();
+        this.destinationChain = (await this.minter.runner.provider.getNetwork()).chainId.toString();
+        this.destination = new Contract(await this.minter.token(), this.source.interface, this.minter.runner);
+        this.domain = await bridgeDomain(this.minter);
+
+        const threshold = await this.minter.bridgeSignatureThreshold();
+        if (threshold === 0n) {
+            throw new Error(`Inbound bridging is disabled on chain ${this.destinationChain} (bridgeSignatureThreshold is 0)`);
+        }
+        if (!(await this.destination.supportedChains(this.sourceChain))) {
+            throw new Error(`Chain ${this.destinationChain} does not accept transfers from chain ${this.sourceChain}`);
+        }
+
+        const minterRole = await this.destination.BRIDGE_MINTER_ROLE();
+        if (!(await this.destination.hasRole(minterRole, await this.minter.getAddress()))) {
+            throw new Error(`The bridge minter does not hold BRIDGE_MINTER_ROLE on chain ${this.destinationChain}`);
+        }
+        const role = await this.minter.BRIDGE_SIGNER_ROLE();
+        for (const signer of this.signers) {
+            const address = await signer.getAddress();
+            if (!(await this.minter.hasRole(role, address))) {
+                throw new Error(`${address} does not hold BRIDGE_SIGNER_ROLE on chain ${this.destinationChain}`);
+            }
+        }
+        if (BigInt(this.signers.length) < threshold) {
+            throw new Error(`${this.signers.length} signer(s) configured, chain ${this.destinationChain} requires ${threshold}`);
+        }
+        return { sourceChain: this.sourceChain, destinationChain: this.destinationChain };
+    }
+
+    /**
+     * @dev Queue CrossChainTransfer events for the destination chain that are buried deep enough
+     */
+    async scan() {
+        const safeHead = (await this.source.runner.provider.getBlockNumber()) - this.sourceConfirmations;
+        const from = this.state.scannedBlock !== undefined
+            ? this.state.scannedBlock + 1
+            : this.fromBlock ?? this.record.data.startBlock ?? 0;
+        if (from > safeHead) return [];
+
+        const events = await queryInChunks(this.source, this.source.filters.CrossChainTransfer(), from, safeHead, this.blockRange);
+        const queued = [];
+        for (const event of events) {
+            if (event.args.targetChain.toString() !== this.destinationChain) continue;
+            const transfer = {
+                from: event.args.from,
+                to: event.args.to,
+                amount: event.args.amount.toString(),
+                sourceChain: this.sourceChain,
+                transactionHash: event.args.transactionHash,
+                sourceTx: event.transactionHash,
+                logIndex: event.index,
+                blockNumber: event.blockNumber,
+                status: "pending"
+            };
+            // Ids from before bridgeNonces can repeat; the destination mints each id once, so a repeat is reported
+            const known = this.state.transfers[transfer.transactionHash];
+            if (known) {
+                if (known.sourceTx !== transfer.sourceTx || (known.logIndex ?? transfer.logIndex) !== transfer.logIndex) {
+                    this.log(`⚠️ ${transfer.transactionHash} in ${transfer.sourceTx} repeats the id of ${known.sourceTx} and cannot be minted`);
+                }
+                continue;
+            }
+            this.state.transfers[transfer.transactionHash] = transfer;
+            queued.push(transfer);
+        }
+        this.state.scannedBlock = safeHead;
+        this.record.save();
+        return queued;
+    }
+
+    /**
+     * @dev Complete one transfer on the destination. Transfers minted by another relayer are marked completed,
+     * transfers over today's rate limit stay pending for a later poll
+     */
+    async relay(transfer) {
+        if (await this.destination.processedTransactions(transfer.transactionHash)) {
+            transfer.status = "completed";
+            return transfer;
+        }
+
+        const remaining = await this.minter.bridgeMintRemaining(transfer.sourceChain);
+        if (BigInt(transfer.amount) > remaining) {
+            transfer.status = "rate-limited";
+            this.log(`⏳ ${transfer.transactionHash}: ${formatEther(transfer.amount)} RDLN exceeds the ${formatEther(remaining)} RDLN left today`);
+            return transfer;
+        }
+
+        const signatures = await signBridgeMint(this.signers, this.domain, transfer);
+        try {
+            const tx = await this.minter.completeBridgeTransfer(
+                transfer.from, transfer.to, transfer.amount, transfer.sourceChain, transfer.transactionHash, signatures,
+                this.overrides
+            );
+            const receipt = await tx.wait(this.confirmations);
+            Object.assign(transfer, { status: "completed", destinationTx: receipt.hash });
+            delete transfer.error;
+            this.log(`🌉 Minted ${formatEther(transfer.amount)} RDLN to ${transfer.to} on chain ${this.destinationChain} (tx ${receipt.hash})`);
+        } catch (error) {
+            transfer.error = revertReason(this.minter, error);
+            this.log(`❌ completeBridgeTransfer for ${transfer.transactionHash} failed: ${transfer.error}`);
+        }
+        return transfer;
+    }
+
+    /**
+     * @dev One relayer iteration: new source transfers, then every transfer not completed yet
+     */
+    async tick() {
+        await this.scan();
+        const relayed = [];
+        for (const transfer of Object.values(this.state.transfers)) {
+            if (transfer.status === "completed") continue;
+            relayed.push(await this.relay(transfer));
+            this.record.save();
+        }
+        return relayed;
+    }
+
+    /**
+     * @dev Poll until stop() is called
+     * @param options.maxTicks Stop after this many iterations
+     */
+    async run({ maxTicks = Infinity } = {}) {
+        await this.start();
+        this.log(`🌉 Relaying RDLN from chain ${this.sourceChain} to chain ${this.destinationChain}`);
+        await this.poll("Relayer", () => this.tick(), { maxTicks });
+    }
+}
+
+module.exports = {
+    BRIDGE_MINT_TYPES,
+    BridgeRelayer,
+    bridgeDomain,
+    signBridgeMint
+};
@@ -0,0 +1,216 @@
+// RDLN burn and supply analytics built from the event indexer's database: daily burns per burn type, Grand Prize and
+// dev/ops inflows, supply per day, allocated vs. circulating supply and headroom against MAX_DAILY_BURN
+
+const { formatEther, id } = require("ethers");
+const { BURN_TYPES } = require("./event-indexer");
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * @dev Burn series of the report, in CSV column order
+ */
+const BURN_SERIES = ["failedAttempt", "question", "nftMint", "transfer", "emergency"];
+
+/**
+ * @dev GameplayBurn reason strings by topic hash (the string is indexed, only its hash is logged)
+ */
+const GAMEPLAY_BURN_REASONS = {
+    [id("FAILED_ATTEMPT")]: "failedAttempt",
+    [id("QUESTION_SUBMISSION")]: "question",
+    [id("NFT_MINT")]: "nftMint",
+    [id("EMERGENCY_BURN")]: "emergency"
+};
+
+/**
+ * @dev getRemainingAllocations() fields and the matching allocation cap constants
+ */
+const ALLOCATIONS = {
+    prizePool: ["prizePoolRemaining", "PRIZE_POOL_ALLOCATION"],
+    treasury: ["treasuryRemaining", "TREASURY_ALLOCATION"],
+    airdrop: ["airdropRemaining", "AIRDROP_ALLOCATION"],
+    liquidity: ["liquidityRemaining", "LIQUIDITY_ALLOCATION"]
+};
+
+const FLOWS = [...BURN_SERIES, "grandPrize", "devOps", "minted", "bridgedIn", "bridgedOut"];
+
+function emptyDay() {
+    return Object.fromEntries(FLOWS.map((flow) => [flow, 0n]));
+}
+
+function isoDate(day) {
+    return new Date(day * DAY * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * @dev Token flows per UTC day (the day RDLN's dailyBurnAmount uses) from `since` up to the indexed block.
+ * BurnExecuted carries the exact burned, Grand Prize and dev/ops split. RDLN only emits it for failed attempts and
+ * logs question and NFT mint burns with GameplayBurn(burned amount) alone; those are split with the protocol's
+ * 50/25/25 from a cost of twice the burned amount (exact for whole-RDLN costs). A GameplayBurn next to a
+ * BurnExecuted of the same type, user and transaction is the same burn and is skipped
+ */
+function dailyFlows(store, { contract = "rdln", since } = {}) {
+    const days = new Map();
+    const add = (timestamp, flows) => {
+        const day = Math.floor(timestamp / DAY);
+        if (!days.has(day)) days.set(day, emptyDay());
+        const entry = days.get(day);
+        for (const [flow, amount] of Object.entries(flows)) entry[flow] += BigInt(amount);
+    };
+    const events = (event) => store.events({ event, contract, since, limit: Infinity });
+
+    const executed = new Map();
+    for (const { args, timestamp, transactionHash } of events("BurnExecuted")) {
+        const type = BURN_TYPES[Number(args.burnType)];
+        if (!type) continue;
+        const key = `${transactionHash}:${args.user}:${type}`;
+        executed.set(key, (executed.get(key) ?? 0) + 1);
+        add(timestamp, { [type]: args.burnedAmount, grandPrize: args.grandPrizeAmount, devOps: args.devOpsAmount });
+    }
+
+    for (const { args, timestamp, transactionHash } of events("GameplayBurn")) {
+        const type = GAMEPLAY_BURN_REASONS[args.reason];
+        if (!type) continue;
+        const key = `${transactionHash}:${args.user}:${type}`;
+        if (executed.get(key) > 0) {
+            executed.set(key, executed.get(key) - 1);
+            continue;
+        }
+        if (type === "emergency") {
+            add(timestamp, { emergency: args.amount });
+            continue;
+        }
+        const burned = BigInt(args.amount);
+        const cost = burned * 2n;
+        const grandPrize = (cost * 25n) / 100n;
+        add(timestamp, { [type]: burned, grandPrize, devOps: cost - burned - grandPrize });
+    }
+
+    for (const { args, timestamp } of events("TransferBurn")) add(timestamp, { transfer: args.amount });
+    for (const { args, timestamp } of events("AllocationMinted")) add(timestamp, { minted: args.amount });
+    for (const { args, timestamp } of events("CrossChainTransferCompleted")) add(timestamp, { bridgedIn: args.amount });
+    for (const { args, timestamp } of events("CrossChainTransfer")) add(timestamp, { bridgedOut: args.amount });
+    return days;
+}
+
+/**
+ * @dev The full report. Daily rows run from `since` (or the first indexed flow) to `until` (or the indexed block)
+ * without gaps. Each row's supply is the total supply at the end of that day, walked back from totalSupply at the
+ * indexed block through the minted, bridged and burned amounts, so it needs every flow after `since` indexed.
+ * Circulating supply excludes the token's wallets and the given protocol holders.
+ * Amounts are decimal wei strings
+ * @param token RDLN or RDLNUpgradeable
+ * @param options.contract Record key of the token in the store (default "rdln")
+ * @param options.holders Extra addresses whose balances are not circulating (the recorded contracts)
+ */
+async function buildBurnReport(store, token, { contract = "rdln", since, until, holders = [], generatedAt } = {}) {
+    const indexedBlock = store.indexedBlock;
+    if (indexedBlock === undefined) throw new Error("The event index is empty; run the indexer first");
+    const provider = token.runner.provider;
+    const blockTag = indexedBlock;
+
+    const flows = dailyFlows(store, { contract, since });
+    const indexedDay = Math.floor((await provider.getBlock(indexedBlock)).timestamp / DAY);
+    const lastDay = until !== undefined ? Math.min(Math.floor(until / DAY), indexedDay) : indexedDay;
+    const firstDay = since !== undefined ? Math.floor(since / DAY) : Math.min(lastDay, ...flows.keys());
+
+    const maxDailyBurn = await token.MAX_DAILY_BURN();
+    const totalSupply = await token.totalSupply({ blockTag });
+    const closing = new Map();
+    let supply = totalSupply;
+    for (let day = indexedDay; day >= firstDay; day--) {
+        closing.set(day, supply);
+        const flow = flows.get(day) ?? emptyDay();
+        const burned = BURN_SERIES.reduce((sum, series) => sum + flow[series], 0n);
+        supply -= flow.minted + flow.bridgedIn - burned - flow.bridgedOut;
+    }
+
+    const days = [];
+    const totals = emptyDay();
+    for (let day = firstDay; day <= lastDay; day++) {
+        const flow = flows.get(day) ?? emptyDay();
+        for (const name of FLOWS) totals[name] += flow[name];
+        const burnLimitUsed = await token.dailyBurnAmount(day);
+        days.push({
+            date: isoDate(day),
+            ...flow,
+            totalBurned: BURN_SERIES.reduce((sum, series) => sum + flow[series], 0n),
+            supply: closing.get(day),
+            burnLimitUsed,
+            burnHeadroom: maxDailyBurn - burnLimitUsed
+        });
+    }
+
+    const remaining = await token.getRemainingAllocations({ blockTag });
+    const allocations = {};
+    let allocated = 0n;
+    for (const [name, [field, cap]] of Object.entries(ALLOCATIONS)) {
+        const capAmount = await token[cap]();
+        allocations[name] = { cap: capAmount, minted: capAmount - remaining[field], remaining: remaining[field] };
+        allocated += capAmount - remaining[field];
+    }
+
+    const wallets = [];
+    for (const getter of ["treasuryWallet", "liquidityWallet", "airdropWallet", "grandPrizeWallet"]) {
+        wallets.push(await token[getter]());
+    }
+    let protocolHeld = 0n;
+    for (const holder of new Set([...wallets, ...holders].map((address) => address.toLowerCase()))) {
+        protocolHeld += await token.balanceOf(holder, { blockTag });
+    }
+    const burnStats = await token.getBurnStats({ blockTag });
+    const latest = days.at(-1);
+
+    return strings({
+        generatedAt: generatedAt ?? new Date().toISOString(),
+        indexedBlock,
+        token: await token.getAddress(),
+        since: since ?? null,
+        until: until ?? null,
+        totals: { ...totals, totalBurned: BURN_SERIES.reduce((sum, series) => sum + totals[series], 0n) },
+        onChain: {
+            totalBurned: burnStats._totalBurned,
+            gameplayBurned: burnStats._gameplayBurned,
+            transferBurned: burnStats._transferBurned
+        },
+        supply: {
+            maxSupply: await token.TOTAL_SUPPLY(),
+            totalSupply,
+            allocated,
+            allocations,
+            protocolHeld,
+            circulating: totalSupply - protocolHeld
+        },
+        dailyBurnLimit: {
+            max: maxDailyBurn,
+            lastDay: latest ? { date: latest.date, used: latest.burnLimitUsed, headroom: latest.burnHeadroom } : null
+        },
+        days
+    });
+}
+
+function strings(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(strings);
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, strings(item)]));
+    }
+    return value;
+}
+
+/**
+ * @dev The daily rows as CSV with amounts in RDLN
+ */
+function toCsv(report) {
+    const columns = ["date", ...FLOWS, "totalBurned", "supply", "burnLimitUsed", "burnHeadroom"];
+    const rows = report.days.map((day) =>
+        columns.map((column) => (column === "date" ? day.date : formatEther(day[column]))).join(","));
+    return [columns.join(","), ...rows].join("\n") + "\n";
+}
+
+module.exports = {
+    BURN_SERIES,
+    GAMEPLAY_BURN_REASONS,
+    buildBurnReport,
+    dailyFlows,
+    toCsv
+};
@@ -0,0 +1,54 @@
+// Chain access helpers shared by the keepers, bots and relayers
+
+/**
+ * @dev Blocks a source chain event is buried under before relayers act on it, unless configured otherwise.
+ * Deeper than the reorgs seen on Polygon PoS and two Ethereum epochs; local chains opt out with "finality": 0
+ */
+const FINALITY_CONFIRMATIONS = 64;
+
+/**
+ * @dev Name of the custom error or reason string a failed call reverted with
+ */
+function revertReason(contract, error) {
+    if (error.revert?.name) return error.revert.name;
+    const data = error.data || error.info?.error?.data;
+    if (typeof data === "string" && data.length >= 10) {
+        try {
+            return contract.interface.parseError(data)?.name || data.slice(0, 10);
+        } catch {
+            return data.slice(0, 10);
+        }
+    }
+    return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * @dev Whether the provider is a Hardhat node, whatever chain id it was started with (localhost2 runs on 31338).
+ * Only those are trusted with evm_increaseTime; other clients and RPCs that refuse web3_clientVersion are not
+ */
+async function isHardhatNode(provider) {
+    try {
+        return /^HardhatNetwork\//.test(await provider.send("web3_clientVersion", []));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @dev Query logs in fixed block windows; public RPCs reject large eth_getLogs ranges
+ */
+async function queryInChunks(contract, filter, fromBlock, toBlock, blockRange) {
+    const events = [];
+    for (let start = fromBlock; start <= toBlock; start += blockRange) {
+        const end = Math.min(start + blockRange - 1, toBlock);
+        events.push(...(await contract.queryFilter(filter, start, end)));
+    }
+    return events;
+}
+
+module.exports = {
+    FINALITY_CONFIRMATIONS,
+    isHardhatNode,
+    queryInChunks,
+    revertReason
+};
@@ -0,0 +1,47 @@
+// Per-network deployment configuration
+// Settings live in config/networks/<network>.json so every network is deployed the same way
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const CONFIG_DIR = path.join(__dirname, "../../config/networks");
+
+/**
+ * @dev Load the deployment configuration for a Hardhat network name
+ */
+function loadNetworkConfig(networkName, configDir = CONFIG_DIR) {
+    const configFile = path.join(configDir, `${networkName}.json`);
+
+    if (!fs.existsSync(configFile)) {
+        throw new Error(`No deployment config for network "${networkName}" (expected ${configFile})`);
+    }
+
+    const config = JSON.parse(fs.readFileSync(configFile, "utf8"));
+    config.network = networkName;
+    return config;
+}
+
+/**
+ * @dev Transaction overrides from the "gas" section (gwei strings)
+ */
+function buildTxOverrides(gas = {}) {
+    const overrides = {};
+
+    if (gas.gasPrice) overrides.gasPrice = ethers.parseUnits(gas.gasPrice, "gwei");
+    if (gas.maxFeePerGas) overrides.maxFeePerGas = ethers.parseUnits(gas.maxFeePerGas, "gwei");
+    if (gas.maxPriorityFeePerGas) {
+        overrides.maxPriorityFeePerGas = ethers.parseUnits(gas.maxPriorityFeePerGas, "gwei");
+    }
+    if (overrides.gasPrice && overrides.maxFeePerGas) {
+        throw new Error("Configure either gasPrice or maxFeePerGas/maxPriorityFeePerGas, not both");
+    }
+
+    return overrides;
+}
+
+module.exports = {
+    CONFIG_DIR,
+    buildTxOverrides,
+    loadNetworkConfig
+};
@@ -0,0 +1,118 @@
+// Per-contract metadata used by the admin scripts (role names and state worth watching)
+
+const { ethers } = require("ethers");
+
+/**
+ * @dev Difficulty enum shared by RiddleNFT and RiddleNFTAdvanced, in declaration order
+ */
+const DIFFICULTIES = ["EASY", "MEDIUM", "HARD", "LEGENDARY"];
+
+const ROLES = {
+    RDLN: ["DEFAULT_ADMIN_ROLE", "MINTER_ROLE", "BURNER_ROLE", "GAME_ROLE", "PAUSER_ROLE"],
+    RDLNUpgradeable: [
+        "DEFAULT_ADMIN_ROLE", "MINTER_ROLE", "BURNER_ROLE", "GAME_ROLE",
+        "PAUSER_ROLE", "UPGRADER_ROLE", "COMPLIANCE_ROLE", "BRIDGE_MINTER_ROLE"
+    ],
+    RDLNBridgeMinter: ["DEFAULT_ADMIN_ROLE", "BRIDGE_SIGNER_ROLE"],
+    RON: ["DEFAULT_ADMIN_ROLE", "GAME_ROLE", "ORACLE_ROLE", "PAUSER_ROLE"],
+    RONAdvanced: [
+        "DEFAULT_ADMIN_ROLE", "GAME_ROLE", "ORACLE_ROLE", "PAUSER_ROLE",
+        "UPGRADER_ROLE", "COMPLIANCE_ROLE", "BRIDGE_ROLE", "VALIDATOR_ROLE"
+    ],
+    RONUpgradeable: [
+        "DEFAULT_ADMIN_ROLE", "GAME_ROLE", "ORACLE_ROLE", "PAUSER_ROLE",
+        "UPGRADER_ROLE", "COMPLIANCE_ROLE", "BRIDGE_ROLE"
+    ],
+    RiddleNFT: ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "CREATOR_ROLE"],
+    RiddleNFTAdvanced: [
+        "DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "GAME_MASTER_ROLE", "ORACLE_ROLE",
+        "QUESTION_VALIDATOR_ROLE", "UPGRADER_ROLE"
+    ]
+};
+
+/**
+ * @dev Role hash for a role constant name (DEFAULT_ADMIN_ROLE is the zero hash)
+ */
+function roleHash(roleName) {
+    return roleName === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(roleName);
+}
+
+/**
+ * @dev Admin-class roles the initializer grants to the admin; handed over to governance together
+ */
+const ADMIN_ROLES = {
+    RDLN: ["DEFAULT_ADMIN_ROLE", "MINTER_ROLE", "BURNER_ROLE", "PAUSER_ROLE"],
+    RDLNUpgradeable: [
+        "DEFAULT_ADMIN_ROLE", "MINTER_ROLE", "BURNER_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE", "COMPLIANCE_ROLE"
+    ],
+    RDLNBridgeMinter: ["DEFAULT_ADMIN_ROLE"],
+    RON: ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE"],
+    RONAdvanced: ["DEFAULT_ADMIN_ROLE", "UPGRADER_ROLE", "PAUSER_ROLE", "COMPLIANCE_ROLE"],
+    RONUpgradeable: ["DEFAULT_ADMIN_ROLE", "UPGRADER_ROLE", "PAUSER_ROLE", "COMPLIANCE_ROLE"],
+    RiddleNFT: ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "CREATOR_ROLE"],
+    RiddleNFTAdvanced: ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "UPGRADER_ROLE"]
+};
+
+/**
+ * @dev Two-step Ownable contracts: the owner proposes, the new owner accepts.
+ * probe is an owner-only call that leaves state unchanged, used to check the owner can act
+ */
+const OWNABLE = {
+    RiddlenTreasuryDripAutomated: {
+        propose: "proposeOwnershipTransfer",
+        accept: "acceptOwnership",
+        probe: async (contract) => ["setAutomationEnabled", [await contract.automationEnabled()]]
+    }
+};
+
+/**
+ * @dev Argument-free view functions whose values must survive an upgrade unchanged
+ */
+const SNAPSHOT_VIEWS = {
+    RDLNUpgradeable: [
+        "totalSupply", "getBurnStats", "getRemainingAllocations",
+        "treasuryWallet", "liquidityWallet", "airdropWallet", "grandPrizeWallet",
+        "burnOnTransferEnabled", "transferBurnRate", "complianceEnabled", "paused"
+    ],
+    RONAdvanced: [
+        "getGlobalStats", "proposalCounter", "votingPeriod", "qualityThreshold",
+        "minActivityThreshold", "maxReputationPerDay", "minorityProtectionThreshold", "paused"
+    ],
+    RONUpgradeable: ["getGlobalStats", "minAwardCooldown", "complianceEnabled", "paused"],
+    RiddleNFTAdvanced: [
+        "currentSessionId", "currentQuestionId", "totalSupply", "totalPrizePool", "totalBurned",
+        "deploymentTime", "rdlnToken", "ronToken", "treasuryWallet", "devOpsWallet",
+        "grandPrizeWallet", "targetSolveRate", "emergencyMode", "paused"
+    ]
+};
+
+/**
+ * @dev Wallet getters per contract, mapped to the wallet profile entry they must hold
+ */
+const WALLET_VIEWS = {
+    RDLN: {
+        treasuryWallet: "treasury",
+        liquidityWallet: "liquidity",
+        airdropWallet: "airdrop",
+        grandPrizeWallet: "grandPrize"
+    },
+    RDLNUpgradeable: {
+        treasuryWallet: "treasury",
+        liquidityWallet: "liquidity",
+        airdropWallet: "airdrop",
+        grandPrizeWallet: "grandPrize"
+    },
+    RiddleNFT: { grandPrizeWallet: "grandPrize", devOpsWallet: "devOps" },
+    RiddleNFTAdvanced: { treasuryWallet: "treasury", devOpsWallet: "devOps", grandPrizeWallet: "grandPrize" },
+    RiddlenTreasuryDripAutomated: { treasuryWallet: "treasury", operationsWallet: "devOps" }
+};
+
+module.exports = {
+    ADMIN_ROLES,
+    DIFFICULTIES,
+    OWNABLE,
+    ROLES,
+    SNAPSHOT_VIEWS,
+    WALLET_VIEWS,
+    roleHash
+};
@@ -0,0 +1,121 @@
+// Deployment record persisted to deployments/<network>.json
+// Every completed phase and deployed contract is written immediately so a failed run can resume
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+
+class DeploymentRecord {
+    constructor(file, data) {
+        this.file = file;
+        this.data = data;
+    }
+
+    /**
+     * @dev Load the record for a network, or start a new one
+     * @param options.reset Ignore any existing record (used for the in-process hardhat network)
+     */
+    static load(network, chainId, { dir = DEPLOYMENTS_DIR, reset = false } = {}) {
+        const file = path.join(dir, `${network}.json`);
+
+        if (!reset && fs.existsSync(file)) {
+            const data = JSON.parse(fs.readFileSync(file, "utf8"));
+            if (data.chainId !== undefined && BigInt(data.chainId) !== BigInt(chainId)) {
+                throw new Error(
+                    `Deployment record ${file} is for chain ${data.chainId}, connected to chain ${chainId}`
+                );
+            }
+            data.contracts = data.contracts || {};
+            data.phases = data.phases || {};
+            return new DeploymentRecord(file, data);
+        }
+
+        return new DeploymentRecord(file, {
+            network,
+            chainId: Number(chainId),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            contracts: {},
+            phases: {}
+        });
+    }
+
+    get contracts() {
+        return this.data.contracts;
+    }
+
+    getContract(key) {
+        return this.data.contracts[key];
+    }
+
+    setContract(key, info) {
+        this.data.contracts[key] = { ...this.data.contracts[key], ...info };
+        this.save();
+    }
+
+    isPhaseComplete(name) {
+        return this.data.phases[name]?.status === "completed";
+    }
+
+    completePhase(name, details = {}) {
+        this.data.phases[name] = {
+            status: "completed",
+            completedAt: new Date().toISOString(),
+            ...details
+        };
+        this.save();
+    }
+
+    isPhaseBatched(name) {
+        return this.data.phases[name]?.status === "batched";
+    }
+
+    /**
+     * @dev Mark an admin phase as exported to a Safe batch; it is executed by the Safe signers, not this script
+     */
+    batchPhase(name, details = {}) {
+        this.data.phases[name] = {
+            status: "batched",
+            batchedAt: new Date().toISOString(),
+            ...details
+        };
+        this.save();
+    }
+
+    /**
+     * @dev Leave a phase to be retried on the next run because a precondition is not met yet
+     */
+    deferPhase(name, reason) {
+        this.data.phases[name] = {
+            status: "pending",
+            deferredAt: new Date().toISOString(),
+            reason
+        };
+        this.save();
+    }
+
+    failPhase(name, error) {
+        this.data.phases[name] = {
+            status: "failed",
+            failedAt: new Date().toISOString(),
+            error: error.shortMessage || error.message
+        };
+        this.save();
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+    }
+
+    save() {
+        this.data.updatedAt = new Date().toISOString();
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2) + "\n");
+    }
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    DeploymentRecord
+};
@@ -0,0 +1,159 @@
+// Deployment dry run: execute the full deployment for a target network on the in-process Hardhat network
+// and price every transaction at the target's configured gas price
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployEcosystem } = require("./ecosystem");
+const { loadWalletProfile } = require("./wallets");
+
+// EIP-170 / EIP-3860 limits enforced by every public network
+const MAX_CODE_SIZE = 24576;
+const MAX_INITCODE_SIZE = 49152;
+
+/**
+ * @dev Gas price (wei) a deployment to the target pays: an explicit override, the network config's legacy
+ * gasPrice, its maxFeePerGas (worst case) or the hardhat.config.js gasPrice. Undefined when none is set
+ */
+function targetGasPrice(ethers, config, networkConfig = {}, override) {
+    if (override) return ethers.parseUnits(override, "gwei");
+    if (config.gas?.gasPrice) return ethers.parseUnits(config.gas.gasPrice, "gwei");
+    if (config.gas?.maxFeePerGas) return ethers.parseUnits(config.gas.maxFeePerGas, "gwei");
+    if (typeof networkConfig.gasPrice === "number") return BigInt(networkConfig.gasPrice);
+    return undefined;
+}
+
+function byteLength(hex) {
+    return (hex.length - 2) / 2;
+}
+
+/**
+ * @dev Name a transaction after the recorded contract it deployed or called
+ */
+async function describeTransaction(hre, record, tx, receipt) {
+    const entries = Object.entries(record.contracts);
+
+    if (receipt.contractAddress) {
+        for (const [key, entry] of entries) {
+            if (entry.address === receipt.contractAddress) {
+                return `deploy ${entry.proxy ? "ERC1967Proxy" : entry.name} (${key})`;
+            }
+            if (entry.implementation === receipt.contractAddress) return `deploy ${entry.name} implementation (${key})`;
+        }
+        return `deploy contract at ${receipt.contractAddress}`;
+    }
+
+    for (const [key, entry] of entries) {
+        if (entry.address !== tx.to) continue;
+        const contract = await hre.ethers.getContractAt(entry.name, entry.address);
+        const parsed = contract.interface.parseTransaction({ data: tx.data });
+        return `${key}.${parsed ? parsed.name : tx.data.slice(0, 10)}`;
+    }
+    return `call ${tx.to}`;
+}
+
+/**
+ * @dev Runtime and init code size of every recorded contract (the implementation behind a proxy)
+ */
+async function contractSizes(hre, record) {
+    const sizes = [];
+
+    for (const [key, entry] of Object.entries(record.contracts)) {
+        const address = entry.implementation || entry.address;
+        const artifact = await hre.artifacts.readArtifact(entry.name);
+        const deployedBytes = byteLength(await hre.ethers.provider.getCode(address));
+        const initcodeBytes = byteLength(artifact.bytecode);
+
+        sizes.push({
+            key,
+            name: entry.name,
+            address,
+            deployedBytes,
+            initcodeBytes,
+            exceedsLimit: deployedBytes > MAX_CODE_SIZE || initcodeBytes > MAX_INITCODE_SIZE
+        });
+    }
+
+    return sizes;
+}
+
+/**
+ * @dev Deploy the ecosystem with a target network's config on the in-process Hardhat network and report
+ * gas per phase and transaction, the total cost at the target gas price and contract sizes against the
+ * EIP-170 limit. Local accounts stand in for the target's wallets and the chain state is restored afterwards
+ * @param options.gasPrice Gas price override in gwei
+ * @param options.log Progress logger (defaults to console.log)
+ */
+async function dryRunDeployment(hre, config, options = {}) {
+    const { ethers, network } = hre;
+
+    if (network.name !== "hardhat") {
+        throw new Error(`Dry runs execute on the hardhat network, not ${network.name}`);
+    }
+
+    const gasPrice = targetGasPrice(ethers, config, hre.config.networks[config.network], options.gasPrice);
+    const costOf = (gas) => (gasPrice === undefined ? undefined : (gas * gasPrice).toString());
+
+    // Automine produces one block per transaction, so waiting for more confirmations would never return
+    const localConfig = { ...config, chainId: undefined, confirmations: 1 };
+    const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "riddlen-dry-run-"));
+    const snapshotId = await network.provider.send("evm_snapshot");
+
+    const phaseRanges = [];
+    try {
+        const { record } = await deployEcosystem(hre, localConfig, {
+            deploymentsDir,
+            reset: true,
+            walletProfile: loadWalletProfile("hardhat"),
+            log: options.log,
+            onPhase: (range) => phaseRanges.push(range)
+        });
+
+        const phases = [];
+        let totalGas = 0n;
+        for (const range of phaseRanges) {
+            const transactions = [];
+            for (let number = range.fromBlock; number <= range.toBlock; number++) {
+                const block = await ethers.provider.getBlock(number, true);
+                for (const tx of block.prefetchedTransactions) {
+                    const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+                    transactions.push({
+                        label: await describeTransaction(hre, record, tx, receipt),
+                        gasUsed: receipt.gasUsed.toString(),
+                        cost: costOf(receipt.gasUsed)
+                    });
+                }
+            }
+
+            const gasUsed = transactions.reduce((sum, tx) => sum + BigInt(tx.gasUsed), 0n);
+            totalGas += gasUsed;
+            phases.push({
+                name: range.name,
+                description: range.description,
+                status: record.data.phases[range.name].status,
+                gasUsed: gasUsed.toString(),
+                cost: costOf(gasUsed),
+                transactions
+            });
+        }
+
+        return {
+            network: config.network,
+            gasPrice: gasPrice?.toString(),
+            phases,
+            totalGas: totalGas.toString(),
+            totalCost: costOf(totalGas),
+            sizes: await contractSizes(hre, record)
+        };
+    } finally {
+        await network.provider.send("evm_revert", [snapshotId]);
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    MAX_CODE_SIZE,
+    MAX_INITCODE_SIZE,
+    dryRunDeployment,
+    targetGasPrice
+};
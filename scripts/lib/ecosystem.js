@@ -0,0 +1,716 @@
+// Riddlen ecosystem deployment phases
+// Shared by every deploy entry point; each phase is recorded in the deployment record and skipped on resume
+
+const { DeploymentRecord } = require("./deployment-record");
+const path = require("path");
+const { buildTxOverrides } = require("./config");
+const { SafeBatch, batchDir } = require("./safe-batch");
+const { requiredApproval } = require("./treasury-drip");
+const { checkStoredWallets, checkWalletCode, loadWalletProfile, resolveWallets } = require("./wallets");
+
+const DEFAULT_VARIANTS = {
+    rdln: "RDLNUpgradeable",
+    ron: "RONAdvanced",
+    riddleNFT: "RiddleNFTAdvanced",
+    treasuryDrip: "RiddlenTreasuryDripAutomated",
+    bridgeMinter: "RDLNBridgeMinter",
+    weeklyNFT: "RiddleNFT"
+};
+
+/**
+ * @dev Deployable contract variants per ecosystem slot.
+ * proxy variants are UUPS proxies initialized with args; the others take args as constructor arguments
+ */
+const VARIANTS = {
+    rdln: {
+        RDLN: {
+            proxy: false,
+            args: (ctx) => [ctx.wallets.admin, ctx.wallets.treasury, ctx.wallets.liquidity, ctx.wallets.airdrop, ctx.wallets.grandPrize]
+        },
+        RDLNUpgradeable: {
+            proxy: true,
+            args: (ctx) => [ctx.wallets.admin, ctx.wallets.treasury, ctx.wallets.liquidity, ctx.wallets.airdrop, ctx.wallets.grandPrize],
+            options: { unsafeAllow: ["external-library-linking", "delegatecall"] }
+        }
+    },
+    ron: {
+        RON: {
+            proxy: false,
+            args: (ctx) => [ctx.wallets.admin]
+        },
+        RONAdvanced: {
+            proxy: true,
+            args: (ctx) => {
+                const ron = ctx.config.ron || {};
+                return [
+                    ctx.wallets.admin,
+                    ron.votingPeriod ?? 7200,
+                    ron.qualityThreshold ?? 80,
+                    ron.minActivityThreshold ?? 30
+                ];
+            }
+        },
+        RONUpgradeable: {
+            proxy: true,
+            args: (ctx) => [ctx.wallets.admin, ctx.config.ron?.minAwardCooldown ?? 0]
+        }
+    },
+    riddleNFT: {
+        // RiddleNFT_v2.sol weekly riddle system
+        RiddleNFT: {
+            proxy: false,
+            args: async (ctx) => [
+                await ctx.contracts.rdln.getAddress(),
+                await ctx.contracts.ron.getAddress(),
+                ctx.wallets.grandPrize,
+                ctx.wallets.devOps,
+                ctx.wallets.admin
+            ]
+        },
+        RiddleNFTAdvanced: {
+            proxy: true,
+            args: async (ctx) => [
+                ctx.wallets.admin,
+                await ctx.contracts.rdln.getAddress(),
+                await ctx.contracts.ron.getAddress(),
+                ctx.wallets.treasury,
+                ctx.wallets.devOps,
+                ctx.wallets.grandPrize
+            ]
+        }
+    },
+    treasuryDrip: {
+        // contracts/governance/TreasuryDrip.sol; monthly releases go to the dev/ops wallet
+        RiddlenTreasuryDripAutomated: {
+            proxy: false,
+            args: async (ctx) => [
+                await ctx.contracts.rdln.getAddress(),
+                ctx.wallets.treasury,
+                ctx.wallets.devOps,
+                ctx.wallets.admin
+            ]
+        }
+    },
+    bridgeMinter: {
+        // contracts/token/RDLNBridgeMinter.sol; deployed only with a bridge section in the network config
+        RDLNBridgeMinter: {
+            proxy: false,
+            args: async (ctx) => [await ctx.contracts.rdln.getAddress(), ctx.wallets.admin]
+        }
+    },
+    weeklyNFT: {
+        // RiddleNFT_v2.sol deployed next to the ecosystem's NFT system by scripts/deploy-riddlenfts.js
+        RiddleNFT: {
+            proxy: false,
+            args: async (ctx) => [
+                await ctx.contracts.rdln.getAddress(),
+                await ctx.contracts.ron.getAddress(),
+                ctx.wallets.grandPrize,
+                ctx.wallets.devOps,
+                ctx.wallets.admin
+            ]
+        }
+    }
+};
+
+/**
+ * @dev Roles the weekly NFT needs: RDLN burnFailedAttempt and RON awardRON are GAME_ROLE only
+ */
+const WEEKLY_NFT_GRANTS = [
+    { contract: "rdln", role: "GAME_ROLE", account: "weeklyNFT" },
+    { contract: "ron", role: "GAME_ROLE", account: "weeklyNFT" }
+];
+
+/**
+ * @dev Contract variant configured for an ecosystem slot
+ */
+function variantFor(config, key) {
+    const name = config.contracts?.[key] || DEFAULT_VARIANTS[key];
+    if (!VARIANTS[key][name]) {
+        throw new Error(
+            `Unknown ${key} variant "${name}" (expected one of: ${Object.keys(VARIANTS[key]).join(", ")})`
+        );
+    }
+    return { name, ...VARIANTS[key][name] };
+}
+
+/**
+ * @dev Resolve a config account reference: "deployer", a recorded contract key, "env:NAME" or a literal address
+ */
+async function resolveAccount(ctx, ref) {
+    if (ref === "deployer") return ctx.deployer.address;
+    if (ref.startsWith("env:")) {
+        const value = process.env[ref.slice(4)];
+        if (!value) throw new Error(`Account reference ${ref} is not set`);
+        ref = value;
+    }
+    if (ctx.contracts[ref]) return await ctx.contracts[ref].getAddress();
+    if (ctx.hre.ethers.isAddress(ref)) return ctx.hre.ethers.getAddress(ref);
+    throw new Error(`Unknown account reference "${ref}"`);
+}
+
+/**
+ * @dev Send a transaction with the network's gas overrides and wait for the configured confirmations.
+ * While an admin phase is exported to a Safe batch the call is added to the batch instead
+ */
+async function sendTx(ctx, contract, method, ...args) {
+    if (ctx.batch) {
+        await ctx.batch.add(contract, method, args);
+        return undefined;
+    }
+
+    const tx = await contract[method](...args, { ...ctx.overrides });
+    return tx.wait(ctx.confirmations);
+}
+
+/**
+ * @dev Attach to a recorded contract, refusing addresses that have no code on this chain
+ */
+async function attachRecorded(ctx, key) {
+    const { ethers } = ctx.hre;
+    const entry = ctx.record.getContract(key);
+    if (!entry || !entry.address) return undefined;
+
+    const code = await ethers.provider.getCode(entry.address);
+    if (code === "0x") {
+        throw new Error(
+            `Recorded ${entry.name} (${key}) at ${entry.address} has no code on ${ctx.record.data.network}; ` +
+            `remove ${ctx.record.file} to start a fresh deployment`
+        );
+    }
+
+    return ethers.getContractAt(entry.name, entry.address);
+}
+
+/**
+ * @dev Deploy the configured variant for a slot once; a contract already in the record is reused
+ */
+async function deployOnce(ctx, key) {
+    const { ethers, upgrades } = ctx.hre;
+    const variant = variantFor(ctx.config, key);
+
+    const existing = await attachRecorded(ctx, key);
+    if (existing) {
+        ctx.log(`♻️  Reusing ${variant.name} at ${await existing.getAddress()}`);
+        return existing;
+    }
+
+    const args = await variant.args(ctx);
+    const factory = await ethers.getContractFactory(variant.name);
+    ctx.log(`📄 Deploying ${variant.name}${variant.proxy ? " (UUPS proxy)" : ""}...`);
+
+    let contract;
+    if (variant.proxy) {
+        contract = await upgrades.deployProxy(factory, args, {
+            initializer: "initialize",
+            txOverrides: { ...ctx.overrides },
+            ...variant.options
+        });
+    } else {
+        contract = await factory.deploy(...args, { ...ctx.overrides });
+    }
+    await contract.deploymentTransaction()?.wait(ctx.confirmations);
+    await contract.waitForDeployment();
+
+    const address = await contract.getAddress();
+    ctx.record.setContract(key, {
+        name: variant.name,
+        address,
+        proxy: variant.proxy,
+        ...(variant.proxy && { implementation: await upgrades.erc1967.getImplementationAddress(address) }),
+        args: args.map((arg) => arg.toString()),
+        deployTransaction: contract.deploymentTransaction()?.hash
+    });
+
+    ctx.log(`✅ ${variant.name} deployed to: ${address}`);
+    return contract;
+}
+
+/**
+ * @dev Grant each { contract, role, account } unless the account already holds the role
+ */
+async function grantRoles(ctx, roleGrants) {
+    const grants = [];
+
+    for (const grant of roleGrants) {
+        const contract = ctx.contracts[grant.contract];
+        if (!contract) throw new Error(`Role grant targets unknown contract "${grant.contract}"`);
+
+        const role = await contract[grant.role]();
+        const account = await resolveAccount(ctx, grant.account);
+
+        if (await contract.hasRole(role, account)) {
+            ctx.log(`⏭️  ${grant.contract}.${grant.role} already held by ${grant.account}`);
+        } else {
+            await sendTx(ctx, contract, "grantRole", role, account);
+            ctx.log(`${ctx.batch ? "📝 Batched grant of" : "✅ Granted"} ${grant.contract}.${grant.role} to ${grant.account}`);
+        }
+
+        grants.push({ contract: grant.contract, role: grant.role, account });
+    }
+
+    return { grants };
+}
+
+// ============ PHASES ============
+
+const PHASES = [
+    {
+        name: "rdln",
+        description: "Core token",
+        async run(ctx) {
+            ctx.contracts.rdln = await deployOnce(ctx, "rdln");
+        }
+    },
+    {
+        name: "ron",
+        description: "Reputation system",
+        async run(ctx) {
+            ctx.contracts.ron = await deployOnce(ctx, "ron");
+        }
+    },
+    {
+        name: "riddleNFT",
+        description: "NFT system",
+        async run(ctx) {
+            ctx.contracts.riddleNFT = await deployOnce(ctx, "riddleNFT");
+        }
+    },
+    {
+        name: "treasuryDrip",
+        description: "Treasury drip",
+        async run(ctx) {
+            ctx.contracts.treasuryDrip = await deployOnce(ctx, "treasuryDrip");
+        }
+    },
+    {
+        name: "wallets",
+        description: "Stored wallet check",
+        async run(ctx) {
+            const mismatches = await checkStoredWallets(ctx.hre, ctx.record, ctx.wallets);
+            if (mismatches.length > 0) {
+                const details = mismatches
+                    .map((mismatch) => `${mismatch.contract}.${mismatch.view} is ${mismatch.actual}, profile has ${mismatch.expected}`)
+                    .join("; ");
+                throw new Error(`Deployed wallets do not match the ${ctx.config.network} wallet profile: ${details}`);
+            }
+
+            ctx.log("✅ Stored wallets match the wallet profile");
+            return { wallets: ctx.wallets };
+        }
+    },
+    {
+        name: "roles",
+        description: "Cross-contract permissions",
+        admin: true,
+        async run(ctx) {
+            return grantRoles(ctx, ctx.config.roles || []);
+        }
+    },
+    {
+        name: "treasuryDripSetup",
+        description: "Treasury drip funding and automation services",
+        admin: true,
+        async run(ctx) {
+            const { ethers } = ctx.hre;
+            const { rdln, treasuryDrip: drip } = ctx.contracts;
+            const setup = ctx.config.treasuryDrip || {};
+            const result = {};
+
+            // Testnets top the treasury up from TREASURY_ALLOCATION so releases can be observed
+            if (setup.fundTreasury) {
+                const target = ethers.parseEther(setup.fundTreasury);
+                const balance = await rdln.balanceOf(ctx.wallets.treasury);
+                if (balance < target) {
+                    await sendTx(ctx, rdln, "mintTreasury", ctx.wallets.treasury, target - balance);
+                    ctx.log(`${ctx.batch ? "📝 Batched" : "✅"} treasury top-up to ${setup.fundTreasury} RDLN`);
+                }
+                result.fundTreasury = setup.fundTreasury;
+            }
+
+            const services = [];
+            for (const ref of setup.automationServices || []) {
+                services.push(await resolveAccount(ctx, ref));
+            }
+            const missing = [];
+            for (const service of services) {
+                if (!(await drip.authorizedAutomationServices(service))) missing.push(service);
+            }
+            if (missing.length > 0) {
+                await sendTx(ctx, drip, "setAutomationServices", missing, missing.map(() => true));
+                ctx.log(`${ctx.batch ? "📝 Batched authorization of" : "✅ Authorized"} automation services: ${missing.join(", ")}`);
+            } else {
+                ctx.log("⏭️  Automation services already authorized");
+            }
+            result.automationServices = services;
+
+            return result;
+        }
+    },
+    {
+        name: "treasuryApproval",
+        description: "Treasury RDLN approval for the drip",
+        async run(ctx) {
+            const { rdln, treasuryDrip: drip } = ctx.contracts;
+            const treasury = ctx.wallets.treasury;
+            const spender = await drip.getAddress();
+
+            const { remaining, amount, approval } = await requiredApproval(drip);
+            if (approval === 0n) {
+                return { pending: `Treasury ${treasury} holds no releasable RDLN (balance must exceed MIN_TREASURY_BALANCE)` };
+            }
+
+            const result = {
+                remainingReleases: remaining.toString(),
+                releaseAmount: amount.toString(),
+                approval: approval.toString()
+            };
+            ctx.log(`📐 ${remaining} releases x ${ctx.hre.ethers.formatEther(amount)} RDLN`);
+
+            if ((await rdln.allowance(treasury, spender)) >= approval) {
+                ctx.log("⏭️  Treasury approval already sufficient");
+                return result;
+            }
+
+            // The treasury signs its own approval; without its key here a Safe gets a batch, an EOA the call to make
+            const signer = ctx.signers.find((candidate) => candidate.address === treasury);
+            if (!signer && (await ctx.hre.ethers.provider.getCode(treasury)) === "0x") {
+                const data = rdln.interface.encodeFunctionData("approve", [spender, approval]);
+                return {
+                    pending: `Treasury ${treasury} must call approve(${spender}, ${approval}) on RDLN ${await rdln.getAddress()} ` +
+                        `itself (data ${data})`
+                };
+            }
+            if (!signer) {
+                ctx.batch = new SafeBatch({
+                    chainId: ctx.chainId,
+                    safeAddress: treasury,
+                    name: `Riddlen ${ctx.record.data.network}: ${ctx.hre.ethers.formatEther(approval)} RDLN approval for the treasury drip`
+                });
+            }
+            await sendTx(ctx, signer ? rdln.connect(signer) : rdln, "approve", spender, approval);
+            ctx.log(`${ctx.batch ? "📝 Batched" : "✅"} treasury approval of ${ctx.hre.ethers.formatEther(approval)} RDLN`);
+
+            return result;
+        }
+    },
+    {
+        name: "bridgeMinter",
+        description: "Inbound bridge minter",
+        async run(ctx) {
+            if (!ctx.config.bridge) {
+                ctx.log("⏭️  No bridge configured");
+                return { skipped: true };
+            }
+            if (variantFor(ctx.config, "rdln").name !== "RDLNUpgradeable") {
+                throw new Error("The bridge section needs the RDLNUpgradeable token variant");
+            }
+            ctx.contracts.bridgeMinter = await deployOnce(ctx, "bridgeMinter");
+        }
+    },
+    {
+        name: "bridge",
+        description: "Cross-chain bridge chains, rate limits and signers",
+        admin: true,
+        async run(ctx) {
+            const bridge = ctx.config.bridge;
+            if (!bridge) {
+                ctx.log("⏭️  No bridge configured");
+                return { skipped: true };
+            }
+
+            const { ethers } = ctx.hre;
+            const { rdln, bridgeMinter: minter } = ctx.contracts;
+            const chains = {};
+            for (const [chainId, { dailyLimit }] of Object.entries(bridge.chains || {})) {
+                if (!(await rdln.supportedChains(chainId))) {
+                    await sendTx(ctx, rdln, "setSupportedChain", chainId, true);
+                    ctx.log(`${ctx.batch ? "📝 Batched support for" : "✅ Supported"} chain ${chainId}`);
+                }
+                const limit = ethers.parseEther(dailyLimit);
+                if ((await minter.bridgeDailyLimit(chainId)) !== limit) {
+                    await sendTx(ctx, minter, "setBridgeRateLimit", chainId, limit);
+                    ctx.log(`${ctx.batch ? "📝 Batched" : "✅"} inbound limit of ${dailyLimit} RDLN/day from chain ${chainId}`);
+                }
+                chains[chainId] = { dailyLimit };
+            }
+
+            const { grants } = await grantRoles(ctx, [
+                { contract: "rdln", role: "BRIDGE_MINTER_ROLE", account: "bridgeMinter" },
+                ...(bridge.signers || []).map((account) => ({ contract: "bridgeMinter", role: "BRIDGE_SIGNER_ROLE", account }))
+            ]);
+            const threshold = bridge.threshold ?? 1;
+            if ((await minter.bridgeSignatureThreshold()) !== BigInt(threshold)) {
+                await sendTx(ctx, minter, "setBridgeSignatureThreshold", threshold);
+                ctx.log(`${ctx.batch ? "📝 Batched" : "✅"} bridge signature threshold of ${threshold}`);
+            }
+
+            const signers = grants.filter((grant) => grant.role === "BRIDGE_SIGNER_ROLE").map((grant) => grant.account);
+            return { chains, signers, threshold };
+        }
+    },
+    {
+        name: "reputationSync",
+        description: "Cross-chain reputation sync chains and relayers",
+        admin: true,
+        async run(ctx) {
+            const sync = ctx.config.reputationSync;
+            if (!sync) {
+                ctx.log("⏭️  No reputation sync configured");
+                return { skipped: true };
+            }
+            if (variantFor(ctx.config, "ron").name !== "RONUpgradeable") {
+                throw new Error("The reputationSync section needs the RONUpgradeable reputation variant");
+            }
+
+            const { ron } = ctx.contracts;
+            const { grants } = await grantRoles(ctx, (sync.relayers || []).map((account) => ({
+                contract: "ron", role: "BRIDGE_ROLE", account
+            })));
+
+            // setSupportedChain is BRIDGE_ROLE only, not admin
+            const chains = (sync.chains || []).map(String);
+            const role = await ron.BRIDGE_ROLE();
+            if (!ctx.batch && chains.length > 0 && !(await ron.hasRole(role, ctx.deployer.address))) {
+                throw new Error("setSupportedChain needs BRIDGE_ROLE; list the deployer among reputationSync.relayers");
+            }
+            for (const chainId of chains) {
+                if (!(await ron.supportedChains(chainId))) {
+                    await sendTx(ctx, ron, "setSupportedChain", chainId, true);
+                    ctx.log(`${ctx.batch ? "📝 Batched reputation sync with" : "✅ Reputation syncs with"} chain ${chainId}`);
+                }
+            }
+
+            return { chains, relayers: grants.map((grant) => grant.account) };
+        }
+    },
+    {
+        name: "testSetup",
+        description: "Test tokens and RON smoke test",
+        admin: true,
+        async run(ctx) {
+            const setup = ctx.config.testSetup;
+            if (!setup) {
+                ctx.log("⏭️  No test setup configured");
+                return { skipped: true };
+            }
+
+            const { ethers } = ctx.hre;
+            const { rdln, ron } = ctx.contracts;
+            const result = {};
+
+            if (setup.airdropAmount) {
+                await sendTx(ctx, rdln, "mintAirdrop", ctx.deployer.address, ethers.parseEther(setup.airdropAmount));
+                ctx.log(`${ctx.batch ? "📝 Batched mint of" : "✅ Minted"} ${setup.airdropAmount} RDLN for testing`);
+                result.airdropAmount = setup.airdropAmount;
+            }
+
+            if (setup.awardRON) {
+                await sendTx(ctx, ron, "awardRON", ctx.deployer.address, 1, true, false, "Testnet deployment test");
+                if (ctx.batch) {
+                    ctx.log("📝 Batched RON award");
+                } else {
+                    result.ronBalance = (await ron.balanceOf(ctx.deployer.address)).toString();
+                    ctx.log(`✅ Earned ${result.ronBalance} RON`);
+                }
+            }
+
+            return result;
+        }
+    }
+];
+
+/**
+ * @dev Phases run by scripts/deploy-riddlenfts.js on top of an existing ecosystem deployment
+ */
+const WEEKLY_NFT_PHASES = [
+    {
+        name: "weeklyNFT",
+        description: "Weekly riddle NFT",
+        async run(ctx) {
+            ctx.contracts.weeklyNFT = await deployOnce(ctx, "weeklyNFT");
+        }
+    },
+    {
+        name: "weeklyNFTRoles",
+        description: "Weekly riddle NFT permissions",
+        admin: true,
+        async run(ctx) {
+            return grantRoles(ctx, WEEKLY_NFT_GRANTS);
+        }
+    },
+    {
+        name: "weeklyNFTPrizePool",
+        description: "Weekly riddle NFT prize liquidity",
+        admin: true,
+        async run(ctx) {
+            const prizePool = ctx.config.weeklyNFT?.prizePool;
+            if (!prizePool) {
+                ctx.log("⏭️  No prize pool funding configured");
+                return { skipped: true };
+            }
+
+            // Prizes are paid from the NFT contract's own balance, minted from PRIZE_POOL_ALLOCATION
+            const { ethers } = ctx.hre;
+            const recipient = await ctx.contracts.weeklyNFT.getAddress();
+            await sendTx(ctx, ctx.contracts.rdln, "mintPrizePool", recipient, ethers.parseEther(prizePool));
+            ctx.log(`${ctx.batch ? "📝 Batched prize pool mint of" : "✅ Minted"} ${prizePool} RDLN to the weekly NFT`);
+
+            return { prizePool, recipient };
+        }
+    }
+];
+
+/**
+ * @dev Load the wallet profile and deployment record and attach every recorded contract
+ */
+async function createContext(hre, config, options) {
+    const { ethers } = hre;
+    const signers = await ethers.getSigners();
+    const [deployer] = signers;
+    const { chainId } = await ethers.provider.getNetwork();
+
+    if (config.chainId !== undefined && BigInt(config.chainId) !== chainId) {
+        throw new Error(`Config for ${config.network} expects chain ${config.chainId}, connected to chain ${chainId}`);
+    }
+
+    const walletProfile = options.walletProfile || loadWalletProfile(config.network);
+    const wallets = resolveWallets(walletProfile, {
+        deployer: deployer.address,
+        signers: signers.map((signer) => signer.address)
+    });
+    await checkWalletCode(ethers.provider, walletProfile, wallets);
+
+    const record = DeploymentRecord.load(hre.network.name, chainId, {
+        dir: options.deploymentsDir,
+        reset: options.reset
+    });
+    record.set("deployer", record.data.deployer || deployer.address);
+    record.set("startBlock", record.data.startBlock ?? (await ethers.provider.getBlockNumber()));
+    record.set("version", config.version);
+
+    const ctx = {
+        hre,
+        config,
+        deployer,
+        record,
+        wallets,
+        signers,
+        chainId,
+        overrides: buildTxOverrides(config.gas),
+        confirmations: config.confirmations ?? 1,
+        contracts: {},
+        log: options.log || console.log
+    };
+
+    record.set("wallets", record.data.wallets || ctx.wallets);
+
+    // Re-attach everything already deployed so later phases can use it
+    for (const [key, entry] of Object.entries(record.contracts)) {
+        // Upgraded proxies keep the variant they were deployed as
+        const deployedAs = entry.variant || entry.name;
+        if (VARIANTS[key] && deployedAs !== variantFor(config, key).name) {
+            throw new Error(`Record has ${deployedAs} for ${key} but config selects ${variantFor(config, key).name}`);
+        }
+        ctx.contracts[key] = await attachRecorded(ctx, key);
+    }
+
+    return ctx;
+}
+
+/**
+ * @dev Run phases in order, skipping those the record marks as completed or batched; returns the exported batch files
+ */
+async function runPhases(ctx, phases, options) {
+    const { record } = ctx;
+    const batches = [];
+
+    for (const phase of phases) {
+        if (record.isPhaseComplete(phase.name)) {
+            ctx.log(`⏭️  Phase "${phase.name}" already completed, skipping`);
+            continue;
+        }
+        if (record.isPhaseBatched(phase.name)) {
+            ctx.log(`⏭️  Phase "${phase.name}" exported to ${record.data.phases[phase.name].batch}, skipping`);
+            continue;
+        }
+
+        ctx.log(`\n=== Phase: ${phase.description} ===`);
+        const fromBlock = options.onPhase ? await ctx.hre.ethers.provider.getBlockNumber() + 1 : undefined;
+        ctx.batch = options.safe && phase.admin
+            ? new SafeBatch({
+                chainId: ctx.chainId,
+                safeAddress: ctx.wallets.admin,
+                name: `Riddlen ${record.data.network}: ${phase.description}`,
+                description: `Deployment phase "${phase.name}"`
+            })
+            : undefined;
+
+        try {
+            const details = await phase.run(ctx);
+            if (details?.pending) {
+                record.deferPhase(phase.name, details.pending);
+                ctx.log(`⏸️  Phase "${phase.name}" pending: ${details.pending}; re-run to retry`);
+            } else if (ctx.batch && ctx.batch.transactions.length > 0) {
+                const file = ctx.batch.write(path.join(batchDir(record), `${phase.name}.json`));
+                record.batchPhase(phase.name, { ...details, batch: file, transactions: ctx.batch.transactions.length });
+                batches.push(file);
+                ctx.log(`📦 ${ctx.batch.transactions.length} transaction(s) exported to ${file}`);
+            } else {
+                record.completePhase(phase.name, details);
+            }
+
+            if (options.onPhase) {
+                const toBlock = await ctx.hre.ethers.provider.getBlockNumber();
+                await options.onPhase({ name: phase.name, description: phase.description, fromBlock, toBlock });
+            }
+        } catch (error) {
+            record.failPhase(phase.name, error);
+            throw error;
+        }
+    }
+
+    return batches;
+}
+
+/**
+ * @dev Run every deployment phase in order, skipping phases the record marks as completed
+ * @param options.deploymentsDir Directory holding <network>.json records
+ * @param options.reset Start a new record instead of resuming
+ * @param options.walletProfile Wallet profile (defaults to config/wallets/<network>.json)
+ * @param options.safe Export admin phases as Safe Transaction Builder batches for wallets.admin instead of sending them
+ * @param options.log Progress logger (defaults to console.log)
+ * @param options.onPhase Called after each phase with { name, description, fromBlock, toBlock } of its transactions
+ */
+async function deployEcosystem(hre, config, options = {}) {
+    const ctx = await createContext(hre, config, options);
+    const batches = await runPhases(ctx, PHASES, options);
+    return { record: ctx.record, contracts: ctx.contracts, batches };
+}
+
+/**
+ * @dev Deploy the weekly RiddleNFT against the RDLN and RON in the existing record, grant it GAME_ROLE on both
+ * and fund its prize pool; the contract is added to the same deployment record.
+ * Takes the same options as deployEcosystem
+ */
+async function deployWeeklyNFT(hre, config, options = {}) {
+    const ctx = await createContext(hre, config, options);
+    for (const key of ["rdln", "ron"]) {
+        if (!ctx.contracts[key]) {
+            throw new Error(`${ctx.record.file} has no ${key}; deploy the ecosystem first (scripts/deploy.js)`);
+        }
+    }
+
+    const batches = await runPhases(ctx, WEEKLY_NFT_PHASES, options);
+    return { record: ctx.record, contracts: ctx.contracts, batches };
+}
+
+module.exports = {
+    DEFAULT_VARIANTS,
+    PHASES,
+    VARIANTS,
+    WEEKLY_NFT_PHASES,
+    deployEcosystem,
+    deployWeeklyNFT,
+    variantFor
+};
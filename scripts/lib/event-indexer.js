@@ -0,0 +1,594 @@
+// Event indexer: copies the ecosystem's events from the recorded contracts into a SQLite database (sql.js, kept in
+// deployments/index/<network>.sqlite), rolls back blocks that were reorganized away and serves the data over HTTP
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const { Indexed } = require("ethers");
+const { Poller } = require("./poller");
+
+/**
+ * @dev Events copied per contract variant; variants not listed here are not indexed
+ */
+const INDEXED_EVENTS = {
+    RDLN: ["BurnExecuted", "GameplayBurn", "TransferBurn", "AllocationMinted"],
+    RDLNUpgradeable: [
+        "BurnExecuted", "GameplayBurn", "TransferBurn", "AllocationMinted", "CrossChainTransfer", "CrossChainTransferCompleted"
+    ],
+    RON: ["RONEarned", "TierAchieved", "BonusApplied", "StreakUpdated"],
+    RONAdvanced: ["RONEarnedEnhanced", "TierAdvancement"],
+    RONUpgradeable: ["RONEarnedEnhanced", "CrossChainReputationReceived"],
+    RiddleNFT: ["RiddleNFTMinted", "AttemptMade", "RiddleSolved", "ResalePriceUpdated", "NFTResold", "PrizeClaimed"],
+    RiddleNFTAdvanced: ["RiddleAccessMinted", "RiddleCompleted", "PrizeDistributed"],
+    RiddlenTreasuryDripAutomated: [
+        "TokensReleased", "ReleaseSkipped", "EmergencyTriggered", "CircuitBreakerActivated", "TreasuryLowBalance"
+    ]
+};
+
+/**
+ * @dev BurnExecuted burnType values (RDLN: 0=failed_attempt, 1=question, 2=nft_mint)
+ */
+const BURN_TYPES = ["failedAttempt", "question", "nftMint"];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        transaction_hash TEXT NOT NULL,
+        contract TEXT NOT NULL,
+        address TEXT NOT NULL,
+        event TEXT NOT NULL,
+        account TEXT,
+        timestamp INTEGER NOT NULL,
+        args TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_name ON events (event, block_number);
+    CREATE INDEX IF NOT EXISTS events_by_account ON events (account);
+    CREATE INDEX IF NOT EXISTS events_by_time ON events (timestamp);
+`;
+
+let sqlJs;
+
+/**
+ * @dev JSON-safe event argument: bigints as decimal strings, indexed dynamic values as their topic hash
+ */
+function plain(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (value instanceof Indexed) return value.hash;
+    if (Array.isArray(value)) return Array.from(value, plain);
+    return value;
+}
+
+/**
+ * @dev Unix seconds from a query parameter given as seconds or an ISO date
+ */
+function timeParam(value) {
+    if (value === undefined || value === null || value === "") return undefined;
+    if (/^\d+$/.test(value)) return Number(value);
+    const millis = Date.parse(value);
+    if (Number.isNaN(millis)) throw new Error(`Invalid time "${value}"`);
+    return Math.floor(millis / 1000);
+}
+
+/**
+ * @dev Non-negative integer from a query parameter such as limit or offset
+ */
+function countParam(name, value) {
+    if (value === undefined || value === null || value === "") return undefined;
+    if (!/^\d+$/.test(value)) throw new Error(`Invalid ${name} "${value}"`);
+    return Number(value);
+}
+
+class EventStore {
+    constructor(db, file) {
+        this.db = db;
+        this.file = file;
+        this.db.exec(SCHEMA);
+    }
+
+    /**
+     * @dev Open the database file, or start an empty one that is written there on save()
+     */
+    static async open(file) {
+        sqlJs ??= await initSqlJs();
+        const db = file && fs.existsSync(file) ? new sqlJs.Database(fs.readFileSync(file)) : new sqlJs.Database();
+        return new EventStore(db, file);
+    }
+
+    all(sql, params = []) {
+        const statement = this.db.prepare(sql);
+        try {
+            statement.bind(params);
+            const rows = [];
+            while (statement.step()) rows.push(statement.getAsObject());
+            return rows;
+        } finally {
+            statement.free();
+        }
+    }
+
+    get(key) {
+        return this.all("SELECT value FROM meta WHERE key = ?", [key])[0]?.value;
+    }
+
+    set(key, value) {
+        this.db.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [key, String(value)]);
+    }
+
+    get indexedBlock() {
+        const value = this.get("indexedBlock");
+        return value === undefined ? undefined : Number(value);
+    }
+
+    /**
+     * @dev Store a scanned block range in one transaction: its events, the blocks they are in and the new cursor
+     */
+    insert({ events, blocks, indexedBlock }) {
+        this.db.exec("BEGIN");
+        try {
+            for (const block of blocks) {
+                this.db.run("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)",
+                    [block.number, block.hash, block.timestamp]);
+            }
+            for (const event of events) {
+                this.db.run(
+                    "INSERT OR REPLACE INTO events " +
+                    "(block_number, log_index, transaction_hash, contract, address, event, account, timestamp, args) " +
+                    "VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                    [
+                        event.blockNumber, event.logIndex, event.transactionHash, event.contract, event.address,
+                        event.event, event.account ?? null, event.timestamp, JSON.stringify(event.args)
+                    ]
+                );
+            }
+            this.set("indexedBlock", indexedBlock);
+            this.db.exec("COMMIT");
+        } catch (error) {
+            this.db.exec("ROLLBACK");
+            throw error;
+        }
+    }
+
+    /**
+     * @dev Forget everything above a block
+     */
+    rollback(blockNumber) {
+        this.db.exec("BEGIN");
+        this.db.run("DELETE FROM events WHERE block_number > ?", [blockNumber]);
+        this.db.run("DELETE FROM blocks WHERE number > ?", [blockNumber]);
+        this.set("indexedBlock", blockNumber);
+        this.db.exec("COMMIT");
+    }
+
+    /**
+     * @dev Forget every event and block, keeping the chain id
+     */
+    clear() {
+        this.db.exec("BEGIN");
+        this.db.run("DELETE FROM events");
+        this.db.run("DELETE FROM blocks");
+        this.db.run("DELETE FROM meta WHERE key = 'indexedBlock'");
+        this.db.exec("COMMIT");
+    }
+
+    /**
+     * @dev Drop stored hashes of event-less blocks that are too deep to be reorganized
+     */
+    prune(belowBlock) {
+        this.db.run(
+            "DELETE FROM blocks WHERE number < ? AND number NOT IN (SELECT block_number FROM events)",
+            [belowBlock]
+        );
+    }
+
+    save() {
+        if (!this.file) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(`${this.file}.tmp`, Buffer.from(this.db.export()));
+        fs.renameSync(`${this.file}.tmp`, this.file);
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    // ============ QUERIES ============
+
+    /**
+     * @param filter.event / filter.contract / filter.account Exact matches (account is the event's first address)
+     * @param filter.fromBlock / filter.toBlock Inclusive block range
+     * @param filter.since / filter.until Inclusive block timestamp range in unix seconds
+     * @param filter.limit / filter.offset Paging, oldest first (limit defaults to 100, clamped to 1..1000; Infinity
+     * for every match, not reachable over HTTP)
+     */
+    events(filter = {}) {
+        const where = [];
+        const params = [];
+        const clauses = {
+            event: "event = ?",
+            contract: "contract = ?",
+            fromBlock: "block_number >= ?",
+            toBlock: "block_number <= ?",
+            since: "timestamp >= ?",
+            until: "timestamp <= ?"
+        };
+        for (const [key, clause] of Object.entries(clauses)) {
+            if (filter[key] === undefined) continue;
+            where.push(clause);
+            params.push(filter[key]);
+        }
+        if (filter.account !== undefined) {
+            where.push("account = ? COLLATE NOCASE");
+            params.push(filter.account);
+        }
+        // SQLite reads a negative LIMIT as no limit at all
+        const limit = filter.limit === Infinity ? -1 : Math.min(Math.max(Number(filter.limit ?? 100), 1), 1000);
+        const offset = Math.max(Number(filter.offset ?? 0), 0);
+
+        return this.all(
+            "SELECT * FROM events" + (where.length ? ` WHERE ${where.join(" AND ")}` : "") +
+            " ORDER BY block_number, log_index LIMIT ? OFFSET ?",
+            [...params, limit, offset]
+        ).map((row) => ({
+            blockNumber: row.block_number,
+            logIndex: row.log_index,
+            transactionHash: row.transaction_hash,
+            contract: row.contract,
+            address: row.address,
+            event: row.event,
+            account: row.account,
+            timestamp: row.timestamp,
+            args: JSON.parse(row.args)
+        }));
+    }
+
+    /**
+     * @dev Solvers of one session or weekly riddle, in solve order
+     * @param event RiddleCompleted (RiddleNFTAdvanced sessions) or RiddleSolved (weekly riddles)
+     */
+    solvers(event, idField, id) {
+        return this.all(
+            "SELECT * FROM events WHERE event = ? AND json_extract(args, ?) = ? ORDER BY block_number, log_index",
+            [event, `$.${idField}`, String(id)]
+        ).map((row) => {
+            const args = JSON.parse(row.args);
+            return {
+                solver: args.solver,
+                prizeAmount: args.prizeAmount,
+                wasFirstSolver: args.wasFirstSolver,
+                tokenId: args.tokenId,
+                blockNumber: row.block_number,
+                transactionHash: row.transaction_hash,
+                timestamp: row.timestamp
+            };
+        });
+    }
+
+    /**
+     * @dev Burn totals in wei between two timestamps: protocol burns per burnType and transfer burns
+     */
+    burns({ since, until } = {}) {
+        const events = this.events({ event: "BurnExecuted", since, until, limit: Infinity });
+        const byType = {};
+        const totals = { burned: 0n, grandPrize: 0n, devOps: 0n };
+        for (const { args } of events) {
+            const type = BURN_TYPES[Number(args.burnType)] ?? `type${args.burnType}`;
+            byType[type] ??= { count: 0, burned: 0n, grandPrize: 0n, devOps: 0n };
+            const entry = byType[type];
+            entry.count++;
+            for (const [key, field] of [["burned", "burnedAmount"], ["grandPrize", "grandPrizeAmount"], ["devOps", "devOpsAmount"]]) {
+                entry[key] += BigInt(args[field]);
+                totals[key] += BigInt(args[field]);
+            }
+        }
+        const transfer = this.events({ event: "TransferBurn", since, until, limit: Infinity })
+            .reduce((sum, { args }) => sum + BigInt(args.amount), 0n);
+
+        const strings = (object) => Object.fromEntries(
+            Object.entries(object).map(([key, value]) => [key, typeof value === "bigint" ? value.toString() : value])
+        );
+        return {
+            since: since ?? null,
+            until: until ?? null,
+            protocol: strings(totals),
+            byType: Object.fromEntries(Object.entries(byType).map(([type, entry]) => [type, strings(entry)])),
+            transferBurned: transfer.toString(),
+            totalBurned: (totals.burned + transfer).toString()
+        };
+    }
+
+    /**
+     * @dev Weekly riddle NFTs listed for resale: the last ResalePriceUpdated of a token, unless it was 0 or the
+     * token was sold since
+     */
+    listings() {
+        const latest = new Map();
+        for (const event of this.events({ event: "ResalePriceUpdated", limit: Infinity })
+            .concat(this.events({ event: "NFTResold", limit: Infinity }))
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)) {
+            latest.set(`${event.address}:${event.args.tokenId}`, event);
+        }
+        return [...latest.values()]
+            .filter((event) => event.event === "ResalePriceUpdated" && event.args.price !== "0")
+            .map((event) => ({
+                contract: event.contract,
+                address: event.address,
+                tokenId: event.args.tokenId,
+                seller: event.args.seller,
+                price: event.args.price,
+                listedAt: event.timestamp
+            }));
+    }
+
+    status() {
+        const counts = Object.fromEntries(
+            this.all("SELECT event, COUNT(*) AS count FROM events GROUP BY event ORDER BY event")
+                .map((row) => [row.event, row.count])
+        );
+        return {
+            chainId: this.get("chainId") ?? null,
+            indexedBlock: this.indexedBlock ?? null,
+            events: counts
+        };
+    }
+}
+
+class EventIndexer extends Poller {
+    /**
+     * @param store EventStore to write to
+     * @param contracts [{ key, name, contract }] to index, see indexedContracts()
+     * @param options.fromBlock First block of the initial scan (default 0)
+     * @param options.confirmations Blocks an event must be buried under before it is indexed (default 0)
+     * @param options.reorgDepth Deepest reorganization detected and rolled back (default 64 blocks)
+     * @param options.pollInterval Milliseconds between polls (default 15s)
+     * @param options.blockRange Largest eth_getLogs window in blocks (default 5000)
+     * @param options.log Progress logger (defaults to console.log)
+     */
+    constructor(store, contracts, options = {}) {
+        super(options, 15_000);
+        this.store = store;
+        this.contracts = contracts;
+        this.fromBlock = options.fromBlock ?? 0;
+        this.confirmations = options.confirmations ?? 0;
+        this.reorgDepth = options.reorgDepth ?? 64;
+        this.blockRange = options.blockRange ?? 5000;
+
+        if (contracts.length === 0) throw new Error("No indexable contracts in the deployment record");
+        this.provider = contracts[0].contract.runner.provider;
+        this.byAddress = new Map();
+        this.topics = new Set();
+        for (const entry of contracts) {
+            const names = (INDEXED_EVENTS[entry.name] || []).filter((name) => entry.contract.interface.getEvent(name));
+            this.byAddress.set(entry.address.toLowerCase(), { ...entry, names: new Set(names) });
+            for (const name of names) this.topics.add(entry.contract.interface.getEvent(name).topicHash);
+        }
+    }
+
+    /**
+     * @dev Refuse a database that was filled from another chain, and index again from fromBlock when the set of
+     * indexed contracts or events changed since the database was filled
+     */
+    async start() {
+        const chainId = (await this.provider.getNetwork()).chainId.toString();
+        const stored = this.store.get("chainId");
+        if (stored !== undefined && stored !== chainId) {
+            throw new Error(`${this.store.file} indexes chain ${stored}, connected to chain ${chainId}`);
+        }
+        this.store.set("chainId", chainId);
+
+        const indexed = [...this.byAddress.values()]
+            .flatMap((entry) => [...entry.names].map((name) => `${entry.address.toLowerCase()}:${name}`))
+            .sort()
+            .join(",");
+        if (this.store.indexedBlock !== undefined && this.store.get("indexedEvents") !== indexed) {
+            this.log(`🔁 Indexed contracts or events changed; re-indexing from block ${this.fromBlock}`);
+            this.store.clear();
+        }
+        this.store.set("indexedEvents", indexed);
+        return { chainId, indexedBlock: this.store.indexedBlock };
+    }
+
+    /**
+     * @dev Compare stored block hashes with the chain, newest first, and roll back to the last block both agree on
+     * @return The block rolled back to, undefined when nothing changed
+     */
+    async reconcile() {
+        const indexed = this.store.indexedBlock;
+        if (indexed === undefined) return undefined;
+
+        const stored = this.store.all(
+            "SELECT number, hash FROM blocks WHERE number >= ? ORDER BY number DESC",
+            [indexed - this.reorgDepth]
+        );
+        let ancestor;
+        for (const block of stored) {
+            if ((await this.provider.getBlock(block.number))?.hash === block.hash) {
+                ancestor = block.number;
+                break;
+            }
+        }
+        if (stored.length === 0 || ancestor === stored[0].number) return undefined;
+
+        if (ancestor === undefined) {
+            ancestor = stored.at(-1).number - 1;
+            this.log(`⚠️  No stored block within ${this.reorgDepth} blocks matches the chain; re-indexing from ${ancestor + 1}`);
+        }
+        this.store.rollback(ancestor);
+        this.log(`🔀 Reorg detected: rolled back to block ${ancestor}`);
+        return ancestor;
+    }
+
+    /**
+     * @dev Decode one raw log of an indexed contract
+     */
+    decode(log, block) {
+        const entry = this.byAddress.get(log.address.toLowerCase());
+        const parsed = entry?.contract.interface.parseLog(log);
+        if (!parsed || !entry.names.has(parsed.name)) return undefined;
+
+        const args = {};
+        let account;
+        parsed.fragment.inputs.forEach((input, i) => {
+            args[input.name || String(i)] = plain(parsed.args[i]);
+            if (account === undefined && input.type === "address") account = parsed.args[i];
+        });
+        return {
+            blockNumber: log.blockNumber,
+            logIndex: log.index,
+            transactionHash: log.transactionHash,
+            contract: entry.key,
+            address: entry.address,
+            event: parsed.name,
+            account,
+            timestamp: block.timestamp,
+            args
+        };
+    }
+
+    /**
+     * @dev Index one block window and store it together with the window's last block hash
+     */
+    async indexRange(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({
+            address: [...this.byAddress.values()].map((entry) => entry.address),
+            topics: [[...this.topics]],
+            fromBlock,
+            toBlock
+        });
+
+        const blocks = new Map();
+        const blockOf = async (tag) => {
+            const block = await this.provider.getBlock(tag);
+            if (!block) throw new Error(`Block ${tag} is no longer on the chain; retrying on the next poll`);
+            blocks.set(block.number, { number: block.number, hash: block.hash, timestamp: block.timestamp });
+            return block;
+        };
+        await blockOf(toBlock);
+
+        const events = [];
+        for (const log of logs) {
+            const block = blocks.get(log.blockNumber)?.hash === log.blockHash
+                ? blocks.get(log.blockNumber)
+                : await blockOf(log.blockHash);
+            const event = this.decode(log, block);
+            if (event) events.push(event);
+        }
+        this.store.insert({ events, blocks: [...blocks.values()], indexedBlock: toBlock });
+        return events;
+    }
+
+    /**
+     * @dev One indexer iteration: undo reorganized blocks, then index up to the confirmed head
+     */
+    async tick() {
+        const rolledBack = await this.reconcile();
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        const indexed = this.store.indexedBlock;
+        const from = indexed !== undefined ? indexed + 1 : this.fromBlock;
+
+        const events = [];
+        for (let start = from; start <= head; start += this.blockRange) {
+            const end = Math.min(start + this.blockRange - 1, head);
+            events.push(...(await this.indexRange(start, end)));
+        }
+        if (events.length > 0) this.log(`🗂️  Indexed ${events.length} event(s) up to block ${head}`);
+        this.store.prune(head - this.reorgDepth);
+        if (from <= head || rolledBack !== undefined) this.store.save();
+        return { rolledBack, events };
+    }
+
+    /**
+     * @dev Poll until stop() is called
+     * @param options.maxTicks Stop after this many iterations
+     */
+    async run({ maxTicks = Infinity } = {}) {
+        const { chainId, indexedBlock } = await this.start();
+        this.log(`🗂️  Indexing ${this.contracts.length} contract(s) on chain ${chainId} from block ${indexedBlock !== undefined ? indexedBlock + 1 : this.fromBlock}`);
+
+        await this.poll("Indexer", () => this.tick(), { maxTicks });
+    }
+}
+
+/**
+ * @dev Attach to every recorded contract whose variant has events to index
+ */
+async function indexedContracts(hre, record) {
+    const contracts = [];
+    for (const [key, entry] of Object.entries(record.contracts)) {
+        if (!INDEXED_EVENTS[entry.name] || !entry.address) continue;
+        const contract = await hre.ethers.getContractAt(entry.name, entry.address);
+        contracts.push({ key, name: entry.name, address: entry.address, contract });
+    }
+    return contracts;
+}
+
+/**
+ * @dev Default database file next to the deployment record
+ */
+function databaseFile(record) {
+    return path.join(path.dirname(record.file), "index", `${record.data.network}.sqlite`);
+}
+
+/**
+ * @dev Read-only REST API over an EventStore:
+ * GET /status, /events, /sessions/<id>/solvers, /riddles/<id>/solvers, /burns, /nfts/for-sale
+ */
+function createIndexerServer(store) {
+    return http.createServer((request, response) => {
+        const send = (status, body) => {
+            response.writeHead(status, { "Content-Type": "application/json" });
+            response.end(JSON.stringify(body, null, 2) + "\n");
+        };
+        if (request.method !== "GET") return send(404, { error: "Not found" });
+
+        const url = new URL(request.url, "http://localhost");
+        const query = Object.fromEntries(url.searchParams);
+        const route = url.pathname.replace(/\/$/, "");
+        let match;
+
+        try {
+            if (route === "/status") return send(200, store.status());
+            if (route === "/events") {
+                return send(200, store.events({
+                    event: query.event,
+                    contract: query.contract,
+                    account: query.account,
+                    fromBlock: query.fromBlock !== undefined ? Number(query.fromBlock) : undefined,
+                    toBlock: query.toBlock !== undefined ? Number(query.toBlock) : undefined,
+                    since: timeParam(query.since),
+                    until: timeParam(query.until),
+                    limit: countParam("limit", query.limit),
+                    offset: countParam("offset", query.offset)
+                }));
+            }
+            if ((match = route.match(/^\/sessions\/(\d+)\/solvers$/))) {
+                return send(200, store.solvers("RiddleCompleted", "sessionId", match[1]));
+            }
+            if ((match = route.match(/^\/riddles\/(\d+)\/solvers$/))) {
+                return send(200, store.solvers("RiddleSolved", "riddleId", match[1]));
+            }
+            if (route === "/burns") {
+                return send(200, store.burns({ since: timeParam(query.since), until: timeParam(query.until) }));
+            }
+            if (route === "/nfts/for-sale") return send(200, store.listings());
+            return send(404, { error: "Not found" });
+        } catch (error) {
+            return send(400, { error: error.message });
+        }
+    });
+}
+
+module.exports = {
+    BURN_TYPES,
+    EventIndexer,
+    EventStore,
+    INDEXED_EVENTS,
+    createIndexerServer,
+    databaseFile,
+    indexedContracts,
+    timeParam
+};
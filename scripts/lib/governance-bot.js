@@ -0,0 +1,397 @@
+// Governance bot for RONAdvanced: follows proposals and votes from events, reminds voters while a proposal is open,
+// calls executeProposal once voting has ended and records the outcome, including DemocraticSafeguardActivated blocks
+
+const http = require("http");
+const { queryInChunks, revertReason } = require("./chain");
+const { DISCOVERY_EVENTS, TIERS } = require("./reputation-decay");
+const { AlertingPoller } = require("./poller");
+
+const HOUR = 60 * 60;
+const PROPOSAL_TYPES = ["ORACLE_PARAMETERS", "QUALITY_STANDARDS", "REWARD_MECHANISMS", "PLATFORM_FEATURES", "COMMUNITY_STANDARDS"];
+
+/**
+ * @dev Proposal statuses after which the bot no longer touches a proposal. "no-votes" is final because
+ * executeProposal reverts with "No votes cast" once voting has ended; "executed-elsewhere" is a proposal marked
+ * executed on chain without an outcome the bot could attribute, such as a safeguard block from a Safe's call
+ */
+const FINAL_STATUSES = ["passed", "rejected", "blocked", "no-votes", "executed-elsewhere"];
+
+/**
+ * @dev executeProposal's arithmetic on a tally: integer percentages, minority protection first, then a simple majority
+ * @return noWeightToBlock The extra no weight that would trigger minority protection (0 once it is triggered)
+ */
+function tallyOutcome(yesWeight, noWeight, minorityThreshold) {
+    const total = yesWeight + noWeight;
+    const threshold = BigInt(minorityThreshold);
+    const yesPercentage = total > 0n ? Number((yesWeight * 100n) / total) : 0;
+    const noPercentage = total > 0n ? Number((noWeight * 100n) / total) : 0;
+    const blocked = total > 0n && noWeight * 100n >= threshold * total;
+
+    let noWeightToBlock = 0n;
+    if (!blocked) {
+        const shortfall = threshold * total - noWeight * 100n;
+        noWeightToBlock = (shortfall + (100n - threshold) - 1n) / (100n - threshold);
+        if (noWeightToBlock < 1n) noWeightToBlock = 1n;
+    }
+
+    let projected = "fails";
+    if (total === 0n) projected = "no-votes";
+    else if (blocked) projected = "blocked";
+    else if (yesPercentage > 50) projected = "passes";
+
+    return { yesPercentage, noPercentage, blocked, noWeightToBlock, projected };
+}
+
+class GovernanceBot extends AlertingPoller {
+    /**
+     * @param ron RONAdvanced connected to the signer sending executeProposal (any account may call it)
+     * @param record Deployment record; proposals, outcomes and scan progress are kept under "governance"
+     * @param options.sinks Alert sinks for reminders and outcomes (defaults to the console)
+     * @param options.execute Call executeProposal for ended proposals (default true; false only watches)
+     * @param options.reminderWindow Remind voters this many seconds before voting ends (default 24h)
+     * @param options.pollInterval Milliseconds between polls (default 60s)
+     * @param options.blockRange Largest eth_getLogs window in blocks (default 5000)
+     * @param options.fromBlock First block of the initial scan (defaults to the record's startBlock)
+     * @param options.overrides Transaction overrides
+     * @param options.confirmations Confirmations to wait for per execution
+     * @param options.log Progress logger (defaults to console.log)
+     */
+    constructor(ron, record, options = {}) {
+        super(options);
+        this.ron = ron;
+        this.record = record;
+        this.provider = ron.runner.provider;
+        this.execute = options.execute ?? true;
+        this.reminderWindow = options.reminderWindow ?? 24 * HOUR;
+        this.blockRange = options.blockRange ?? 5000;
+        this.fromBlock = options.fromBlock;
+        this.overrides = { ...options.overrides };
+        this.confirmations = options.confirmations ?? 1;
+        this.eligibleVoters = 0;
+        this.settled = [];
+    }
+
+    get state() {
+        if (!this.record.data.governance) {
+            this.record.set("governance", { scannedBlock: undefined, users: [], proposals: {} });
+        }
+        return this.record.data.governance;
+    }
+
+    async start() {
+        this.address = await this.ron.getAddress();
+        this.chainId = (await this.provider.getNetwork()).chainId.toString();
+        this.minorityThreshold = Number(await this.ron.minorityProtectionThreshold());
+        return this.address;
+    }
+
+    /**
+     * @dev Record an outcome from a GovernanceProposalExecuted or DemocraticSafeguardActivated event.
+     * The safeguard event carries no proposal id, so it is read from the executeProposal call of its transaction
+     */
+    async recordOutcome(name, args, { blockNumber, transactionHash }) {
+        let id;
+        let outcome;
+        if (name === "GovernanceProposalExecuted") {
+            id = args.proposalId.toString();
+            outcome = {
+                status: args.passed ? "passed" : "rejected",
+                yesPercentage: Number(args.yesPercentage)
+            };
+        } else {
+            const call = this.ron.interface.parseTransaction(await this.provider.getTransaction(transactionHash));
+            if (call?.name !== "executeProposal") return undefined;
+            id = call.args.proposalId.toString();
+            outcome = {
+                status: "blocked",
+                safeguard: args.safeguardType,
+                threshold: Number(args.threshold),
+                reason: args.reason
+            };
+        }
+
+        const proposal = this.state.proposals[id];
+        if (!proposal || FINAL_STATUSES.includes(proposal.status)) return undefined;
+        proposal.status = outcome.status;
+        proposal.outcome = { ...outcome, blockNumber, txHash: transactionHash };
+        return proposal;
+    }
+
+    /**
+     * @dev Bring the record up to the latest block. Polls and tally requests share one scan at a time;
+     * outcomes found by either are queued for the next tick to announce
+     */
+    discover() {
+        this.scanning ??= this.scan().finally(() => {
+            this.scanning = undefined;
+        });
+        return this.scanning;
+    }
+
+    /**
+     * @dev Scan the blocks since the last scan for proposals, votes, outcomes and users who may vote
+     */
+    async scan() {
+        const latest = await this.provider.getBlockNumber();
+        const from = this.state.scannedBlock !== undefined
+            ? this.state.scannedBlock + 1
+            : this.fromBlock ?? this.record.data.startBlock ?? 0;
+        if (from > latest) return;
+
+        const query = (name) => queryInChunks(this.ron, this.ron.filters[name](), from, latest, this.blockRange);
+        const [proposals, votes, executed, safeguards] = await Promise.all([
+            query("GovernanceProposalCreated"),
+            query("GovernanceVoteCast"),
+            query("GovernanceProposalExecuted"),
+            query("DemocraticSafeguardActivated")
+        ]);
+
+        for (const event of proposals) {
+            const id = event.args.proposalId.toString();
+            this.state.proposals[id] = {
+                id,
+                proposer: event.args.proposer,
+                title: event.args.title,
+                proposalType: PROPOSAL_TYPES[Number(event.args.proposalType)],
+                votingStart: Number(event.args.votingStart),
+                votingEnd: Number(event.args.votingEnd),
+                voters: 0,
+                status: "open",
+                reminders: []
+            };
+        }
+        for (const event of votes) {
+            const proposal = this.state.proposals[event.args.proposalId.toString()];
+            if (proposal) proposal.voters += 1;
+        }
+        const outcomes = [...executed, ...safeguards].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+        for (const event of outcomes) {
+            const proposal = await this.recordOutcome(event.fragment.name, event.args, event);
+            if (proposal) this.settled.push(proposal);
+        }
+
+        const users = new Set(this.state.users);
+        for (const name of DISCOVERY_EVENTS.filter((event) => this.ron.interface.getEvent(event))) {
+            for (const event of await query(name)) {
+                users.add(event.args[0]);
+            }
+        }
+        this.state.users = [...users].sort();
+        this.state.scannedBlock = latest;
+        this.record.save();
+    }
+
+    /**
+     * @dev Known users at PARTICIPANT tier or above, the denominator of turnout
+     */
+    async countEligibleVoters() {
+        let eligible = 0;
+        for (const user of this.state.users) {
+            if (Number(await this.ron.calculateGovernanceTier(user)) >= TIERS.indexOf("PARTICIPANT")) eligible++;
+        }
+        this.eligibleVoters = eligible;
+        return eligible;
+    }
+
+    /**
+     * @dev Live tally of a proposal read from proposals(id), with turnout and the minority protection margin.
+     * Turnout is measured against the eligible voters counted on the last tick
+     */
+    async tally(id, { refresh = true } = {}) {
+        if (refresh) await this.discover();
+        const proposal = this.state.proposals[id];
+        if (!proposal) return undefined;
+
+        const onChain = await this.ron.proposals(id);
+        const yesWeight = BigInt(onChain.yesVotes);
+        const noWeight = BigInt(onChain.noVotes);
+        const outcome = tallyOutcome(yesWeight, noWeight, this.minorityThreshold);
+
+        return {
+            ...proposal,
+            yesWeight: yesWeight.toString(),
+            noWeight: noWeight.toString(),
+            totalWeight: (yesWeight + noWeight).toString(),
+            yesPercentage: outcome.yesPercentage,
+            noPercentage: outcome.noPercentage,
+            projected: FINAL_STATUSES.includes(proposal.status) ? proposal.status : outcome.projected,
+            turnout: {
+                voters: proposal.voters,
+                eligibleVoters: this.eligibleVoters,
+                percentage: this.eligibleVoters > 0 ? Math.round((proposal.voters * 10000) / this.eligibleVoters) / 100 : 0
+            },
+            minorityProtection: {
+                threshold: this.minorityThreshold,
+                marginPercentage: this.minorityThreshold - outcome.noPercentage,
+                noWeightToBlock: outcome.noWeightToBlock.toString()
+            }
+        };
+    }
+
+    /**
+     * @dev Live tallies of every known proposal, newest first
+     */
+    async tallies() {
+        await this.discover();
+        const ids = Object.keys(this.state.proposals).sort((a, b) => Number(b) - Number(a));
+        return Promise.all(ids.map((id) => this.tally(id, { refresh: false })));
+    }
+
+    /**
+     * @dev Send executeProposal and record the outcome from its events
+     */
+    async executeProposal(proposal) {
+        const tx = await this.ron.executeProposal(proposal.id, this.overrides);
+        const receipt = await tx.wait(this.confirmations);
+        const outcome = receipt.logs
+            .map((log) => this.ron.interface.parseLog(log))
+            .find((event) => ["GovernanceProposalExecuted", "DemocraticSafeguardActivated"].includes(event?.name));
+        if (outcome) {
+            await this.recordOutcome(outcome.name, outcome.args, { blockNumber: receipt.blockNumber, transactionHash: receipt.hash });
+        }
+        proposal.executedBy = await this.ron.runner.getAddress();
+        this.record.save();
+        return proposal;
+    }
+
+    outcomeAlert(proposal) {
+        const { outcome } = proposal;
+        const messages = {
+            passed: `Proposal #${proposal.id} "${proposal.title}" passed with ${outcome?.yesPercentage}% yes`,
+            rejected: `Proposal #${proposal.id} "${proposal.title}" was rejected with ${outcome?.yesPercentage}% yes`,
+            blocked: `Proposal #${proposal.id} "${proposal.title}" was blocked by ${outcome?.safeguard}: ${outcome?.reason}`,
+            "no-votes": `Proposal #${proposal.id} "${proposal.title}" ended without votes and cannot be executed`,
+            "executed-elsewhere": `Proposal #${proposal.id} "${proposal.title}" was executed by another contract; check its outcome on chain`
+        };
+        return this.alert({
+            id: `proposal-${proposal.status}`,
+            source: "proposal",
+            severity: proposal.status === "passed" || proposal.status === "rejected" ? "info" : "warning",
+            proposalId: proposal.id,
+            message: messages[proposal.status],
+            ...(outcome?.txHash && { transactionHash: outcome.txHash })
+        });
+    }
+
+    reminder(proposal, kind, chainTime) {
+        proposal.reminders.push(kind);
+        const hours = Math.max(Math.ceil((proposal.votingEnd - chainTime) / HOUR), 0);
+        return this.alert({
+            id: `proposal-${kind}`,
+            source: "proposal",
+            severity: "reminder",
+            proposalId: proposal.id,
+            message: kind === "opened"
+                ? `Proposal #${proposal.id} "${proposal.title}" (${proposal.proposalType}) is open for voting for ${hours}h`
+                : `Voting on proposal #${proposal.id} "${proposal.title}" ends in ${hours}h; ${proposal.voters} vote(s) so far`
+        });
+    }
+
+    /**
+     * @dev One bot iteration: new events, reminders for open proposals, executeProposal for ended ones
+     * @return The alerts delivered and the proposals executed by this bot
+     */
+    async tick() {
+        await this.discover();
+        await this.countEligibleVoters();
+        const chainTime = (await this.provider.getBlock("latest")).timestamp;
+        const alerts = this.settled.splice(0).map((proposal) => this.outcomeAlert(proposal));
+        const executed = [];
+
+        for (const proposal of Object.values(this.state.proposals)) {
+            if (FINAL_STATUSES.includes(proposal.status)) continue;
+
+            // executeProposal needs block.timestamp > votingEnd; the next block is always later than the latest
+            if (chainTime < proposal.votingEnd) {
+                if (!proposal.reminders.includes("opened")) {
+                    alerts.push(this.reminder(proposal, "opened", chainTime));
+                }
+                if (proposal.votingEnd - chainTime <= this.reminderWindow && !proposal.reminders.includes("closing")) {
+                    alerts.push(this.reminder(proposal, "closing", chainTime));
+                }
+                continue;
+            }
+
+            // Outcomes of executeProposal calls made from contracts are not attributed by recordOutcome
+            const onChain = await this.ron.proposals(proposal.id);
+            if (onChain.executed) {
+                proposal.status = "executed-elsewhere";
+                alerts.push(this.outcomeAlert(proposal));
+                continue;
+            }
+            if (onChain.totalVotingWeight === 0n) {
+                proposal.status = "no-votes";
+                alerts.push(this.outcomeAlert(proposal));
+                continue;
+            }
+
+            proposal.status = "awaiting-execution";
+            if (!this.execute) continue;
+            try {
+                await this.executeProposal(proposal);
+                // A tally request may have scanned our own execution in the meantime; announce it once
+                this.settled = this.settled.filter((item) => item !== proposal);
+                executed.push(proposal);
+                this.log(`🗳️  Executed proposal #${proposal.id}: ${proposal.status}`);
+                alerts.push(this.outcomeAlert(proposal));
+            } catch (error) {
+                const reason = revertReason(this.ron, error);
+                this.log(`❌ executeProposal(${proposal.id}) failed: ${reason}`);
+                alerts.push(this.alert({
+                    id: "proposal-execution-failed",
+                    source: "proposal",
+                    severity: "critical",
+                    proposalId: proposal.id,
+                    message: `executeProposal(${proposal.id}) failed: ${reason}`
+                }));
+            }
+        }
+        this.record.save();
+
+        for (const alert of alerts) {
+            await this.deliver(alert);
+        }
+        return { alerts, executed };
+    }
+
+    /**
+     * @dev Poll until stop() is called
+     * @param options.maxTicks Stop after this many iterations
+     */
+    async run({ maxTicks = Infinity } = {}) {
+        await this.start();
+        this.log(`🏛️  Governance bot on ${this.address}${this.execute ? "" : " (watch only)"}`);
+        await this.poll("Governance bot", () => this.tick(), { maxTicks });
+    }
+}
+
+/**
+ * @dev Read-only HTTP endpoint for the live tallies: GET /proposals and GET /proposals/<id>
+ */
+function createTallyServer(bot) {
+    return http.createServer(async (request, response) => {
+        const send = (status, body) => {
+            response.writeHead(status, { "Content-Type": "application/json" });
+            response.end(JSON.stringify(body, null, 2) + "\n");
+        };
+
+        const match = new URL(request.url, "http://localhost").pathname.match(/^\/proposals(?:\/(\d+))?\/?$/);
+        if (request.method !== "GET" || !match) return send(404, { error: "Not found" });
+
+        try {
+            if (!match[1]) return send(200, await bot.tallies());
+            const tally = await bot.tally(match[1]);
+            return tally ? send(200, tally) : send(404, { error: `Unknown proposal ${match[1]}` });
+        } catch (error) {
+            return send(500, { error: error.shortMessage || error.message });
+        }
+    });
+}
+
+module.exports = {
+    FINAL_STATUSES,
+    GovernanceBot,
+    PROPOSAL_TYPES,
+    createTallyServer,
+    tallyOutcome
+};
@@ -0,0 +1,203 @@
+// Admin handover: move every admin-class role and two-step ownership from the current admin to governance
+// Nothing is renounced until governance is shown to hold, and be able to use, admin rights on every contract
+
+const path = require("path");
+const { ADMIN_ROLES, OWNABLE, ROLES } = require("./contracts");
+const { roleHash } = require("./roles");
+const { SafeBatch, batchDir } = require("./safe-batch");
+
+/**
+ * @dev True when `from` can send `data` to `to` without reverting
+ */
+async function canCall(provider, from, to, data) {
+    try {
+        await provider.call({ from, to, data });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @dev Work out what has to move for every recorded contract; throws before anything is sent when a
+ * contract has an admin neither the current admin nor governance controls
+ */
+async function planHandover(hre, record, from, governance) {
+    const plan = [];
+
+    for (const [key, entry] of Object.entries(record.contracts)) {
+        const contract = await hre.ethers.getContractAt(entry.name, entry.address);
+        // Upgraded proxies may run an implementation the metadata does not list; fall back to the deployed variant
+        const roleSet = ADMIN_ROLES[entry.name] ? entry.name : entry.variant || entry.name;
+        const adminRoles = ADMIN_ROLES[roleSet];
+        const ownable = OWNABLE[entry.name];
+
+        if (adminRoles) {
+            const held = [];
+            for (const role of adminRoles) {
+                if (await contract.hasRole(roleHash(role), from)) held.push(role);
+            }
+
+            const governanceIsAdmin = await contract.hasRole(roleHash("DEFAULT_ADMIN_ROLE"), governance);
+            if (!held.includes("DEFAULT_ADMIN_ROLE") && !governanceIsAdmin) {
+                throw new Error(
+                    `${from} does not hold DEFAULT_ADMIN_ROLE on ${entry.name} (${key}) and governance does not either; ` +
+                    "refusing to hand over"
+                );
+            }
+
+            const operational = [];
+            for (const role of ROLES[roleSet].filter((role) => !adminRoles.includes(role))) {
+                if (await contract.hasRole(roleHash(role), from)) operational.push(role);
+            }
+
+            plan.push({ key, name: entry.name, contract, type: "roles", roles: held, retained: operational });
+        } else if (ownable) {
+            const owner = await contract.owner();
+            if (owner !== from && owner !== governance) {
+                throw new Error(`${entry.name} (${key}) is owned by ${owner}, not ${from}; refusing to hand over`);
+            }
+
+            plan.push({
+                key,
+                name: entry.name,
+                contract,
+                type: "ownable",
+                ownable,
+                done: owner === governance,
+                proposed: (await contract.pendingOwner()) === governance
+            });
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * @dev Hand every admin-class role and TreasuryDrip ownership over to governance, verify governance can act,
+ * then renounce the current admin's roles. Ownership acceptance is sent when governance is a local account
+ * and exported as a Safe batch for governance otherwise.
+ * @param options.planOnly Report the plan without sending anything
+ * @param options.overrides Transaction overrides
+ * @param options.confirmations Confirmations to wait for per transaction
+ * @param options.log Progress logger (defaults to console.log)
+ */
+async function handoverAdmin(hre, record, governance, options = {}) {
+    const { ethers } = hre;
+    const log = options.log || console.log;
+    const signers = await ethers.getSigners();
+    const [signer] = signers;
+    const from = signer.address;
+    const send = async (tx) => (await tx).wait(options.confirmations ?? 1);
+    const overrides = { ...options.overrides };
+
+    governance = ethers.getAddress(governance);
+    if (governance === from) {
+        throw new Error(`Governance ${governance} is the current admin; nothing to hand over`);
+    }
+
+    const plan = await planHandover(hre, record, from, governance);
+    for (const item of plan) {
+        if (item.type === "roles") {
+            log(`📋 ${item.name} (${item.key}): ${item.roles.length > 0 ? item.roles.join(", ") : "nothing left to move"}`);
+        } else {
+            log(`📋 ${item.name} (${item.key}): ownership${item.done ? " already transferred" : ""}`);
+        }
+    }
+    if (options.planOnly) return { governance, plan };
+
+    // 1. Grant every admin-class role the current admin holds
+    for (const item of plan.filter((entry) => entry.type === "roles")) {
+        for (const role of item.roles) {
+            if (await item.contract.hasRole(roleHash(role), governance)) continue;
+            await send(item.contract.grantRole(roleHash(role), governance, overrides));
+            log(`✅ Granted ${item.key}.${role} to ${governance}`);
+        }
+    }
+
+    // 2. Governance must hold every role and be able to administer it before anything is renounced
+    for (const item of plan.filter((entry) => entry.type === "roles")) {
+        for (const role of item.roles) {
+            if (!(await item.contract.hasRole(roleHash(role), governance))) {
+                throw new Error(`Governance does not hold ${item.key}.${role}; refusing to renounce`);
+            }
+        }
+
+        const probe = item.contract.interface.encodeFunctionData("grantRole", [roleHash("DEFAULT_ADMIN_ROLE"), governance]);
+        if (!(await canCall(ethers.provider, governance, await item.contract.getAddress(), probe))) {
+            throw new Error(`Governance cannot administer roles on ${item.name} (${item.key}); refusing to renounce`);
+        }
+        log(`🔎 Governance can administer ${item.key}`);
+    }
+
+    // 3. Two-step ownership: propose, then accept as governance or export the acceptance for it
+    const batches = [];
+    for (const item of plan.filter((entry) => entry.type === "ownable" && !entry.done)) {
+        if (!item.proposed) {
+            await send(item.contract[item.ownable.propose](governance, overrides));
+            log(`✅ Proposed ${item.key} ownership transfer to ${governance}`);
+        }
+
+        const governanceSigner = signers.find((candidate) => candidate.address === governance);
+        if (governanceSigner) {
+            await send(item.contract.connect(governanceSigner)[item.ownable.accept](overrides));
+
+            const [method, args] = await item.ownable.probe(item.contract);
+            const probe = item.contract.interface.encodeFunctionData(method, args);
+            if ((await item.contract.owner()) !== governance ||
+                !(await canCall(ethers.provider, governance, await item.contract.getAddress(), probe))) {
+                throw new Error(`Governance cannot act as owner of ${item.name} (${item.key})`);
+            }
+            item.done = true;
+            log(`✅ Governance accepted ownership of ${item.key}`);
+        } else {
+            const batch = new SafeBatch({
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                safeAddress: governance,
+                name: `Riddlen ${record.data.network}: accept ${item.key} ownership`
+            });
+            await batch.add(item.contract, item.ownable.accept, []);
+            item.batch = batch.write(path.join(batchDir(record), `handover-${item.key}-ownership.json`));
+            batches.push(item.batch);
+            log(`📝 ${item.key} ownership acceptance exported for governance: ${item.batch}`);
+        }
+    }
+
+    // 4. Renounce, DEFAULT_ADMIN_ROLE last so the admin can still act if a renounce fails part-way
+    for (const item of plan.filter((entry) => entry.type === "roles")) {
+        const ordered = [
+            ...item.roles.filter((role) => role !== "DEFAULT_ADMIN_ROLE"),
+            ...item.roles.filter((role) => role === "DEFAULT_ADMIN_ROLE")
+        ];
+        for (const role of ordered) {
+            await send(item.contract.renounceRole(roleHash(role), from, overrides));
+            log(`🔓 Renounced ${item.key}.${role}`);
+        }
+        for (const role of item.retained) {
+            log(`⚠️  ${from} still holds operational ${item.key}.${role}`);
+        }
+    }
+
+    const contracts = {};
+    for (const item of plan) {
+        contracts[item.key] = item.type === "roles"
+            ? { roles: item.roles, retained: item.retained }
+            : { ownership: item.done ? "transferred" : "pending-acceptance", ...(item.batch && { batch: item.batch }) };
+    }
+
+    record.set("handover", {
+        governance,
+        previousAdmin: from,
+        handedOverAt: new Date().toISOString(),
+        contracts
+    });
+    record.data.wallets = { ...record.data.wallets, admin: governance };
+    record.save();
+
+    return { governance, plan, contracts, batches };
+}
+
+module.exports = {
+    handoverAdmin,
+    planHandover
+};
@@ -0,0 +1,150 @@
+// Local IPFS CID computation for riddle content, matching `ipfs add -r --cid-version=1` (kubo defaults:
+// sha2-256, 256 KiB chunks, raw leaves, UnixFS dag-pb directories) so the CID is known before anything is pinned
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+const CODEC = { raw: 0x55, dagPb: 0x70 };
+const UNIXFS_TYPE = { directory: 1, file: 2 };
+const BASE32 = "abcdefghijklmnopqrstuvwxyz234567";
+
+function varint(value) {
+    const bytes = [];
+    let n = BigInt(value);
+    do {
+        let byte = Number(n & 0x7fn);
+        n >>= 7n;
+        if (n > 0n) byte |= 0x80;
+        bytes.push(byte);
+    } while (n > 0n);
+    return Buffer.from(bytes);
+}
+
+function field(number, value) {
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([varint((number << 3) | 2), varint(value.length), value]);
+    }
+    return Buffer.concat([varint(number << 3), varint(value)]);
+}
+
+function base32(bytes) {
+    let out = "";
+    let bits = 0;
+    let buffer = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32[(buffer << (5 - bits)) & 31];
+    return out;
+}
+
+/**
+ * @dev CIDv1 (sha2-256) of a block, as raw bytes and as the base32 "b..." string
+ */
+function cidOf(codec, block) {
+    const digest = crypto.createHash("sha256").update(block).digest();
+    const bytes = Buffer.concat([varint(1), varint(codec), Buffer.from([0x12, 0x20]), digest]);
+    return { bytes, string: "b" + base32(bytes) };
+}
+
+/**
+ * @dev dag-pb node: links are serialized before data, as the canonical form requires
+ */
+function dagPbNode(links, data) {
+    const encodedLinks = links.map((link) => field(2, Buffer.concat([
+        field(1, link.cid.bytes),
+        field(2, Buffer.from(link.name, "utf8")),
+        field(3, link.size)
+    ])));
+    return Buffer.concat([...encodedLinks, field(1, data)]);
+}
+
+/**
+ * @dev A file is a single raw block up to 256 KiB, otherwise a UnixFS file node over raw chunks.
+ * Returns the CID and the cumulative DAG size ipfs reports as Tsize
+ */
+function fileNode(content) {
+    if (content.length <= CHUNK_SIZE) {
+        return { cid: cidOf(CODEC.raw, content), size: content.length };
+    }
+
+    const chunks = [];
+    for (let offset = 0; offset < content.length; offset += CHUNK_SIZE) {
+        chunks.push(content.subarray(offset, offset + CHUNK_SIZE));
+    }
+    if (chunks.length > MAX_LINKS) {
+        throw new Error(`Files over ${(MAX_LINKS * CHUNK_SIZE) / 1048576} MiB are not supported for riddle content`);
+    }
+
+    const links = chunks.map((chunk) => ({ cid: cidOf(CODEC.raw, chunk), name: "", size: chunk.length }));
+    const data = Buffer.concat([
+        field(1, UNIXFS_TYPE.file),
+        field(3, content.length),
+        ...chunks.map((chunk) => field(4, chunk.length))
+    ]);
+    const block = dagPbNode(links, data);
+    return { cid: cidOf(CODEC.dagPb, block), size: block.length + content.length };
+}
+
+/**
+ * @dev UnixFS directory over the folder's entries in byte order of their names; hidden files are skipped
+ * like `ipfs add -r` does without --hidden
+ * @return { cid, size, files } with files listing every included path relative to the folder
+ */
+function directoryNode(dir, prefix = "") {
+    const names = fs.readdirSync(dir)
+        .filter((name) => !name.startsWith("."))
+        .sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b)));
+
+    const links = [];
+    const files = [];
+    for (const name of names) {
+        const full = path.join(dir, name);
+        const stat = fs.lstatSync(full);
+        if (stat.isDirectory()) {
+            const child = directoryNode(full, `${prefix}${name}/`);
+            links.push({ name, ...child });
+            files.push(...child.files);
+        } else if (stat.isFile()) {
+            links.push({ name, ...fileNode(fs.readFileSync(full)) });
+            files.push({ path: `${prefix}${name}`, bytes: stat.size });
+        } else {
+            throw new Error(`${full} is neither a file nor a directory; riddle content cannot contain links`);
+        }
+    }
+
+    const block = dagPbNode(links, field(1, UNIXFS_TYPE.directory));
+    return {
+        cid: cidOf(CODEC.dagPb, block),
+        size: block.length + links.reduce((total, link) => total + link.size, 0),
+        files
+    };
+}
+
+/**
+ * @dev CIDv1 of a folder as `ipfs add -r --cid-version=1 <dir>` would pin it
+ */
+function computeDirectoryCid(dir) {
+    const { cid, files } = directoryNode(dir);
+    return { cid: cid.string, files };
+}
+
+/**
+ * @dev CIDv1 of a single file's content
+ */
+function computeFileCid(content) {
+    return fileNode(Buffer.from(content)).cid.string;
+}
+
+module.exports = {
+    computeDirectoryCid,
+    computeFileCid
+};
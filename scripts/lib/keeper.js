@@ -0,0 +1,195 @@
+// Keeper for RiddlenTreasuryDripAutomated: our own stand-in for Chainlink Automation / Gelato
+// Polls checkUpkeep, submits performUpkeep from an authorized service key and runs the periodic health check
+
+const { formatEther } = require("ethers");
+const { isHardhatNode, revertReason } = require("./chain");
+const { Poller } = require("./poller");
+
+class TreasuryDripKeeper extends Poller {
+    /**
+     * @param drip RiddlenTreasuryDripAutomated connected to the keeper's signer
+     * @param options.pollInterval Milliseconds between checks while waiting (default 60s)
+     * @param options.retryDelay First back-off after a failure in milliseconds, doubled per consecutive failure (default 60s)
+     * @param options.maxBackoff Upper bound for back-offs in milliseconds (default 1h)
+     * @param options.healthChecks Call performHealthCheck every automationCheckInterval (default true)
+     * @param options.timeTravel Advance a Hardhat node to the next release instead of waiting
+     * @param options.log Progress logger (defaults to console.log)
+     */
+    constructor(drip, options = {}) {
+        super(options);
+        this.drip = drip;
+        this.provider = drip.runner.provider;
+        this.retryDelay = options.retryDelay ?? 60_000;
+        this.maxBackoff = options.maxBackoff ?? 3_600_000;
+        this.healthChecks = options.healthChecks ?? true;
+        this.timeTravel = options.timeTravel ?? false;
+        this.failures = 0;
+    }
+
+    /**
+     * @dev Refuse to start with a key performUpkeep would reject, or time travel on a real chain
+     */
+    async start() {
+        const address = await this.drip.runner.getAddress();
+        const authorized = (await this.drip.authorizedAutomationServices(address)) || (await this.drip.owner()) === address;
+        if (!authorized) {
+            throw new Error(`${address} is not an authorized automation service of ${await this.drip.getAddress()}`);
+        }
+
+        if (this.timeTravel && !(await isHardhatNode(this.provider))) {
+            throw new Error("Time travel is only available on a Hardhat node");
+        }
+
+        this.address = address;
+        return address;
+    }
+
+    async chainTime() {
+        return BigInt((await this.provider.getBlock("latest")).timestamp);
+    }
+
+    backoff(reason) {
+        this.failures++;
+        const delay = Math.min(this.retryDelay * 2 ** (this.failures - 1), this.maxBackoff);
+        return { status: "backoff", reason, delay };
+    }
+
+    /**
+     * @dev Milliseconds until the next release is due, measured in chain time
+     */
+    async untilNextRelease() {
+        const remaining = (await this.drip.getNextReleaseTime()) - (await this.chainTime());
+        return remaining > 0n ? Number(remaining) * 1000 : 0;
+    }
+
+    /**
+     * @dev Call performHealthCheck once automationCheckInterval has passed since the last one
+     */
+    async healthCheck() {
+        const due = (await this.drip.lastAutomationCheck()) + (await this.drip.automationCheckInterval());
+        if ((await this.chainTime()) < due) return undefined;
+
+        const receipt = await (await this.drip.performHealthCheck()).wait();
+        const events = receipt.logs
+            .map((log) => this.drip.interface.parseLog(log))
+            .filter(Boolean);
+        const healthy = events.find((event) => event.name === "AutomationHealthCheck")?.args.healthy ?? false;
+        const issue = events.find((event) => event.name === "EmergencyTriggered")?.args.trigger;
+
+        this.log(healthy ? "🩺 Health check passed" : `🩺 Health check failed: ${issue}`);
+        return { healthy, ...(issue && { issue }) };
+    }
+
+    /**
+     * @dev Submit performUpkeep and classify the outcome. NotTimeForRelease waits for the next release,
+     * CircuitBreakerActive waits the maximum back-off (the owner must reset it), anything else backs off exponentially
+     */
+    async submit() {
+        try {
+            const receipt = await (await this.drip.performUpkeep("0x")).wait();
+            const released = receipt.logs
+                .map((log) => this.drip.interface.parseLog(log))
+                .find((event) => event?.name === "TokensReleased");
+
+            this.failures = 0;
+            this.log(`💧 Released ${formatEther(released ? released.args.amount : 0n)} RDLN (tx ${receipt.hash})`);
+            return {
+                status: "performed",
+                amount: released?.args.amount.toString(),
+                txHash: receipt.hash,
+                delay: this.pollInterval
+            };
+        } catch (error) {
+            const reason = revertReason(this.drip, error);
+            if (reason === "NotTimeForRelease") {
+                this.log("⏳ performUpkeep: not time for release yet");
+                return { status: "waiting", reason, delay: Math.max(await this.untilNextRelease(), this.retryDelay) };
+            }
+            if (reason === "CircuitBreakerActive") {
+                this.log("🛑 performUpkeep: circuit breaker active, waiting for the owner to reset it");
+                this.failures++;
+                return { status: "backoff", reason, delay: this.maxBackoff };
+            }
+
+            this.log(`❌ performUpkeep failed: ${reason}`);
+            return this.backoff(reason);
+        }
+    }
+
+    /**
+     * @dev One keeper iteration: health check if due, then checkUpkeep and performUpkeep when needed
+     */
+    async tick() {
+        const result = {};
+        if (this.healthChecks) {
+            result.healthCheck = await this.healthCheck();
+        }
+
+        let [upkeepNeeded] = await this.drip.checkUpkeep("0x");
+        if (!upkeepNeeded && this.timeTravel) {
+            const wait = await this.untilNextRelease();
+            if (wait > 0) {
+                await this.provider.send("evm_increaseTime", [wait / 1000]);
+                await this.provider.send("evm_mine", []);
+                this.log(`⏩ Advanced the local chain ${wait / 1000}s to the next release`);
+                [upkeepNeeded] = await this.drip.checkUpkeep("0x");
+            }
+        }
+
+        if (upkeepNeeded) {
+            return { ...result, ...(await this.submit()) };
+        }
+
+        // Work out why no upkeep is needed so the keeper can wait the right amount of time
+        if (!(await this.drip.automationEnabled())) {
+            return { ...result, ...this.backoff("automation disabled") };
+        }
+        if (await this.drip.paused()) {
+            return { ...result, ...this.backoff("paused") };
+        }
+        if ((await this.drip.consecutiveFailures()) >= (await this.drip.consecutiveFailureLimit())) {
+            this.failures++;
+            return { ...result, status: "backoff", reason: "CircuitBreakerActive", delay: this.maxBackoff };
+        }
+
+        const wait = await this.untilNextRelease();
+        if (wait > 0) {
+            this.failures = 0;
+            return { ...result, status: "waiting", reason: "NotTimeForRelease", delay: wait };
+        }
+
+        // Due but canRelease() is false: the treasury is at its minimum balance or the approval ran out
+        return { ...result, ...this.backoff("treasury balance or approval insufficient") };
+    }
+
+    /**
+     * @dev Tick until stop() is called. Waits are capped at the poll interval so state changes are noticed;
+     * back-offs are honoured in full
+     * @param options.maxTicks Stop after this many iterations
+     */
+    async run({ maxTicks = Infinity } = {}) {
+        await this.start();
+        this.log(`🤖 Keeper ${this.address} watching ${await this.drip.getAddress()}`);
+
+        await this.poll("Keeper", async () => {
+            let result;
+            try {
+                result = await this.tick();
+            } catch (error) {
+                this.log(`❌ Keeper iteration failed: ${error.shortMessage || error.message}`);
+                result = this.backoff(error.shortMessage || error.message);
+            }
+
+            if (result.status === "waiting") {
+                this.log(`⏳ Next release in ${Math.round(result.delay / 1000)}s`);
+            } else if (result.status === "backoff") {
+                this.log(`⏸️  Backing off ${Math.round(result.delay / 1000)}s: ${result.reason}`);
+            }
+            return result.status === "backoff" ? result.delay : Math.min(result.delay, this.pollInterval);
+        }, { maxTicks });
+    }
+}
+
+module.exports = {
+    TreasuryDripKeeper
+};
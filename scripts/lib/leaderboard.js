@@ -0,0 +1,185 @@
+// Solver leaderboards built from the event indexer's database: all-time, weekly and per riddle category rankings by
+// total RON, streak, first and speed solves and accuracy
+
+const { id } = require("ethers");
+
+const METRICS = ["totalRON", "streak", "firstSolves", "speedSolves", "accuracy"];
+
+/**
+ * @dev RON.sol BonusApplied bonusType strings by topic hash (the string is indexed, only its hash is logged)
+ */
+const BONUS_TYPES = Object.fromEntries(
+    ["FIRST_SPEED_SOLVER", "FIRST_SOLVER", "SPEED_SOLVER", "STREAK_BONUS", "STANDARD"].map((name) => [id(name), name])
+);
+
+/**
+ * @dev Category and week of every riddle with solves or attempts in the store, read once with getRiddle
+ * @param contractAt Maps an event's contract address to the RiddleNFT emitting it
+ * @param cache riddleId -> { category, week } kept between builds
+ */
+async function loadRiddles(store, contractAt, cache = {}) {
+    for (const name of ["RiddleSolved", "AttemptMade"]) {
+        for (const event of store.events({ event: name, limit: Infinity })) {
+            const riddleId = event.args.riddleId;
+            if (cache[riddleId]) continue;
+            const riddle = await contractAt(event.address).getRiddle(riddleId);
+            cache[riddleId] = { category: riddle.category, week: Number(riddle.weekNumber) };
+        }
+    }
+    return cache;
+}
+
+/**
+ * @dev Longest run of consecutive weeks with a solve, and when the run first reached that length
+ * @param weeks week -> timestamp of the first solve that week
+ */
+function longestWeekRun(weeks) {
+    let best = 0;
+    let reachedAt;
+    let run = 0;
+    let previous;
+    for (const week of [...weeks.keys()].sort((a, b) => a - b)) {
+        run = previous !== undefined && week === previous + 1 ? run + 1 : 1;
+        previous = week;
+        if (run > best) {
+            best = run;
+            reachedAt = weeks.get(week);
+        }
+    }
+    return { best, reachedAt };
+}
+
+/**
+ * @dev Per-user totals over a time window, optionally limited to the riddles of one category.
+ * Solves, first/speed solves and attempts come from RiddleSolved and AttemptMade. Outside a category, RON is the
+ * sum of RONEarned/RONEarnedEnhanced and BonusApplied adds first/speed solves awarded without a RiddleSolved in the
+ * same transaction; inside a category, RON is the ronEarned of the category's solves.
+ * The streak is the longest run of consecutive weeks with a solve, or the highest StreakUpdated maxStreak when
+ * that is longer. reachedAt keeps, per metric, the time of the last event that raised it
+ */
+function collectStats(store, riddles, { since, until, category } = {}) {
+    const users = new Map();
+    const stats = (address) => {
+        if (!users.has(address)) {
+            users.set(address, {
+                address, totalRON: 0, solves: 0, firstSolves: 0, speedSolves: 0,
+                attempts: 0, correct: 0, accuracy: 0, streak: 0, reportedStreak: 0, weeks: new Map(), reachedAt: {}
+            });
+        }
+        return users.get(address);
+    };
+    const bump = (entry, metric, amount, timestamp) => {
+        if (!amount) return;
+        entry[metric] += amount;
+        entry.reachedAt[metric] = Math.max(entry.reachedAt[metric] ?? 0, timestamp);
+    };
+    const inCategory = (riddleId) => category === undefined || riddles[riddleId]?.category === category;
+    const events = (name) => store.events({ event: name, since, until, limit: Infinity });
+
+    const solvedInTx = new Set();
+    for (const { args, timestamp, transactionHash } of events("RiddleSolved")) {
+        if (!inCategory(args.riddleId)) continue;
+        solvedInTx.add(transactionHash);
+        const entry = stats(args.solver);
+        bump(entry, "solves", 1, timestamp);
+        if (args.wasFirstSolver) bump(entry, "firstSolves", 1, timestamp);
+        if (args.wasSpeedSolver) bump(entry, "speedSolves", 1, timestamp);
+        if (category !== undefined) bump(entry, "totalRON", Number(args.ronEarned), timestamp);
+        const week = riddles[args.riddleId]?.week;
+        if (week !== undefined && !entry.weeks.has(week)) entry.weeks.set(week, timestamp);
+    }
+
+    for (const { args, timestamp } of events("AttemptMade")) {
+        if (!inCategory(args.riddleId)) continue;
+        const entry = stats(args.solver);
+        entry.attempts++;
+        if (args.successful) entry.correct++;
+        entry.reachedAt.accuracy = timestamp;
+    }
+
+    if (category === undefined) {
+        for (const { args, timestamp } of [...events("RONEarned"), ...events("RONEarnedEnhanced")]) {
+            bump(stats(args.user), "totalRON", Number(args.amount), timestamp);
+        }
+        for (const { args, timestamp, transactionHash } of events("BonusApplied")) {
+            if (solvedInTx.has(transactionHash)) continue;
+            const entry = stats(args.user);
+            const type = BONUS_TYPES[args.bonusType];
+            if (type === "FIRST_SOLVER" || type === "FIRST_SPEED_SOLVER") bump(entry, "firstSolves", 1, timestamp);
+            if (type === "SPEED_SOLVER" || type === "FIRST_SPEED_SOLVER") bump(entry, "speedSolves", 1, timestamp);
+        }
+        for (const { args, timestamp } of events("StreakUpdated")) {
+            const entry = stats(args.user);
+            if (Number(args.maxStreak) > entry.reportedStreak) {
+                entry.reportedStreak = Number(args.maxStreak);
+                entry.reportedStreakAt = timestamp;
+            }
+        }
+    }
+
+    for (const entry of users.values()) {
+        entry.accuracy = entry.attempts ? Math.round((entry.correct * 10000) / entry.attempts) / 100 : 0;
+        const run = longestWeekRun(entry.weeks);
+        if (entry.reportedStreak > run.best) {
+            entry.streak = entry.reportedStreak;
+            entry.reachedAt.streak = entry.reportedStreakAt;
+        } else {
+            entry.streak = run.best;
+            entry.reachedAt.streak = run.reachedAt;
+        }
+    }
+    return users;
+}
+
+/**
+ * @dev Rank users with a non-zero value. Ties go to the user who reached the value first, then to the lower
+ * address. Accuracy only ranks users with minAttempts attempts, and more attempts win an accuracy tie first
+ */
+function rank(users, metric, { limit = 100, minAttempts = 3 } = {}) {
+    return [...users.values()]
+        .filter((user) => user[metric] > 0 && (metric !== "accuracy" || user.attempts >= minAttempts))
+        .sort((a, b) =>
+            b[metric] - a[metric] ||
+            (metric === "accuracy" ? b.attempts - a.attempts : 0) ||
+            a.reachedAt[metric] - b.reachedAt[metric] ||
+            (a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1))
+        .slice(0, limit)
+        .map((user, i) => ({
+            rank: i + 1,
+            address: user.address,
+            value: user[metric],
+            ...(metric === "accuracy" ? { attempts: user.attempts } : {}),
+            reachedAt: user.reachedAt[metric]
+        }));
+}
+
+/**
+ * @dev Every leaderboard as one JSON-ready object
+ * @param options.weekly { week, since, until } window of the weekly boards
+ * @param options.limit Entries per board (default 100)
+ * @param options.minAttempts Attempts needed to rank for accuracy (default 3)
+ */
+function buildLeaderboards(store, riddles, { weekly, limit, minAttempts, generatedAt = new Date().toISOString() } = {}) {
+    const boards = (scope) => {
+        const users = collectStats(store, riddles, scope);
+        return Object.fromEntries(METRICS.map((metric) => [metric, rank(users, metric, { limit, minAttempts })]));
+    };
+    const categories = [...new Set(Object.values(riddles).map((riddle) => riddle.category))].sort();
+
+    return {
+        generatedAt,
+        indexedBlock: store.indexedBlock ?? null,
+        allTime: boards({}),
+        weekly: weekly ? { ...weekly, ...boards({ since: weekly.since, until: weekly.until }) } : null,
+        categories: Object.fromEntries(categories.map((category) => [category, boards({ category })]))
+    };
+}
+
+module.exports = {
+    BONUS_TYPES,
+    METRICS,
+    buildLeaderboards,
+    collectStats,
+    loadRiddles,
+    rank
+};
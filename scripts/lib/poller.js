@@ -0,0 +1,141 @@
+// Polling services: the run loop behind the keeper, session scheduler, relayers, event indexer and bots, plus
+// alert sinks (console, JSON-lines log file, webhook) and delivery for the services that raise alerts
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @dev Print alerts through the progress logger
+ */
+function consoleSink(log = console.log) {
+    const icons = { critical: "🚨", warning: "⚠️ ", info: "✅" };
+    return {
+        name: "console",
+        send: async (alert) => log(`${icons[alert.severity] || "🔔"} [${alert.id}] ${alert.message}`)
+    };
+}
+
+/**
+ * @dev Append alerts as JSON lines to a local file
+ */
+function fileSink(file) {
+    return {
+        name: `file:${file}`,
+        send: async (alert) => {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, JSON.stringify(alert) + "\n");
+        }
+    };
+}
+
+/**
+ * @dev POST alerts as JSON to a webhook endpoint; non-2xx responses count as failed deliveries
+ */
+function webhookSink(url, { fetch = globalThis.fetch, headers = {} } = {}) {
+    return {
+        name: `webhook:${new URL(url).host}`,
+        send: async (alert) => {
+            const response = await fetch(url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", ...headers },
+                body: JSON.stringify(alert)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        }
+    };
+}
+
+/**
+ * @dev Build sinks from a comma-separated spec: "console", "file:<path>" and "webhook:<url>"
+ */
+function createSinks(spec, options = {}) {
+    return spec.split(",").map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        if (entry === "console") return consoleSink(options.log);
+        if (entry.startsWith("file:")) return fileSink(entry.slice("file:".length));
+        if (entry.startsWith("webhook:")) return webhookSink(entry.slice("webhook:".length), options);
+        throw new Error(`Unknown alert sink "${entry}" (expected console, file:<path> or webhook:<url>)`);
+    });
+}
+
+class Poller {
+    /**
+     * @param options.pollInterval Milliseconds between polls (defaults to defaultInterval)
+     * @param options.log Progress logger (defaults to console.log)
+     */
+    constructor(options = {}, defaultInterval = 60_000) {
+        this.log = options.log || console.log;
+        this.pollInterval = options.pollInterval ?? defaultInterval;
+        this.stopped = false;
+    }
+
+    /**
+     * @dev Run iteration until stop() is called or maxTicks iterations have run. iteration may return the milliseconds
+     * to wait before the next one, or false to finish; otherwise, and after an iteration that throws (logged under
+     * name), the next one follows after the poll interval
+     */
+    async poll(name, iteration, { maxTicks = Infinity } = {}) {
+        for (let ticks = 0; !this.stopped && ticks < maxTicks; ticks++) {
+            let delay;
+            try {
+                delay = await iteration();
+            } catch (error) {
+                this.log(`❌ ${name} iteration failed: ${error.shortMessage || error.message}`);
+            }
+
+            if (delay === false || ticks + 1 >= maxTicks) break;
+            await new Promise((resolve) => {
+                this.timer = setTimeout(resolve, typeof delay === "number" ? delay : this.pollInterval);
+                this.wake = resolve;
+            });
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.wake?.();
+    }
+}
+
+/**
+ * @dev Poller for one watched contract whose alerts go to sinks; start() sets this.address and this.chainId
+ */
+class AlertingPoller extends Poller {
+    /**
+     * @param options.sinks Alert sinks (defaults to the console)
+     */
+    constructor(options = {}, defaultInterval = 60_000) {
+        super(options, defaultInterval);
+        this.sinks = options.sinks || [consoleSink(this.log)];
+    }
+
+    alert(fields) {
+        return {
+            contract: this.address,
+            chainId: this.chainId,
+            observedAt: new Date().toISOString(),
+            ...fields
+        };
+    }
+
+    /**
+     * @dev Send an alert to every sink; one failing sink does not stop delivery to the others
+     */
+    async deliver(alert) {
+        const results = await Promise.allSettled(this.sinks.map((sink) => sink.send(alert)));
+        results.forEach((result, i) => {
+            if (result.status === "rejected") {
+                this.log(`❌ Alert delivery to ${this.sinks[i].name} failed: ${result.reason.message}`);
+            }
+        });
+    }
+}
+
+module.exports = {
+    AlertingPoller,
+    Poller,
+    consoleSink,
+    createSinks,
+    fileSink,
+    webhookSink
+};
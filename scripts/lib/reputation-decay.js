@@ -0,0 +1,248 @@
+// Reputation decay crank for RONAdvanced: finds inactive users from RON events and calls applyReputationDecay
+// for them in gas-bounded batches, reporting the RON and governance tier changes it caused
+
+const { queryInChunks } = require("./chain");
+
+const DAY = 86400;
+const TIERS = ["OBSERVER", "PARTICIPANT", "DELEGATE", "SENATOR"];
+
+/**
+ * @dev Events whose indexed first argument is a user RON has seen
+ */
+const DISCOVERY_EVENTS = ["RONEarnedEnhanced", "RONEarned", "TierAdvancement", "GovernanceVoteCast", "ReputationDecayApplied"];
+
+/**
+ * @dev applyReputationDecay's arithmetic: 10% of the balance per full DECAY_PERIOD since the last activity,
+ * only once more than one period has passed
+ */
+function decayFor(totalRON, daysSinceActivity, periodDays) {
+    if (daysSinceActivity <= periodDays) return { factor: 0, newRON: totalRON };
+    const factor = Math.floor(daysSinceActivity / periodDays);
+    const decayAmount = (totalRON * BigInt(factor) * 10n) / 100n;
+    return { factor, newRON: totalRON > decayAmount ? totalRON - decayAmount : 0n };
+}
+
+/**
+ * @dev calculateGovernanceTier for a given balance: users below the quality threshold stay observers
+ */
+function tierFor(totalRON, accuracy, qualityThreshold, thresholds) {
+    if (accuracy < qualityThreshold && totalRON >= thresholds.participant) return TIERS[0];
+    if (totalRON >= thresholds.senator) return TIERS[3];
+    if (totalRON >= thresholds.delegate) return TIERS[2];
+    if (totalRON >= thresholds.participant) return TIERS[1];
+    return TIERS[0];
+}
+
+class ReputationDecayCrank {
+    /**
+     * @param ron RONAdvanced connected to the signer paying for the decay transactions (any account may call it)
+     * @param record Deployment record; discovered users and scan progress are kept under "reputationDecay"
+     * @param options.batchGas Estimated gas allowed per batch of transactions sent together (default 3M)
+     * @param options.blockRange Largest eth_getLogs window in blocks (default 5000)
+     * @param options.fromBlock First block of the initial scan (defaults to the record's startBlock)
+     * @param options.overrides Transaction overrides
+     * @param options.confirmations Confirmations to wait for per batch
+     * @param options.log Progress logger (defaults to console.log)
+     */
+    constructor(ron, record, options = {}) {
+        this.ron = ron;
+        this.record = record;
+        this.provider = ron.runner.provider;
+        this.batchGas = BigInt(options.batchGas ?? 3_000_000);
+        this.blockRange = options.blockRange ?? 5000;
+        this.fromBlock = options.fromBlock;
+        this.overrides = { ...options.overrides };
+        this.confirmations = options.confirmations ?? 1;
+        this.log = options.log || console.log;
+    }
+
+    get state() {
+        if (!this.record.data.reputationDecay) {
+            this.record.set("reputationDecay", { scannedBlock: undefined, users: [], lastDecay: {} });
+        }
+        return this.record.data.reputationDecay;
+    }
+
+    /**
+     * @dev Scan the blocks since the last run for users and for decay already applied to them
+     */
+    async discover() {
+        const latest = await this.provider.getBlockNumber();
+        const from = this.state.scannedBlock !== undefined
+            ? this.state.scannedBlock + 1
+            : this.fromBlock ?? this.record.data.startBlock ?? 0;
+        const users = new Set(this.state.users);
+
+        if (from <= latest) {
+            for (const name of DISCOVERY_EVENTS.filter((event) => this.ron.interface.getEvent(event))) {
+                const events = await queryInChunks(this.ron, this.ron.filters[name](), from, latest, this.blockRange);
+                for (const event of events) {
+                    users.add(event.args[0]);
+                    if (name === "ReputationDecayApplied") {
+                        this.state.lastDecay[event.args[0]] = {
+                            blockNumber: event.blockNumber,
+                            daysSinceActivity: Number(event.args.daysSinceActivity)
+                        };
+                    }
+                }
+            }
+        }
+
+        this.state.users = [...users].sort();
+        this.state.scannedBlock = latest;
+        this.record.save();
+        return this.state.users;
+    }
+
+    /**
+     * @dev Users past DECAY_PERIOD whose current period has not been decayed yet. applyReputationDecay does not
+     * reset lastActivityTime, so calling it again in the same period would take the same percentage again
+     */
+    async plan() {
+        const [periodSeconds, qualityThreshold, participant, delegate, senator, block] = await Promise.all([
+            this.ron.DECAY_PERIOD(),
+            this.ron.qualityThreshold(),
+            this.ron.PARTICIPANT_THRESHOLD(),
+            this.ron.DELEGATE_THRESHOLD(),
+            this.ron.SENATOR_THRESHOLD(),
+            this.provider.getBlock("latest")
+        ]);
+        const periodDays = Number(periodSeconds) / DAY;
+        const thresholds = { participant, delegate, senator };
+        const eligible = [];
+
+        for (const user of this.state.users) {
+            const stats = await this.ron.userStats(user);
+            const totalRON = BigInt(stats.totalRON);
+            if (totalRON === 0n) continue;
+
+            const lastActivity = Number(stats.lastActivityTime);
+            const daysSinceActivity = Math.floor((block.timestamp - lastActivity) / DAY);
+            const { factor, newRON } = decayFor(totalRON, daysSinceActivity, periodDays);
+            if (factor === 0) continue;
+
+            const previous = this.state.lastDecay[user];
+            if (previous) {
+                const decayedAt = (await this.provider.getBlock(previous.blockNumber)).timestamp;
+                const sameStretch = decayedAt >= lastActivity;
+                if (sameStretch && Math.floor(previous.daysSinceActivity / periodDays) >= factor) continue;
+            }
+
+            const accuracy = await this.ron.calculateAccuracy(user);
+            eligible.push({
+                user,
+                daysSinceActivity,
+                oldRON: totalRON.toString(),
+                expectedRON: newRON.toString(),
+                oldTier: TIERS[Number(await this.ron.calculateGovernanceTier(user))],
+                expectedTier: tierFor(newRON, accuracy, qualityThreshold, thresholds)
+            });
+        }
+        return eligible;
+    }
+
+    /**
+     * @dev Group users so the estimated gas of each batch stays within batchGas (a batch always holds at least one)
+     */
+    async batches(eligible) {
+        const batches = [];
+        let current = [];
+        let gas = 0n;
+        for (const item of eligible) {
+            const estimate = await this.ron.applyReputationDecay.estimateGas(item.user);
+            if (current.length > 0 && gas + estimate > this.batchGas) {
+                batches.push(current);
+                current = [];
+                gas = 0n;
+            }
+            current.push({ ...item, gasEstimate: estimate });
+            gas += estimate;
+        }
+        if (current.length > 0) batches.push(current);
+        return batches;
+    }
+
+    /**
+     * @dev Send one batch with consecutive nonces, wait for all of it and read the outcome from the events
+     */
+    async applyBatch(batch) {
+        let nonce = await this.ron.runner.getNonce("pending");
+        const sent = [];
+        for (const item of batch) {
+            sent.push(await this.ron.applyReputationDecay(item.user, {
+                ...this.overrides,
+                nonce: nonce++,
+                gasLimit: (item.gasEstimate * 12n) / 10n
+            }));
+        }
+
+        const results = [];
+        for (const [i, tx] of sent.entries()) {
+            const receipt = await tx.wait(this.confirmations);
+            const events = receipt.logs.map((log) => this.ron.interface.parseLog(log)).filter(Boolean);
+            const decayed = events.find((event) => event.name === "ReputationDecayApplied");
+            const tier = events.find((event) => event.name === "TierAdvancement");
+            const item = batch[i];
+
+            if (decayed) {
+                this.state.lastDecay[item.user] = {
+                    blockNumber: receipt.blockNumber,
+                    daysSinceActivity: Number(decayed.args.daysSinceActivity)
+                };
+            }
+            results.push({
+                user: item.user,
+                daysSinceActivity: decayed ? Number(decayed.args.daysSinceActivity) : item.daysSinceActivity,
+                oldRON: decayed ? decayed.args.oldRON.toString() : item.oldRON,
+                newRON: decayed ? decayed.args.newRON.toString() : item.oldRON,
+                oldTier: tier ? TIERS[Number(tier.args.oldTier)] : item.oldTier,
+                newTier: tier ? TIERS[Number(tier.args.newTier)] : item.oldTier,
+                gasUsed: receipt.gasUsed.toString(),
+                txHash: receipt.hash
+            });
+        }
+        this.record.save();
+        return results;
+    }
+
+    /**
+     * @dev Discover, plan and apply decay once
+     * @param options.dryRun Report who would decay, and to what, without sending anything
+     */
+    async run({ dryRun = false } = {}) {
+        const users = await this.discover();
+        const eligible = await this.plan();
+        this.log(`🔎 ${users.length} known user(s), ${eligible.length} due for decay`);
+
+        const batches = await this.batches(eligible);
+        const batchUsers = batches.map((batch) => batch.map((item) => item.user));
+        if (dryRun) {
+            return { users: users.length, eligible, batches: batchUsers };
+        }
+
+        const applied = [];
+        for (const [i, batch] of batches.entries()) {
+            const results = await this.applyBatch(batch);
+            applied.push(...results);
+            this.log(`📉 Batch ${i + 1}/${batches.length}: decayed ${results.length} user(s)`);
+        }
+
+        const tierChanges = applied.filter((result) => result.oldTier !== result.newTier);
+        this.state.lastRun = {
+            ranAt: new Date().toISOString(),
+            decayed: applied.length,
+            tierChanges: tierChanges.length
+        };
+        this.record.save();
+
+        return { users: users.length, eligible, applied, tierChanges, batches: batchUsers };
+    }
+}
+
+module.exports = {
+    DISCOVERY_EVENTS,
+    ReputationDecayCrank,
+    TIERS,
+    decayFor,
+    tierFor
+};
@@ -0,0 +1,178 @@
+// Reference relayer for RONUpgradeable reputation sync: watches CrossChainReputationSync on the source chain and
+// applies the snapshots with receiveReputationSync on the destination, so access tiers follow users across chains
+
+const { FINALITY_CONFIRMATIONS, queryInChunks, revertReason } = require("./chain");
+const { Poller } = require("./poller");
+
+/**
+ * @dev IRON.AccessTier names, by enum value
+ */
+const ACCESS_TIERS = ["NOVICE", "SOLVER", "EXPERT", "ORACLE"];
+
+class ReputationRelayer extends Poller {
+    /**
+     * @param source RONUpgradeable on the source chain; connect it to a BRIDGE_ROLE holder to use requestSyncs()
+     * @param destination RONUpgradeable on the destination chain, connected to a BRIDGE_ROLE holder
+     * @param record Source chain deployment record; relay progress is kept under "reputationRelayer.<destination chain>"
+     * @param options.sourceConfirmations Blocks a sync must be buried under before it is relayed
+     * (default FINALITY_CONFIRMATIONS; 0 relays unconfirmed syncs and is only meant for local chains)
+     * @param options.pollInterval Milliseconds between polls (default 15s)
+     * @param options.blockRange Largest eth_getLogs window in blocks (default 5000)
+     * @param options.fromBlock First source block of the initial scan (defaults to the record's startBlock)
+     * @param options.overrides Transaction overrides
+     * @param options.confirmations Confirmations to wait for per transaction
+     * @param options.log Progress logger (defaults to console.log)
+     */
+    constructor(source, destination, record, options = {}) {
+        super(options, 15_000);
+        this.source = source;
+        this.destination = destination;
+        this.record = record;
+        this.sourceConfirmations = options.sourceConfirmations ?? FINALITY_CONFIRMATIONS;
+        this.blockRange = options.blockRange ?? 5000;
+        this.fromBlock = options.fromBlock;
+        this.overrides = { ...options.overrides };
+        this.confirmations = options.confirmations ?? 1;
+    }
+
+    get state() {
+        const relays = this.record.data.reputationRelayer || {};
+        if (!relays[this.destinationChain]) {
+            relays[this.destinationChain] = { scannedBlock: undefined, syncs: {} };
+            this.record.set("reputationRelayer", relays);
+        }
+        return relays[this.destinationChain];
+    }
+
+    /**
+     * @dev Resolve both chains and refuse to start with a destination that would reject every snapshot
+     */
+    async start() {
+        this.sourceChain = (await this.source.runner.provider.getNetwork()).chainId.toString();
+        this.destinationChain = (await this.destination.runner.provider.getNetwork()).chainId.toString();
+
+        if (!(await this.destination.supportedChains(this.sourceChain))) {
+            throw new Error(`Chain ${this.destinationChain} does not accept reputation from chain ${this.sourceChain}`);
+        }
+        const relayer = await this.destination.runner.getAddress();
+        if (!(await this.destination.hasRole(await this.destination.BRIDGE_ROLE(), relayer))) {
+            throw new Error(`${relayer} does not hold BRIDGE_ROLE on chain ${this.destinationChain}`);
+        }
+        return { sourceChain: this.sourceChain, destinationChain: this.destinationChain };
+    }
+
+    /**
+     * @dev Emit a CrossChainReputationSync towards the destination for each user (BRIDGE_ROLE on the source)
+     */
+    async requestSyncs(users) {
+        for (const user of users) {
+            const tx = await this.source.syncReputationCrossChain(user, this.destinationChain, this.overrides);
+            await tx.wait(this.confirmations);
+            this.log(`📤 Requested a reputation sync of ${user} to chain ${this.destinationChain}`);
+        }
+    }
+
+    /**
+     * @dev Queue CrossChainReputationSync events for the destination chain that are buried deep enough,
+     * with the source block timestamp the syncHash commits to
+     */
+    async scan() {
+        const provider = this.source.runner.provider;
+        const safeHead = (await provider.getBlockNumber()) - this.sourceConfirmations;
+        const from = this.state.scannedBlock !== undefined
+            ? this.state.scannedBlock + 1
+            : this.fromBlock ?? this.record.data.startBlock ?? 0;
+        if (from > safeHead) return [];
+
+        const events = await queryInChunks(this.source, this.source.filters.CrossChainReputationSync(), from, safeHead, this.blockRange);
+        const timestamps = {};
+        const queued = [];
+        for (const event of events) {
+            if (event.args.targetChain.toString() !== this.destinationChain) continue;
+            timestamps[event.blockNumber] ??= (await provider.getBlock(event.blockNumber)).timestamp;
+            const sync = {
+                user: event.args.user,
+                ronAmount: event.args.ronAmount.toString(),
+                sourceChain: this.sourceChain,
+                snapshotTime: timestamps[event.blockNumber],
+                syncHash: event.args.syncHash,
+                sourceTx: event.transactionHash,
+                blockNumber: event.blockNumber,
+                status: "pending"
+            };
+            this.state.syncs[sync.syncHash] ??= sync;
+            queued.push(sync);
+        }
+        this.state.scannedBlock = safeHead;
+        this.record.save();
+        return queued;
+    }
+
+    /**
+     * @dev Apply one snapshot on the destination. Snapshots applied by another relayer are marked completed,
+     * snapshots older than the one the destination already holds are marked superseded
+     */
+    async relay(sync) {
+        if (await this.destination.processedReputationTransfers(sync.syncHash)) {
+            sync.status = "completed";
+            return sync;
+        }
+
+        const latest = await this.destination.reputationSnapshots(sync.user, sync.sourceChain);
+        if (BigInt(sync.snapshotTime) <= latest.snapshotTime) {
+            sync.status = "superseded";
+            this.log(`⏭️  ${sync.syncHash}: chain ${this.destinationChain} already holds a newer snapshot for ${sync.user}`);
+            return sync;
+        }
+
+        try {
+            const tx = await this.destination.receiveReputationSync(
+                sync.user, sync.ronAmount, sync.sourceChain, sync.snapshotTime, sync.syncHash, this.overrides
+            );
+            const receipt = await tx.wait(this.confirmations);
+            const received = receipt.logs
+                .map((log) => this.destination.interface.parseLog(log))
+                .find((parsed) => parsed?.name === "CrossChainReputationReceived");
+            Object.assign(sync, {
+                status: "completed",
+                tier: ACCESS_TIERS[Number(received.args.newTier)],
+                destinationTx: receipt.hash
+            });
+            delete sync.error;
+            this.log(`🔗 Synced ${sync.ronAmount} RON of ${sync.user} to chain ${this.destinationChain}, tier ${sync.tier} (tx ${receipt.hash})`);
+        } catch (error) {
+            sync.error = revertReason(this.destination, error);
+            this.log(`❌ receiveReputationSync for ${sync.syncHash} failed: ${sync.error}`);
+        }
+        return sync;
+    }
+
+    /**
+     * @dev One relayer iteration: new source syncs, then every pending sync in source order
+     */
+    async tick() {
+        await this.scan();
+        const relayed = [];
+        for (const sync of Object.values(this.state.syncs)) {
+            if (sync.status !== "pending") continue;
+            relayed.push(await this.relay(sync));
+            this.record.save();
+        }
+        return relayed;
+    }
+
+    /**
+     * @dev Poll until stop() is called
+     * @param options.maxTicks Stop after this many iterations
+     */
+    async run({ maxTicks = Infinity } = {}) {
+        await this.start();
+        this.log(`🔗 Relaying reputation from chain ${this.sourceChain} to chain ${this.destinationChain}`);
+        await this.poll("Relayer", () => this.tick(), { maxTicks });
+    }
+}
+
+module.exports = {
+    ACCESS_TIERS,
+    ReputationRelayer
+};
@@ -0,0 +1,146 @@
+// Role membership reconstruction and policy audit
+// Membership is rebuilt from RoleGranted/RoleRevoked events because AccessControl cannot enumerate holders
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { queryInChunks } = require("./chain");
+const { ROLES, roleHash } = require("./contracts");
+const { VARIANTS } = require("./ecosystem");
+
+const POLICY_DIR = path.join(__dirname, "../../config/roles");
+
+function loadRolePolicy(networkName, policyDir = POLICY_DIR) {
+    const policyFile = path.join(policyDir, `${networkName}.json`);
+    if (!fs.existsSync(policyFile)) {
+        throw new Error(`No role policy for network "${networkName}" (expected ${policyFile})`);
+    }
+    return JSON.parse(fs.readFileSync(policyFile, "utf8"));
+}
+
+/**
+ * @dev Replay RoleGranted/RoleRevoked in chain order into role hash -> Set of holders
+ */
+async function reconstructRoleMembers(contract, { fromBlock = 0, toBlock, blockRange = 5000 } = {}) {
+    const latest = toBlock ?? (await contract.runner.provider.getBlockNumber());
+    const [granted, revoked] = await Promise.all([
+        queryInChunks(contract, contract.filters.RoleGranted(), fromBlock, latest, blockRange),
+        queryInChunks(contract, contract.filters.RoleRevoked(), fromBlock, latest, blockRange)
+    ]);
+
+    const events = [...granted, ...revoked].sort(
+        (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+    );
+
+    const members = new Map();
+    for (const event of events) {
+        const [role, account] = event.args;
+        if (!members.has(role)) members.set(role, new Set());
+        if (event.fragment.name === "RoleGranted") {
+            members.get(role).add(ethers.getAddress(account));
+        } else {
+            members.get(role).delete(ethers.getAddress(account));
+        }
+    }
+
+    return members;
+}
+
+/**
+ * @dev Name every address the record knows about (deployer, wallets, ecosystem contracts)
+ */
+function addressBook(record) {
+    const book = {};
+    if (record.data.deployer) book.deployer = ethers.getAddress(record.data.deployer);
+    for (const [name, address] of Object.entries(record.data.wallets || {})) {
+        book[`wallets.${name}`] = ethers.getAddress(address);
+    }
+    for (const [key, contract] of Object.entries(record.contracts)) {
+        book[key] = ethers.getAddress(contract.address);
+    }
+    return book;
+}
+
+/**
+ * @dev Address for a policy reference; an ecosystem slot that is not deployed yet (e.g. weeklyNFT) resolves to undefined
+ */
+function resolvePolicyAccount(book, ref) {
+    if (book[ref]) return book[ref];
+    if (VARIANTS[ref]) return undefined;
+    if (ethers.isAddress(ref)) return ethers.getAddress(ref);
+    throw new Error(`Role policy references unknown account "${ref}"`);
+}
+
+function labelFor(book, address) {
+    const names = Object.keys(book).filter((name) => book[name] === address);
+    return names.length > 0 ? `${address} (${names.join(", ")})` : address;
+}
+
+/**
+ * @dev Compare reconstructed membership of every recorded contract against the role policy.
+ * A role listed in the policy must be held by exactly the listed accounts; any holder of an
+ * unlisted role is reported as extra.
+ */
+async function auditRoles(hre, record, policy, options = {}) {
+    const book = addressBook(record);
+    const fromBlock = options.fromBlock ?? record.data.startBlock ?? 0;
+    const findings = [];
+    const contracts = {};
+
+    for (const [key, entry] of Object.entries(record.contracts)) {
+        const roleNames = ROLES[entry.variant || entry.name] || ROLES[entry.name];
+        if (!roleNames) continue;
+
+        const contract = await hre.ethers.getContractAt(entry.name, entry.address);
+        const members = await reconstructRoleMembers(contract, { ...options, fromBlock });
+        const contractPolicy = policy[key] || {};
+        const report = {};
+
+        const knownHashes = new Set(roleNames.map(roleHash));
+        for (const [hash, holders] of members) {
+            if (!knownHashes.has(hash) && holders.size > 0) {
+                findings.push({ type: "unknown-role", contract: key, role: hash, accounts: [...holders] });
+            }
+        }
+
+        for (const roleName of roleNames) {
+            const holders = [...(members.get(roleHash(roleName)) || [])];
+            const declared = contractPolicy[roleName];
+            const expected = (declared || []).map((ref) => resolvePolicyAccount(book, ref)).filter(Boolean);
+
+            const extra = holders.filter((account) => !expected.includes(account));
+            const missing = expected.filter((account) => !holders.includes(account));
+
+            for (const account of extra) {
+                findings.push({
+                    type: "extra",
+                    contract: key,
+                    role: roleName,
+                    account,
+                    label: labelFor(book, account),
+                    undeclared: declared === undefined
+                });
+            }
+            for (const account of missing) {
+                findings.push({ type: "missing", contract: key, role: roleName, account, label: labelFor(book, account) });
+            }
+
+            report[roleName] = {
+                holders: holders.map((account) => labelFor(book, account)),
+                expected: expected.map((account) => labelFor(book, account))
+            };
+        }
+
+        contracts[key] = { name: entry.name, address: entry.address, roles: report };
+    }
+
+    return { network: record.data.network, fromBlock, contracts, findings };
+}
+
+module.exports = {
+    POLICY_DIR,
+    auditRoles,
+    loadRolePolicy,
+    reconstructRoleMembers,
+    roleHash
+};
@@ -0,0 +1,160 @@
+// Safe Transaction Builder batches for admin actions
+// Admin phases can be exported instead of sent from the deployer, then simulated on a fork before anyone signs
+
+const fs = require("fs");
+const path = require("path");
+
+const TX_BUILDER_VERSION = "1.16.5";
+
+/**
+ * @dev Directory holding the batches for a deployment record (deployments/safe/<network>/)
+ */
+function batchDir(record) {
+    return path.join(path.dirname(record.file), "safe", record.data.network);
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) return `[${value.map(formatValue).join(",")}]`;
+    return value.toString();
+}
+
+/**
+ * @dev Collects contract calls into the JSON format the Safe Transaction Builder app imports
+ */
+class SafeBatch {
+    constructor({ chainId, safeAddress, name, description = "" }) {
+        this.chainId = chainId.toString();
+        this.safeAddress = safeAddress;
+        this.name = name;
+        this.description = description;
+        this.transactions = [];
+    }
+
+    /**
+     * @dev Encode a call and keep its decoded form so signers can review it in the Transaction Builder
+     */
+    async add(contract, method, args, value = 0n) {
+        const fragment = contract.interface.getFunction(method);
+        const to = await contract.getAddress();
+        const data = contract.interface.encodeFunctionData(fragment, args);
+
+        const contractInputsValues = {};
+        fragment.inputs.forEach((input, index) => {
+            contractInputsValues[input.name] = formatValue(args[index]);
+        });
+
+        this.transactions.push({
+            to,
+            value: value.toString(),
+            data,
+            contractMethod: {
+                inputs: fragment.inputs.map((input) => ({ name: input.name, type: input.type, internalType: input.type })),
+                name: fragment.name,
+                payable: fragment.payable
+            },
+            contractInputsValues,
+            description: `${fragment.name}(${fragment.inputs.map((input, index) => `${input.name}=${formatValue(args[index])}`).join(", ")}) on ${to}`
+        });
+    }
+
+    toJSON() {
+        return {
+            version: "1.0",
+            chainId: this.chainId,
+            createdAt: Date.now(),
+            meta: {
+                name: this.name,
+                description: [this.description, ...this.transactions.map((tx, index) => `${index + 1}. ${tx.description}`)]
+                    .filter(Boolean)
+                    .join("\n"),
+                txBuilderVersion: TX_BUILDER_VERSION,
+                createdFromSafeAddress: this.safeAddress,
+                createdFromOwnerAddress: ""
+            },
+            transactions: this.transactions
+        };
+    }
+
+    write(file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(this, null, 2) + "\n");
+        return file;
+    }
+}
+
+function loadBatch(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Safe batch not found: ${file}`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @dev Execute batches as the Safe on the in-process Hardhat network and report each transaction.
+ * With options.forkUrl the network is first reset to a fork of that chain; otherwise the current state
+ * is used and restored afterwards. A Safe executes a batch atomically, so the first revert stops it.
+ * @param options.forkUrl JSON-RPC URL of the chain to fork
+ * @param options.blockNumber Block to fork at (defaults to latest)
+ */
+async function simulateBatches(hre, batches, options = {}) {
+    const { ethers, network } = hre;
+    const log = options.log || console.log;
+
+    if (network.name !== "hardhat") {
+        throw new Error(`Safe batches are simulated on the hardhat network, not ${network.name}`);
+    }
+
+    if (options.forkUrl) {
+        await network.provider.request({
+            method: "hardhat_reset",
+            params: [{ forking: { jsonRpcUrl: options.forkUrl, ...(options.blockNumber && { blockNumber: options.blockNumber }) } }]
+        });
+        log(`🍴 Forked ${options.forkUrl} at block ${await ethers.provider.getBlockNumber()}`);
+    }
+    const snapshotId = options.forkUrl ? undefined : await network.provider.send("evm_snapshot");
+
+    const results = [];
+    try {
+        for (const batch of batches) {
+            const safe = batch.meta.createdFromSafeAddress;
+            await network.provider.send("hardhat_setBalance", [safe, "0x56BC75E2D63100000"]);
+            const signer = await ethers.getImpersonatedSigner(safe);
+
+            const result = { name: batch.meta.name, safe, status: "success", transactions: [] };
+            for (const [index, tx] of batch.transactions.entries()) {
+                const description = tx.description || `${tx.contractMethod?.name || "call"} on ${tx.to}`;
+
+                if (result.status !== "success") {
+                    result.transactions.push({ index, description, status: "skipped" });
+                    continue;
+                }
+
+                try {
+                    const sent = await signer.sendTransaction({ to: tx.to, value: BigInt(tx.value || 0), data: tx.data });
+                    const receipt = await sent.wait();
+                    result.transactions.push({ index, description, status: "success", gasUsed: receipt.gasUsed.toString() });
+                    log(`   ✅ ${index + 1}. ${description} (gas ${receipt.gasUsed})`);
+                } catch (error) {
+                    result.status = "reverted";
+                    result.transactions.push({ index, description, status: "reverted", error: error.shortMessage || error.message });
+                    log(`   ❌ ${index + 1}. ${description}: ${error.shortMessage || error.message}`);
+                }
+            }
+
+            await network.provider.send("hardhat_stopImpersonatingAccount", [safe]);
+            results.push(result);
+            if (result.status !== "success") break;
+        }
+    } finally {
+        if (snapshotId) await network.provider.send("evm_revert", [snapshotId]);
+    }
+
+    return results;
+}
+
+module.exports = {
+    SafeBatch,
+    batchDir,
+    loadBatch,
+    simulateBatches
+};
@@ -0,0 +1,61 @@
+// SDK build: writes the ABI of every deployable contract variant to sdk/abis and the chainId address book of the
+// public deployment records to sdk/addresses.json
+
+const fs = require("fs");
+const path = require("path");
+const { VARIANTS } = require("./ecosystem");
+const { loadAddressBook } = require("../../sdk");
+
+const SDK_DIR = path.join(__dirname, "../../sdk");
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+
+/**
+ * @dev Records of in-process and local node deployments, which are not committed and stay out of the package
+ */
+const LOCAL_NETWORKS = ["hardhat", "localhost", "localhost2"];
+
+/**
+ * @dev Every contract name an ecosystem slot can be deployed as
+ */
+function sdkContracts() {
+    return [...new Set(Object.values(VARIANTS).flatMap((variants) => Object.keys(variants)))].sort();
+}
+
+/**
+ * @dev ABI per SDK contract, read from the compiled artifacts
+ */
+async function readAbis(hre) {
+    const abis = {};
+    for (const name of sdkContracts()) abis[name] = (await hre.artifacts.readArtifact(name)).abi;
+    return abis;
+}
+
+/**
+ * @param options.sdkDir Package directory (default sdk/)
+ * @param options.deploymentsDir Deployment records (default deployments/)
+ * @param options.includeLocal Also add the local network records
+ * @return { contracts, chains } names of the ABIs and chainIds of the address book written
+ */
+async function buildSdk(hre, { sdkDir = SDK_DIR, deploymentsDir = DEPLOYMENTS_DIR, includeLocal = false } = {}) {
+    const abiDir = path.join(sdkDir, "abis");
+    fs.rmSync(abiDir, { recursive: true, force: true });
+    fs.mkdirSync(abiDir, { recursive: true });
+    const abis = await readAbis(hre);
+    for (const [name, abi] of Object.entries(abis)) {
+        fs.writeFileSync(path.join(abiDir, `${name}.json`), JSON.stringify(abi, null, 2) + "\n");
+    }
+
+    const book = fs.existsSync(deploymentsDir)
+        ? loadAddressBook(deploymentsDir, { exclude: includeLocal ? [] : LOCAL_NETWORKS })
+        : {};
+    fs.writeFileSync(path.join(sdkDir, "addresses.json"), JSON.stringify(book, null, 2) + "\n");
+
+    return { contracts: Object.keys(abis), chains: Object.keys(book) };
+}
+
+module.exports = {
+    LOCAL_NETWORKS,
+    buildSdk,
+    readAbis,
+    sdkContracts
+};
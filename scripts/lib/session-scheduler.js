@@ -0,0 +1,294 @@
+// Session scheduler for RiddleNFTAdvanced: creates riddle sessions from a calendar file ahead of time and
+// starts them at their scheduled moment. Session ids and the randomized parameters are kept in the deployment record
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { isHardhatNode } = require("./chain");
+const { DIFFICULTIES } = require("./contracts");
+const { Poller } = require("./poller");
+const { roleHash } = require("./roles");
+
+const CALENDAR_DIR = path.join(__dirname, "../../config/sessions");
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * @dev Seconds from a number of seconds or a string like "90m", "2h" or "3d"
+ */
+function parseDuration(value) {
+    if (typeof value === "number") return value;
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+    if (!match) return NaN;
+    return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+/**
+ * @dev config/sessions/<network>.yaml, .yml or .json, whichever exists
+ */
+function calendarFile(network) {
+    const candidates = ["yaml", "yml", "json"].map((ext) => path.join(CALENDAR_DIR, `${network}.${ext}`));
+    const file = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+        throw new Error(`No session calendar for network "${network}" (expected config/sessions/${network}.yaml or .json)`);
+    }
+    return file;
+}
+
+/**
+ * @dev Read and validate a calendar; every problem is reported at once so nothing is sent for a half-valid file.
+ * Entries are keyed by their `id`, or by start time and title when no id is given
+ */
+function loadCalendar(file) {
+    const text = fs.readFileSync(file, "utf8");
+    const parsed = file.endsWith(".json") ? JSON.parse(text) : yaml.load(text);
+    const list = Array.isArray(parsed) ? parsed : parsed?.sessions;
+    if (!Array.isArray(list)) {
+        throw new Error(`${file} must contain a list of sessions (or a "sessions" list)`);
+    }
+
+    const errors = [];
+    const entries = list.map((raw, i) => {
+        const label = `sessions[${i}]${raw?.title ? ` (${raw.title})` : ""}`;
+        const fail = (message) => errors.push(`${label}: ${message}`);
+
+        if (!raw || typeof raw !== "object") {
+            fail("must be an object");
+            return undefined;
+        }
+        if (!raw.title) fail("title is required");
+        if (!raw.category) fail("category is required");
+
+        const difficulty = typeof raw.difficulty === "number"
+            ? raw.difficulty
+            : DIFFICULTIES.indexOf(String(raw.difficulty).toUpperCase());
+        if (!DIFFICULTIES[difficulty]) fail(`difficulty must be one of ${DIFFICULTIES.join(", ")}`);
+
+        const questionIds = raw.questionIds ?? [];
+        if (!Array.isArray(questionIds) || !questionIds.every((id) => Number.isInteger(Number(id)) && Number(id) > 0)) {
+            fail("questionIds must be a list of question ids");
+        }
+
+        const duration = parseDuration(raw.duration);
+        if (!(duration > 0)) fail(`duration "${raw.duration}" must be seconds or a number with s, m, h or d`);
+
+        // YAML parses unquoted timestamps into Dates already
+        const start = raw.start instanceof Date ? raw.start : new Date(raw.start);
+        if (Number.isNaN(start.getTime())) fail(`start "${raw.start}" is not a valid date`);
+
+        return {
+            key: raw.id ? String(raw.id) : `${raw.start instanceof Date ? raw.start.toISOString() : raw.start} ${raw.title}`,
+            title: raw.title,
+            description: raw.description || "",
+            category: raw.category,
+            difficulty,
+            questionIds: Array.isArray(questionIds) ? questionIds.map(Number) : [],
+            duration,
+            start: Math.floor(start.getTime() / 1000)
+        };
+    });
+
+    const seen = new Set();
+    for (const entry of entries.filter(Boolean)) {
+        if (seen.has(entry.key)) errors.push(`Duplicate session "${entry.key}"; give one of them an id`);
+        seen.add(entry.key);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid session calendar ${file}:\n  ${errors.join("\n  ")}`);
+    }
+    return entries.sort((a, b) => a.start - b.start);
+}
+
+class SessionScheduler extends Poller {
+    /**
+     * @param nft RiddleNFTAdvanced connected to a GAME_MASTER_ROLE signer
+     * @param entries Calendar entries from loadCalendar
+     * @param record Deployment record the scheduled sessions are kept in (under "sessions")
+     * @param options.createAhead Seconds before the start time a session is created (default 24h)
+     * @param options.pollInterval Longest wait between checks in milliseconds (default 60s)
+     * @param options.timeTravel Advance a Hardhat node to the next scheduled action instead of waiting
+     * @param options.overrides Transaction overrides
+     * @param options.confirmations Confirmations to wait for per transaction
+     * @param options.log Progress logger (defaults to console.log)
+     */
+    constructor(nft, entries, record, options = {}) {
+        super(options);
+        this.nft = nft;
+        this.entries = entries;
+        this.record = record;
+        this.provider = nft.runner.provider;
+        this.createAhead = options.createAhead ?? 24 * 3600;
+        this.timeTravel = options.timeTravel ?? false;
+        this.overrides = { ...options.overrides };
+        this.confirmations = options.confirmations ?? 1;
+    }
+
+    get sessions() {
+        if (!this.record.data.sessions) this.record.set("sessions", {});
+        return this.record.data.sessions;
+    }
+
+    /**
+     * @dev Refuse to start without GAME_MASTER_ROLE, with questions createRiddleSession would reject,
+     * or with time travel on a real chain
+     */
+    async start() {
+        const address = await this.nft.runner.getAddress();
+        if (!(await this.nft.hasRole(roleHash("GAME_MASTER_ROLE"), address))) {
+            throw new Error(`${address} does not hold GAME_MASTER_ROLE on ${await this.nft.getAddress()}`);
+        }
+
+        if (this.timeTravel && !(await isHardhatNode(this.provider))) {
+            throw new Error("Time travel is only available on a Hardhat node");
+        }
+
+        const problems = [];
+        for (const entry of this.entries.filter((candidate) => !this.sessions[candidate.key])) {
+            for (const id of entry.questionIds) {
+                const question = await this.nft.getQuestionData(id);
+                if (!question.validated) {
+                    problems.push(`${entry.key}: question ${id} is not validated`);
+                } else if (Number(question.difficulty) !== entry.difficulty) {
+                    problems.push(`${entry.key}: question ${id} is ${DIFFICULTIES[Number(question.difficulty)]}, not ${DIFFICULTIES[entry.difficulty]}`);
+                }
+            }
+        }
+        if (problems.length > 0) {
+            throw new Error(`createRiddleSession would reject these sessions:\n  ${problems.join("\n  ")}`);
+        }
+
+        this.address = address;
+        return address;
+    }
+
+    async chainTime() {
+        return (await this.provider.getBlock("latest")).timestamp;
+    }
+
+    save(key, fields) {
+        this.sessions[key] = { ...this.sessions[key], ...fields };
+        this.record.save();
+    }
+
+    /**
+     * @dev createRiddleSession and record the id and randomized parameters from RiddleSessionCreated
+     */
+    async create(entry) {
+        const receipt = await (await this.nft.createRiddleSession(
+            entry.title,
+            entry.description,
+            entry.category,
+            entry.difficulty,
+            entry.questionIds,
+            entry.duration,
+            this.overrides
+        )).wait(this.confirmations);
+
+        const created = receipt.logs
+            .map((log) => this.nft.interface.parseLog(log))
+            .find((event) => event?.name === "RiddleSessionCreated");
+
+        this.save(entry.key, {
+            title: entry.title,
+            category: entry.category,
+            difficulty: DIFFICULTIES[entry.difficulty],
+            scheduledStart: new Date(entry.start * 1000).toISOString(),
+            sessionId: created.args.sessionId.toString(),
+            maxMints: created.args.maxMints.toString(),
+            prizePool: created.args.prizePool.toString(),
+            winnerSlots: created.args.winnerSlots.toString(),
+            status: "created",
+            createdAt: new Date().toISOString(),
+            createTx: receipt.hash
+        });
+        this.log(`🧩 Created session ${created.args.sessionId} "${entry.title}" ` +
+            `(${created.args.maxMints} mints, ${created.args.winnerSlots} winner slots)`);
+    }
+
+    async startSession(entry, now) {
+        const { sessionId } = this.sessions[entry.key];
+        const receipt = await (await this.nft.startRiddleSession(sessionId, this.overrides)).wait(this.confirmations);
+
+        this.save(entry.key, { status: "started", startedAt: new Date().toISOString(), startTx: receipt.hash });
+        const late = now - entry.start;
+        this.log(`🚀 Started session ${sessionId} "${entry.title}"${late > this.pollInterval / 1000 ? ` (${late}s late)` : ""}`);
+    }
+
+    /**
+     * @dev Chain time of the next create or start still to do, or undefined when the calendar is done
+     */
+    nextAction() {
+        const times = this.entries.flatMap((entry) => {
+            const status = this.sessions[entry.key]?.status;
+            if (!status) return [entry.start - this.createAhead];
+            if (status === "created") return [entry.start];
+            return [];
+        });
+        return times.length > 0 ? Math.min(...times) : undefined;
+    }
+
+    /**
+     * @dev Create every session inside its create-ahead window and start every session whose time has come.
+     * A session whose whole duration passed before it could be created is marked missed rather than run late
+     */
+    async tick() {
+        let now = await this.chainTime();
+        const next = this.nextAction();
+        if (this.timeTravel && next !== undefined && next > now) {
+            await this.provider.send("evm_increaseTime", [next - now]);
+            await this.provider.send("evm_mine", []);
+            this.log(`⏩ Advanced the local chain ${next - now}s to the next scheduled session`);
+            now = await this.chainTime();
+        }
+
+        const result = { created: [], started: [], missed: [] };
+        for (const entry of this.entries) {
+            if (!this.sessions[entry.key]) {
+                if (now >= entry.start + entry.duration) {
+                    this.save(entry.key, { title: entry.title, status: "missed", scheduledStart: new Date(entry.start * 1000).toISOString() });
+                    this.log(`⚠️  Missed session "${entry.title}": its window ended before it was created`);
+                    result.missed.push(entry.key);
+                    continue;
+                }
+                if (now < entry.start - this.createAhead) continue;
+                await this.create(entry);
+                result.created.push(entry.key);
+            }
+
+            if (this.sessions[entry.key].status === "created" && now >= entry.start) {
+                await this.startSession(entry, now);
+                result.started.push(entry.key);
+            }
+        }
+
+        const upcoming = this.nextAction();
+        result.delay = upcoming === undefined ? undefined : Math.max(upcoming - now, 0) * 1000;
+        return result;
+    }
+
+    /**
+     * @dev Tick until every calendar entry is started or missed, or stop() is called
+     * @param options.maxTicks Stop after this many iterations
+     */
+    async run({ maxTicks = Infinity } = {}) {
+        await this.start();
+        this.log(`📅 Scheduler ${this.address} running ${this.entries.length} session(s) on ${await this.nft.getAddress()}`);
+
+        await this.poll("Scheduler", async () => {
+            const { delay } = await this.tick();
+            if (delay === undefined) {
+                this.log("✅ Every scheduled session has been started");
+                return false;
+            }
+            return Math.min(delay, this.pollInterval);
+        }, { maxTicks });
+    }
+}
+
+module.exports = {
+    CALENDAR_DIR,
+    SessionScheduler,
+    calendarFile,
+    loadCalendar,
+    parseDuration
+};
@@ -0,0 +1,113 @@
+// Contract state snapshots for comparing a proxy before and after an upgrade
+// Values are flattened to "view.field" -> string so two snapshots can be diffed key by key
+
+const { ROLES, SNAPSHOT_VIEWS, roleHash } = require("./contracts");
+
+/**
+ * @dev Convert an ethers return value into plain strings, keeping named tuple fields
+ */
+function normalize(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (value && typeof value.toObject === "function") {
+        const named = value.toObject();
+        const keys = Object.keys(named);
+        // Unnamed tuples come back as "_0", "_1"... keep them positional
+        if (keys.length > 0 && !keys.every((key) => /^_\d+$/.test(key))) {
+            return Object.fromEntries(keys.map((key) => [key, normalize(named[key])]));
+        }
+        return Array.from(value, normalize);
+    }
+    if (Array.isArray(value)) return value.map(normalize);
+    return String(value);
+}
+
+function flatten(prefix, value, out) {
+    if (value !== null && typeof value === "object") {
+        for (const [key, inner] of Object.entries(value)) {
+            flatten(`${prefix}.${key}`, inner, out);
+        }
+    } else {
+        out[prefix] = value;
+    }
+    return out;
+}
+
+/**
+ * @dev Accounts worth checking for role membership: the deployer, configured wallets and ecosystem contracts
+ */
+function candidateAccounts(record, extra = []) {
+    const accounts = new Set(extra);
+    if (record.data.deployer) accounts.add(record.data.deployer);
+    for (const wallet of Object.values(record.data.wallets || {})) accounts.add(wallet);
+    for (const contract of Object.values(record.contracts)) accounts.add(contract.address);
+    return [...accounts];
+}
+
+/**
+ * @dev Role hash from the contract's constant, or computed from the name when the deployed implementation
+ * predates the role (e.g. BRIDGE_MINTER_ROLE before the bridge upgrade)
+ */
+async function readRole(contract, roleName) {
+    try {
+        return await contract[roleName]();
+    } catch {
+        return roleHash(roleName);
+    }
+}
+
+/**
+ * @dev Read the watched views and role holders of a contract into a flat snapshot
+ */
+async function takeSnapshot(contract, contractName, accounts = []) {
+    const snapshot = {};
+
+    for (const view of SNAPSHOT_VIEWS[contractName] || []) {
+        try {
+            flatten(view, normalize(await contract[view]()), snapshot);
+        } catch (error) {
+            snapshot[view] = `<unreadable: ${error.shortMessage || error.message}>`;
+        }
+    }
+
+    for (const roleName of ROLES[contractName] || []) {
+        const role = await readRole(contract, roleName);
+        const holders = [];
+        for (const account of accounts) {
+            if (await contract.hasRole(role, account)) holders.push(account);
+        }
+        snapshot[`roles.${roleName}`] = holders.sort().join(",");
+    }
+
+    return snapshot;
+}
+
+/**
+ * @dev Keys whose values differ between two snapshots
+ */
+function diffSnapshots(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    for (const key of [...keys].sort()) {
+        if (before[key] !== after[key]) {
+            changes.push({ key, before: before[key], after: after[key] });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * @dev A change is expected when its key, or a parent of it, is listed ("roles" covers "roles.MINTER_ROLE")
+ */
+function isExpectedChange(key, expected = []) {
+    return expected.some((pattern) => key === pattern || key.startsWith(`${pattern}.`));
+}
+
+module.exports = {
+    candidateAccounts,
+    diffSnapshots,
+    isExpectedChange,
+    normalize,
+    takeSnapshot
+};
@@ -0,0 +1,25 @@
+// RiddlenTreasuryDripAutomated helpers shared by the deployer and the treasury tooling
+
+const { normalize } = require("./snapshot");
+
+/**
+ * @dev RDLN the treasury must approve so every remaining monthly release can be pulled:
+ * getRemainingReleases() x calculateReleaseAmount()
+ */
+async function requiredApproval(drip) {
+    const [remaining, amount] = await Promise.all([drip.getRemainingReleases(), drip.calculateReleaseAmount()]);
+    return { remaining, amount, approval: remaining * amount };
+}
+
+/**
+ * @dev getContractStatus() as a plain object with the leading underscores dropped
+ */
+async function readContractStatus(drip) {
+    const status = normalize(await drip.getContractStatus());
+    return Object.fromEntries(Object.entries(status).map(([key, value]) => [key.replace(/^_/, ""), value]));
+}
+
+module.exports = {
+    readContractStatus,
+    requiredApproval
+};
@@ -0,0 +1,234 @@
+// Monitor for RiddlenTreasuryDripAutomated: watches the drip's warning events and getContractStatus,
+// evaluates alert rules and delivers alerts to the configured sinks
+
+const { ZeroAddress, formatEther } = require("ethers");
+const { AlertingPoller } = require("./poller");
+const { readContractStatus } = require("./treasury-drip");
+
+const HOUR = 60 * 60;
+
+/**
+ * @dev Events that raise an alert as soon as they are seen, with their severity and message
+ */
+const WATCHED_EVENTS = {
+    TreasuryLowBalance: {
+        severity: "warning",
+        message: (args) => `Treasury down to ${formatEther(args.remainingBalance)} RDLN (${args.monthsRemaining} months of releases left)`
+    },
+    CircuitBreakerActivated: {
+        severity: "critical",
+        message: (args) => `Circuit breaker activated after ${args.consecutiveFailures} consecutive failures; the drip is paused`
+    },
+    ReleaseFailureDetails: {
+        severity: "critical",
+        message: (args, reason) => `Release of ${formatEther(args.amount)} RDLN failed${reason ? `: ${reason}` : ""}`
+    },
+    UnauthorizedAutomationAttempt: {
+        severity: "warning",
+        message: (args) => `Unauthorized performUpkeep attempt from ${args.caller}`
+    },
+    TreasuryWalletUpdateProposed: {
+        severity: "warning",
+        message: (args) => `Treasury wallet update proposed: ${args.oldWallet} -> ${args.newWallet}, executable after ` +
+            new Date(Number(args.executeAfter) * 1000).toISOString()
+    },
+    OperationsWalletUpdateProposed: {
+        severity: "warning",
+        message: (args) => `Operations wallet update proposed: ${args.oldWallet} -> ${args.newWallet}, executable after ` +
+            new Date(Number(args.executeAfter) * 1000).toISOString()
+    }
+};
+
+/**
+ * @dev Rule for an unexecuted wallet update of one type that becomes executable within the alert window
+ */
+function walletUpdateRule(type) {
+    return {
+        id: `${type}-wallet-update`,
+        severity: "warning",
+        check: (state, options) => {
+            const update = state.pendingUpdates[type];
+            if (!update || update.executed) return undefined;
+            const remaining = update.executeAfter - state.chainTime;
+            if (remaining >= options.walletUpdateWindow) return undefined;
+            const when = remaining > 0 ? `in ${Math.ceil(remaining / HOUR)}h` : "now";
+            return `Pending ${type} wallet update #${update.updateId} to ${update.newAddress} becomes executable ${when}`;
+        }
+    };
+}
+
+/**
+ * @dev Rules evaluated against every status read; check returns the alert message while the condition holds
+ */
+const DEFAULT_RULES = [
+    {
+        id: "allowance-below-next-release",
+        severity: "critical",
+        check: (state) => {
+            if (BigInt(state.treasuryApproval) >= BigInt(state.nextReleaseAmount)) return undefined;
+            return `Treasury approval ${formatEther(state.treasuryApproval)} RDLN is below the next release of ` +
+                `${formatEther(state.nextReleaseAmount)} RDLN`;
+        }
+    },
+    walletUpdateRule("treasury"),
+    walletUpdateRule("operations"),
+    {
+        id: "consecutive-failures",
+        severity: "warning",
+        check: (state) => (Number(state.consecutiveFailures) > 0
+            ? `${state.consecutiveFailures} consecutive release failures`
+            : undefined)
+    },
+    {
+        id: "paused",
+        severity: "warning",
+        check: (state) => (state.isPaused ? "TreasuryDrip is paused" : undefined)
+    }
+];
+
+class TreasuryMonitor extends AlertingPoller {
+    /**
+     * @param drip RiddlenTreasuryDripAutomated (read-only; any runner with a provider)
+     * @param options.sinks Alert sinks (defaults to the console)
+     * @param options.rules Status rules (defaults to DEFAULT_RULES)
+     * @param options.walletUpdateWindow Alert on pending wallet updates executable within this many seconds (default 48h)
+     * @param options.pollInterval Milliseconds between polls (default 60s)
+     * @param options.blockRange Largest eth_getLogs window in blocks (default 2000)
+     * @param options.fromBlock First block to scan for events (defaults to the next block after start)
+     * @param options.log Progress logger (defaults to console.log)
+     */
+    constructor(drip, options = {}) {
+        super(options);
+        this.drip = drip;
+        this.provider = drip.runner.provider;
+        this.rules = options.rules || DEFAULT_RULES;
+        this.walletUpdateWindow = options.walletUpdateWindow ?? 48 * HOUR;
+        this.blockRange = options.blockRange ?? 2000;
+        this.fromBlock = options.fromBlock;
+        this.active = new Map();
+    }
+
+    async start() {
+        this.address = await this.drip.getAddress();
+        this.chainId = (await this.provider.getNetwork()).chainId.toString();
+        this.nextBlock = this.fromBlock ?? (await this.provider.getBlockNumber()) + 1;
+        return this.address;
+    }
+
+    /**
+     * @dev Alerts for watched events in the blocks since the last poll. ReleaseFailureDetails indexes its
+     * reason, so the readable reason is taken from the ReleaseSkipped event of the same transaction
+     */
+    async pollEvents() {
+        const latest = await this.provider.getBlockNumber();
+        if (this.nextBlock > latest) return [];
+
+        const topics = [...Object.keys(WATCHED_EVENTS), "ReleaseSkipped"]
+            .map((name) => this.drip.interface.getEvent(name).topicHash);
+        const logs = [];
+        for (let start = this.nextBlock; start <= latest; start += this.blockRange) {
+            const end = Math.min(start + this.blockRange - 1, latest);
+            logs.push(...(await this.provider.getLogs({ address: this.address, topics: [topics], fromBlock: start, toBlock: end })));
+        }
+        this.nextBlock = latest + 1;
+
+        const events = logs
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+            .map((log) => ({ log, event: this.drip.interface.parseLog(log) }));
+        const skipped = new Map(events
+            .filter(({ event }) => event.name === "ReleaseSkipped")
+            .map(({ log, event }) => [log.transactionHash, event.args.reason]));
+
+        return events
+            .filter(({ event }) => WATCHED_EVENTS[event.name])
+            .map(({ log, event }) => this.alert({
+                id: event.name,
+                source: "event",
+                severity: WATCHED_EVENTS[event.name].severity,
+                message: WATCHED_EVENTS[event.name].message(event.args, skipped.get(log.transactionHash)),
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash
+            }));
+    }
+
+    /**
+     * @dev getContractStatus() plus what the rules need beyond it: next release amount, chain time and pending wallet updates
+     */
+    async readState() {
+        const [status, nextReleaseAmount, block] = await Promise.all([
+            readContractStatus(this.drip),
+            this.drip.calculateReleaseAmount(),
+            this.provider.getBlock("latest")
+        ]);
+
+        const pendingUpdates = {};
+        for (const type of ["treasury", "operations"]) {
+            const update = await this.drip.getPendingUpdate(type);
+            if (update.newAddress === ZeroAddress) continue;
+            pendingUpdates[type] = {
+                updateId: update.updateId.toString(),
+                newAddress: update.newAddress,
+                executeAfter: Number(update.executeAfter),
+                executed: update.executed
+            };
+        }
+
+        return {
+            ...status,
+            isPaused: status.isPaused === "true",
+            automationEnabled: status.automationEnabled === "true",
+            canReleaseNow: status.canReleaseNow === "true",
+            nextReleaseAmount: nextReleaseAmount.toString(),
+            chainTime: block.timestamp,
+            pendingUpdates
+        };
+    }
+
+    /**
+     * @dev Alerts for rules that started or stopped firing since the last evaluation; a rule that keeps
+     * firing with the same message is not repeated
+     */
+    evaluate(state) {
+        const alerts = [];
+        for (const rule of this.rules) {
+            const message = rule.check(state, { walletUpdateWindow: this.walletUpdateWindow });
+            const previous = this.active.get(rule.id);
+
+            if (message && message !== previous) {
+                this.active.set(rule.id, message);
+                alerts.push(this.alert({ id: rule.id, source: "rule", severity: rule.severity, message }));
+            } else if (!message && previous) {
+                this.active.delete(rule.id);
+                alerts.push(this.alert({ id: rule.id, source: "rule", severity: "info", resolved: true, message: `Resolved: ${previous}` }));
+            }
+        }
+        return alerts;
+    }
+
+    /**
+     * @dev One monitor iteration: new events, then the status rules; returns the alerts delivered
+     */
+    async tick() {
+        const alerts = [...(await this.pollEvents()), ...this.evaluate(await this.readState())];
+        for (const alert of alerts) {
+            await this.deliver(alert);
+        }
+        return alerts;
+    }
+
+    /**
+     * @dev Poll until stop() is called
+     * @param options.maxTicks Stop after this many iterations
+     */
+    async run({ maxTicks = Infinity } = {}) {
+        await this.start();
+        this.log(`👀 Monitoring ${this.address} from block ${this.nextBlock} (${this.sinks.map((sink) => sink.name).join(", ")})`);
+        await this.poll("Monitor", () => this.tick(), { maxTicks });
+    }
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    TreasuryMonitor,
+    WATCHED_EVENTS
+};
@@ -0,0 +1,202 @@
+// Guarded UUPS upgrades for proxies in the deployment record
+// Storage layout is validated first, then watched state is snapshotted before and after the upgrade. Nodes with
+// evm_snapshot (Hardhat, forks) rehearse the upgrade and revert it first, so unexpected changes stop the real upgrade;
+// on public RPCs the comparison only runs after the upgrade is mined and can report damage, not prevent it
+
+const path = require("path");
+const { VARIANTS } = require("./ecosystem");
+const { SafeBatch, batchDir } = require("./safe-batch");
+const { candidateAccounts, diffSnapshots, isExpectedChange, takeSnapshot } = require("./snapshot");
+
+class UnexpectedStateChangeError extends Error {
+    constructor(key, changes) {
+        super(
+            `Upgrade of ${key} changed state unexpectedly:\n` +
+            changes.map((change) => `   ${change.key}: ${change.before} -> ${change.after}`).join("\n")
+        );
+        this.name = "UnexpectedStateChangeError";
+        this.changes = changes;
+    }
+}
+
+/**
+ * @dev Proxy options (unsafeAllow etc.) the slot was deployed with
+ */
+function proxyOptionsFor(key, entry) {
+    const variant = VARIANTS[key]?.[entry.variant || entry.name];
+    return { kind: "uups", ...(variant?.options || {}) };
+}
+
+/**
+ * @dev Validate the new implementation's storage layout against the proxy,
+ * importing the proxy into the OpenZeppelin manifest first if this machine has never seen it
+ */
+async function validateStorageLayout(hre, entry, newFactory, proxyOptions) {
+    const { ethers, upgrades } = hre;
+
+    try {
+        await upgrades.validateUpgrade(entry.address, newFactory, proxyOptions);
+    } catch (error) {
+        if (!/not registered/i.test(error.message)) throw error;
+
+        const currentFactory = await ethers.getContractFactory(entry.name);
+        await upgrades.forceImport(entry.address, currentFactory, proxyOptions);
+        await upgrades.validateUpgrade(entry.address, newFactory, proxyOptions);
+    }
+}
+
+/**
+ * @dev Upgrade on an evm_snapshot, compare the watched state with before and revert.
+ * Returns the unexpected changes, or undefined when the node cannot snapshot
+ */
+async function rehearseUpgrade(hre, entry, newFactory, proxyOptions, { current, before, accounts, expectChanges }) {
+    const { provider } = hre.network;
+    let snapshotId;
+    try {
+        snapshotId = await provider.send("evm_snapshot", []);
+    } catch {
+        return undefined;
+    }
+
+    try {
+        const upgraded = await hre.upgrades.upgradeProxy(entry.address, newFactory, proxyOptions);
+        await upgraded.deploymentTransaction()?.wait();
+        const after = await takeSnapshot(current, entry.name, accounts);
+        return diffSnapshots(before, after).filter((change) => !isExpectedChange(change.key, expectChanges));
+    } finally {
+        await provider.send("evm_revert", [snapshotId]);
+    }
+}
+
+/**
+ * @dev Upgrade a recorded proxy to a new implementation
+ * @param options.to Contract name of the new implementation (defaults to the recorded name)
+ * @param options.expectChanges Snapshot keys allowed to change (e.g. "roles.UPGRADER_ROLE")
+ * @param options.validateOnly Stop after storage validation and the "before" snapshot
+ * @param options.safe Deploy the implementation but export upgradeToAndCall as a Safe batch for wallets.admin
+ * @param options.overrides Transaction overrides for the upgrade
+ * @throws UnexpectedStateChangeError before upgrading when the rehearsal changes unlisted state, or after the
+ * upgrade when the node could not rehearse it
+ */
+async function upgradeRecordedProxy(hre, record, key, options = {}) {
+    const { ethers, upgrades } = hre;
+    const log = options.log || console.log;
+
+    const entry = record.getContract(key);
+    if (!entry) throw new Error(`No contract "${key}" in ${record.file}`);
+    if (!entry.proxy) throw new Error(`${entry.name} (${key}) is not a proxy and cannot be upgraded`);
+
+    const newName = options.to || entry.name;
+    const newFactory = await ethers.getContractFactory(newName);
+    const proxyOptions = proxyOptionsFor(key, entry);
+
+    log(`🔍 Validating storage layout ${entry.name} -> ${newName}...`);
+    await validateStorageLayout(hre, entry, newFactory, proxyOptions);
+    log("✅ Storage layout compatible");
+
+    const current = await ethers.getContractAt(entry.name, entry.address);
+    const [signer] = await ethers.getSigners();
+    const upgrader = options.safe ? record.data.wallets.admin : signer.address;
+    const UPGRADER_ROLE = await current.UPGRADER_ROLE();
+    if (!(await current.hasRole(UPGRADER_ROLE, upgrader))) {
+        throw new Error(`${upgrader} does not hold UPGRADER_ROLE on ${entry.name} (${entry.address})`);
+    }
+
+    const accounts = candidateAccounts(record, [signer.address]);
+    const before = await takeSnapshot(current, entry.name, accounts);
+    log(`📸 Captured ${Object.keys(before).length} state values before upgrade`);
+
+    if (options.validateOnly) {
+        return { validated: true, before };
+    }
+
+    const previousImplementation = await upgrades.erc1967.getImplementationAddress(entry.address);
+
+    if (options.safe) {
+        const implementation = await upgrades.prepareUpgrade(entry.address, newFactory, {
+            ...proxyOptions,
+            txOverrides: { ...options.overrides }
+        });
+        log(`📄 Implementation ${newName} deployed to ${implementation}`);
+
+        const batch = new SafeBatch({
+            chainId: record.data.chainId,
+            safeAddress: upgrader,
+            name: `Riddlen ${record.data.network}: upgrade ${key} to ${newName}`,
+            description: `Upgrade ${entry.name} proxy ${entry.address} from ${previousImplementation}`
+        });
+        await batch.add(current, "upgradeToAndCall", [implementation, "0x"]);
+        const file = batch.write(path.join(batchDir(record), `upgrade-${key}-${newName}.json`));
+        log(`📦 upgradeToAndCall exported to ${file}`);
+
+        record.setContract(key, {
+            upgrades: [
+                ...(entry.upgrades || []),
+                {
+                    from: entry.name,
+                    to: newName,
+                    previousImplementation,
+                    implementation,
+                    proposedAt: new Date().toISOString(),
+                    status: "pending-safe",
+                    batch: file
+                }
+            ]
+        });
+
+        return { batch: file, previousImplementation, implementation, before };
+    }
+
+    const upgradeOptions = { ...proxyOptions, txOverrides: { ...options.overrides } };
+    const rehearsed = await rehearseUpgrade(hre, entry, newFactory, upgradeOptions, {
+        current, before, accounts, expectChanges: options.expectChanges
+    });
+    if (rehearsed === undefined) {
+        log("⚠️  The node has no evm_snapshot, so state is only compared after the upgrade; rehearse on a fork first");
+    } else if (rehearsed.length > 0) {
+        throw new UnexpectedStateChangeError(key, rehearsed);
+    } else {
+        log("🧪 Rehearsed the upgrade on a snapshot without unexpected changes");
+    }
+
+    const upgraded = await upgrades.upgradeProxy(entry.address, newFactory, upgradeOptions);
+    await upgraded.deploymentTransaction()?.wait();
+    const implementation = await upgrades.erc1967.getImplementationAddress(entry.address);
+    log(`✅ Implementation ${previousImplementation} -> ${implementation}`);
+
+    // Read the new state through the old ABI so both snapshots cover the same views
+    const after = await takeSnapshot(current, entry.name, accounts);
+    const changes = diffSnapshots(before, after);
+    const unexpected = changes.filter((change) => !isExpectedChange(change.key, options.expectChanges));
+
+    record.setContract(key, {
+        name: newName,
+        variant: entry.variant || entry.name,
+        implementation,
+        upgrades: [
+            ...(entry.upgrades || []),
+            {
+                from: entry.name,
+                to: newName,
+                previousImplementation,
+                implementation,
+                upgradedAt: new Date().toISOString(),
+                changes,
+                status: unexpected.length === 0 ? "verified" : "unexpected-state-change"
+            }
+        ]
+    });
+
+    if (unexpected.length > 0) {
+        throw new UnexpectedStateChangeError(key, unexpected);
+    }
+
+    return { previousImplementation, implementation, before, after, changes };
+}
+
+module.exports = {
+    UnexpectedStateChangeError,
+    rehearseUpgrade,
+    upgradeRecordedProxy,
+    validateStorageLayout
+};
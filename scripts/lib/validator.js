@@ -0,0 +1,218 @@
+// Validator client for RONAdvanced cross-validation: finds the queries assigned to a validator from
+// QualityAssuranceTriggered events, loads and verifies their payloads, submits consensus and reports each query's
+// progress toward CONSENSUS_THRESHOLD
+
+const fs = require("fs");
+const path = require("path");
+const { keccak256, toUtf8Bytes } = require("ethers");
+const { queryInChunks, revertReason } = require("./chain");
+
+/**
+ * @dev Published form of a query payload. The queryHash the oracle assigns is the keccak256 of these bytes, so
+ * validators can check that the payload they read is the one they are asked about
+ */
+function encodePayload(payload) {
+    return JSON.stringify(payload, null, 2) + "\n";
+}
+
+function payloadHash(bytes) {
+    return keccak256(typeof bytes === "string" ? toUtf8Bytes(bytes) : bytes);
+}
+
+/**
+ * @dev Further yes answers needed for provideCrossValidation's integer percentage to reach the threshold
+ */
+function yesNeeded(yes, total, threshold) {
+    let needed = 0;
+    while (Math.floor(((yes + needed) * 100) / total) < threshold) needed++;
+    return needed;
+}
+
+class ValidatorClient {
+    /**
+     * @param ron RONAdvanced connected to the validator's signer (the oracle's signer for request())
+     * @param options.fromBlock First block searched for queries (default 0)
+     * @param options.blockRange Largest eth_getLogs window in blocks (default 5000)
+     * @param options.queryDir Directory holding payloads as <queryHash>.json
+     * @param options.queryUrl Payload URL template with {queryHash}, tried when the file is missing
+     * @param options.overrides Transaction overrides
+     * @param options.confirmations Confirmations to wait for per transaction
+     */
+    constructor(ron, options = {}) {
+        this.ron = ron;
+        this.provider = ron.runner.provider;
+        this.fromBlock = options.fromBlock ?? 0;
+        this.blockRange = options.blockRange ?? 5000;
+        this.queryDir = options.queryDir;
+        this.queryUrl = options.queryUrl;
+        this.overrides = { ...options.overrides };
+        this.confirmations = options.confirmations ?? 1;
+    }
+
+    async start() {
+        this.account = await this.ron.runner.getAddress();
+        this.threshold = Number(await this.ron.CONSENSUS_THRESHOLD());
+        return this.account;
+    }
+
+    /**
+     * @dev Every requested query: the validators of its latest request and the answers given so far
+     */
+    async scan() {
+        const latest = await this.provider.getBlockNumber();
+        const query = (name) => queryInChunks(this.ron, this.ron.filters[name](), this.fromBlock, latest, this.blockRange);
+        const [requests, answers] = await Promise.all([
+            query("QualityAssuranceTriggered"),
+            query("CrossValidationProvided")
+        ]);
+
+        const queries = new Map();
+        for (const event of requests) {
+            const queryHash = event.args.queryHash;
+            queries.set(queryHash, {
+                queryHash,
+                validators: [...event.args.validators],
+                requestedBlock: event.blockNumber,
+                answers: queries.get(queryHash)?.answers ?? new Map()
+            });
+        }
+        for (const event of answers.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)) {
+            queries.get(event.args.queryHash)?.answers.set(event.args.validator, event.args.consensus);
+        }
+        return queries;
+    }
+
+    /**
+     * @dev A query's answers and progress. Yes answers are read from validatorConsensus; a validator who answered no
+     * may still answer yes later, because the contract only refuses a second yes
+     */
+    async progress(query) {
+        const validators = [];
+        let yes = 0;
+        let no = 0;
+        for (const address of query.validators) {
+            let response = null;
+            if (await this.ron.validatorConsensus(query.queryHash, address)) response = "yes";
+            else if (query.answers.has(address)) response = "no";
+            if (response === "yes") yes++;
+            if (response === "no") no++;
+            validators.push({ address, response });
+        }
+        const total = validators.length;
+        const percentage = Math.floor((yes * 100) / total);
+        const own = validators.find((validator) => validator.address === this.account);
+        return {
+            queryHash: query.queryHash,
+            requestedBlock: query.requestedBlock,
+            validators,
+            assigned: own !== undefined,
+            response: own?.response ?? null,
+            yes,
+            no,
+            pending: total - yes - no,
+            total,
+            percentage,
+            threshold: this.threshold,
+            reached: percentage >= this.threshold,
+            yesNeeded: yesNeeded(yes, total, this.threshold)
+        };
+    }
+
+    /**
+     * @dev Queries assigned to the signer, newest first. Open queries are those below the threshold that the
+     * signer has not answered yes
+     * @param options.all Include answered and completed queries
+     */
+    async queries({ all = false } = {}) {
+        const result = [];
+        for (const query of (await this.scan()).values()) {
+            if (!query.validators.includes(this.account)) continue;
+            const progress = await this.progress(query);
+            progress.open = !progress.reached && progress.response !== "yes";
+            if (all || progress.open) result.push(progress);
+        }
+        return result.sort((a, b) => b.requestedBlock - a.requestedBlock);
+    }
+
+    /**
+     * @dev Progress of one query, undefined when it was never requested
+     */
+    async query(queryHash) {
+        const query = (await this.scan()).get(queryHash);
+        return query && this.progress(query);
+    }
+
+    /**
+     * @dev The payload of a query from queryDir or queryUrl, undefined when neither has it
+     * @return { source, verified, content } where verified means the bytes hash to queryHash
+     */
+    async payload(queryHash) {
+        let bytes;
+        let source;
+        const file = this.queryDir && path.join(this.queryDir, `${queryHash}.json`);
+        if (file && fs.existsSync(file)) {
+            bytes = fs.readFileSync(file);
+            source = file;
+        } else if (this.queryUrl) {
+            source = this.queryUrl.replace("{queryHash}", queryHash);
+            const response = await fetch(source);
+            if (response.status === 404) return undefined;
+            if (!response.ok) throw new Error(`GET ${source} failed with HTTP ${response.status}`);
+            bytes = Buffer.from(await response.arrayBuffer());
+        } else {
+            return undefined;
+        }
+
+        let content = bytes.toString("utf8");
+        try {
+            content = JSON.parse(content);
+        } catch {
+            // Shown as text
+        }
+        return { source, verified: payloadHash(bytes) === queryHash, content };
+    }
+
+    /**
+     * @dev Send provideCrossValidation after the contract's own checks, and return the new progress
+     */
+    async respond(queryHash, consensus) {
+        const before = await this.query(queryHash);
+        if (!before) throw new Error(`Query ${queryHash} was never requested`);
+        if (!before.assigned) throw new Error(`${this.account} is not a validator of query ${queryHash}`);
+        if (before.response === "yes") throw new Error(`${this.account} already answered yes to query ${queryHash}`);
+
+        try {
+            const tx = await this.ron.provideCrossValidation(queryHash, consensus, this.overrides);
+            await tx.wait(this.confirmations);
+        } catch (error) {
+            throw new Error(`provideCrossValidation failed: ${revertReason(this.ron, error)}`);
+        }
+        return this.query(queryHash);
+    }
+
+    /**
+     * @dev Oracle side: write the payload to queryDir and assign validators to its hash (ORACLE_ROLE)
+     */
+    async request(payload, validators) {
+        if (!this.queryDir) throw new Error("A query directory is needed to publish the payload");
+        const bytes = encodePayload(payload);
+        const queryHash = payloadHash(bytes);
+        fs.mkdirSync(this.queryDir, { recursive: true });
+        fs.writeFileSync(path.join(this.queryDir, `${queryHash}.json`), bytes);
+
+        try {
+            const tx = await this.ron.requestCrossValidation(queryHash, validators, this.overrides);
+            await tx.wait(this.confirmations);
+        } catch (error) {
+            throw new Error(`requestCrossValidation failed: ${revertReason(this.ron, error)}`);
+        }
+        return queryHash;
+    }
+}
+
+module.exports = {
+    ValidatorClient,
+    encodePayload,
+    payloadHash,
+    yesNeeded
+};
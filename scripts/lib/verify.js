@@ -0,0 +1,243 @@
+// Block explorer verification of every contract in the deployment record
+// Proxies are verified as three parts: the current implementation, the ERC1967Proxy itself and the proxy link
+
+const { ethers } = require("ethers");
+const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+const proxyBuildInfo = require("@openzeppelin/upgrades-core/artifacts/build-info-v5.json");
+const proxyArtifact = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json");
+
+const POLL_INTERVAL_MS = 3000;
+const MAX_POLL_ATTEMPTS = 40;
+
+/**
+ * @dev Explorer client for the connected chain, resolved from the etherscan section of hardhat.config.js
+ */
+async function getExplorer(hre) {
+    const chainConfig = await Etherscan.getCurrentChainConfig(
+        hre.network.name,
+        hre.network.provider,
+        hre.config.etherscan.customChains
+    );
+    return Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig);
+}
+
+/**
+ * @dev Raw explorer API call for actions hardhat-verify does not wrap (proxy linking)
+ */
+async function callExplorerApi(explorer, params) {
+    const url = new URL(explorer.apiUrl);
+    if (explorer.chainId !== undefined) url.searchParams.set("chainid", String(explorer.chainId));
+
+    const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ apikey: explorer.apiKey, ...params }).toString()
+    });
+    if (!response.ok) {
+        throw new Error(`Explorer API returned HTTP ${response.status} for ${params.action}`);
+    }
+    return response.json();
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @dev Constructor arguments as deployed: recorded args for plain contracts,
+ * (first implementation, initialize calldata) for proxies
+ */
+async function reconstructConstructorArgs(hre, entry) {
+    if (!entry.proxy) {
+        const factory = await hre.ethers.getContractFactory(entry.name);
+        return {
+            values: entry.args,
+            encoded: factory.interface.encodeDeploy(entry.args)
+        };
+    }
+
+    // The proxy was constructed with the implementation and initializer of the originally deployed variant
+    const original = await hre.ethers.getContractFactory(entry.variant || entry.name);
+    const firstImplementation = entry.upgrades?.[0]?.previousImplementation || entry.implementation;
+    const initData = original.interface.encodeFunctionData("initialize", entry.args);
+    const values = [firstImplementation, initData];
+
+    return {
+        values,
+        encoded: ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes"], values)
+    };
+}
+
+/**
+ * @dev Refuse to submit arguments that are not the tail of the recorded creation transaction
+ */
+async function checkAgainstDeployment(hre, key, entry, encoded) {
+    if (!entry.deployTransaction) return;
+
+    const tx = await hre.ethers.provider.getTransaction(entry.deployTransaction);
+    if (!tx) return;
+
+    if (!tx.data.toLowerCase().endsWith(encoded.slice(2).toLowerCase())) {
+        throw new Error(
+            `Reconstructed constructor arguments for ${key} do not match deployment transaction ${entry.deployTransaction}`
+        );
+    }
+}
+
+async function fullyQualifiedName(hre, contractName) {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    return `${artifact.sourceName}:${artifact.contractName}`;
+}
+
+/**
+ * @dev Verify a contract compiled by this project through hardhat-verify
+ */
+async function verifyWithHardhat(hre, explorer, address, contractName, constructorArguments) {
+    if (await explorer.isVerified(address)) return "already-verified";
+
+    await hre.run("verify:verify", {
+        address,
+        constructorArguments,
+        contract: await fullyQualifiedName(hre, contractName)
+    });
+    return "verified";
+}
+
+/**
+ * @dev Verify the ERC1967Proxy deployed by @openzeppelin/hardhat-upgrades against the build info it ships with
+ */
+async function verifyProxy(explorer, address, encodedArgs) {
+    if (await explorer.isVerified(address)) return "already-verified";
+
+    const response = await explorer.verify(
+        address,
+        JSON.stringify(proxyBuildInfo.input),
+        `${proxyArtifact.sourceName}:${proxyArtifact.contractName}`,
+        `v${proxyBuildInfo.solcLongVersion}`,
+        encodedArgs.slice(2)
+    );
+    const status = await explorer.getVerificationStatus(response.message);
+    if (!status.isSuccess()) {
+        throw new Error(`ERC1967Proxy verification failed: ${status.message}`);
+    }
+    return "verified";
+}
+
+/**
+ * @dev Ask the explorer to show the implementation ABI on the proxy page
+ */
+async function linkProxy(explorer, proxyAddress, implementation, { pollInterval, maxPollAttempts }) {
+    let body = await callExplorerApi(explorer, {
+        module: "contract",
+        action: "verifyproxycontract",
+        address: proxyAddress,
+        expectedimplementation: implementation
+    });
+
+    if (body.status === "1") {
+        const guid = body.result;
+        body = await callExplorerApi(explorer, { module: "contract", action: "checkproxyverification", guid });
+        for (let attempt = 1; body.result === "Pending in queue"; attempt++) {
+            if (attempt >= maxPollAttempts) {
+                throw new Error(`Linking proxy ${proxyAddress} still pending after ${attempt} checks (guid ${guid}); re-run to check again`);
+            }
+            await sleep(pollInterval);
+            body = await callExplorerApi(explorer, { module: "contract", action: "checkproxyverification", guid });
+        }
+    }
+
+    if (body.status !== "1") {
+        throw new Error(`Linking proxy ${proxyAddress} failed: ${body.result}`);
+    }
+    return "linked";
+}
+
+/**
+ * @dev Run one verification step, turning failures into a recorded status instead of aborting the run
+ */
+async function step(target, run) {
+    try {
+        target.status = await run();
+    } catch (error) {
+        target.status = /already verified/i.test(error.message) ? "already-verified" : "failed";
+        if (target.status === "failed") target.error = error.message;
+    }
+    return target;
+}
+
+/**
+ * @dev Verify every recorded contract (or options.only) and store the outcome under contracts.<key>.verification.
+ * Entries already verified at their current implementation are skipped unless options.force is set.
+ * @param options.pollInterval Milliseconds between proxy link status checks (default 3s)
+ * @param options.maxPollAttempts Status checks before a proxy link still in the explorer's queue fails (default 40)
+ */
+async function verifyRecord(hre, record, options = {}) {
+    const log = options.log || console.log;
+    const polling = {
+        pollInterval: options.pollInterval ?? POLL_INTERVAL_MS,
+        maxPollAttempts: options.maxPollAttempts ?? MAX_POLL_ATTEMPTS
+    };
+    const explorer = await getExplorer(hre);
+    const results = {};
+
+    for (const [key, entry] of Object.entries(record.contracts)) {
+        if (options.only && !options.only.includes(key)) continue;
+
+        const implementation = entry.proxy
+            ? await hre.upgrades.erc1967.getImplementationAddress(entry.address)
+            : undefined;
+
+        const previous = entry.verification;
+        if (!options.force && previous?.status === "verified" && previous.implementation === implementation) {
+            log(`⏭️  ${entry.name} (${key}) already verified`);
+            results[key] = previous;
+            continue;
+        }
+
+        log(`🔍 Verifying ${entry.name} (${key}) at ${entry.address}...`);
+        const args = await reconstructConstructorArgs(hre, entry);
+        await checkAgainstDeployment(hre, key, entry, args.encoded);
+
+        const targets = [];
+        if (entry.proxy) {
+            targets.push(await step({ part: "implementation", address: implementation, contract: entry.name }, () =>
+                verifyWithHardhat(hre, explorer, implementation, entry.name, [])
+            ));
+            targets.push(await step({ part: "proxy", address: entry.address, contract: proxyArtifact.contractName }, () =>
+                verifyProxy(explorer, entry.address, args.encoded)
+            ));
+            targets.push(await step({ part: "link", address: entry.address, contract: entry.name }, () =>
+                linkProxy(explorer, entry.address, implementation, polling)
+            ));
+        } else {
+            targets.push(await step({ part: "contract", address: entry.address, contract: entry.name }, () =>
+                verifyWithHardhat(hre, explorer, entry.address, entry.name, args.values)
+            ));
+        }
+
+        const failed = targets.filter((target) => target.status === "failed");
+        const verification = {
+            status: failed.length === 0 ? "verified" : "failed",
+            checkedAt: new Date().toISOString(),
+            url: explorer.getContractUrl(entry.address),
+            ...(entry.proxy && { implementation }),
+            constructorArguments: args.encoded,
+            targets
+        };
+        record.setContract(key, { verification });
+        results[key] = verification;
+
+        for (const target of targets) {
+            const icon = target.status === "failed" ? "❌" : "✅";
+            log(`   ${icon} ${target.part}: ${target.status}${target.error ? ` (${target.error})` : ""}`);
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    getExplorer,
+    reconstructConstructorArgs,
+    verifyRecord
+};
@@ -0,0 +1,131 @@
+// Wallet profiles: who receives treasury, liquidity, airdrop, grand prize and dev/ops flows
+// Profiles live in config/wallets/<network>.json, separate from the network deployment settings
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { WALLET_VIEWS } = require("./contracts");
+
+const WALLETS_DIR = path.join(__dirname, "../../config/wallets");
+
+const WALLET_NAMES = ["admin", "treasury", "liquidity", "airdrop", "grandPrize", "devOps"];
+
+// Wallets receiving token flows; these must be distinct so each share of a burn or fee split is observable
+const FUND_WALLETS = ["treasury", "liquidity", "airdrop", "grandPrize", "devOps"];
+
+function loadWalletProfile(networkName, walletsDir = WALLETS_DIR) {
+    const profileFile = path.join(walletsDir, `${networkName}.json`);
+    if (!fs.existsSync(profileFile)) {
+        throw new Error(`No wallet profile for network "${networkName}" (expected ${profileFile})`);
+    }
+
+    const profile = JSON.parse(fs.readFileSync(profileFile, "utf8"));
+    profile.network = networkName;
+    return profile;
+}
+
+/**
+ * @dev Resolve a profile entry. Entries are a reference string or { address, multisig };
+ * references are literal addresses, "deployer", "signer:<index>" (local accounts) or "env:NAME"
+ */
+function resolveReference(name, entry, { deployer, signers = [], env = process.env }) {
+    const ref = typeof entry === "object" && entry !== null ? entry.address : entry;
+
+    let value = ref;
+    if (typeof ref === "string" && ref.startsWith("env:")) {
+        value = env[ref.slice(4)];
+        if (!value) throw new Error(`Wallet "${name}" expects ${ref.slice(4)} to be set`);
+    } else if (typeof ref === "string" && ref.startsWith("signer:")) {
+        value = signers[Number(ref.slice(7))];
+        if (!value) throw new Error(`Wallet "${name}" references ${ref} but only ${signers.length} signers are available`);
+    } else if (ref === "deployer") {
+        value = deployer;
+    }
+
+    if (!value) throw new Error(`Wallet "${name}" is not configured`);
+    if (!ethers.isAddress(value)) throw new Error(`Wallet "${name}" is not a valid address: ${value}`);
+    if (ethers.getAddress(value) === ethers.ZeroAddress) throw new Error(`Wallet "${name}" is the zero address`);
+
+    return ethers.getAddress(value);
+}
+
+/**
+ * @dev Resolve every wallet of a profile and check the fund wallets are distinct from each other and the deployer
+ */
+function resolveWallets(profile, accounts) {
+    const wallets = {};
+    for (const name of WALLET_NAMES) {
+        wallets[name] = resolveReference(name, profile[name], accounts);
+    }
+
+    const owners = { [ethers.getAddress(accounts.deployer)]: "deployer" };
+    for (const name of FUND_WALLETS) {
+        const other = owners[wallets[name]];
+        if (other) {
+            throw new Error(`Wallet "${name}" is the same address as ${other} (${wallets[name]}); fund wallets must be distinct`);
+        }
+        owners[wallets[name]] = name;
+    }
+
+    return wallets;
+}
+
+/**
+ * @dev Resolve the optional "governance" entry (timelock or multisig) admin rights are handed over to
+ */
+function resolveGovernance(profile, accounts) {
+    if (!profile.governance) {
+        throw new Error(`Wallet profile for ${profile.network} has no "governance" entry to hand admin rights to`);
+    }
+    return resolveReference("governance", profile.governance, accounts);
+}
+
+/**
+ * @dev Wallets must be EOAs unless the profile flags them as a multisig, which must already be deployed
+ */
+async function checkWalletCode(provider, profile, wallets) {
+    for (const [name, address] of Object.entries(wallets)) {
+        const multisig = profile[name]?.multisig === true;
+        const hasCode = (await provider.getCode(address)) !== "0x";
+
+        if (hasCode && !multisig) {
+            throw new Error(`Wallet "${name}" (${address}) is a contract; flag it with "multisig": true if intended`);
+        }
+        if (!hasCode && multisig) {
+            throw new Error(`Wallet "${name}" (${address}) is flagged as multisig but has no code on ${profile.network}`);
+        }
+    }
+}
+
+/**
+ * @dev Compare the wallet addresses stored in each recorded contract with the resolved profile
+ */
+async function checkStoredWallets(hre, record, wallets) {
+    const mismatches = [];
+
+    for (const [key, entry] of Object.entries(record.contracts)) {
+        const views = WALLET_VIEWS[entry.name];
+        if (!views) continue;
+
+        const contract = await hre.ethers.getContractAt(entry.name, entry.address);
+        for (const [view, walletName] of Object.entries(views)) {
+            const stored = ethers.getAddress(await contract[view]());
+            if (stored !== wallets[walletName]) {
+                mismatches.push({ contract: key, view, wallet: walletName, expected: wallets[walletName], actual: stored });
+            }
+        }
+    }
+
+    return mismatches;
+}
+
+module.exports = {
+    FUND_WALLETS,
+    WALLETS_DIR,
+    WALLET_NAMES,
+    checkStoredWallets,
+    checkWalletCode,
+    loadWalletProfile,
+    resolveGovernance,
+    resolveWallets
+};
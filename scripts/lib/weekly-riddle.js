@@ -0,0 +1,148 @@
+// Weekly riddle publishing for RiddleNFT (RiddleNFT_v2.sol): content folder -> IPFS CID, answer -> answerHash,
+// then releaseWeeklyRiddle once the current week is known to be free
+
+const fs = require("fs");
+const path = require("path");
+const { hashAnswer, normalizeAnswer } = require("../../sdk/answers");
+const { DIFFICULTIES } = require("./contracts");
+const { computeDirectoryCid } = require("./ipfs");
+const { roleHash } = require("./roles");
+
+const METADATA_FILE = "riddle.json";
+
+/**
+ * @dev keccak256(abi.encodePacked(normalizeAnswer(answer))), which attemptSolution computes for a player who submits
+ * any spelling of the answer in its canonical form
+ */
+function answerHash(answer) {
+    return hashAnswer(answer);
+}
+
+/**
+ * @dev Read a riddle content folder: riddle.json holds category and difficulty, and the whole folder is the
+ * IPFS content. The answer must never be part of it
+ */
+function loadRiddle(dir) {
+    const metadataFile = path.join(dir, METADATA_FILE);
+    if (!fs.existsSync(metadataFile)) {
+        throw new Error(`${dir} has no ${METADATA_FILE} (category, difficulty and the public riddle metadata)`);
+    }
+    const metadata = JSON.parse(fs.readFileSync(metadataFile, "utf8"));
+
+    const difficulty = DIFFICULTIES.indexOf(String(metadata.difficulty).toUpperCase());
+    if (!metadata.category) throw new Error(`${metadataFile}: category is required`);
+    if (difficulty < 0) throw new Error(`${metadataFile}: difficulty must be one of ${DIFFICULTIES.join(", ")}`);
+    if ("answer" in metadata || "answerHash" in metadata) {
+        throw new Error(`${metadataFile} contains the answer; it would be published on IPFS`);
+    }
+
+    const { cid, files } = computeDirectoryCid(dir);
+    const leaked = files.find((file) => /(^|\/)answers?(\.|$)/i.test(file.path));
+    if (leaked) throw new Error(`${dir} contains ${leaked.path}; keep the answer out of the published folder`);
+
+    return { dir, metadata, category: metadata.category, difficulty, cid, files };
+}
+
+/**
+ * @dev What releaseWeeklyRiddle would put on chain, and every reason it would revert
+ */
+async function planWeeklyRiddle(nft, riddle, answer) {
+    const creator = await nft.runner.getAddress();
+    const week = await nft.getCurrentWeek();
+    const problems = [];
+    const warnings = [];
+
+    const canonical = normalizeAnswer(answer ?? "");
+    if (!canonical) {
+        problems.push("No answer given");
+    } else {
+        for (const file of riddle.files) {
+            const content = fs.readFileSync(path.join(riddle.dir, file.path), "utf8");
+            if (normalizeAnswer(content).includes(canonical)) {
+                warnings.push(`${file.path} contains the answer text`);
+            }
+        }
+    }
+
+    if (!(await nft.hasRole(roleHash("CREATOR_ROLE"), creator))) {
+        problems.push(`${creator} does not hold CREATOR_ROLE`);
+    }
+    if (week > (await nft.TOTAL_WEEKS())) {
+        problems.push("All riddles released");
+    }
+    const existing = await nft.getWeeklyRiddle(week);
+    if (existing !== 0n) {
+        problems.push(`Week ${week} already has riddle ${existing}`);
+    }
+
+    return {
+        creator,
+        week: week.toString(),
+        category: riddle.category,
+        difficulty: DIFFICULTIES[riddle.difficulty],
+        answerHash: canonical ? answerHash(answer) : undefined,
+        ipfsHash: riddle.cid,
+        files: riddle.files,
+        problems,
+        warnings
+    };
+}
+
+/**
+ * @dev Publish the riddle for the current week and record it under "weeklyRiddles" in the deployment record
+ * @param options.dryRun Return the plan, problems included, without sending anything
+ * @param options.overrides Transaction overrides
+ * @param options.confirmations Confirmations to wait for
+ * @param options.log Progress logger (defaults to console.log)
+ */
+async function publishWeeklyRiddle(nft, riddle, answer, record, options = {}) {
+    const log = options.log || console.log;
+    const plan = await planWeeklyRiddle(nft, riddle, answer);
+    for (const warning of plan.warnings) {
+        log(`⚠️  ${warning}`);
+    }
+    if (options.dryRun) return { plan };
+    if (plan.problems.length > 0) {
+        throw new Error(`releaseWeeklyRiddle would revert:\n  ${plan.problems.join("\n  ")}`);
+    }
+
+    const receipt = await (await nft.releaseWeeklyRiddle(
+        riddle.category,
+        riddle.difficulty,
+        plan.answerHash,
+        riddle.cid,
+        { ...options.overrides }
+    )).wait(options.confirmations ?? 1);
+
+    const released = receipt.logs
+        .map((entry) => nft.interface.parseLog(entry))
+        .find((event) => event?.name === "WeeklyRiddleReleased");
+    const { params } = released.args;
+
+    const published = {
+        riddleId: released.args.riddleId.toString(),
+        category: plan.category,
+        difficulty: plan.difficulty,
+        answerHash: plan.answerHash,
+        ipfsHash: plan.ipfsHash,
+        maxMintRate: params.maxMintRate.toString(),
+        prizePool: params.prizePool.toString(),
+        winnerSlots: params.winnerSlots.toString(),
+        mintCost: params.mintCost.toString(),
+        creator: plan.creator,
+        releasedAt: new Date().toISOString(),
+        txHash: receipt.hash
+    };
+    record.set("weeklyRiddles", { ...record.data.weeklyRiddles, [plan.week]: published });
+    record.save();
+    log(`📰 Released week ${plan.week} riddle ${published.riddleId} (${published.maxMintRate} NFTs, ${published.winnerSlots} winner slots)`);
+
+    return { plan, published };
+}
+
+module.exports = {
+    answerHash,
+    loadRiddle,
+    planWeeklyRiddle,
+    publishWeeklyRiddle
+};
@@ -0,0 +1,64 @@
+// Treasury monitor: watches the recorded RiddlenTreasuryDripAutomated for warning events and unhealthy status
+// and delivers alerts to the configured sinks. Read-only; no key needed
+//
+// Usage:
+//   npx hardhat run scripts/monitor-treasury.js --network amoy
+//   MONITOR_SINKS=console,file:logs/treasury-alerts.log,webhook:https://hooks.example.com/riddlen npm run monitor:treasury -- --network amoy
+//
+// Environment:
+//   MONITOR_SINKS               comma-separated sinks: console, file:<path>, webhook:<url> (default console)
+//   MONITOR_WEBHOOK_TOKEN       sent as "Authorization: Bearer <token>" to webhook sinks
+//   MONITOR_POLL_INTERVAL       seconds between polls (default 60)
+//   MONITOR_WALLET_UPDATE_HOURS alert on pending wallet updates executable within this many hours (default 48)
+//   MONITOR_FROM_BLOCK          first block to scan for events (default: blocks mined after start)
+//   MONITOR_BLOCK_RANGE         largest eth_getLogs window in blocks (default 2000)
+//   MONITOR_MAX_TICKS           stop after this many polls (runs until interrupted by default)
+
+const hre = require("hardhat");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { createSinks } = require("./lib/poller");
+const { TreasuryMonitor } = require("./lib/treasury-monitor");
+
+function number(name, scale = 1) {
+    return process.env[name] ? Number(process.env[name]) * scale : undefined;
+}
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const record = DeploymentRecord.load(networkName, chainId);
+    const entry = record.getContract("treasuryDrip");
+    if (!entry) throw new Error(`No treasuryDrip in ${record.file}; deploy the ecosystem first`);
+
+    const drip = await ethers.getContractAt(entry.name, entry.address);
+    const sinks = createSinks(process.env.MONITOR_SINKS || "console", {
+        headers: process.env.MONITOR_WEBHOOK_TOKEN ? { Authorization: `Bearer ${process.env.MONITOR_WEBHOOK_TOKEN}` } : {}
+    });
+
+    const monitor = new TreasuryMonitor(drip, {
+        sinks,
+        pollInterval: number("MONITOR_POLL_INTERVAL", 1000),
+        walletUpdateWindow: number("MONITOR_WALLET_UPDATE_HOURS", 3600),
+        fromBlock: number("MONITOR_FROM_BLOCK"),
+        blockRange: number("MONITOR_BLOCK_RANGE")
+    });
+
+    process.on("SIGINT", () => monitor.stop());
+    process.on("SIGTERM", () => monitor.stop());
+
+    await monitor.run({ maxTicks: number("MONITOR_MAX_TICKS") ?? Infinity });
+    console.log("👋 Monitor stopped");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Monitor failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
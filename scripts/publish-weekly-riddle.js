@@ -0,0 +1,91 @@
+// Publish this week's riddle on the recorded weekly RiddleNFT (RiddleNFT_v2.sol)
+// The content folder's IPFS CID is computed locally and the answer is hashed in canonical form (sdk/answers.js);
+// the current week is checked for an existing riddle before releaseWeeklyRiddle is sent
+//
+// Usage:
+//   RIDDLE_DIR=riddles/example RIDDLE_ANSWER=lighthouse PUBLISH_DRY_RUN=true npm run publish:riddle -- --network amoy
+//   RIDDLE_DIR=riddles/week-043 RIDDLE_ANSWER_FILE=~/secrets/week-043.txt npm run publish:riddle -- --network amoy
+//
+// Environment:
+//   RIDDLE_DIR            content folder with riddle.json (category, difficulty) and the public riddle files (required)
+//   RIDDLE_ANSWER         the answer; case, spacing and number formatting do not matter
+//   RIDDLE_ANSWER_FILE    read the answer from a file instead (one trailing newline is dropped)
+//   PUBLISH_DRY_RUN       "true" to show what would go on chain without sending anything
+//   CREATOR_PRIVATE_KEY   CREATOR_ROLE key (defaults to the network's first account)
+//
+// Pin the folder with `ipfs add -r --cid-version=1 <RIDDLE_DIR>`; it produces the same CID.
+
+const hre = require("hardhat");
+const fs = require("fs");
+const { loadNetworkConfig, buildTxOverrides } = require("./lib/config");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { loadRiddle, publishWeeklyRiddle } = require("./lib/weekly-riddle");
+
+function readAnswer() {
+    if (process.env.RIDDLE_ANSWER_FILE) {
+        return fs.readFileSync(process.env.RIDDLE_ANSWER_FILE, "utf8").replace(/\r?\n$/, "");
+    }
+    return process.env.RIDDLE_ANSWER;
+}
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+    const dryRun = process.env.PUBLISH_DRY_RUN === "true";
+    if (!process.env.RIDDLE_DIR) {
+        throw new Error("Set RIDDLE_DIR to the riddle content folder");
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const record = DeploymentRecord.load(networkName, chainId);
+    const entry = record.getContract("weeklyNFT");
+    if (!entry) throw new Error(`No weeklyNFT in ${record.file}; run npm run deploy:weekly-nft first`);
+
+    const config = loadNetworkConfig(networkName);
+    const signer = process.env.CREATOR_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.CREATOR_PRIVATE_KEY, ethers.provider)
+        : (await ethers.getSigners())[0];
+    const nft = await ethers.getContractAt(entry.name, entry.address, signer);
+
+    console.log(`📰 ${dryRun ? "Dry run: publishing" : "Publishing"} ${process.env.RIDDLE_DIR} on ${networkName}...\n`);
+
+    const riddle = loadRiddle(process.env.RIDDLE_DIR);
+    const { plan } = await publishWeeklyRiddle(nft, riddle, readAnswer(), record, {
+        dryRun,
+        overrides: buildTxOverrides(config.gas),
+        confirmations: config.confirmations
+    });
+
+    console.log("\n=== releaseWeeklyRiddle ===");
+    console.log("   Week:       ", plan.week);
+    console.log("   Category:   ", plan.category);
+    console.log("   Difficulty: ", plan.difficulty);
+    console.log("   answerHash: ", plan.answerHash ?? "n/a");
+    console.log("   ipfsHash:   ", plan.ipfsHash);
+    console.log("   Creator:    ", plan.creator);
+    console.log(`   Content:     ${plan.files.map((file) => file.path).join(", ")}`);
+
+    if (plan.problems.length > 0) {
+        console.log("\n❌ releaseWeeklyRiddle would revert:");
+        for (const problem of plan.problems) {
+            console.log(`   ${problem}`);
+        }
+        process.exitCode = 1;
+    } else if (dryRun) {
+        console.log("\n✅ Dry run: nothing sent");
+    } else {
+        console.log("\n💾 Riddle recorded in:", record.file);
+        console.log(`📌 Pin the content: ipfs add -r --cid-version=1 ${process.env.RIDDLE_DIR}`);
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(process.exitCode || 0))
+        .catch((error) => {
+            console.error("❌ Publishing failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,96 @@
+// Reputation relayer: watches RONUpgradeable CrossChainReputationSync events on the --network chain and applies
+// the snapshots with receiveReputationSync on REPUTATION_DESTINATION. Both chains need a deployment record with
+// the RONUpgradeable variant and a reputationSync section
+//
+// Usage (two local chains, with "ron": "RONUpgradeable" in both network configs):
+//   npx hardhat node                                          # chain 31337 on 8545
+//   HARDHAT_CHAIN_ID=31338 npx hardhat node --port 8546       # chain 31338 on 8546
+//   npm run deploy:localhost && npm run deploy:localhost2
+//   REPUTATION_DESTINATION=localhost2 REPUTATION_SYNC_USERS=0xUser npm run reputation:relayer -- --network localhost
+//
+// Environment:
+//   REPUTATION_DESTINATION            Hardhat network name of the destination chain (required)
+//   REPUTATION_RELAYER_PRIVATE_KEY    BRIDGE_ROLE key used on both chains (defaults to each node's first account)
+//   REPUTATION_SYNC_USERS             comma-separated users to call syncReputationCrossChain for before relaying
+//   REPUTATION_SOURCE_CONFIRMATIONS   blocks a sync must be buried under before it is relayed (defaults to the
+//                                     source network config's "finality", then 64)
+//   REPUTATION_POLL_INTERVAL          seconds between polls (default 15)
+//   REPUTATION_FROM_BLOCK             first source block of the initial scan (defaults to the record's startBlock)
+//   REPUTATION_BLOCK_RANGE            largest eth_getLogs window in blocks (default 5000)
+//   REPUTATION_MAX_TICKS              stop after this many polls (runs until interrupted by default)
+
+const hre = require("hardhat");
+const { loadNetworkConfig, buildTxOverrides } = require("./lib/config");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { ReputationRelayer } = require("./lib/reputation-relayer");
+
+function number(name, scale = 1) {
+    return process.env[name] ? Number(process.env[name]) * scale : undefined;
+}
+
+/**
+ * @dev The recorded RONUpgradeable of a chain, refusing reputation variants without the sync receiver
+ */
+function reputationContract(record) {
+    const entry = record.getContract("ron");
+    if (!entry) throw new Error(`No ron in ${record.file}; deploy the ecosystem first`);
+    if (entry.name !== "RONUpgradeable") {
+        throw new Error(`ron in ${record.file} is ${entry.name}; reputation sync needs RONUpgradeable`);
+    }
+    return entry;
+}
+
+async function main() {
+    const { ethers } = hre;
+    const sourceName = hre.network.name;
+    const destinationName = process.env.REPUTATION_DESTINATION;
+    if (!destinationName) throw new Error("Set REPUTATION_DESTINATION to the destination network name");
+    const destinationNetwork = hre.config.networks[destinationName];
+    if (!destinationNetwork?.url) throw new Error(`Unknown destination network "${destinationName}"`);
+
+    const { chainId: sourceChainId } = await ethers.provider.getNetwork();
+    const sourceRecord = DeploymentRecord.load(sourceName, sourceChainId);
+    const key = process.env.REPUTATION_RELAYER_PRIVATE_KEY;
+    const sourceSigner = key ? new ethers.Wallet(key, ethers.provider) : (await ethers.getSigners())[0];
+    const source = await ethers.getContractAt("RONUpgradeable", reputationContract(sourceRecord).address, sourceSigner);
+
+    const provider = new ethers.JsonRpcProvider(destinationNetwork.url);
+    const { chainId: destinationChainId } = await provider.getNetwork();
+    const destinationRecord = DeploymentRecord.load(destinationName, destinationChainId);
+    const destinationSigner = key ? new ethers.Wallet(key, provider) : await provider.getSigner(0);
+    const destination = await ethers.getContractAt(
+        "RONUpgradeable", reputationContract(destinationRecord).address, destinationSigner
+    );
+
+    const config = loadNetworkConfig(destinationName);
+    const relayer = new ReputationRelayer(source, destination, sourceRecord, {
+        sourceConfirmations: number("REPUTATION_SOURCE_CONFIRMATIONS") ?? loadNetworkConfig(sourceName).finality,
+        pollInterval: number("REPUTATION_POLL_INTERVAL", 1000),
+        fromBlock: number("REPUTATION_FROM_BLOCK"),
+        blockRange: number("REPUTATION_BLOCK_RANGE"),
+        overrides: buildTxOverrides(config.gas),
+        confirmations: config.confirmations
+    });
+
+    process.on("SIGINT", () => relayer.stop());
+    process.on("SIGTERM", () => relayer.stop());
+
+    await relayer.start();
+    if (process.env.REPUTATION_SYNC_USERS) {
+        await relayer.requestSyncs(process.env.REPUTATION_SYNC_USERS.split(",").map((user) => user.trim()));
+    }
+    await relayer.run({ maxTicks: number("REPUTATION_MAX_TICKS") ?? Infinity });
+    provider.destroy();
+    console.log("👋 Relayer stopped");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Relayer failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
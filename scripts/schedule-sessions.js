@@ -0,0 +1,71 @@
+// Riddle session scheduler: creates the RiddleNFTAdvanced sessions of a calendar file ahead of time and starts
+// them at their scheduled moment. Session ids and randomized parameters go to deployments/<network>.json
+//
+// Usage:
+//   npx hardhat run scripts/schedule-sessions.js --network amoy
+//   SESSION_CALENDAR=config/sessions/example.yaml SCHEDULER_TIME_TRAVEL=true npm run schedule:sessions -- --network localhost
+//
+// Environment:
+//   SESSION_CALENDAR          calendar file (default config/sessions/<network>.yaml, .yml or .json)
+//   SCHEDULER_PRIVATE_KEY     GAME_MASTER_ROLE key (defaults to the network's first account)
+//   SCHEDULER_CREATE_AHEAD    hours before the start time a session is created (default 24)
+//   SCHEDULER_POLL_INTERVAL   longest wait between checks in seconds (default 60)
+//   SCHEDULER_TIME_TRAVEL     "true" to advance a Hardhat node (any chain id) to each scheduled action instead of waiting
+//   SCHEDULER_MAX_TICKS       stop after this many iterations (runs until the calendar is done by default)
+
+const hre = require("hardhat");
+const { loadNetworkConfig, buildTxOverrides } = require("./lib/config");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { SessionScheduler, calendarFile, loadCalendar } = require("./lib/session-scheduler");
+
+function number(name, scale = 1) {
+    return process.env[name] ? Number(process.env[name]) * scale : undefined;
+}
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const record = DeploymentRecord.load(networkName, chainId);
+    const entry = record.getContract("riddleNFT");
+    if (!entry) throw new Error(`No riddleNFT in ${record.file}; deploy the ecosystem first`);
+    if ((entry.variant || entry.name) !== "RiddleNFTAdvanced") {
+        throw new Error(`riddleNFT in ${record.file} is ${entry.variant || entry.name}; sessions need RiddleNFTAdvanced`);
+    }
+
+    const file = process.env.SESSION_CALENDAR || calendarFile(networkName);
+    const entries = loadCalendar(file);
+    console.log(`📅 ${entries.length} session(s) in ${file}`);
+
+    const config = loadNetworkConfig(networkName);
+    const signer = process.env.SCHEDULER_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.SCHEDULER_PRIVATE_KEY, ethers.provider)
+        : (await ethers.getSigners())[0];
+    const nft = await ethers.getContractAt(entry.name, entry.address, signer);
+
+    const scheduler = new SessionScheduler(nft, entries, record, {
+        createAhead: number("SCHEDULER_CREATE_AHEAD", 3600),
+        pollInterval: number("SCHEDULER_POLL_INTERVAL", 1000),
+        timeTravel: process.env.SCHEDULER_TIME_TRAVEL === "true",
+        overrides: buildTxOverrides(config.gas),
+        confirmations: config.confirmations
+    });
+
+    process.on("SIGINT", () => scheduler.stop());
+    process.on("SIGTERM", () => scheduler.stop());
+
+    await scheduler.run({ maxTicks: number("SCHEDULER_MAX_TICKS") ?? Infinity });
+    console.log("💾 Scheduled sessions recorded in:", record.file);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Scheduler failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
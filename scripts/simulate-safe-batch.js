@@ -0,0 +1,78 @@
+// Simulate Safe Transaction Builder batches on a local Hardhat fork before anyone signs them
+// Each batch is executed as its Safe (impersonated) in order; the first revert fails the simulation
+//
+// Usage:
+//   SAFE_NETWORK=amoy npx hardhat run scripts/simulate-safe-batch.js
+//   SAFE_NETWORK=amoy SAFE_BATCHES=deployments/safe/amoy/upgrade-rdln-RDLNUpgradeable.json npm run simulate:safe
+//
+// Environment:
+//   SAFE_NETWORK     network the batches target; its RPC URL is forked and its deployment record lists the batches
+//   SAFE_BATCHES     comma-separated batch files (defaults to every batched phase in deployments/<network>.json)
+//   SAFE_FORK_URL    RPC URL to fork instead of the network's configured URL
+//   SAFE_FORK_BLOCK  block number to fork at (defaults to latest)
+
+const hre = require("hardhat");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { PHASES, WEEKLY_NFT_PHASES } = require("./lib/ecosystem");
+const { loadBatch, simulateBatches } = require("./lib/safe-batch");
+
+async function main() {
+    const networkName = process.env.SAFE_NETWORK;
+    if (!networkName) {
+        throw new Error("Set SAFE_NETWORK to the network the batches were exported for (e.g. amoy)");
+    }
+
+    const networkConfig = hre.config.networks[networkName];
+    if (!networkConfig) throw new Error(`Unknown network "${networkName}"`);
+
+    let files = (process.env.SAFE_BATCHES || "")
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+
+    if (files.length === 0) {
+        const record = DeploymentRecord.load(networkName, networkConfig.chainId);
+        files = [...PHASES, ...WEEKLY_NFT_PHASES]
+            .filter((phase) => record.isPhaseBatched(phase.name))
+            .map((phase) => record.data.phases[phase.name].batch);
+        if (files.length === 0) throw new Error(`No batched phases in ${record.file}`);
+    }
+
+    const batches = files.map(loadBatch);
+    for (const batch of batches) {
+        if (Number(batch.chainId) !== Number(networkConfig.chainId)) {
+            throw new Error(`Batch "${batch.meta.name}" is for chain ${batch.chainId}, ${networkName} is chain ${networkConfig.chainId}`);
+        }
+    }
+
+    console.log(`🧪 Simulating ${batches.length} Safe batch(es) for ${networkName}...\n`);
+
+    const results = await simulateBatches(hre, batches, {
+        forkUrl: process.env.SAFE_FORK_URL || networkConfig.url,
+        blockNumber: process.env.SAFE_FORK_BLOCK ? Number(process.env.SAFE_FORK_BLOCK) : undefined
+    });
+
+    console.log("\n=== Simulation Summary ===");
+    for (const result of results) {
+        console.log(`   ${result.status === "success" ? "✅" : "❌"} ${result.name} (Safe ${result.safe})`);
+    }
+    if (results.length < batches.length) {
+        console.log(`   ⏭️  ${batches.length - results.length} later batch(es) not simulated`);
+    }
+
+    if (results.some((result) => result.status !== "success")) {
+        process.exitCode = 1;
+    }
+    return results;
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(process.exitCode || 0))
+        .catch((error) => {
+            console.error("❌ Simulation failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
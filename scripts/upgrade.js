@@ -0,0 +1,86 @@
+// Upgrade a UUPS proxy recorded in deployments/<network>.json
+// Validates the storage layout, snapshots key state before and after, and fails if anything changed unexpectedly.
+// Only Hardhat nodes and forks rehearse the upgrade first; on public networks a failure comes after the upgrade
+//
+// Usage:
+//   UPGRADE_CONTRACT=rdln npx hardhat run scripts/upgrade.js --network amoy
+//   UPGRADE_CONTRACT=ron UPGRADE_TO=RONAdvancedV2 npx hardhat run scripts/upgrade.js --network amoy
+//
+// Environment:
+//   UPGRADE_CONTRACT        record key of the proxy (rdln, ron, riddleNFT)
+//   UPGRADE_TO              contract name of the new implementation (defaults to the current one)
+//   UPGRADE_EXPECT_CHANGES  comma-separated snapshot keys allowed to change (e.g. "paused,roles.UPGRADER_ROLE")
+//   UPGRADE_VALIDATE_ONLY   "true" to stop after storage validation and the first snapshot
+//   UPGRADE_SAFE_BATCH      "true" to deploy the implementation and export upgradeToAndCall as a Safe batch
+//                           for wallets.admin instead of upgrading from this account
+
+const hre = require("hardhat");
+const { loadNetworkConfig, buildTxOverrides } = require("./lib/config");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { upgradeRecordedProxy } = require("./lib/upgrade");
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+    const key = process.env.UPGRADE_CONTRACT;
+
+    if (!key) {
+        throw new Error("Set UPGRADE_CONTRACT to the record key of the proxy to upgrade (rdln, ron, riddleNFT)");
+    }
+
+    console.log(`⬆️  Upgrading ${key} on ${networkName}...\n`);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const record = DeploymentRecord.load(networkName, chainId);
+    const config = loadNetworkConfig(networkName);
+
+    const expectChanges = (process.env.UPGRADE_EXPECT_CHANGES || "")
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+
+    const result = await upgradeRecordedProxy(hre, record, key, {
+        to: process.env.UPGRADE_TO,
+        expectChanges,
+        validateOnly: process.env.UPGRADE_VALIDATE_ONLY === "true",
+        safe: process.env.UPGRADE_SAFE_BATCH === "true",
+        overrides: buildTxOverrides(config.gas)
+    });
+
+    if (result.validated) {
+        console.log("\n✅ Validation only: storage layout compatible, no upgrade sent");
+        return result;
+    }
+
+    if (result.batch) {
+        console.log("\n📦 Upgrade exported for the admin Safe:", result.batch);
+        console.log("   Simulate before signing: SAFE_BATCHES=" + result.batch + " npm run simulate:safe");
+        return result;
+    }
+
+    console.log("\n=== Upgrade Summary ===");
+    console.log("   Previous implementation:", result.previousImplementation);
+    console.log("   New implementation:     ", result.implementation);
+    if (result.changes.length === 0) {
+        console.log("   State: unchanged across", Object.keys(result.before).length, "watched values");
+    } else {
+        console.log("   Expected state changes:");
+        for (const change of result.changes) {
+            console.log(`     ${change.key}: ${change.before} -> ${change.after}`);
+        }
+    }
+
+    console.log("\n💾 Deployment record updated:", record.file);
+    return result;
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Upgrade failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,123 @@
+// Validator CLI for RONAdvanced cross-validation: lists the open queries assigned to the signer, shows a query's
+// payload and progress toward CONSENSUS_THRESHOLD and submits the signer's consensus. Oracles publish and assign
+// queries with VALIDATOR_REQUEST
+//
+// Usage:
+//   npm run validator -- --network amoy                                              # open queries assigned to you
+//   VALIDATOR_QUERY=0x... npm run validator -- --network amoy                         # payload and progress
+//   VALIDATOR_QUERY=0x... VALIDATOR_CONSENSUS=yes npm run validator -- --network amoy # answer
+//   VALIDATOR_REQUEST=query.json VALIDATOR_ASSIGN=0xA,0xB,0xC npm run validator -- --network amoy
+//
+// Environment:
+//   VALIDATOR_PRIVATE_KEY   validator key, or ORACLE_ROLE key for VALIDATOR_REQUEST (defaults to the network's first account)
+//   VALIDATOR_QUERY         queryHash to show or answer
+//   VALIDATOR_CONSENSUS     "yes" or "no"; answers VALIDATOR_QUERY
+//   VALIDATOR_ALL           "true" to also list queries already answered yes or completed
+//   VALIDATOR_REQUEST       JSON payload file to publish to VALIDATOR_QUERY_DIR and assign to VALIDATOR_ASSIGN
+//   VALIDATOR_ASSIGN        comma-separated validator addresses (at least MIN_CROSS_VALIDATORS)
+//   VALIDATOR_QUERY_DIR     payload directory, <queryHash>.json per query (default deployments/queries/<network>)
+//   VALIDATOR_QUERY_URL     payload URL with {queryHash}, tried when the file is missing
+//   VALIDATOR_FROM_BLOCK    first block searched for queries (defaults to the record's startBlock)
+//   VALIDATOR_BLOCK_RANGE   largest eth_getLogs window in blocks (default 5000)
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadNetworkConfig, buildTxOverrides } = require("./lib/config");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { ValidatorClient } = require("./lib/validator");
+
+function number(name, scale = 1) {
+    return process.env[name] ? Number(process.env[name]) * scale : undefined;
+}
+
+const MARKS = { yes: "✅", no: "❌", null: "⏳" };
+
+function printProgress(progress) {
+    const status = progress.reached ? "consensus reached" : `${progress.yesNeeded} more yes needed`;
+    console.log(`🔎 ${progress.queryHash} (requested in block ${progress.requestedBlock})`);
+    console.log(`   ${progress.yes}/${progress.total} yes = ${progress.percentage}% of ${progress.threshold}% required: ${status}`);
+    for (const validator of progress.validators) {
+        console.log(`   ${MARKS[validator.response]} ${validator.address}${validator.response ? ` ${validator.response}` : ""}`);
+    }
+}
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const record = DeploymentRecord.load(networkName, chainId);
+    const entry = record.getContract("ron");
+    if (!entry) throw new Error(`No ron in ${record.file}; deploy the ecosystem first`);
+    if ((entry.variant || entry.name) !== "RONAdvanced") {
+        throw new Error(`ron in ${record.file} is ${entry.variant || entry.name}; cross-validation needs RONAdvanced`);
+    }
+
+    const config = loadNetworkConfig(networkName);
+    const signer = process.env.VALIDATOR_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.VALIDATOR_PRIVATE_KEY, ethers.provider)
+        : (await ethers.getSigners())[0];
+    const ron = await ethers.getContractAt(entry.name, entry.address, signer);
+
+    const client = new ValidatorClient(ron, {
+        fromBlock: number("VALIDATOR_FROM_BLOCK") ?? record.data.startBlock,
+        blockRange: number("VALIDATOR_BLOCK_RANGE"),
+        queryDir: process.env.VALIDATOR_QUERY_DIR || path.join(path.dirname(record.file), "queries", networkName),
+        queryUrl: process.env.VALIDATOR_QUERY_URL,
+        overrides: buildTxOverrides(config.gas),
+        confirmations: config.confirmations
+    });
+    const account = await client.start();
+
+    if (process.env.VALIDATOR_REQUEST) {
+        const payload = JSON.parse(fs.readFileSync(process.env.VALIDATOR_REQUEST, "utf8"));
+        const validators = (process.env.VALIDATOR_ASSIGN || "").split(",").map((item) => item.trim()).filter(Boolean);
+        const queryHash = await client.request(payload, validators.map((address) => ethers.getAddress(address)));
+        console.log(`📨 Query ${queryHash} assigned to ${validators.length} validator(s); payload in ${client.queryDir}`);
+        return;
+    }
+
+    const queryHash = process.env.VALIDATOR_QUERY;
+    if (!queryHash) {
+        const queries = await client.queries({ all: process.env.VALIDATOR_ALL === "true" });
+        console.log(`🧑‍⚖️ ${queries.length} ${process.env.VALIDATOR_ALL === "true" ? "" : "open "}quer${queries.length === 1 ? "y" : "ies"} assigned to ${account}`);
+        for (const progress of queries) {
+            const yours = progress.response ? `you answered ${progress.response}` : "awaiting your answer";
+            console.log(`   ${progress.queryHash}  ${progress.yes}/${progress.total} yes (${progress.percentage}%/${progress.threshold}%), ${yours}`);
+        }
+        return;
+    }
+
+    const consensus = process.env.VALIDATOR_CONSENSUS;
+    if (consensus) {
+        if (!["yes", "no"].includes(consensus)) throw new Error(`VALIDATOR_CONSENSUS must be "yes" or "no", not "${consensus}"`);
+        const progress = await client.respond(queryHash, consensus === "yes");
+        console.log(`📝 Answered ${consensus} to ${queryHash} as ${account}`);
+        printProgress(progress);
+        return;
+    }
+
+    const progress = await client.query(queryHash);
+    if (!progress) throw new Error(`Query ${queryHash} was never requested`);
+    const payload = await client.payload(queryHash);
+    if (!payload) {
+        console.log("📭 No payload found; set VALIDATOR_QUERY_DIR or VALIDATOR_QUERY_URL");
+    } else {
+        console.log(`📄 Payload from ${payload.source}${payload.verified ? "" : " ⚠️  DOES NOT MATCH the queryHash"}`);
+        console.log(typeof payload.content === "string" ? payload.content : JSON.stringify(payload.content, null, 2));
+    }
+    printProgress(progress);
+    if (!progress.assigned) console.log(`ℹ️  ${account} is not a validator of this query`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Validator command failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,58 @@
+// Verify every contract in deployments/<network>.json on the network's block explorer
+// Proxies are verified together with their current implementation and linked on the explorer;
+// the outcome is written back into the deployment record
+//
+// Usage:
+//   npx hardhat run scripts/verify-deployment.js --network amoy
+//
+// Environment:
+//   VERIFY_CONTRACTS  comma-separated record keys to verify (defaults to all)
+//   VERIFY_FORCE      "true" to re-verify entries already recorded as verified
+//   VERIFY_MAX_POLLS  status checks, 3s apart, before a proxy link still queued on the explorer fails (default 40)
+
+const hre = require("hardhat");
+const { DeploymentRecord } = require("./lib/deployment-record");
+const { verifyRecord } = require("./lib/verify");
+
+async function main() {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+
+    console.log(`🔍 Verifying deployment on ${networkName}...\n`);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const record = DeploymentRecord.load(networkName, chainId);
+
+    const only = (process.env.VERIFY_CONTRACTS || "")
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+
+    const results = await verifyRecord(hre, record, {
+        only: only.length > 0 ? only : undefined,
+        force: process.env.VERIFY_FORCE === "true",
+        maxPollAttempts: process.env.VERIFY_MAX_POLLS ? Number(process.env.VERIFY_MAX_POLLS) : undefined
+    });
+
+    console.log("\n=== Verification Summary ===");
+    for (const [key, result] of Object.entries(results)) {
+        console.log(`   ${result.status === "verified" ? "✅" : "❌"} ${key}: ${result.url}`);
+    }
+    console.log("\n💾 Deployment record updated:", record.file);
+
+    if (Object.values(results).some((result) => result.status !== "verified")) {
+        process.exitCode = 1;
+    }
+    return results;
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(process.exitCode || 0))
+        .catch((error) => {
+            console.error("❌ Verification failed:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = main;
@@ -0,0 +1,114 @@
+// Canonical riddle answers: the one normalization creators hash and players submit, so "Paris", "paris " and
+// "PARIS" are the same answer on RiddleNFT (string answers) and RiddleNFTAdvanced (answer hashes) alike
+//
+// Steps, in order: Unicode NFKC, Unicode full case folding, whitespace collapsed to single spaces, numbers in their shortest
+// decimal form. normalizeAnswer(normalizeAnswer(x)) === normalizeAnswer(x)
+
+const { solidityPackedKeccak256 } = require("ethers");
+
+/**
+ * @dev Invisible characters removed outright: soft hyphen, zero width space, word joiner and byte order mark
+ */
+const INVISIBLE = /[\u00AD\u200B\u2060\uFEFF]/gu;
+
+/**
+ * @dev Whitespace and control characters, each run collapsed to one space
+ */
+const SPACES = /[\s\p{Cc}]+/gu;
+
+/**
+ * @dev Optional sign, integer part (plain or grouped in thousands with commas), fraction and exponent
+ */
+const NUMBER = /^([+-]?)(\d{1,3}(?:,\d{3})+|\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/;
+
+/**
+ * @dev Largest exponent expanded, so "1e999999" stays text instead of becoming a million digits
+ */
+const MAX_EXPONENT = 100;
+
+/**
+ * @dev Code points whose case folding is not their upper then lower case
+ */
+const FOLDING_EXCEPTIONS = { "\u0131": "\u0131", "\u1E9E": "ss" };
+
+/**
+ * @dev Cherokee small letters, which fold to the capitals
+ */
+const CHEROKEE_SMALL = /[\u13F8-\u13FD\uAB70-\uABBF]/u;
+
+/**
+ * @dev Unicode full case folding (CaseFolding.txt C and F mappings) one code point at a time. Upper then lower case
+ * gives it for every code point but FOLDING_EXCEPTIONS and Cherokee; per code point, so a final sigma folds to "σ"
+ * instead of staying "ς" as String.prototype.toLowerCase would have it
+ */
+function foldCase(text) {
+    return Array.from(text, (char) => {
+        if (Object.hasOwn(FOLDING_EXCEPTIONS, char)) return FOLDING_EXCEPTIONS[char];
+        const folded = char.toUpperCase().toLowerCase();
+        return CHEROKEE_SMALL.test(folded) ? folded.toUpperCase() : folded;
+    }).join("");
+}
+
+/**
+ * @dev Shortest decimal form of a numeric token: "042" -> "42", "4.20" -> "4.2", "1,000" -> "1000",
+ * "1e3" -> "1000", ".5" -> "0.5", "-0" -> "0". Undefined when the token is not a number
+ */
+function canonicalNumber(token) {
+    const match = NUMBER.exec(token);
+    if (!match) return undefined;
+    const [, sign, whole, fraction = "", exponent = "0"] = match;
+    const integer = whole.replace(/,/g, "");
+    if (!integer && !fraction) return undefined;
+    if (Math.abs(Number(exponent)) > MAX_EXPONENT) return undefined;
+
+    let digits = integer + fraction;
+    let point = integer.length + Number(exponent);
+    if (point < 0) {
+        digits = "0".repeat(-point) + digits;
+        point = 0;
+    }
+    digits = digits.padEnd(point, "0");
+
+    const integerPart = digits.slice(0, point).replace(/^0+/, "") || "0";
+    const fractionPart = digits.slice(point).replace(/0+$/, "");
+    const value = fractionPart ? `${integerPart}.${fractionPart}` : integerPart;
+    return sign === "-" && value !== "0" ? `-${value}` : value;
+}
+
+/**
+ * @dev Canonical form of an answer; empty when nothing but whitespace was given
+ */
+function normalizeAnswer(answer) {
+    const folded = foldCase(String(answer).normalize("NFKC")).normalize("NFKC");
+    return folded
+        .replace(INVISIBLE, "")
+        .replace(SPACES, " ")
+        .trim()
+        .split(" ")
+        .map((token) => canonicalNumber(token) ?? token)
+        .join(" ");
+}
+
+/**
+ * @dev What RiddleNFT.attemptSolution accepts: no ASCII capitals, no control characters and single spaces between
+ * words only. Non-ASCII text is not checked on chain, so this is necessary but not sufficient for canonical
+ */
+function passesOnChainCheck(answer) {
+    return answer.length > 0 && !/[A-Z\x00-\x1F\x7F]|^ | $| {2}/.test(answer);
+}
+
+/**
+ * @dev Answer hash the contracts compare against: keccak256 of the packed canonical answer, equal to
+ * keccak256(abi.encodePacked(answer)) in RiddleNFT.attemptSolution when the canonical answer is submitted
+ */
+function hashAnswer(answer) {
+    return solidityPackedKeccak256(["string"], [normalizeAnswer(answer)]);
+}
+
+module.exports = {
+    canonicalNumber,
+    foldCase,
+    hashAnswer,
+    normalizeAnswer,
+    passesOnChainCheck
+};
@@ -0,0 +1,433 @@
+// Riddlen JavaScript SDK: ethers v6 bindings for the Riddlen contracts, a chainId address book and the session
+// game's call sequences (join, answer, claim, player profile) so callers never deal with the RDLN/RON/NFT split
+//
+// ABIs and addresses.json are generated from the Hardhat artifacts and deployment records by npm run sdk:build
+
+const fs = require("fs");
+const path = require("path");
+const { Contract } = require("ethers");
+const { hashAnswer, normalizeAnswer } = require("./answers");
+const ADDRESS_BOOK = require("./addresses.json");
+
+const ABI_DIR = path.join(__dirname, "abis");
+
+/**
+ * @dev Enums in declaration order: RiddleNFTAdvanced RiddleDifficulty, RiddleState and QuestionType, IRON AccessTier
+ */
+const DIFFICULTIES = ["EASY", "MEDIUM", "HARD", "LEGENDARY"];
+const SESSION_STATES = ["INACTIVE", "ACTIVE", "IN_PROGRESS", "COMPLETED", "EMERGENCY_STOPPED"];
+const QUESTION_TYPES = ["MULTIPLE_CHOICE", "FILL_BLANK", "IMAGE_RECOGNITION", "LOGIC_PUZZLE", "MATHEMATICAL"];
+const TIERS = ["NOVICE", "SOLVER", "EXPERT", "ORACLE"];
+
+/**
+ * @dev Lowest RON tier that may join a session of each difficulty (RiddleNFTAdvanced _hasAccessToRiddle)
+ */
+const REQUIRED_TIERS = { EASY: "NOVICE", MEDIUM: "SOLVER", HARD: "EXPERT", LEGENDARY: "ORACLE" };
+
+/**
+ * @dev ABI of a contract name, undefined when the SDK was not built with it
+ */
+function abiFor(name) {
+    const file = path.join(ABI_DIR, `${name}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : undefined;
+}
+
+/**
+ * @dev Address book built from deployment records: chainId -> { network, contracts: { key: { name, address } } }
+ * @param options.networks Only read these networks' records
+ * @param options.exclude Skip these networks' records
+ */
+function loadAddressBook(deploymentsDir, { networks, exclude = [] } = {}) {
+    const book = {};
+    const files = fs.readdirSync(deploymentsDir).filter((file) => file.endsWith(".json")).sort();
+    for (const file of files) {
+        const network = path.basename(file, ".json");
+        if ((networks && !networks.includes(network)) || exclude.includes(network)) continue;
+        const record = JSON.parse(fs.readFileSync(path.join(deploymentsDir, file), "utf8"));
+        if (record.chainId === undefined || !record.contracts) continue;
+
+        const chainId = String(record.chainId);
+        if (book[chainId]) {
+            throw new Error(`Chain ${chainId} has records for ${book[chainId].network} and ${network}; choose one with networks`);
+        }
+        const contracts = {};
+        for (const [key, entry] of Object.entries(record.contracts)) {
+            if (entry.address) contracts[key] = { name: entry.name, address: entry.address };
+        }
+        book[chainId] = { network: record.network ?? network, contracts };
+    }
+    return book;
+}
+
+/**
+ * @dev Custom error name or revert string of a failed call
+ */
+function revertReason(contract, error) {
+    if (error.revert?.name === "Error") return error.revert.args[0];
+    if (error.revert?.name) return error.revert.name;
+    const data = error.data || error.info?.error?.data;
+    if (typeof data === "string" && data.length >= 10) {
+        try {
+            return contract.interface.parseError(data)?.name || data.slice(0, 10);
+        } catch {
+            return data.slice(0, 10);
+        }
+    }
+    return error.reason || error.shortMessage || error.message;
+}
+
+class RiddlenSDK {
+    /**
+     * @param runner ethers v6 signer, or a provider for read-only use
+     * @param contracts key -> Contract, with at least rdln, ron and riddleNFT
+     * @param options.names key -> contract name of each deployed variant
+     * @param options.confirmations Confirmations to wait for per transaction (default 1)
+     * @param options.overrides Transaction overrides
+     */
+    constructor(runner, contracts, options = {}) {
+        this.runner = runner;
+        this.provider = runner.provider ?? runner;
+        this.contracts = contracts;
+        this.names = options.names ?? {};
+        this.chainId = options.chainId;
+        this.network = options.network;
+        this.confirmations = options.confirmations ?? 1;
+        this.overrides = { ...options.overrides };
+    }
+
+    /**
+     * @dev Bind every contract deployed on the runner's chain
+     * @param options.addresses Address book to use instead of the bundled addresses.json
+     * @param options.deploymentsDir Build the address book from these deployment records instead
+     * @param options.network Record to read from deploymentsDir when several share the chainId
+     */
+    static async connect(runner, options = {}) {
+        const provider = runner.provider ?? runner;
+        const chainId = String((await provider.getNetwork()).chainId);
+        const book = options.addresses
+            ?? (options.deploymentsDir
+                ? loadAddressBook(options.deploymentsDir, { networks: options.network && [options.network] })
+                : ADDRESS_BOOK);
+        const deployment = book[chainId];
+        if (!deployment) throw new Error(`No Riddlen deployment known for chain ${chainId}`);
+
+        const contracts = {};
+        const names = {};
+        for (const [key, { name, address }] of Object.entries(deployment.contracts)) {
+            const abi = abiFor(name);
+            if (!abi) continue;
+            contracts[key] = new Contract(address, abi, runner);
+            names[key] = name;
+        }
+        for (const key of ["rdln", "ron", "riddleNFT"]) {
+            if (!contracts[key]) throw new Error(`The ${deployment.network} deployment has no ${key}`);
+        }
+        return new RiddlenSDK(runner, contracts, { ...options, names, chainId: Number(chainId), network: deployment.network });
+    }
+
+    get rdln() {
+        return this.contracts.rdln;
+    }
+
+    get ron() {
+        return this.contracts.ron;
+    }
+
+    get riddleNFT() {
+        return this.contracts.riddleNFT;
+    }
+
+    /**
+     * @dev The session game lives in RiddleNFTAdvanced; the weekly RiddleNFT variant has no sessions
+     */
+    sessions() {
+        if (this.names.riddleNFT !== "RiddleNFTAdvanced") {
+            throw new Error(`Sessions need the RiddleNFTAdvanced riddleNFT, this deployment has ${this.names.riddleNFT}`);
+        }
+        return this.riddleNFT;
+    }
+
+    async account() {
+        if (typeof this.runner.getAddress !== "function") throw new Error("A signer is needed to send transactions");
+        return this.runner.getAddress();
+    }
+
+    async send(contract, method, args) {
+        try {
+            const tx = await contract[method](...args, this.overrides);
+            return await tx.wait(this.confirmations);
+        } catch (error) {
+            throw new Error(`${method} failed: ${revertReason(contract, error)}`);
+        }
+    }
+
+    async now() {
+        return (await this.provider.getBlock("latest")).timestamp;
+    }
+
+    /**
+     * @dev Raise the signer's RDLN allowance for the NFT contract to at least amount
+     */
+    async approve(amount) {
+        const spender = await this.riddleNFT.getAddress();
+        if ((await this.rdln.allowance(await this.account(), spender)) >= amount) return;
+        await this.send(this.rdln, "approve", [spender, amount]);
+    }
+
+    /**
+     * @dev Seconds until the contract's anti-cheat gap since the account's last session action has passed
+     */
+    async cooldown(account) {
+        const nft = this.sessions();
+        const ready = Number(await nft.lastActivityTime(account)) + Number(await nft.MIN_SOLVE_TIME());
+        return Math.max(0, ready - (await this.now()));
+    }
+
+    /**
+     * @dev Session parameters with enum names
+     */
+    async getSession(sessionId) {
+        const session = await this.sessions().riddleSessions(sessionId);
+        return {
+            sessionId: BigInt(sessionId),
+            title: session.title,
+            category: session.category,
+            difficulty: DIFFICULTIES[Number(session.difficulty)],
+            state: SESSION_STATES[Number(session.state)],
+            mintCost: session.currentMintCost,
+            maxMints: session.maxMints,
+            totalMinted: session.totalMinted,
+            prizePool: session.prizePool,
+            winnerSlots: session.winnerSlots,
+            successfulSolvers: session.successfulSolvers,
+            startTime: Number(session.startTime),
+            duration: Number(session.sessionDuration)
+        };
+    }
+
+    /**
+     * @dev Access tokens held by account, with their participant data
+     */
+    async getTokens(account) {
+        const nft = this.sessions();
+        const tokens = [];
+        const count = await nft.balanceOf(account);
+        for (let index = 0n; index < count; index++) {
+            const tokenId = await nft.tokenOfOwnerByIndex(account, index);
+            const participant = await nft.participantData(tokenId);
+            tokens.push({
+                tokenId,
+                sessionId: participant.sessionId,
+                user: participant.user,
+                startTime: Number(participant.startTime),
+                attemptCount: Number(participant.attemptCount),
+                completed: participant.completed,
+                successful: participant.successful,
+                prizeAmount: participant.prizeAmount,
+                prizeClaimed: participant.prizeClaimed
+            });
+        }
+        return tokens;
+    }
+
+    /**
+     * @dev The account's access token for a session, undefined when it has not joined
+     */
+    async findToken(sessionId, account) {
+        account ??= await this.account();
+        return (await this.getTokens(account)).find(
+            (token) => token.sessionId === BigInt(sessionId) && token.user === account
+        );
+    }
+
+    /**
+     * @dev Submit a session question for validation. The answer is hashed in canonical form (answers.js), the same
+     * form submitAnswer hashes, so players match it whatever case or spacing they type. The account's Nth question
+     * costs N RDLN
+     * @param question.type QUESTION_TYPES name (default FILL_BLANK)
+     * @param question.options Choices of a MULTIPLE_CHOICE question; the answer has to be one of them
+     * @param question.difficulty DIFFICULTIES name (default EASY)
+     * @return { questionId, cost, answerHash }
+     */
+    async submitQuestion({ content, answer, type = "FILL_BLANK", options = [], difficulty = "EASY" }) {
+        const nft = this.sessions();
+        const account = await this.account();
+        if (!QUESTION_TYPES.includes(type)) throw new Error(`Unknown question type ${type} (one of ${QUESTION_TYPES.join(", ")})`);
+        if (!DIFFICULTIES.includes(difficulty)) throw new Error(`Unknown difficulty ${difficulty} (one of ${DIFFICULTIES.join(", ")})`);
+
+        const canonical = normalizeAnswer(answer);
+        if (!canonical) throw new Error("The answer is empty once normalized");
+        if (options.length > 0 && !options.some((option) => normalizeAnswer(option) === canonical)) {
+            throw new Error(`The answer "${canonical}" is not one of the options`);
+        }
+
+        const cost = ((await nft.questionSubmissionCosts(account)) + 1n) * 10n ** 18n;
+        const balance = await this.rdln.balanceOf(account);
+        if (balance < cost) throw new Error(`Submitting a question costs ${cost} RDLN wei, balance is ${balance}`);
+
+        await this.approve(cost);
+        const answerHash = hashAnswer(canonical);
+        const receipt = await this.send(nft, "submitQuestion", [
+            content, QUESTION_TYPES.indexOf(type), answerHash, options, DIFFICULTIES.indexOf(difficulty)
+        ]);
+        const nftAddress = await nft.getAddress();
+        const submitted = receipt.logs
+            .filter((log) => log.address === nftAddress)
+            .map((log) => nft.interface.parseLog(log))
+            .find((event) => event?.name === "QuestionSubmitted");
+        return { questionId: submitted.args.questionId, cost: submitted.args.submissionCost, answerHash };
+    }
+
+    /**
+     * @dev Mint the session's access NFT. mintRiddleAccess takes the mint cost with transferFrom and burnNFTMint
+     * then burns the same amount from the balance, so the account needs twice the cost and an allowance of it
+     * @return { tokenId, cost }
+     */
+    async joinSession(sessionId) {
+        const nft = this.sessions();
+        const account = await this.account();
+        const session = await this.getSession(sessionId);
+        if (session.state !== "ACTIVE") throw new Error(`Session ${sessionId} is ${session.state}, not ACTIVE`);
+        if (session.totalMinted >= session.maxMints) throw new Error(`Session ${sessionId} is full (${session.maxMints} mints)`);
+
+        const existing = await this.findToken(sessionId, account);
+        if (existing) throw new Error(`${account} already joined session ${sessionId} with token ${existing.tokenId}`);
+
+        const tier = TIERS[Number(await this.ron.getUserTier(account))];
+        const required = REQUIRED_TIERS[session.difficulty];
+        if (TIERS.indexOf(tier) < TIERS.indexOf(required)) {
+            throw new Error(`${session.difficulty} sessions need the ${required} RON tier, ${account} is ${tier}`);
+        }
+
+        const balance = await this.rdln.balanceOf(account);
+        if (balance < session.mintCost * 2n) {
+            throw new Error(`Joining costs ${session.mintCost} RDLN wei charged twice (payment and mint burn), balance is ${balance}`);
+        }
+        const wait = await this.cooldown(account);
+        if (wait > 0) throw new Error(`Wait ${wait}s between session actions`);
+
+        await this.approve(session.mintCost);
+        const receipt = await this.send(nft, "mintRiddleAccess", [sessionId]);
+        const nftAddress = await nft.getAddress();
+        const minted = receipt.logs
+            .filter((log) => log.address === nftAddress)
+            .map((log) => nft.interface.parseLog(log))
+            .find((event) => event?.name === "RiddleAccessMinted");
+        return { tokenId: minted.args.tokenId, cost: minted.args.mintCost };
+    }
+
+    /**
+     * @dev Answer a session question. A wrong answer costs attemptCount RDLN by transferFrom plus the RDLN failed
+     * attempt burn, so the allowance for the next penalty is raised first
+     * @param answer Hashed in canonical form (answers.js), so case and spacing do not matter
+     * @param options.questionIndex Question answered (default 0); the session completes on the last one
+     * @return { tokenId, attempt, correct, completed, prizeAmount }
+     */
+    async submitAnswer(sessionId, answer, { questionIndex = 0 } = {}) {
+        const nft = this.sessions();
+        const account = await this.account();
+        const token = await this.findToken(sessionId, account);
+        if (!token) throw new Error(`${account} has not joined session ${sessionId}`);
+        if (token.completed) throw new Error(`${account} already completed session ${sessionId}`);
+
+        const maxAttempts = Number(await nft.MAX_ATTEMPTS_PER_SESSION());
+        if (token.attemptCount >= maxAttempts) throw new Error(`All ${maxAttempts} attempts used in session ${sessionId}`);
+
+        const session = await this.getSession(sessionId);
+        const now = await this.now();
+        const elapsed = now - token.startTime;
+        if (elapsed > session.duration) throw new Error(`Session ${sessionId} time expired ${elapsed - session.duration}s ago`);
+        const solveTime = Number(await nft.MIN_SOLVE_TIME());
+        const wait = Math.max(await this.cooldown(account), solveTime - elapsed);
+        if (wait > 0) throw new Error(`Wait ${wait}s before answering`);
+
+        const attempt = token.attemptCount + 1;
+        await this.approve(BigInt(attempt) * 10n ** 18n);
+        const receipt = await this.send(nft, "submitAnswer", [sessionId, questionIndex, hashAnswer(answer)]);
+
+        // Only a wrong answer moves RDLN from the player to the NFT contract
+        const nftAddress = await nft.getAddress();
+        const rdlnAddress = await this.rdln.getAddress();
+        const penalized = receipt.logs.some((log) => {
+            if (log.address !== rdlnAddress) return false;
+            const event = this.rdln.interface.parseLog(log);
+            return event?.name === "Transfer" && event.args.from === account && event.args.to === nftAddress;
+        });
+        const participant = await nft.participantData(token.tokenId);
+        return {
+            tokenId: token.tokenId,
+            attempt,
+            correct: !penalized,
+            completed: participant.completed,
+            prizeAmount: participant.prizeAmount
+        };
+    }
+
+    /**
+     * @dev Claim the prize of a solved session, paid from the NFT contract's RDLN balance
+     * @return { tokenId, amount }
+     */
+    async claimPrize(sessionId) {
+        const nft = this.sessions();
+        const account = await this.account();
+        const token = await this.findToken(sessionId, account);
+        if (!token) throw new Error(`${account} holds no access token for session ${sessionId}`);
+        if (!token.successful) throw new Error(`${account} has not solved session ${sessionId}`);
+        if (token.prizeClaimed) throw new Error(`The session ${sessionId} prize was already claimed`);
+        if (token.prizeAmount === 0n) throw new Error(`${account} solved session ${sessionId} outside the winner slots`);
+
+        const funds = await this.rdln.balanceOf(await nft.getAddress());
+        if (funds < token.prizeAmount) {
+            throw new Error(`The NFT contract holds ${funds} RDLN wei, short of the ${token.prizeAmount} prize`);
+        }
+        await this.send(nft, "claimPrize", [token.tokenId]);
+        return { tokenId: token.tokenId, amount: token.prizeAmount };
+    }
+
+    /**
+     * @dev RDLN balance and costs, RON reputation and session tokens of a player
+     */
+    async getPlayerProfile(address) {
+        address ??= await this.account();
+        const [rdlnStats, nextFailedAttemptCost, nextQuestionCost, ronStats] = await Promise.all([
+            this.rdln.getUserStats(address),
+            this.rdln.getNextFailedAttemptCost(address),
+            this.rdln.getNextQuestionCost(address),
+            this.ron.getUserStats(address)
+        ]);
+        return {
+            address,
+            rdln: {
+                balance: rdlnStats[2],
+                failedAttempts: Number(rdlnStats[0]),
+                questionsSubmitted: Number(rdlnStats[1]),
+                nextFailedAttemptCost,
+                nextQuestionCost
+            },
+            ron: {
+                balance: ronStats.totalRON,
+                tier: TIERS[Number(ronStats.currentTier)],
+                correctAnswers: Number(ronStats.correctAnswers),
+                totalAttempts: Number(ronStats.totalAttempts),
+                accuracy: Number(ronStats.accuracyPercentage),
+                currentStreak: Number(ronStats.currentStreak),
+                maxStreak: Number(ronStats.maxStreak)
+            },
+            sessions: this.names.riddleNFT === "RiddleNFTAdvanced" ? await this.getTokens(address) : []
+        };
+    }
+}
+
+module.exports = {
+    ADDRESS_BOOK,
+    DIFFICULTIES,
+    QUESTION_TYPES,
+    REQUIRED_TIERS,
+    RiddlenSDK,
+    SESSION_STATES,
+    TIERS,
+    abiFor,
+    hashAnswer,
+    loadAddressBook,
+    normalizeAnswer
+};
@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { handoverAdmin } = require("../scripts/lib/handover");
+const { auditRoles, loadRolePolicy } = require("../scripts/lib/roles");
+const { loadBatch } = require("../scripts/lib/safe-batch");
+const { loadWalletProfile, resolveGovernance } = require("../scripts/lib/wallets");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Admin Handover", function () {
+    const silent = () => {};
+    const { ZeroHash } = hre.ethers;
+    let deploymentsDir;
+    let record;
+    let contracts;
+    let deployer;
+
+    beforeEach(async function () {
+        ({ deploymentsDir, record, contracts } = await deployedEcosystem());
+        [deployer] = await hre.ethers.getSigners();
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should move admin roles and drip ownership to governance and renounce the deployer", async function () {
+        const signers = await hre.ethers.getSigners();
+        const governance = resolveGovernance(loadWalletProfile("hardhat"), {
+            deployer: deployer.address,
+            signers: signers.map((signer) => signer.address)
+        });
+
+        const result = await handoverAdmin(hre, record, governance, { log: silent });
+        const { rdln, ron, riddleNFT, treasuryDrip } = contracts;
+
+        for (const contract of [rdln, ron, riddleNFT]) {
+            expect(await contract.hasRole(ZeroHash, governance)).to.be.true;
+            expect(await contract.hasRole(ZeroHash, deployer.address)).to.be.false;
+        }
+        expect(await rdln.hasRole(await rdln.MINTER_ROLE(), governance)).to.be.true;
+        expect(await rdln.hasRole(await rdln.UPGRADER_ROLE(), deployer.address)).to.be.false;
+        expect(await treasuryDrip.owner()).to.equal(governance);
+
+        // Operational testnet roles stay with the deployer and are reported
+        expect(result.contracts.ron.retained).to.deep.equal(["GAME_ROLE", "ORACLE_ROLE"]);
+        expect(await ron.hasRole(await ron.GAME_ROLE(), deployer.address)).to.be.true;
+
+        expect(record.data.wallets.admin).to.equal(governance);
+        expect(record.data.handover).to.include({ governance, previousAdmin: deployer.address });
+        expect((await auditRoles(hre, record, loadRolePolicy("hardhat"))).findings).to.deep.equal([]);
+    });
+
+    it("Should export the ownership acceptance for a governance key that is not available", async function () {
+        const governance = hre.ethers.Wallet.createRandom().address;
+        const result = await handoverAdmin(hre, record, governance, { log: silent });
+
+        expect(await contracts.treasuryDrip.owner()).to.equal(deployer.address);
+        expect(await contracts.treasuryDrip.pendingOwner()).to.equal(governance);
+        expect(result.contracts.treasuryDrip.ownership).to.equal("pending-acceptance");
+
+        const batch = loadBatch(result.batches[0]);
+        expect(batch.meta.createdFromSafeAddress).to.equal(governance);
+        expect(batch.transactions[0].contractMethod.name).to.equal("acceptOwnership");
+    });
+
+    it("Should refuse before sending anything when a contract would be left without an admin", async function () {
+        const { rdln, ron } = contracts;
+        const governance = (await hre.ethers.getSigners())[8].address;
+        await ron.renounceRole(ZeroHash, deployer.address);
+
+        await expect(handoverAdmin(hre, record, governance, { log: silent }))
+            .to.be.rejectedWith("does not hold DEFAULT_ADMIN_ROLE on RONAdvanced (ron)");
+        expect(await rdln.hasRole(ZeroHash, governance)).to.be.false;
+        expect(await rdln.hasRole(ZeroHash, deployer.address)).to.be.true;
+    });
+
+    it("Should refuse to hand over to the current admin", async function () {
+        await expect(handoverAdmin(hre, record, deployer.address, { log: silent }))
+            .to.be.rejectedWith("is the current admin");
+    });
+});
@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { canonicalNumber, hashAnswer, normalizeAnswer, passesOnChainCheck } = require("../sdk/answers");
+const { deployedWeeklyNFT } = require("./helpers/ecosystem");
+
+describe("Answer Normalization", function () {
+    it("Should give every spelling of an answer one canonical form", function () {
+        const spellings = {
+            paris: ["Paris", "paris ", "  PARIS\t", "Ｐａｒｉｓ", "pa\u200Bris"],
+            "café nakamoto": ["Café Nakamoto", "Cafe\u0301  NAKAMOTO", "café\nnakamoto"],
+            strasse: ["Straße", "STRASSE", "STRAẞE"],
+            "οδοσ": ["ΟΔΟΣ", "οδος"],
+            fish: ["ﬁsh"],
+            "4.2 km": ["4.20 km", " 004.2   KM "]
+        };
+        for (const [canonical, variants] of Object.entries(spellings)) {
+            for (const variant of variants) {
+                expect(normalizeAnswer(variant), JSON.stringify(variant)).to.equal(canonical);
+                expect(hashAnswer(variant)).to.equal(hre.ethers.id(canonical));
+            }
+            expect(normalizeAnswer(canonical)).to.equal(canonical);
+            expect(passesOnChainCheck(canonical)).to.equal(true);
+        }
+        expect(normalizeAnswer(" \n\t ")).to.equal("");
+    });
+
+    it("Should write numbers in their shortest decimal form", function () {
+        const numbers = {
+            "042": "42", "+7": "7", "-0.0": "0", "1,000": "1000", "1,234,567.890": "1234567.89",
+            "1e3": "1000", "4.2e1": "42", ".5": "0.5", "5.": "5", "007.500e-2": "0.075", "-12.50": "-12.5"
+        };
+        for (const [input, output] of Object.entries(numbers)) expect(canonicalNumber(input), input).to.equal(output);
+        for (const text of ["1,00", "1.2.3", "e5", ".", "-", "1e999", "0x2a", "12th"]) {
+            expect(canonicalNumber(text), text).to.equal(undefined);
+        }
+        expect(normalizeAnswer("1e999")).to.equal("1e999");
+    });
+
+    it("Should only accept canonical answers in attemptSolution", async function () {
+        const { deploymentsDir, contracts } = await deployedWeeklyNFT();
+        try {
+            const { rdln, weeklyNFT } = contracts;
+            const player = (await hre.ethers.getSigners())[13];
+            await rdln.mintAirdrop(player.address, hre.ethers.parseEther("3000"));
+
+            const receipt = await (await weeklyNFT.releaseWeeklyRiddle("Crypto", 0, hashAnswer("Café Nakamoto"), "ipfs")).wait();
+            const riddleId = receipt.logs[0].args.riddleId;
+            await rdln.connect(player).approve(await weeklyNFT.getAddress(), await weeklyNFT.getCurrentMintCost());
+            await weeklyNFT.connect(player).mintRiddleNFT(riddleId);
+            const tokenId = await weeklyNFT.tokenOfOwnerByIndex(player.address, 0);
+
+            // Rejected before the attempt burn, so the typo costs nothing
+            const balance = await rdln.balanceOf(player.address);
+            for (const answer of ["Café Nakamoto", " café nakamoto", "café  nakamoto", "café\tnakamoto", ""]) {
+                await expect(weeklyNFT.connect(player).attemptSolution(tokenId, answer)).to.be.revertedWith("Answer not normalized");
+                expect(passesOnChainCheck(answer)).to.equal(false);
+            }
+            expect(await rdln.balanceOf(player.address)).to.equal(balance);
+
+            await expect(weeklyNFT.connect(player).attemptSolution(tokenId, normalizeAnswer("  CAFÉ NAKAMOTO ")))
+                .to.emit(weeklyNFT, "RiddleSolved");
+        } finally {
+            fs.rmSync(deploymentsDir, { recursive: true, force: true });
+        }
+    });
+});
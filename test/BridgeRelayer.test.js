@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadNetworkConfig } = require("../scripts/lib/config");
+const { deployEcosystem } = require("../scripts/lib/ecosystem");
+const { BridgeRelayer, bridgeDomain, signBridgeMint } = require("../scripts/lib/bridge-relayer");
+const { FINALITY_CONFIRMATIONS } = require("../scripts/lib/chain");
+const { fixtureDir, withDeployments } = require("./helpers/ecosystem");
+
+describe("Bridge Relayer", function () {
+    const silent = () => {};
+    const { parseEther } = hre.ethers;
+    const CHAIN = "31337";
+    let deploymentsDir;
+    let sourceRecord;
+    let source;
+    let destination;
+    let minter;
+    let deployer;
+    let signer;
+    let user;
+    let outsider;
+    let relayer;
+
+    // Source and destination are two ecosystems on the in-process chain; the bridge only sees chain ids and addresses
+    async function bridgeFixture() {
+        const deploymentsDir = fixtureDir("riddlen-bridge-");
+        const bridgeSigner = (await hre.ethers.getSigners())[10];
+        const bridge = { chains: { [CHAIN]: { dailyLimit: "1000" } }, signers: [bridgeSigner.address], threshold: 1 };
+        const config = { ...loadNetworkConfig("hardhat"), bridge };
+        const deploy = (dir) => deployEcosystem(hre, config, { deploymentsDir: path.join(deploymentsDir, dir), log: silent });
+
+        const { record: sourceRecord, contracts } = await deploy("source");
+        const { rdln: destination, bridgeMinter: minter } = (await deploy("destination")).contracts;
+        return { deploymentsDir, sourceRecord, source: contracts.rdln, destination, minter };
+    }
+
+    beforeEach(async function () {
+        [deployer, , , , , , , outsider, , user, signer] = await hre.ethers.getSigners();
+        ({ deploymentsDir, sourceRecord, source, destination, minter } = await withDeployments(bridgeFixture));
+
+        await source.transfer(user.address, parseEther("5000"));
+        relayer = new BridgeRelayer(source, minter, sourceRecord, { signers: [signer], sourceConfirmations: 0, log: silent });
+        await relayer.start();
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should deploy the minter and configure chains, limits and signers in the bridge deployment phases", async function () {
+        expect(sourceRecord.getContract("bridgeMinter")).to.include({ name: "RDLNBridgeMinter", proxy: false });
+        expect(await minter.token()).to.equal(await destination.getAddress());
+        expect(await destination.hasRole(await destination.BRIDGE_MINTER_ROLE(), await minter.getAddress())).to.equal(true);
+        expect(await destination.supportedChains(CHAIN)).to.equal(true);
+        expect(await minter.bridgeDailyLimit(CHAIN)).to.equal(parseEther("1000"));
+        expect(await minter.bridgeSignatureThreshold()).to.equal(1n);
+        expect(await minter.hasRole(await minter.BRIDGE_SIGNER_ROLE(), signer.address)).to.equal(true);
+        expect(sourceRecord.data.phases.bridge).to.deep.include({ signers: [signer.address], threshold: 1 });
+
+        const unsigned = new BridgeRelayer(source, minter, sourceRecord, { signers: [outsider], log: silent });
+        await expect(unsigned.start()).to.be.rejectedWith(`${outsider.address} does not hold BRIDGE_SIGNER_ROLE`);
+
+        await destination.revokeRole(await destination.BRIDGE_MINTER_ROLE(), await minter.getAddress());
+        const unauthorized = new BridgeRelayer(source, minter, sourceRecord, { signers: [signer], log: silent });
+        await expect(unauthorized.start()).to.be.rejectedWith("The bridge minter does not hold BRIDGE_MINTER_ROLE");
+    });
+
+    it("Should mint bridged tokens on the destination exactly once", async function () {
+        const receipt = await (await source.connect(user).bridgeTokens(user.address, parseEther("100"), CHAIN)).wait();
+        const { transactionHash } = source.interface.parseLog(receipt.logs.at(-1)).args;
+        expect(await source.balanceOf(user.address)).to.equal(parseEther("4900"));
+
+        // Without a configured depth the relayer waits for finality; 0 has to be asked for
+        const cautious = new BridgeRelayer(source, minter, sourceRecord, { signers: [signer], log: silent });
+        expect(cautious.sourceConfirmations).to.equal(FINALITY_CONFIRMATIONS);
+        await cautious.start();
+        expect(await cautious.scan()).to.deep.equal([]);
+
+        const relayed = await relayer.tick();
+        expect(relayed.map((transfer) => transfer.status)).to.deep.equal(["completed"]);
+        expect(relayed[0]).to.include({ to: user.address, amount: parseEther("100").toString(), sourceTx: receipt.hash });
+        expect(await destination.balanceOf(user.address)).to.equal(parseEther("100"));
+        expect(await destination.processedTransactions(transactionHash)).to.equal(true);
+        expect(await relayer.tick()).to.deep.equal([]);
+
+        const transfer = { from: user.address, to: user.address, amount: parseEther("100"), sourceChain: CHAIN, transactionHash };
+        const domain = await bridgeDomain(minter);
+        const signatures = await signBridgeMint([signer], domain, transfer);
+        await expect(minter.completeBridgeTransfer(user.address, user.address, parseEther("100"), CHAIN, transactionHash, signatures))
+            .to.be.revertedWithCustomError(destination, "BridgeTransferAlreadyProcessed");
+    });
+
+    it("Should give identical transfers in one block distinct ids and mint both", async function () {
+        // The hardhat network fills a block with one transaction unless the gas limit is set
+        await hre.network.provider.send("evm_setAutomine", [false]);
+        try {
+            await source.connect(user).bridgeTokens(user.address, parseEther("100"), CHAIN, { gasLimit: 500_000 });
+            await source.connect(user).bridgeTokens(user.address, parseEther("100"), CHAIN, { gasLimit: 500_000 });
+            await hre.network.provider.send("evm_mine");
+        } finally {
+            await hre.network.provider.send("evm_setAutomine", [true]);
+        }
+
+        const events = await source.queryFilter(source.filters.CrossChainTransfer(), "latest");
+        expect(events).to.have.length(2);
+        expect(events[0].args.transactionHash).to.not.equal(events[1].args.transactionHash);
+        expect(await source.bridgeNonces(user.address)).to.equal(2n);
+
+        const relayed = await relayer.tick();
+        expect(relayed.map((transfer) => transfer.status)).to.deep.equal(["completed", "completed"]);
+        expect(await destination.balanceOf(user.address)).to.equal(parseEther("200"));
+    });
+
+    it("Should reject mints without enough valid bridge signer signatures", async function () {
+        const transactionHash = hre.ethers.id("forged");
+        const transfer = { from: user.address, to: outsider.address, amount: parseEther("10"), sourceChain: CHAIN, transactionHash };
+        const domain = await bridgeDomain(minter);
+        const mint = (signatures, amount = transfer.amount) => minter.connect(outsider)
+            .completeBridgeTransfer(transfer.from, transfer.to, amount, CHAIN, transactionHash, signatures);
+
+        // Only the minter mints on the token; its checks cannot be bypassed
+        await expect(destination.connect(outsider).bridgeMint(transfer.from, transfer.to, transfer.amount, CHAIN, transactionHash))
+            .to.be.revertedWithCustomError(destination, "AccessControlUnauthorizedAccount");
+
+        await expect(mint(await signBridgeMint([outsider], domain, transfer)))
+            .to.be.revertedWithCustomError(minter, "InvalidBridgeSignature").withArgs(outsider.address);
+        await expect(mint(await signBridgeMint([signer], domain, transfer), parseEther("11")))
+            .to.be.revertedWithCustomError(minter, "InvalidBridgeSignature");
+
+        await minter.setBridgeSignatureThreshold(2);
+        const [signature] = await signBridgeMint([signer], domain, transfer);
+        await expect(mint([signature]))
+            .to.be.revertedWithCustomError(minter, "InsufficientBridgeSignatures").withArgs(1, 2);
+        await expect(mint([signature, signature]))
+            .to.be.revertedWithCustomError(minter, "InvalidBridgeSignature").withArgs(signer.address);
+
+        await minter.grantRole(await minter.BRIDGE_SIGNER_ROLE(), deployer.address);
+        await mint(await signBridgeMint([signer, deployer], domain, transfer));
+        expect(await destination.balanceOf(outsider.address)).to.equal(parseEther("10"));
+    });
+
+    it("Should hold transfers over the daily rate limit until the next day", async function () {
+        await source.connect(user).bridgeTokens(user.address, parseEther("800"), CHAIN);
+        await source.connect(user).bridgeTokens(user.address, parseEther("300"), CHAIN);
+
+        const relayed = await relayer.tick();
+        expect(relayed.map((transfer) => transfer.status)).to.deep.equal(["completed", "rate-limited"]);
+        expect(await minter.bridgeMintRemaining(CHAIN)).to.equal(parseEther("200"));
+        expect(await destination.balanceOf(user.address)).to.equal(parseEther("800"));
+
+        await time.increase(24 * 60 * 60);
+        expect((await relayer.tick()).map((transfer) => transfer.status)).to.deep.equal(["completed"]);
+        expect(await destination.balanceOf(user.address)).to.equal(parseEther("1100"));
+
+        const saved = JSON.parse(fs.readFileSync(sourceRecord.file, "utf8")).bridgeRelayer[CHAIN];
+        expect(Object.values(saved.transfers).every((transfer) => transfer.status === "completed")).to.equal(true);
+    });
+});
@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadNetworkConfig } = require("../scripts/lib/config");
+const { deployEcosystem } = require("../scripts/lib/ecosystem");
+const { EventIndexer, EventStore, databaseFile, indexedContracts } = require("../scripts/lib/event-indexer");
+const { buildBurnReport, toCsv } = require("../scripts/lib/burn-report");
+
+describe("Burn Report", function () {
+    const silent = () => {};
+    const { parseEther } = hre.ethers;
+    let deploymentsDir;
+
+    beforeEach(function () {
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "riddlen-burns-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    // RDLN logs question and NFT mint burns with GameplayBurn only; RDLNUpgradeable logs every burn with BurnExecuted
+    for (const variant of ["RDLNUpgradeable", "RDLN"]) {
+        it(`Should rebuild daily burns, inflows and supply from ${variant} events`, async function () {
+            const base = loadNetworkConfig("hardhat");
+            const config = { ...base, contracts: { ...base.contracts, rdln: variant } };
+            const { record, contracts } = await deployEcosystem(hre, config, { deploymentsDir, log: silent });
+            const { rdln } = contracts;
+            const [, , , , , , , , , game, user, friend] = await hre.ethers.getSigners();
+            await rdln.grantRole(await rdln.GAME_ROLE(), game.address);
+            await rdln.mintAirdrop(user.address, parseEther("1000"));
+            const grandPrizeWallet = await rdln.grandPrizeWallet();
+            const grandPrizeBefore = await rdln.balanceOf(grandPrizeWallet);
+
+            await rdln.connect(game).burnFailedAttempt(user.address);
+            await rdln.connect(game).burnFailedAttempt(user.address);
+            await rdln.connect(game).burnQuestionSubmission(user.address);
+            await rdln.connect(game).burnNFTMint(user.address, parseEther("10"));
+            await rdln.setBurnOnTransfer(true);
+            await rdln.connect(user).transfer(friend.address, parseEther("100"));
+            await rdln.setBurnOnTransfer(false);
+            await time.increase(24 * 60 * 60);
+            await rdln.connect(game).burnFailedAttempt(user.address);
+
+            const store = await EventStore.open(databaseFile(record));
+            const indexer = new EventIndexer(store, await indexedContracts(hre, record), {
+                fromBlock: record.data.startBlock,
+                log: silent
+            });
+            await indexer.start();
+            await indexer.tick();
+            const report = await buildBurnReport(store, rdln);
+            store.close();
+
+            // Failed attempts cost 1, 2 and 3 RDLN, the question 1 and the mint 10, each half burned
+            expect(report.totals).to.include({
+                failedAttempt: parseEther("3").toString(),
+                question: parseEther("0.5").toString(),
+                nftMint: parseEther("5").toString(),
+                transfer: parseEther("1").toString(),
+                emergency: "0",
+                totalBurned: parseEther("9.5").toString(),
+                grandPrize: parseEther("4.25").toString(),
+                devOps: parseEther("4.25").toString()
+            });
+            expect(BigInt(report.totals.grandPrize)).to.equal((await rdln.balanceOf(grandPrizeWallet)) - grandPrizeBefore);
+            expect(report.onChain.totalBurned).to.equal(report.totals.totalBurned);
+
+            // Consecutive days whose supply changes by the day's mints and burns, ending at the current supply
+            const days = report.days;
+            expect(days.length).to.be.at.least(2);
+            for (let i = 1; i < days.length; i++) {
+                expect(Date.parse(days[i].date) - Date.parse(days[i - 1].date)).to.equal(24 * 60 * 60 * 1000);
+                expect(BigInt(days[i].supply) - BigInt(days[i - 1].supply))
+                    .to.equal(BigInt(days[i].minted) - BigInt(days[i].totalBurned));
+            }
+            const today = Math.floor((await time.latest()) / (24 * 60 * 60));
+            expect(days.at(-1)).to.include({
+                failedAttempt: parseEther("1.5").toString(),
+                supply: (await rdln.totalSupply()).toString(),
+                burnLimitUsed: (await rdln.dailyBurnAmount(today)).toString()
+            });
+            expect(report.dailyBurnLimit.lastDay.headroom).to.equal(
+                ((await rdln.MAX_DAILY_BURN()) - parseEther("3")).toString()
+            );
+
+            const { airdropRemaining } = await rdln.getRemainingAllocations();
+            expect(report.supply.allocations.airdrop.remaining).to.equal(airdropRemaining.toString());
+            expect(BigInt(report.supply.circulating) + BigInt(report.supply.protocolHeld)).to.equal(await rdln.totalSupply());
+
+            const csv = toCsv(report).trim().split("\n");
+            expect(csv).to.have.length(days.length + 1);
+            expect(csv[0].split(",").slice(0, 4)).to.deep.equal(["date", "failedAttempt", "question", "nftMint"]);
+            expect(csv.at(-1).split(",").slice(0, 2)).to.deep.equal([days.at(-1).date, "1.5"]);
+        });
+    }
+});
@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadNetworkConfig } = require("../scripts/lib/config");
+const { MAX_CODE_SIZE, dryRunDeployment, targetGasPrice } = require("../scripts/lib/dry-run");
+
+describe("Deployment Dry Run", function () {
+    const silent = () => {};
+    const { parseUnits } = hre.ethers;
+
+    it("Should price every step of the amoy deployment at its configured gas price", async function () {
+        const blockBefore = await hre.ethers.provider.getBlockNumber();
+        const report = await dryRunDeployment(hre, loadNetworkConfig("amoy"), { log: silent });
+
+        expect(report.gasPrice).to.equal(parseUnits("30", "gwei").toString());
+        expect(report.phases.map((phase) => phase.name)).to.include.members(["rdln", "roles", "testSetup"]);
+
+        // The implementation is only deployed when this session has not deployed the same bytecode before
+        const rdln = report.phases.find((phase) => phase.name === "rdln");
+        expect(rdln.transactions.map((tx) => tx.label)).to.include("deploy ERC1967Proxy (rdln)");
+        expect(rdln.transactions.every((tx) => tx.label.endsWith("(rdln)"))).to.be.true;
+        const roles = report.phases.find((phase) => phase.name === "roles");
+        expect(roles.transactions).to.have.length(loadNetworkConfig("amoy").roles.length);
+        expect(roles.transactions[0].label).to.equal("rdln.grantRole");
+
+        const total = report.phases.reduce((sum, phase) => sum + BigInt(phase.gasUsed), 0n);
+        expect(report.totalGas).to.equal(total.toString());
+        expect(report.totalCost).to.equal((total * parseUnits("30", "gwei")).toString());
+
+        // The dry run leaves the local chain as it found it
+        expect(await hre.ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("Should flag contracts over the 24KB limit", async function () {
+        const report = await dryRunDeployment(hre, loadNetworkConfig("amoy"), { log: silent });
+        const nft = report.sizes.find((size) => size.key === "riddleNFT");
+        const ron = report.sizes.find((size) => size.key === "ron");
+
+        expect(nft.name).to.equal("RiddleNFTAdvanced");
+        expect(nft.deployedBytes).to.be.greaterThan(MAX_CODE_SIZE);
+        expect(nft.exceedsLimit).to.be.true;
+        expect(ron.exceedsLimit).to.be.false;
+    });
+
+    it("Should resolve the gas price from overrides, legacy and EIP-1559 settings", function () {
+        const { ethers } = hre;
+
+        expect(targetGasPrice(ethers, loadNetworkConfig("amoy"), {}, "50")).to.equal(parseUnits("50", "gwei"));
+        expect(targetGasPrice(ethers, loadNetworkConfig("polygon"))).to.equal(parseUnits("150", "gwei"));
+        expect(targetGasPrice(ethers, loadNetworkConfig("sepolia"), hre.config.networks.sepolia)).to.be.undefined;
+    });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { loadNetworkConfig } = require("../scripts/lib/config");
+const { deployEcosystem } = require("../scripts/lib/ecosystem");
+const { verifyRecord } = require("../scripts/lib/verify");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+/**
+ * @dev Minimal stand-in for an Etherscan-compatible explorer API; every submission verifies
+ */
+function startExplorer() {
+    const explorer = { verified: new Set(), submissions: [], links: [], linkChecks: 0, linkQueued: false };
+
+    explorer.server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            const params = new URL(req.url, "http://localhost").searchParams;
+            for (const [name, value] of new URLSearchParams(body)) params.set(name, value);
+
+            const reply = (result) => {
+                res.setHeader("Content-Type", "application/json");
+                res.end(JSON.stringify({ status: "1", message: "OK", result }));
+            };
+
+            switch (params.get("action")) {
+                case "getsourcecode": {
+                    const address = params.get("address").toLowerCase();
+                    return reply([{ SourceCode: explorer.verified.has(address) ? "contract {}" : "" }]);
+                }
+                case "verifysourcecode":
+                    explorer.verified.add(params.get("contractaddress").toLowerCase());
+                    explorer.submissions.push({
+                        address: params.get("contractaddress"),
+                        contract: params.get("contractname"),
+                        constructorArguments: params.get("constructorArguements")
+                    });
+                    return reply(`guid-${explorer.submissions.length}`);
+                case "checkverifystatus":
+                    return reply("Pass - Verified");
+                case "verifyproxycontract":
+                    explorer.links.push({ address: params.get("address"), implementation: params.get("expectedimplementation") });
+                    return reply(`proxy-guid-${explorer.links.length}`);
+                case "checkproxyverification":
+                    explorer.linkChecks++;
+                    if (explorer.linkQueued) return reply("Pending in queue");
+                    return reply("The proxy's implementation contract is found and is successfully updated.");
+                default:
+                    res.statusCode = 400;
+                    return res.end(JSON.stringify({ status: "0", message: "NOTOK", result: "Unknown action" }));
+            }
+        });
+    });
+
+    return new Promise((resolve) => {
+        explorer.server.listen(0, "127.0.0.1", () => {
+            explorer.apiURL = `http://127.0.0.1:${explorer.server.address().port}/api`;
+            resolve(explorer);
+        });
+    });
+}
+
+describe("Deployment Verification", function () {
+    const silent = () => {};
+    let deploymentsDir;
+    let record;
+    let explorer;
+    let etherscanConfig;
+
+    before(async function () {
+        explorer = await startExplorer();
+        etherscanConfig = hre.config.etherscan;
+        hre.config.etherscan = {
+            ...etherscanConfig,
+            apiKey: { ...etherscanConfig.apiKey, localExplorer: "test-key" },
+            customChains: [
+                ...etherscanConfig.customChains,
+                { network: "localExplorer", chainId: 31337, urls: { apiURL: explorer.apiURL, browserURL: "http://explorer.local" } }
+            ]
+        };
+    });
+
+    after(function () {
+        hre.config.etherscan = etherscanConfig;
+        explorer.server.close();
+    });
+
+    beforeEach(async function () {
+        ({ deploymentsDir, record } = await deployedEcosystem());
+        explorer.verified.clear();
+        explorer.submissions.length = 0;
+        explorer.links.length = 0;
+        explorer.linkChecks = 0;
+        explorer.linkQueued = false;
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should verify implementation, proxy and link for every recorded proxy", async function () {
+        const rdln = record.getContract("rdln");
+
+        const results = await verifyRecord(hre, record, { only: ["rdln"], log: silent, pollInterval: 0 });
+
+        expect(results.rdln.status).to.equal("verified");
+        expect(results.rdln.targets.map((target) => `${target.part}:${target.status}`)).to.deep.equal([
+            "implementation:verified",
+            "proxy:verified",
+            "link:linked"
+        ]);
+        expect(explorer.submissions.map((submission) => submission.contract)).to.deep.equal([
+            "contracts/token/RDLNUpgradeable.sol:RDLNUpgradeable",
+            "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol:ERC1967Proxy"
+        ]);
+        expect(explorer.submissions[1].constructorArguments).to.equal(results.rdln.constructorArguments.slice(2));
+        expect(explorer.links).to.deep.equal([{ address: rdln.address, implementation: rdln.implementation }]);
+
+        const saved = JSON.parse(fs.readFileSync(record.file, "utf8"));
+        expect(saved.contracts.rdln.verification.status).to.equal("verified");
+        expect(saved.contracts.rdln.verification.implementation).to.equal(rdln.implementation);
+    });
+
+    it("Should give up on a proxy link stuck in the explorer's queue", async function () {
+        explorer.linkQueued = true;
+
+        const results = await verifyRecord(hre, record, { only: ["rdln"], log: silent, pollInterval: 0, maxPollAttempts: 3 });
+
+        expect(results.rdln.status).to.equal("failed");
+        expect(results.rdln.targets[2]).to.include({ part: "link", status: "failed" });
+        expect(results.rdln.targets[2].error).to.match(/still pending after 3 checks \(guid proxy-guid-1\)/);
+        expect(explorer.linkChecks).to.equal(3);
+    });
+
+    it("Should verify plain contracts with their recorded constructor arguments", async function () {
+        const config = loadNetworkConfig("hardhat");
+        config.contracts = { ...config.contracts, ron: "RON" };
+        const plainDir = path.join(deploymentsDir, "plain");
+        const { record: plain } = await deployEcosystem(hre, config, { deploymentsDir: plainDir, log: silent });
+
+        const results = await verifyRecord(hre, plain, { only: ["ron"], log: silent });
+
+        expect(results.ron.targets).to.have.length(1);
+        expect(results.ron.targets[0]).to.include({ part: "contract", status: "verified" });
+        expect(explorer.submissions[0].contract).to.equal("contracts/reputation/RON.sol:RON");
+        expect(explorer.submissions[0].constructorArguments.toLowerCase())
+            .to.include(plain.data.deployer.slice(2).toLowerCase());
+    });
+
+    it("Should skip entries already verified at the current implementation", async function () {
+        await verifyRecord(hre, record, { only: ["ron"], log: silent, pollInterval: 0 });
+        const submitted = explorer.submissions.length;
+
+        const results = await verifyRecord(hre, record, { only: ["ron"], log: silent, pollInterval: 0 });
+
+        expect(explorer.submissions).to.have.length(submitted);
+        expect(results.ron.status).to.equal("verified");
+    });
+
+    it("Should refuse arguments that do not match the deployment transaction", async function () {
+        const ron = record.getContract("ron");
+        record.setContract("ron", { args: [ron.args[0], "1", ...ron.args.slice(2)] });
+
+        await expect(verifyRecord(hre, record, { only: ["ron"], log: silent }))
+            .to.be.rejectedWith(/do not match deployment transaction/);
+        expect(explorer.submissions).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildTxOverrides, loadNetworkConfig } = require("../scripts/lib/config");
+const { deployEcosystem } = require("../scripts/lib/ecosystem");
+const { DeploymentRecord } = require("../scripts/lib/deployment-record");
+
+describe("Ecosystem Deployer", function () {
+    let deploymentsDir;
+    const silent = () => {};
+
+    beforeEach(function () {
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "riddlen-deployments-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should deploy every phase and record it", async function () {
+        const config = loadNetworkConfig("hardhat");
+        const { record, contracts } = await deployEcosystem(hre, config, { deploymentsDir, log: silent });
+
+        for (const phase of ["rdln", "ron", "riddleNFT", "wallets", "roles", "testSetup"]) {
+            expect(record.isPhaseComplete(phase)).to.be.true;
+        }
+
+        const saved = JSON.parse(fs.readFileSync(path.join(deploymentsDir, "hardhat.json"), "utf8"));
+        expect(saved.contracts.rdln.address).to.equal(await contracts.rdln.getAddress());
+        expect(saved.contracts.ron.proxy).to.be.true;
+
+        const nftAddress = await contracts.riddleNFT.getAddress();
+        expect(await contracts.rdln.hasRole(await contracts.rdln.GAME_ROLE(), nftAddress)).to.be.true;
+        expect(await contracts.ron.hasRole(await contracts.ron.GAME_ROLE(), nftAddress)).to.be.true;
+    });
+
+    it("Should resume after a failed phase and reuse deployed proxies", async function () {
+        const config = loadNetworkConfig("hardhat");
+        const brokenConfig = {
+            ...config,
+            roles: [...config.roles, { contract: "rdln", role: "MINTER_ROLE", account: "notDeployed" }]
+        };
+
+        await expect(
+            deployEcosystem(hre, brokenConfig, { deploymentsDir, log: silent })
+        ).to.be.rejectedWith('Unknown account reference "notDeployed"');
+
+        const failed = JSON.parse(fs.readFileSync(path.join(deploymentsDir, "hardhat.json"), "utf8"));
+        expect(failed.phases.riddleNFT.status).to.equal("completed");
+        expect(failed.phases.roles.status).to.equal("failed");
+
+        const { record } = await deployEcosystem(hre, config, { deploymentsDir, log: silent });
+
+        expect(record.isPhaseComplete("roles")).to.be.true;
+        for (const key of ["rdln", "ron", "riddleNFT"]) {
+            expect(record.getContract(key).address).to.equal(failed.contracts[key].address);
+        }
+    });
+
+    it("Should deploy the configured contract variants", async function () {
+        const config = {
+            ...loadNetworkConfig("hardhat"),
+            contracts: { rdln: "RDLN", ron: "RONUpgradeable", riddleNFT: "RiddleNFT" },
+            roles: [
+                { contract: "rdln", role: "GAME_ROLE", account: "riddleNFT" },
+                { contract: "ron", role: "GAME_ROLE", account: "riddleNFT" },
+                { contract: "ron", role: "GAME_ROLE", account: "deployer" }
+            ]
+        };
+
+        const { record, contracts } = await deployEcosystem(hre, config, { deploymentsDir, log: silent });
+
+        expect(record.getContract("rdln")).to.include({ name: "RDLN", proxy: false });
+        expect(record.getContract("ron")).to.include({ name: "RONUpgradeable", proxy: true });
+        expect(record.getContract("riddleNFT")).to.include({ name: "RiddleNFT", proxy: false });
+        expect(await contracts.riddleNFT.rdlnToken()).to.equal(await contracts.rdln.getAddress());
+    });
+
+    it("Should refuse to resume with a different variant than the record", async function () {
+        const config = loadNetworkConfig("hardhat");
+        await deployEcosystem(hre, { ...config, roles: [{ contract: "rdln", role: "GAME_ROLE", account: "nope" }] }, {
+            deploymentsDir,
+            log: silent
+        }).catch(() => {});
+
+        await expect(
+            deployEcosystem(hre, { ...config, contracts: { ...config.contracts, ron: "RON" } }, { deploymentsDir, log: silent })
+        ).to.be.rejectedWith("Record has RONAdvanced for ron but config selects RON");
+    });
+
+    it("Should refuse a config for another chain", async function () {
+        const config = loadNetworkConfig("amoy");
+        await expect(
+            deployEcosystem(hre, config, { deploymentsDir, log: silent })
+        ).to.be.rejectedWith("expects chain 80002");
+    });
+
+    it("Should build legacy and EIP-1559 gas overrides", function () {
+        expect(buildTxOverrides({ gasPrice: "30" })).to.deep.equal({ gasPrice: 30000000000n });
+        expect(buildTxOverrides(loadNetworkConfig("polygon").gas)).to.deep.equal({
+            maxFeePerGas: 150000000000n,
+            maxPriorityFeePerGas: 35000000000n
+        });
+        expect(() => buildTxOverrides({ gasPrice: "30", maxFeePerGas: "40" })).to.throw("not both");
+    });
+
+    it("Should refuse a record that belongs to another chain", async function () {
+        fs.writeFileSync(
+            path.join(deploymentsDir, "hardhat.json"),
+            JSON.stringify({ network: "hardhat", chainId: 80002, contracts: {}, phases: {} })
+        );
+
+        expect(() => DeploymentRecord.load("hardhat", 31337n, { dir: deploymentsDir }))
+            .to.throw("is for chain 80002");
+    });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { EventIndexer, EventStore, createIndexerServer, databaseFile, indexedContracts } = require("../scripts/lib/event-indexer");
+const { deployedWeeklyNFT } = require("./helpers/ecosystem");
+
+describe("Event Indexer", function () {
+    const silent = () => {};
+    const { parseEther } = hre.ethers;
+    let deploymentsDir;
+    let record;
+    let rdln;
+    let weeklyNFT;
+    let store;
+    let indexer;
+    let solver;
+    let buyer;
+
+    async function mintWeeklyNFT(user, riddleId) {
+        await rdln.connect(user).approve(await weeklyNFT.getAddress(), await weeklyNFT.getCurrentMintCost());
+        const receipt = await (await weeklyNFT.connect(user).mintRiddleNFT(riddleId)).wait();
+        return receipt.logs.find((log) => log.fragment?.name === "RiddleNFTMinted").args.tokenId;
+    }
+
+    async function releaseRiddle(ipfsHash) {
+        const receipt = await (await weeklyNFT.releaseWeeklyRiddle("Logic", 0, hre.ethers.id("42"), ipfsHash)).wait();
+        return { riddleId: receipt.logs[0].args.riddleId, released: (await receipt.getBlock()).timestamp };
+    }
+
+    beforeEach(async function () {
+        let contracts;
+        ({ deploymentsDir, record, contracts } = await deployedWeeklyNFT());
+        ({ rdln, weeklyNFT } = contracts);
+        [, , , , , , , , , solver, buyer] = await hre.ethers.getSigners();
+        await rdln.mintAirdrop(solver.address, parseEther("3000"));
+        await rdln.mintAirdrop(buyer.address, parseEther("3000"));
+
+        store = await EventStore.open(databaseFile(record));
+        indexer = new EventIndexer(store, await indexedContracts(hre, record), {
+            fromBlock: record.data.startBlock,
+            log: silent
+        });
+        await indexer.start();
+    });
+
+    afterEach(function () {
+        store.close();
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should answer solver, burn and resale questions over the REST API", async function () {
+        const { riddleId, released } = await releaseRiddle("ipfs");
+        const tokenId = await mintWeeklyNFT(solver, riddleId);
+        await weeklyNFT.connect(solver).attemptSolution(tokenId, "41");
+        await weeklyNFT.connect(solver).attemptSolution(tokenId, "42");
+        const listed = await mintWeeklyNFT(solver, riddleId);
+        await weeklyNFT.connect(solver).setResalePrice(tokenId, parseEther("1"));
+        await weeklyNFT.connect(solver).setResalePrice(listed, parseEther("2"));
+        await weeklyNFT.connect(buyer).buyNFT(tokenId, { value: parseEther("1") });
+
+        const { events } = await indexer.tick();
+        expect(events.map((event) => event.event)).to.include.members([
+            "RiddleNFTMinted", "BurnExecuted", "RiddleSolved", "RONEarnedEnhanced", "ResalePriceUpdated", "NFTResold"
+        ]);
+        expect(store.indexedBlock).to.equal(await hre.ethers.provider.getBlockNumber());
+
+        const server = createIndexerServer(store);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        try {
+            const get = async (route) => (await fetch(`http://127.0.0.1:${server.address().port}${route}`)).json();
+
+            const solvers = await get(`/riddles/${riddleId}/solvers`);
+            expect(solvers.map((item) => [item.solver, item.tokenId])).to.deep.equal([[solver.address, tokenId.toString()]]);
+
+            // Every attempt burns through burnFailedAttempt, the correct one included
+            const burns = await get(`/burns?since=${released}`);
+            const burned = store.events({ event: "BurnExecuted" }).reduce((sum, event) => sum + BigInt(event.args.burnedAmount), 0n);
+            expect(burns.byType.failedAttempt.count).to.equal(2);
+            expect(burns.protocol.burned).to.equal(burned.toString());
+            expect(burned).to.be.greaterThan(0n);
+            expect((await get("/burns?until=2000-01-01")).totalBurned).to.equal("0");
+
+            const forSale = await get("/nfts/for-sale");
+            expect(forSale).to.deep.equal([{
+                contract: "weeklyNFT",
+                address: weeklyNFT.target,
+                tokenId: listed.toString(),
+                seller: solver.address,
+                price: parseEther("2").toString(),
+                listedAt: forSale[0].listedAt
+            }]);
+
+            const resales = await get(`/events?event=NFTResold&account=${solver.address.toLowerCase()}`);
+            expect(resales.map((event) => event.args.to)).to.deep.equal([buyer.address]);
+            expect((await get("/status")).events).to.include({ NFTResold: 1, RiddleSolved: 1 });
+            expect((await fetch(`http://127.0.0.1:${server.address().port}/burns?since=yesterday`)).status).to.equal(400);
+
+            // Paging stays within 1..1000 events; negative or non-numeric values are refused
+            expect(await get("/events?limit=0")).to.have.length(1);
+            expect(await get("/events?limit=2&offset=1")).to.have.length(2);
+            for (const query of ["limit=-1", "limit=all", "offset=-5", "limit=1e9"]) {
+                expect((await fetch(`http://127.0.0.1:${server.address().port}/events?${query}`)).status, query).to.equal(400);
+            }
+            expect(store.events({ limit: -1 })).to.have.length(1);
+        } finally {
+            server.close();
+        }
+
+        // The database is written next to the deployment record and survives a restart
+        const reopened = await EventStore.open(databaseFile(record));
+        expect(reopened.status()).to.deep.equal(store.status());
+        reopened.close();
+    });
+
+    it("Should roll back events from blocks that were reorganized away", async function () {
+        const { riddleId } = await releaseRiddle("ipfs");
+        await indexer.tick();
+        const ancestor = store.indexedBlock;
+        const snapshot = await hre.network.provider.send("evm_snapshot");
+        await mintWeeklyNFT(solver, riddleId);
+        await indexer.tick();
+        expect(store.events({ event: "RiddleNFTMinted" }).map((event) => event.account)).to.deep.equal([solver.address]);
+
+        // Replace the indexed blocks with a longer chain that has different contents
+        await hre.network.provider.send("evm_revert", [snapshot]);
+        await hre.network.provider.send("evm_mine");
+        await mintWeeklyNFT(buyer, riddleId);
+
+        const { rolledBack, events } = await indexer.tick();
+        expect(rolledBack).to.equal(ancestor);
+        expect(events.map((event) => event.account)).to.deep.equal([buyer.address]);
+        expect(store.events({ event: "RiddleNFTMinted" }).map((event) => event.account)).to.deep.equal([buyer.address]);
+        expect(store.indexedBlock).to.equal(await hre.ethers.provider.getBlockNumber());
+        expect(await indexer.tick()).to.deep.equal({ rolledBack: undefined, events: [] });
+    });
+
+    it("Should index again from the start when the indexed events change", async function () {
+        const { riddleId } = await releaseRiddle("ipfs");
+        await mintWeeklyNFT(solver, riddleId);
+        const tokenOnly = (await indexedContracts(hre, record)).filter((entry) => entry.key === "rdln");
+        const narrow = new EventIndexer(store, tokenOnly, { fromBlock: record.data.startBlock, log: silent });
+        await narrow.start();
+        await narrow.tick();
+        expect(store.events({ event: "RiddleNFTMinted" })).to.deep.equal([]);
+
+        await indexer.start();
+        expect(store.indexedBlock).to.equal(undefined);
+        await indexer.tick();
+        expect(store.events({ event: "RiddleNFTMinted" }).map((event) => event.account)).to.deep.equal([solver.address]);
+    });
+});
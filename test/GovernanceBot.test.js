@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { GovernanceBot, createTallyServer, tallyOutcome } = require("../scripts/lib/governance-bot");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Governance Bot", function () {
+    const silent = () => {};
+    const VOTING_PERIOD = 7200;
+    let deploymentsDir;
+    let record;
+    let ron;
+    let senator;
+    let delegate;
+    let participant;
+    let outsider;
+    let alerts;
+    let bot;
+
+    async function propose(title) {
+        const receipt = await (await ron.connect(senator).createProposal(title, "Details", 1)).wait();
+        return ron.interface.parseLog(receipt.logs[0]).args.proposalId.toString();
+    }
+
+    async function tick() {
+        alerts.length = 0;
+        await bot.tick();
+        return alerts.map((alert) => alert.id);
+    }
+
+    beforeEach(async function () {
+        let contracts;
+        ({ deploymentsDir, record, contracts } = await deployedEcosystem());
+        ron = contracts.ron;
+        const signers = await hre.ethers.getSigners();
+        [senator, delegate, participant] = signers.slice(9, 12);
+        outsider = signers[7];
+
+        await ron.awardValidationRON(senator.address, 100000, "Validation");
+        await ron.awardValidationRON(delegate.address, 20000, "Validation");
+        await ron.awardValidationRON(participant.address, 2000, "Validation");
+
+        alerts = [];
+        const collector = { name: "collector", send: async (alert) => alerts.push(alert) };
+        bot = new GovernanceBot(ron, record, { sinks: [collector], reminderWindow: 600, log: silent });
+        await bot.start();
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should apply executeProposal's minority protection arithmetic to a tally", function () {
+        expect(tallyOutcome(67n, 33n, 33)).to.include({ blocked: true, noWeightToBlock: 0n, projected: "blocked" });
+        expect(tallyOutcome(68n, 32n, 33)).to.include({ blocked: false, noWeightToBlock: 2n, projected: "passes" });
+        expect(tallyOutcome(50n, 0n, 33)).to.include({ yesPercentage: 100, projected: "passes" });
+        expect(tallyOutcome(0n, 0n, 33)).to.include({ noWeightToBlock: 1n, projected: "no-votes" });
+    });
+
+    it("Should remind voters, execute a passed proposal and serve the live tally", async function () {
+        const id = await propose("Raise the quality threshold");
+        expect(await tick()).to.deep.equal(["proposal-opened"]);
+        expect(alerts[0]).to.include({ proposalId: id, severity: "reminder" });
+
+        await ron.connect(delegate).vote(id, true, "Agree");
+        await ron.connect(participant).vote(id, true, "Agree");
+        const onChain = await ron.proposals(id);
+        const tally = await bot.tally(id);
+        expect(tally).to.include({ status: "open", projected: "passes", yesWeight: onChain.yesVotes.toString(), noWeight: "0" });
+        expect(tally.turnout).to.deep.equal({ voters: 2, eligibleVoters: 3, percentage: 66.67 });
+        expect(tally.minorityProtection).to.include({ threshold: 33, marginPercentage: 33 });
+
+        await time.increase(VOTING_PERIOD - 300);
+        expect(await tick()).to.deep.equal(["proposal-closing"]);
+        expect(alerts[0].message).to.contain("2 vote(s) so far");
+
+        await time.increase(300);
+        expect(await tick()).to.deep.equal(["proposal-passed"]);
+        expect((await ron.proposals(id)).executed).to.equal(true);
+        const saved = JSON.parse(fs.readFileSync(record.file, "utf8")).governance.proposals[id];
+        expect(saved).to.include({ status: "passed", executedBy: (await hre.ethers.getSigners())[0].address });
+        expect(saved.outcome.yesPercentage).to.equal(100);
+        expect(await tick()).to.deep.equal([]);
+
+        const server = createTallyServer(bot);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        try {
+            const base = `http://127.0.0.1:${server.address().port}`;
+            const list = await (await fetch(`${base}/proposals`)).json();
+            expect(list.map((item) => [item.id, item.projected])).to.deep.equal([[id, "passed"]]);
+            expect((await fetch(`${base}/proposals/${id}`)).status).to.equal(200);
+            expect((await fetch(`${base}/proposals/99`)).status).to.equal(404);
+        } finally {
+            server.close();
+        }
+    });
+
+    it("Should record safeguard blocks executed by others and proposals that ended without votes", async function () {
+        const blockedId = await propose("Change oracle parameters");
+        const emptyId = await propose("Nobody cares");
+        await ron.connect(delegate).vote(blockedId, false, "Against");
+        await ron.connect(participant).vote(blockedId, true, "For");
+
+        const tally = await bot.tally(blockedId);
+        expect(tally.projected).to.equal("blocked");
+        expect(tally.minorityProtection.noWeightToBlock).to.equal("0");
+
+        await time.increase(VOTING_PERIOD + 1);
+        await ron.connect(outsider).executeProposal(blockedId);
+        const ids = await tick();
+
+        expect(ids).to.have.members(["proposal-blocked", "proposal-no-votes"]);
+        const { proposals } = record.data.governance;
+        expect(proposals[blockedId]).to.include({ status: "blocked" });
+        expect(proposals[blockedId].executedBy).to.be.undefined;
+        expect(proposals[blockedId].outcome).to.include({ safeguard: "MinorityProtection", threshold: 33 });
+        expect(proposals[emptyId].status).to.equal("no-votes");
+        expect(await tick()).to.deep.equal([]);
+    });
+
+    it("Should not resend executeProposal for a proposal a contract wallet executed", async function () {
+        const id = await propose("Change oracle parameters");
+        await ron.connect(delegate).vote(id, false, "Against");
+        await ron.connect(participant).vote(id, true, "For");
+        await time.increase(VOTING_PERIOD + 1);
+
+        // Calls RON with its calldata after a 4-byte selector, like a Safe's execTransaction wrapping the call,
+        // so the transaction's top-level call is not executeProposal
+        const wallet = hre.ethers.Wallet.createRandom().address;
+        const forwarder = `0x600436036004600037600060006004360360006000${"73" + ron.target.slice(2)}5af15000`;
+        await hre.network.provider.send("hardhat_setCode", [wallet, forwarder]);
+        const call = ron.interface.encodeFunctionData("executeProposal", [id]);
+        await outsider.sendTransaction({ to: wallet, data: `0x6a761202${call.slice(2)}` });
+        expect((await ron.proposals(id)).executed).to.equal(true);
+
+        expect(await tick()).to.deep.equal(["proposal-executed-elsewhere"]);
+        expect(record.data.governance.proposals[id]).to.include({ status: "executed-elsewhere" });
+        expect(record.data.governance.proposals[id].executedBy).to.be.undefined;
+        expect(await tick()).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EventIndexer, EventStore, databaseFile, indexedContracts } = require("../scripts/lib/event-indexer");
+const { buildLeaderboards, loadRiddles, rank } = require("../scripts/lib/leaderboard");
+const { deployedWeeklyNFT } = require("./helpers/ecosystem");
+
+describe("Leaderboards", function () {
+    const silent = () => {};
+    const { parseEther } = hre.ethers;
+    let deploymentsDir;
+    let record;
+    let rdln;
+    let ron;
+    let weeklyNFT;
+    let solver1;
+    let solver2;
+
+    async function mintWeeklyNFT(user, riddleId) {
+        await rdln.connect(user).approve(await weeklyNFT.getAddress(), await weeklyNFT.getCurrentMintCost());
+        const receipt = await (await weeklyNFT.connect(user).mintRiddleNFT(riddleId)).wait();
+        return receipt.logs.find((log) => log.fragment?.name === "RiddleNFTMinted").args.tokenId;
+    }
+
+    // Winner slots are drawn from the block; redraw until two solvers fit
+    async function releaseRiddle(category) {
+        for (;;) {
+            const snapshot = await hre.network.provider.send("evm_snapshot");
+            const receipt = await (await weeklyNFT.releaseWeeklyRiddle(category, 0, hre.ethers.id("42"), "ipfs")).wait();
+            const riddleId = receipt.logs[0].args.riddleId;
+            if ((await weeklyNFT.getRiddle(riddleId)).params.winnerSlots >= 2n) return riddleId;
+            await hre.network.provider.send("evm_revert", [snapshot]);
+            await hre.network.provider.send("evm_mine");
+        }
+    }
+
+    async function solve(user, riddleId, wrongAnswers = 0) {
+        const tokenId = await mintWeeklyNFT(user, riddleId);
+        for (let i = 0; i < wrongAnswers; i++) await weeklyNFT.connect(user).attemptSolution(tokenId, "41");
+        await weeklyNFT.connect(user).attemptSolution(tokenId, "42");
+    }
+
+    beforeEach(async function () {
+        let contracts;
+        ({ deploymentsDir, record, contracts } = await deployedWeeklyNFT());
+        ({ rdln, ron, weeklyNFT } = contracts);
+        [, , , , , , , , , solver1, solver2] = await hre.ethers.getSigners();
+        await rdln.mintAirdrop(solver1.address, parseEther("5000"));
+        await rdln.mintAirdrop(solver2.address, parseEther("5000"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should rank solvers all-time, weekly and per category with tie-breaks", async function () {
+        const logic = await releaseRiddle("Logic");
+        await solve(solver1, logic);
+        await solve(solver2, logic, 1);
+        await time.increase(7 * 24 * 3600);
+        const math = await releaseRiddle("Math");
+        await solve(solver2, math);
+        await solve(solver1, math, 1);
+
+        const contracts = await indexedContracts(hre, record);
+        const store = await EventStore.open(databaseFile(record));
+        const indexer = new EventIndexer(store, contracts, { fromBlock: record.data.startBlock, log: silent });
+        await indexer.start();
+        await indexer.tick();
+        const riddles = await loadRiddles(store, () => weeklyNFT);
+        const week = Number(await weeklyNFT.getCurrentWeek());
+        const since = (await time.latest()) - 3600;
+        const boards = buildLeaderboards(store, riddles, { weekly: { week, since, until: since + 7 * 24 * 3600 } });
+        store.close();
+        const addresses = (board) => board.map((entry) => entry.address);
+
+        // One first solve each: solver1 got there a week earlier
+        expect(addresses(boards.allTime.firstSolves)).to.deep.equal([solver1.address, solver2.address]);
+        // Two-week streaks and equal accuracy: solver2 completed them first
+        expect(boards.allTime.streak.map((entry) => entry.value)).to.deep.equal([2, 2]);
+        expect(addresses(boards.allTime.streak)).to.deep.equal([solver2.address, solver1.address]);
+        expect(boards.allTime.accuracy.map((entry) => [entry.address, entry.value, entry.attempts])).to.deep.equal([
+            [solver2.address, 66.67, 3], [solver1.address, 66.67, 3]
+        ]);
+        for (const entry of boards.allTime.totalRON) {
+            expect(entry.value).to.equal(Number(await ron.balanceOf(entry.address)));
+        }
+
+        expect(boards.weekly.week).to.equal(week);
+        expect(addresses(boards.weekly.firstSolves)).to.deep.equal([solver2.address]);
+        expect(boards.weekly.streak).to.have.length(2);
+        expect(Object.keys(boards.categories)).to.deep.equal(["Logic", "Math"]);
+        expect(addresses(boards.categories.Logic.firstSolves)).to.deep.equal([solver1.address]);
+        expect(addresses(boards.categories.Math.firstSolves)).to.deep.equal([solver2.address]);
+        expect(boards.categories.Math.accuracy).to.deep.equal([]);
+        expect(JSON.parse(JSON.stringify(boards))).to.deep.equal(boards);
+    });
+
+    it("Should break ties by time reached, then by address", function () {
+        const user = (address, totalRON, reachedAt, attempts = 0) =>
+            [address, { address, totalRON, accuracy: 50, attempts, reachedAt: { totalRON: reachedAt, accuracy: reachedAt } }];
+        const users = new Map([
+            user("0xcc", 100, 20, 4), user("0xbb", 100, 10, 4), user("0xaa", 100, 10, 8), user("0xdd", 0, 1, 2)
+        ]);
+
+        expect(rank(users, "totalRON").map((entry) => entry.address)).to.deep.equal(["0xaa", "0xbb", "0xcc"]);
+        expect(rank(users, "totalRON", { limit: 1 })).to.deep.equal([{ rank: 1, address: "0xaa", value: 100, reachedAt: 10 }]);
+        expect(rank(users, "accuracy").map((entry) => entry.address)).to.deep.equal(["0xaa", "0xbb", "0xcc"]);
+        expect(rank(users, "accuracy", { minAttempts: 5 }).map((entry) => entry.address)).to.deep.equal(["0xaa"]);
+    });
+});
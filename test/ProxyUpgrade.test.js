@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { candidateAccounts, diffSnapshots, isExpectedChange, takeSnapshot } = require("../scripts/lib/snapshot");
+const { rehearseUpgrade, upgradeRecordedProxy } = require("../scripts/lib/upgrade");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Proxy Upgrade", function () {
+    const silent = () => {};
+    let deploymentsDir;
+    let record;
+
+    beforeEach(async function () {
+        ({ deploymentsDir, record } = await deployedEcosystem());
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should upgrade a recorded proxy and verify its state is unchanged", async function () {
+        const result = await upgradeRecordedProxy(hre, record, "rdln", { log: silent });
+
+        expect(result.changes).to.deep.equal([]);
+        expect(result.before["getBurnStats.currentSupply"]).to.equal(result.before.totalSupply);
+        expect(result.before["roles.GAME_ROLE"]).to.include(record.getContract("riddleNFT").address);
+
+        const upgrades = record.getContract("rdln").upgrades;
+        expect(upgrades).to.have.length(1);
+        expect(upgrades[0].status).to.equal("verified");
+    });
+
+    it("Should upgrade from an implementation that predates a watched role", async function () {
+        // Stand-in for the implementation deployed before the bridge: its BRIDGE_MINTER_ROLE getter is unreachable
+        const implementation = record.getContract("rdln").implementation;
+        const selector = hre.ethers.id("BRIDGE_MINTER_ROLE()").slice(2, 10);
+        const code = await hre.ethers.provider.getCode(implementation);
+        const withoutGetter = code.replace(`63${selector}14`, "63ffffffff14");
+        expect(withoutGetter).to.not.equal(code);
+        await hre.network.provider.send("hardhat_setCode", [implementation, withoutGetter]);
+        const rdln = await hre.ethers.getContractAt("RDLNUpgradeable", record.getContract("rdln").address);
+        await expect(rdln.BRIDGE_MINTER_ROLE()).to.be.rejected;
+
+        const result = await upgradeRecordedProxy(hre, record, "rdln", { log: silent });
+
+        expect(result.changes).to.deep.equal([]);
+        expect(result.before).to.have.property("roles.BRIDGE_MINTER_ROLE", "");
+        expect(record.getContract("rdln").upgrades[0].status).to.equal("verified");
+    });
+
+    it("Should rehearse the upgrade on a snapshot and revert it", async function () {
+        const entry = record.getContract("rdln");
+        const factory = await hre.ethers.getContractFactory("RDLNUpgradeable");
+        const current = await hre.ethers.getContractAt("RDLNUpgradeable", entry.address);
+        const accounts = candidateAccounts(record);
+        const before = await takeSnapshot(current, entry.name, accounts);
+        const blockNumber = await hre.ethers.provider.getBlockNumber();
+
+        // A snapshot that no longer matches the chain shows what a damaging upgrade would report
+        const rehearse = (snapshot, expectChanges) => rehearseUpgrade(hre, entry, factory, { kind: "uups" }, {
+            current, before: snapshot, accounts, expectChanges
+        });
+        expect(await rehearse(before)).to.deep.equal([]);
+        const changes = await rehearse({ ...before, totalSupply: "1" });
+        expect(changes.map((change) => change.key)).to.deep.equal(["totalSupply"]);
+        expect(await rehearse({ ...before, totalSupply: "1" }, ["totalSupply"])).to.deep.equal([]);
+
+        expect(await hre.ethers.provider.getBlockNumber()).to.equal(blockNumber);
+        expect(await hre.upgrades.erc1967.getImplementationAddress(entry.address)).to.equal(entry.implementation);
+
+        const logs = [];
+        await upgradeRecordedProxy(hre, record, "rdln", { log: (message) => logs.push(message) });
+        expect(logs.some((message) => message.includes("Rehearsed the upgrade"))).to.equal(true);
+    });
+
+    it("Should reject an implementation with an incompatible storage layout", async function () {
+        await expect(
+            upgradeRecordedProxy(hre, record, "ron", { to: "RONUpgradeable", log: silent })
+        ).to.be.rejectedWith(/New storage layout is incompatible/);
+
+        expect(record.getContract("ron").upgrades).to.be.undefined;
+    });
+
+    it("Should only snapshot when validating", async function () {
+        const implementation = record.getContract("riddleNFT").implementation;
+        const result = await upgradeRecordedProxy(hre, record, "riddleNFT", { validateOnly: true, log: silent });
+
+        expect(result.validated).to.be.true;
+        expect(result.before.currentSessionId).to.equal("1");
+        expect(await hre.upgrades.erc1967.getImplementationAddress(record.getContract("riddleNFT").address))
+            .to.equal(implementation);
+    });
+
+    it("Should report changed keys and honour expected-change prefixes", function () {
+        const changes = diffSnapshots(
+            { totalSupply: "1", "roles.MINTER_ROLE": "0xA" },
+            { totalSupply: "1", "roles.MINTER_ROLE": "0xA,0xB", paused: "true" }
+        );
+
+        expect(changes.map((change) => change.key)).to.deep.equal(["paused", "roles.MINTER_ROLE"]);
+        expect(isExpectedChange("roles.MINTER_ROLE", ["roles"])).to.be.true;
+        expect(isExpectedChange("rolesExtra", ["roles"])).to.be.false;
+        expect(isExpectedChange("paused", ["roles.MINTER_ROLE"])).to.be.false;
+    });
+});
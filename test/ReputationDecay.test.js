@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ReputationDecayCrank } = require("../scripts/lib/reputation-decay");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Reputation Decay Crank", function () {
+    const silent = () => {};
+    const DAY = 24 * 60 * 60;
+    let deploymentsDir;
+    let record;
+    let ron;
+    let deployer;
+    let participant;
+    let casual;
+
+    beforeEach(async function () {
+        let contracts;
+        ({ deploymentsDir, record, contracts } = await deployedEcosystem());
+        ron = contracts.ron;
+        const signers = await hre.ethers.getSigners();
+        [deployer] = signers;
+        participant = signers[9];
+        casual = signers[10];
+
+        // 1,050 RON makes a PARTICIPANT; validation RON has no event, so the awardRON call is what makes them discoverable
+        await ron.awardRON(participant.address, 1, true, false, "Solved");
+        await ron.awardValidationRON(participant.address, 950, "Validation");
+        await ron.awardRON(casual.address, 0, false, false, "Solved");
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should find users from RON events and leave active ones alone", async function () {
+        const crank = new ReputationDecayCrank(ron, record, { log: silent });
+        const report = await crank.run({ dryRun: true });
+
+        expect(report.users).to.equal(3);
+        expect(record.data.reputationDecay.users).to.have.members([deployer.address, participant.address, casual.address]);
+        expect(report.eligible).to.deep.equal([]);
+    });
+
+    it("Should decay inactive users once per period and report tier changes", async function () {
+        await time.increase(31 * DAY);
+        const crank = new ReputationDecayCrank(ron, record, { log: silent });
+
+        const dryRun = await crank.run({ dryRun: true });
+        const planned = dryRun.eligible.find((item) => item.user === participant.address);
+        expect(planned).to.include({ oldRON: "1050", expectedRON: "945", oldTier: "PARTICIPANT", expectedTier: "OBSERVER" });
+        expect(await ron.balanceOf(participant.address)).to.equal(1050n);
+
+        const report = await crank.run();
+        expect(report.applied).to.have.length(3);
+        const applied = report.applied.find((item) => item.user === participant.address);
+        expect(applied).to.include({ oldRON: "1050", newRON: "945", oldTier: "PARTICIPANT", newTier: "OBSERVER", daysSinceActivity: 31 });
+        expect(report.tierChanges.map((item) => item.user)).to.deep.equal([participant.address]);
+        expect(await ron.balanceOf(participant.address)).to.equal(945n);
+        expect(await ron.calculateGovernanceTier(participant.address)).to.equal(0n);
+
+        // applyReputationDecay would take another 10% if called again in the same period
+        expect((await crank.run()).applied).to.deep.equal([]);
+        expect(await ron.balanceOf(participant.address)).to.equal(945n);
+
+        await time.increase(30 * DAY);
+        const second = await new ReputationDecayCrank(ron, record, { log: silent }).run();
+        expect(second.applied.find((item) => item.user === participant.address)).to.include({ oldRON: "945", newRON: "756" });
+    });
+
+    it("Should skip users active again and split transactions into gas-bounded batches", async function () {
+        await time.increase(31 * DAY);
+        await ron.awardRON(casual.address, 0, false, false, "Back again");
+
+        const crank = new ReputationDecayCrank(ron, record, { batchGas: 1, log: silent });
+        const report = await crank.run();
+
+        expect(report.applied.map((item) => item.user)).to.have.members([deployer.address, participant.address]);
+        expect(report.batches).to.deep.equal(report.applied.map((item) => [item.user]));
+        expect(await ron.balanceOf(casual.address)).to.equal(200n);
+
+        const saved = JSON.parse(fs.readFileSync(record.file, "utf8")).reputationDecay;
+        expect(saved.lastRun).to.include({ decayed: 2, tierChanges: 1 });
+        expect(saved.lastDecay[participant.address].daysSinceActivity).to.equal(31);
+    });
+});
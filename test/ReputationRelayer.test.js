@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { loadNetworkConfig } = require("../scripts/lib/config");
+const { deployEcosystem } = require("../scripts/lib/ecosystem");
+const { FINALITY_CONFIRMATIONS } = require("../scripts/lib/chain");
+const { ReputationRelayer } = require("../scripts/lib/reputation-relayer");
+const { fixtureDir, withDeployments } = require("./helpers/ecosystem");
+
+describe("Reputation Relayer", function () {
+    const silent = () => {};
+    const CHAIN = "31337";
+    const OTHER_CHAIN = "31338";
+    const SOLVER = 1n;
+    const EXPERT = 2n;
+    let deploymentsDir;
+    let sourceRecord;
+    let source;
+    let destination;
+    let user;
+    let outsider;
+    let relayer;
+
+    // Source and destination are two ecosystems on the in-process chain; the relayer only sees chain ids and addresses
+    async function reputationFixture() {
+        const deploymentsDir = fixtureDir("riddlen-reputation-");
+        const base = loadNetworkConfig("hardhat");
+        const config = {
+            ...base,
+            contracts: { ...base.contracts, ron: "RONUpgradeable" },
+            reputationSync: { chains: [CHAIN], relayers: ["deployer"] }
+        };
+        const deploy = (dir) => deployEcosystem(hre, config, { deploymentsDir: path.join(deploymentsDir, dir), log: silent });
+
+        const { record: sourceRecord, contracts } = await deploy("source");
+        return { deploymentsDir, sourceRecord, source: contracts.ron, destination: (await deploy("destination")).contracts.ron };
+    }
+
+    // What syncReputationCrossChain hashes on the source, for snapshots sent without the relayer
+    function syncHash(ronAmount, snapshotTime, sourceChain = CHAIN) {
+        return hre.ethers.solidityPackedKeccak256(
+            ["address", "uint256", "uint256", "uint256", "uint256"],
+            [user.address, ronAmount, sourceChain, CHAIN, snapshotTime]
+        );
+    }
+
+    beforeEach(async function () {
+        [, , , , , , , outsider, , user] = await hre.ethers.getSigners();
+        ({ deploymentsDir, sourceRecord, source, destination } = await withDeployments(reputationFixture));
+
+        await source.awardValidationRON(user.address, 12000, "Validation");
+        relayer = new ReputationRelayer(source, destination, sourceRecord, { sourceConfirmations: 0, log: silent });
+        await relayer.start();
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should configure chains and relayers in the reputationSync deployment phase", async function () {
+        const [deployer] = await hre.ethers.getSigners();
+        expect(await destination.supportedChains(CHAIN)).to.equal(true);
+        expect(await destination.hasRole(await destination.BRIDGE_ROLE(), deployer.address)).to.equal(true);
+        expect(sourceRecord.data.phases.reputationSync).to.deep.include({ chains: [CHAIN], relayers: [deployer.address] });
+
+        const unauthorized = new ReputationRelayer(source, destination.connect(outsider), sourceRecord, { log: silent });
+        expect(unauthorized.sourceConfirmations).to.equal(FINALITY_CONFIRMATIONS);
+        await expect(unauthorized.start()).to.be.rejectedWith(`${outsider.address} does not hold BRIDGE_ROLE`);
+    });
+
+    it("Should carry a user's tier to the destination exactly once", async function () {
+        await relayer.requestSyncs([user.address]);
+
+        const relayed = await relayer.tick();
+        expect(relayed.map((sync) => [sync.status, sync.tier])).to.deep.equal([["completed", "EXPERT"]]);
+        expect(relayed[0]).to.include({ user: user.address, ronAmount: "12000", sourceChain: CHAIN });
+        expect(await destination.getUserTier(user.address)).to.equal(EXPERT);
+        expect(await destination.crossChainRON(user.address)).to.equal(12000n);
+        expect(await destination.balanceOf(user.address)).to.equal(0n);
+        expect(await relayer.tick()).to.deep.equal([]);
+
+        const { ronAmount, snapshotTime, syncHash: hash } = relayed[0];
+        await expect(destination.receiveReputationSync(user.address, ronAmount, CHAIN, snapshotTime, hash))
+            .to.be.revertedWithCustomError(destination, "ReputationSyncAlreadyProcessed").withArgs(hash);
+
+        const saved = JSON.parse(fs.readFileSync(sourceRecord.file, "utf8")).reputationRelayer[CHAIN];
+        expect(saved.syncs[hash]).to.include({ status: "completed", tier: "EXPERT" });
+    });
+
+    it("Should reject snapshots that do not match their syncHash or are older than the last one applied", async function () {
+        const { timestamp } = await hre.ethers.provider.getBlock("latest");
+        await expect(destination.receiveReputationSync(user.address, 200000, CHAIN, timestamp, syncHash(12000, timestamp)))
+            .to.be.revertedWithCustomError(destination, "InvalidReputationSync");
+        await expect(destination.connect(outsider).receiveReputationSync(user.address, 12000, CHAIN, timestamp, syncHash(12000, timestamp)))
+            .to.be.revertedWithCustomError(destination, "AccessControlUnauthorizedAccount");
+
+        // The relayer falls behind: a newer snapshot reaches the destination before the queued one
+        await relayer.requestSyncs([user.address]);
+        await relayer.scan();
+        const [queued] = Object.values(relayer.state.syncs);
+        await destination.receiveReputationSync(user.address, 20000, CHAIN, timestamp + 3600, syncHash(20000, timestamp + 3600));
+
+        expect((await relayer.tick()).map((sync) => sync.status)).to.deep.equal(["superseded"]);
+        await expect(destination.receiveReputationSync(user.address, queued.ronAmount, CHAIN, queued.snapshotTime, queued.syncHash))
+            .to.be.revertedWithCustomError(destination, "StaleReputationSync")
+            .withArgs(user.address, CHAIN, queued.snapshotTime, timestamp + 3600);
+
+        // Local awards keep the synced tier instead of recomputing it from local RON alone
+        await destination.awardRON(user.address, 0, false, false, "Local solve");
+        expect(await destination.getUserTier(user.address)).to.equal(EXPERT);
+        expect(await destination.crossChainRON(user.address)).to.equal(20000n);
+    });
+
+    it("Should follow the latest snapshot of each source chain and bind snapshots to their source chain", async function () {
+        await destination.setSupportedChain(OTHER_CHAIN, true);
+        const { timestamp } = await hre.ethers.provider.getBlock("latest");
+        const receive = (ronAmount, time, sourceChain) => destination.receiveReputationSync(
+            user.address, ronAmount, sourceChain, time, syncHash(ronAmount, time, sourceChain)
+        );
+
+        await receive(20000, timestamp, CHAIN);
+        await receive(5000, timestamp, OTHER_CHAIN);
+        expect(await destination.crossChainRON(user.address)).to.equal(20000n);
+        expect([await destination.reputationSourceChains(0), await destination.reputationSourceChains(1)])
+            .to.deep.equal([BigInt(CHAIN), BigInt(OTHER_CHAIN)]);
+
+        // RON lost on a source chain is lost here too; the other chain's snapshot still counts
+        await receive(3000, timestamp + 60, CHAIN);
+        expect(await destination.crossChainRON(user.address)).to.equal(5000n);
+        expect(await destination.getUserTier(user.address)).to.equal(SOLVER);
+
+        await expect(destination.receiveReputationSync(user.address, 9000, OTHER_CHAIN, timestamp + 60, syncHash(9000, timestamp + 60)))
+            .to.be.revertedWithCustomError(destination, "InvalidReputationSync");
+    });
+});
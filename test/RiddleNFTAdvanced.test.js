@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { hashAnswer } = require("../sdk");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("RiddleNFTAdvanced Sessions", function () {
+    const { parseEther } = hre.ethers;
+    let deploymentsDir;
+    let rdln;
+    let riddleNFT;
+    let player;
+
+    async function submitValidatedQuestion(answer) {
+        const [, , , , , , , , , creator, ...validators] = await hre.ethers.getSigners();
+        await rdln.mintAirdrop(creator.address, parseEther("10"));
+        await rdln.connect(creator).approve(await riddleNFT.getAddress(), parseEther("10"));
+        await riddleNFT.connect(creator).submitQuestion(`Answer is ${answer.length} letters`, 1, hashAnswer(answer), [], 0);
+        const questionId = (await riddleNFT.currentQuestionId()) - 1n;
+        for (const validator of validators.slice(0, 3)) {
+            await riddleNFT.grantRole(await riddleNFT.QUESTION_VALIDATOR_ROLE(), validator.address);
+            await riddleNFT.connect(validator).validateQuestion(questionId, true);
+        }
+        return questionId;
+    }
+
+    async function submit(questionIndex, answer) {
+        await time.increase(30);
+        return riddleNFT.connect(player).submitAnswer(1, questionIndex, hashAnswer(answer));
+    }
+
+    beforeEach(async function () {
+        let contracts;
+        ({ deploymentsDir, contracts } = await deployedEcosystem());
+        ({ rdln, riddleNFT } = contracts);
+        player = (await hre.ethers.getSigners())[13];
+        await rdln.mintAirdrop(player.address, parseEther("2100"));
+        await rdln.connect(player).approve(await riddleNFT.getAddress(), parseEther("1100"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should check each answer against its question's hash and complete on the last one", async function () {
+        const questionIds = [await submitValidatedQuestion("red"), await submitValidatedQuestion("blue")];
+        await riddleNFT.createRiddleSession("Colors", "Two questions", "Art", 0, questionIds, 3600);
+        await riddleNFT.startRiddleSession(1);
+        await riddleNFT.connect(player).mintRiddleAccess(1);
+        const tokenId = await riddleNFT.tokenOfOwnerByIndex(player.address, 0);
+
+        // Each index is compared to its own question's answer; a wrong one costs the attempt penalty
+        const balance = await rdln.balanceOf(player.address);
+        await submit(0, "blue");
+        expect(await rdln.balanceOf(player.address)).to.be.lessThan(balance);
+        const charged = await rdln.balanceOf(player.address);
+        await submit(0, "red");
+        expect(await rdln.balanceOf(player.address)).to.equal(charged);
+        expect((await riddleNFT.getParticipantData(tokenId)).completed).to.equal(false);
+
+        await expect(submit(1, "blue")).to.emit(riddleNFT, "RiddleCompleted");
+        const { completed, successful } = await riddleNFT.getParticipantData(tokenId);
+        expect([completed, successful]).to.deep.equal([true, true]);
+    });
+});
@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const fs = require("fs");
 const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployedWeeklyNFT } = require("./helpers/ecosystem");
 
 describe("RiddleNFT Weekly System", function () {
   async function deploySystemFixture() {
@@ -417,6 +419,39 @@ describe("RiddleNFT Weekly System", function () {
     }
   });
 
+  describe("Resale Listings", function () {
+    let deploymentsDir;
+
+    afterEach(function () {
+      fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should emit ResalePriceUpdated when listing and delisting", async function () {
+      let contracts;
+      ({ deploymentsDir, contracts } = await deployedWeeklyNFT());
+      const { rdln, weeklyNFT } = contracts;
+      const seller = (await ethers.getSigners())[10];
+
+      await rdln.mintAirdrop(seller.address, ethers.parseEther("1000"));
+      const receipt = await (await weeklyNFT.releaseWeeklyRiddle("Test", 0, ethers.id("42"), "test")).wait();
+      await rdln.connect(seller).approve(await weeklyNFT.getAddress(), await weeklyNFT.getCurrentMintCost());
+      await weeklyNFT.connect(seller).mintRiddleNFT(receipt.logs[0].args.riddleId);
+      const tokenId = await weeklyNFT.tokenOfOwnerByIndex(seller.address, 0);
+
+      const price = ethers.parseEther("2");
+      await expect(weeklyNFT.connect(seller).setResalePrice(tokenId, price))
+        .to.emit(weeklyNFT, "ResalePriceUpdated")
+        .withArgs(tokenId, seller.address, price);
+      expect((await weeklyNFT.getResaleInfo(tokenId)).forSale).to.equal(true);
+
+      // A price of 0 takes the NFT off the market
+      await expect(weeklyNFT.connect(seller).setResalePrice(tokenId, 0))
+        .to.emit(weeklyNFT, "ResalePriceUpdated")
+        .withArgs(tokenId, seller.address, 0);
+      expect((await weeklyNFT.getResaleInfo(tokenId)).forSale).to.equal(false);
+    });
+  });
+
   describe("Admin Functions", function () {
     it("Should allow admin to update commission rates", async function () {
       const { riddleNFT, admin } = await loadFixture(deploySystemFixture);
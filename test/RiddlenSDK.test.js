@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { readAbis } = require("../scripts/lib/sdk-build");
+const { RiddlenSDK, abiFor, hashAnswer, loadAddressBook } = require("../sdk");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Riddlen SDK", function () {
+    const { parseEther } = hre.ethers;
+    let deploymentsDir;
+    let rdln;
+    let riddleNFT;
+    let player;
+
+    async function createSession(answer) {
+        const [, , , , , , , , , creator, ...validators] = await hre.ethers.getSigners();
+        await rdln.mintAirdrop(creator.address, parseEther("10"));
+        const creatorSdk = await RiddlenSDK.connect(creator, { deploymentsDir });
+        const { questionId } = await creatorSdk.submitQuestion({ content: "What is 6 x 7?", answer, type: "MATHEMATICAL" });
+        for (const validator of validators.slice(0, 3)) {
+            await riddleNFT.grantRole(await riddleNFT.QUESTION_VALIDATOR_ROLE(), validator.address);
+            await riddleNFT.connect(validator).validateQuestion(questionId, true);
+        }
+        await riddleNFT.createRiddleSession("Numbers", "Warm-up", "Math", 0, [questionId], 3600);
+        const sessionId = (await riddleNFT.currentSessionId()) - 1n;
+        await riddleNFT.startRiddleSession(sessionId);
+        return sessionId;
+    }
+
+    beforeEach(async function () {
+        let contracts;
+        ({ deploymentsDir, contracts } = await deployedEcosystem());
+        ({ rdln, riddleNFT } = contracts);
+        player = (await hre.ethers.getSigners())[13];
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should join a session, answer, claim the prize and report the player's profile", async function () {
+        const sessionId = await createSession("42");
+        const sdk = await RiddlenSDK.connect(player, { deploymentsDir });
+        expect(sdk.network).to.equal("hardhat");
+        expect(sdk.riddleNFT.target).to.equal(riddleNFT.target);
+
+        // Joining takes the mint cost twice: the payment and the mint burn
+        await rdln.mintAirdrop(player.address, parseEther("1500"));
+        await expect(sdk.joinSession(sessionId)).to.be.rejectedWith("charged twice");
+        await rdln.mintAirdrop(player.address, parseEther("1000"));
+        const { tokenId, cost } = await sdk.joinSession(sessionId);
+        expect(cost).to.equal(parseEther("1000"));
+        await expect(sdk.joinSession(sessionId)).to.be.rejectedWith(`already joined session ${sessionId} with token ${tokenId}`);
+        await expect(sdk.submitAnswer(sessionId, "42")).to.be.rejectedWith("before answering");
+
+        await time.increase(30);
+        expect(await sdk.submitAnswer(sessionId, "41")).to.include({ tokenId, attempt: 1, correct: false, completed: false });
+        await time.increase(30);
+        const solved = await sdk.submitAnswer(sessionId, " 042 ");
+        expect(solved).to.include({ attempt: 2, correct: true, completed: true });
+        expect(solved.prizeAmount).to.be.greaterThan(0n);
+        await expect(sdk.submitAnswer(sessionId, "42")).to.be.rejectedWith("already completed");
+
+        await expect(sdk.claimPrize(sessionId)).to.be.rejectedWith("short of the");
+        await rdln.mintAirdrop(riddleNFT.target, solved.prizeAmount);
+        const before = await rdln.balanceOf(player.address);
+        expect(await sdk.claimPrize(sessionId)).to.deep.equal({ tokenId, amount: solved.prizeAmount });
+        expect(await rdln.balanceOf(player.address)).to.equal(before + solved.prizeAmount);
+        await expect(sdk.claimPrize(sessionId)).to.be.rejectedWith("already claimed");
+
+        const profile = await sdk.getPlayerProfile();
+        expect(profile.rdln).to.include({ balance: before + solved.prizeAmount, failedAttempts: 1 });
+        expect(profile.ron.balance).to.be.greaterThan(0n);
+        expect(profile.sessions).to.have.length(1);
+        expect(profile.sessions[0]).to.include({ tokenId, sessionId, successful: true, prizeClaimed: true });
+    });
+
+    it("Should read the address book from deployment records and ship ABIs matching the artifacts", async function () {
+        const book = loadAddressBook(deploymentsDir);
+        expect(Object.keys(book)).to.deep.equal(["31337"]);
+        expect(book["31337"].contracts.riddleNFT).to.deep.equal({ name: "RiddleNFTAdvanced", address: riddleNFT.target });
+        await expect(RiddlenSDK.connect(player, { addresses: {} })).to.be.rejectedWith("No Riddlen deployment known for chain 31337");
+
+        // Stale ABIs mean npm run sdk:build was not run after a contract change
+        for (const [name, abi] of Object.entries(await readAbis(hre))) expect(abiFor(name), name).to.deep.equal(abi);
+    });
+
+    it("Should submit questions with the canonical answer hash and the progressive cost", async function () {
+        const creator = (await hre.ethers.getSigners())[9];
+        const sdk = await RiddlenSDK.connect(creator, { deploymentsDir });
+        await expect(sdk.submitQuestion({ content: "Capital of France?", answer: "Paris" }))
+            .to.be.rejectedWith("costs 1000000000000000000 RDLN wei, balance is 0");
+
+        await rdln.mintAirdrop(creator.address, parseEther("3"));
+        const first = await sdk.submitQuestion({ content: "Capital of France?", answer: "  PARIS " });
+        expect(first).to.deep.equal({ questionId: first.questionId, cost: parseEther("1"), answerHash: hashAnswer("paris") });
+        expect((await riddleNFT.questions(first.questionId)).correctAnswerHash).to.equal(hashAnswer("paris"));
+
+        const choice = { content: "Largest planet?", type: "MULTIPLE_CHOICE", options: ["Mars", "Jupiter"] };
+        await expect(sdk.submitQuestion({ ...choice, answer: "Venus" })).to.be.rejectedWith("not one of the options");
+        await expect(sdk.submitQuestion({ ...choice, answer: " " })).to.be.rejectedWith("empty once normalized");
+        expect((await sdk.submitQuestion({ ...choice, answer: "JUPITER" })).cost).to.equal(parseEther("2"));
+    });
+});
@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { auditRoles, loadRolePolicy, reconstructRoleMembers } = require("../scripts/lib/roles");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Role Audit", function () {
+    let deploymentsDir;
+    let record;
+    let contracts;
+
+    beforeEach(async function () {
+        ({ deploymentsDir, record, contracts } = await deployedEcosystem());
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should match the hardhat policy right after deployment", async function () {
+        const report = await auditRoles(hre, record, loadRolePolicy("hardhat"));
+
+        expect(report.findings).to.deep.equal([]);
+        expect(report.contracts.rdln.roles.GAME_ROLE.holders[0]).to.include("(riddleNFT)");
+    });
+
+    it("Should reconstruct membership through grants and revocations", async function () {
+        const [, user] = await hre.ethers.getSigners();
+        const { rdln } = contracts;
+        const BURNER_ROLE = await rdln.BURNER_ROLE();
+
+        await rdln.grantRole(BURNER_ROLE, user.address);
+        await rdln.revokeRole(BURNER_ROLE, user.address);
+
+        const members = await reconstructRoleMembers(rdln, { fromBlock: record.data.startBlock });
+        expect([...members.get(BURNER_ROLE)]).to.deep.equal([record.data.deployer]);
+    });
+
+    it("Should flag extra holders and missing grants", async function () {
+        const [, user] = await hre.ethers.getSigners();
+        const { rdln, ron, riddleNFT } = contracts;
+        const nftAddress = await riddleNFT.getAddress();
+
+        await rdln.grantRole(await rdln.MINTER_ROLE(), user.address);
+        await rdln.revokeRole(await rdln.GAME_ROLE(), nftAddress);
+        await ron.grantRole(await ron.BRIDGE_ROLE(), user.address);
+
+        const { findings } = await auditRoles(hre, record, loadRolePolicy("hardhat"));
+        const summary = findings.map((finding) => `${finding.type} ${finding.contract}.${finding.role} ${finding.account}`);
+
+        expect(summary).to.have.members([
+            `extra rdln.MINTER_ROLE ${user.address}`,
+            `missing rdln.GAME_ROLE ${nftAddress}`,
+            `extra ron.BRIDGE_ROLE ${user.address}`
+        ]);
+    });
+
+    it("Should report holders of roles the policy does not declare", async function () {
+        const policy = loadRolePolicy("hardhat");
+        delete policy.riddleNFT.GAME_MASTER_ROLE;
+
+        const { findings } = await auditRoles(hre, record, policy);
+
+        expect(findings).to.have.length(1);
+        expect(findings[0]).to.include({ type: "extra", role: "GAME_MASTER_ROLE", undeclared: true });
+    });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { loadNetworkConfig } = require("../scripts/lib/config");
+const { deployEcosystem } = require("../scripts/lib/ecosystem");
+const { loadBatch, simulateBatches } = require("../scripts/lib/safe-batch");
+const { upgradeRecordedProxy } = require("../scripts/lib/upgrade");
+const { loadWalletProfile } = require("../scripts/lib/wallets");
+const { fixtureDir, withDeployments } = require("./helpers/ecosystem");
+
+describe("Safe Batches", function () {
+    const silent = () => {};
+    let deploymentsDir;
+    let safe;
+    let deployment;
+
+    async function safeFixture() {
+        const deploymentsDir = fixtureDir("riddlen-safe-");
+
+        // An EOA stands in for the Safe; simulation impersonates whatever address the batch names
+        const walletProfile = { ...loadWalletProfile("hardhat"), admin: "signer:6" };
+        const { record, contracts, batches } = await deployEcosystem(hre, loadNetworkConfig("hardhat"), {
+            deploymentsDir,
+            walletProfile,
+            safe: true,
+            log: silent
+        });
+        return { deploymentsDir, record, contracts, batches };
+    }
+
+    beforeEach(async function () {
+        safe = (await hre.ethers.getSigners())[6];
+        deployment = await withDeployments(safeFixture);
+        deploymentsDir = deployment.deploymentsDir;
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should export admin phases as Transaction Builder batches instead of sending them", async function () {
+        const { record, contracts, batches } = deployment;
+
+        expect(record.isPhaseComplete("riddleNFT")).to.be.true;
+        expect(record.isPhaseBatched("roles")).to.be.true;
+        expect(record.isPhaseBatched("testSetup")).to.be.true;
+        expect(batches).to.deep.equal([
+            record.data.phases.roles.batch,
+            record.data.phases.treasuryDripSetup.batch,
+            record.data.phases.testSetup.batch
+        ]);
+
+        const batch = loadBatch(record.data.phases.roles.batch);
+        expect(batch.chainId).to.equal("31337");
+        expect(batch.meta.createdFromSafeAddress).to.equal(safe.address);
+        expect(batch.transactions).to.have.length(loadNetworkConfig("hardhat").roles.length);
+
+        const [first] = batch.transactions;
+        expect(first.to).to.equal(await contracts.rdln.getAddress());
+        expect(first.value).to.equal("0");
+        expect(first.contractMethod.name).to.equal("grantRole");
+        expect(first.contractInputsValues.account).to.equal(await contracts.riddleNFT.getAddress());
+        expect(contracts.rdln.interface.decodeFunctionData("grantRole", first.data).account)
+            .to.equal(await contracts.riddleNFT.getAddress());
+
+        expect(await contracts.rdln.hasRole(await contracts.rdln.GAME_ROLE(), await contracts.riddleNFT.getAddress()))
+            .to.be.false;
+    });
+
+    it("Should simulate a batch as the Safe and restore the local state afterwards", async function () {
+        const { record, contracts } = deployment;
+        const results = await simulateBatches(hre, [loadBatch(record.data.phases.roles.batch)], { log: silent });
+
+        expect(results[0].status).to.equal("success");
+        expect(results[0].transactions.every((tx) => tx.status === "success")).to.be.true;
+        expect(await contracts.rdln.hasRole(await contracts.rdln.GAME_ROLE(), await contracts.riddleNFT.getAddress()))
+            .to.be.false;
+    });
+
+    it("Should stop at the first reverting transaction", async function () {
+        const { record } = deployment;
+        const results = await simulateBatches(hre, [loadBatch(record.data.phases.testSetup.batch)], { log: silent });
+
+        // The Safe holds MINTER_ROLE but not the GAME_ROLE awardRON requires
+        expect(results[0].status).to.equal("reverted");
+        expect(results[0].transactions.map((tx) => tx.status)).to.deep.equal(["success", "reverted"]);
+        expect(results[0].transactions[1].error).to.include("AccessControlUnauthorizedAccount");
+    });
+
+    it("Should skip exported phases when resuming", async function () {
+        const { record } = deployment;
+        const batchedAt = record.data.phases.roles.batchedAt;
+
+        const resumed = await deployEcosystem(hre, loadNetworkConfig("hardhat"), {
+            deploymentsDir,
+            walletProfile: { ...loadWalletProfile("hardhat"), admin: "signer:6" },
+            safe: true,
+            log: silent
+        });
+
+        expect(resumed.batches).to.deep.equal([]);
+        expect(resumed.record.data.phases.roles.batchedAt).to.equal(batchedAt);
+    });
+
+    it("Should export a proxy upgrade for the Safe and simulate it", async function () {
+        const { record } = deployment;
+        const result = await upgradeRecordedProxy(hre, record, "ron", { safe: true, log: silent });
+
+        const upgrade = record.getContract("ron").upgrades[0];
+        expect(upgrade).to.include({ status: "pending-safe", batch: result.batch, implementation: result.implementation });
+
+        const batch = loadBatch(result.batch);
+        expect(batch.transactions[0].contractMethod.name).to.equal("upgradeToAndCall");
+        expect(batch.transactions[0].contractInputsValues.newImplementation).to.equal(result.implementation);
+
+        const [simulation] = await simulateBatches(hre, [batch], { log: silent });
+        expect(simulation.status).to.equal("success");
+    });
+});
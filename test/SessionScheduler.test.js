@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { SessionScheduler, loadCalendar } = require("../scripts/lib/session-scheduler");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Session Scheduler", function () {
+    const silent = () => {};
+    const HOUR = 60 * 60;
+    let deploymentsDir;
+    let record;
+    let nft;
+
+    function writeCalendar(name, content) {
+        const file = path.join(deploymentsDir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    async function calendar(sessions) {
+        const now = await time.latest();
+        const file = writeCalendar("calendar.json", JSON.stringify({
+            sessions: sessions.map(({ in: offset, ...session }) => ({
+                category: "logic",
+                difficulty: "EASY",
+                duration: "1h",
+                start: new Date((now + offset) * 1000).toISOString(),
+                ...session
+            }))
+        }));
+        return loadCalendar(file);
+    }
+
+    beforeEach(async function () {
+        let contracts;
+        ({ deploymentsDir, record, contracts } = await deployedEcosystem());
+        nft = contracts.riddleNFT;
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should read a YAML calendar and report every invalid entry at once", async function () {
+        const valid = loadCalendar(writeCalendar("valid.yaml", [
+            "sessions:",
+            "  - title: Later",
+            "    category: logic",
+            "    difficulty: hard",
+            "    duration: 90m",
+            "    start: 2026-11-02T18:00:00Z",
+            "  - id: first",
+            "    title: Sooner",
+            "    category: math",
+            "    difficulty: 1",
+            "    questionIds: [3, 4]",
+            "    duration: 3600",
+            "    start: 2026-11-01T18:00:00+02:00"
+        ].join("\n")));
+        expect(valid.map((entry) => entry.key)).to.deep.equal(["first", "2026-11-02T18:00:00.000Z Later"]);
+        expect(valid[0]).to.include({ difficulty: 1, duration: 3600, start: Date.parse("2026-11-01T16:00:00Z") / 1000 });
+        expect(valid[0].questionIds).to.deep.equal([3, 4]);
+        expect(valid[1]).to.include({ difficulty: 2, duration: 5400 });
+
+        const invalid = writeCalendar("invalid.yaml", [
+            "- { id: a, title: One, category: logic, difficulty: IMPOSSIBLE, duration: 1h, start: 2026-11-01T18:00:00Z }",
+            "- { id: a, title: Two, category: logic, difficulty: EASY, duration: soon, start: tomorrow }"
+        ].join("\n"));
+        expect(() => loadCalendar(invalid)).to.throw(/difficulty must be one of[\s\S]*duration "soon"[\s\S]*start "tomorrow"[\s\S]*Duplicate session "a"/);
+    });
+
+    it("Should create sessions inside the create-ahead window and start them on time", async function () {
+        const entries = await calendar([
+            { id: "soon", title: "Soon", in: 2 * HOUR },
+            { id: "later", title: "Later", difficulty: "MEDIUM", in: 3 * 24 * HOUR }
+        ]);
+        const scheduler = new SessionScheduler(nft, entries, record, { log: silent });
+        await scheduler.start();
+
+        const first = await scheduler.tick();
+        expect(first.created).to.deep.equal(["soon"]);
+        expect(first.started).to.deep.equal([]);
+        expect(first.delay).to.be.closeTo(2 * HOUR * 1000, 5000);
+
+        const stored = record.data.sessions.soon;
+        const session = await nft.getRiddleSession(stored.sessionId);
+        expect(stored).to.include({ status: "created", difficulty: "EASY" });
+        expect(stored.maxMints).to.equal(session.maxMints.toString());
+        expect(stored.prizePool).to.equal(session.prizePool.toString());
+        expect(stored.winnerSlots).to.equal(session.winnerSlots.toString());
+        expect(session.state).to.equal(0n);
+
+        await time.increase(2 * HOUR);
+        expect((await scheduler.tick()).started).to.deep.equal(["soon"]);
+        expect((await nft.getRiddleSession(stored.sessionId)).state).to.equal(1n);
+
+        // The record on disk has the sessions too, so a restarted scheduler picks up where this one stopped
+        const saved = JSON.parse(fs.readFileSync(record.file, "utf8")).sessions;
+        expect(saved.soon.status).to.equal("started");
+        expect(saved.later).to.be.undefined;
+    });
+
+    it("Should run a whole calendar with time travel and mark sessions it can no longer run as missed", async function () {
+        const entries = await calendar([
+            { id: "gone", title: "Gone", in: -2 * HOUR },
+            { id: "late", title: "Late", in: -10 * 60 },
+            { id: "next-week", title: "Next week", in: 7 * 24 * HOUR }
+        ]);
+        const scheduler = new SessionScheduler(nft, entries, record, { timeTravel: true, pollInterval: 0, log: silent });
+        await scheduler.run({ maxTicks: 5 });
+
+        const { sessions } = record.data;
+        expect(sessions.gone).to.deep.include({ status: "missed" });
+        expect(sessions.gone.sessionId).to.be.undefined;
+        expect(sessions.late.status).to.equal("started");
+        expect(sessions["next-week"].status).to.equal("started");
+        expect(Number(sessions["next-week"].sessionId)).to.equal(Number(sessions.late.sessionId) + 1);
+        expect(await time.latest()).to.be.at.least(Date.parse(sessions["next-week"].scheduledStart) / 1000);
+    });
+
+    it("Should only time travel on a Hardhat node, whatever its chain id", async function () {
+        const scheduler = new SessionScheduler(nft, [], record, { timeTravel: true, log: silent });
+        await scheduler.start();
+
+        scheduler.provider = { send: async () => "Geth/v1.14.11-stable/linux-amd64/go1.22.8" };
+        await expect(scheduler.start()).to.be.rejectedWith("Time travel is only available on a Hardhat node");
+    });
+
+    it("Should refuse to start without GAME_MASTER_ROLE or with unvalidated questions", async function () {
+        const entries = await calendar([{ id: "q", title: "Questions", questionIds: [1], in: HOUR }]);
+        await expect(new SessionScheduler(nft, entries, record, { log: silent }).start())
+            .to.be.rejectedWith("question 1 is not validated");
+
+        const [, , , , , , , outsider] = await hre.ethers.getSigners();
+        await expect(new SessionScheduler(nft.connect(outsider), [], record, { log: silent }).start())
+            .to.be.rejectedWith("does not hold GAME_MASTER_ROLE");
+    });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadNetworkConfig } = require("../scripts/lib/config");
+const { deployEcosystem } = require("../scripts/lib/ecosystem");
+const { loadBatch, simulateBatches } = require("../scripts/lib/safe-batch");
+const { readContractStatus } = require("../scripts/lib/treasury-drip");
+const { loadWalletProfile } = require("../scripts/lib/wallets");
+
+describe("Treasury Drip Deployment", function () {
+    const silent = () => {};
+    const { parseEther } = hre.ethers;
+    let deploymentsDir;
+
+    beforeEach(function () {
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "riddlen-drip-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should deploy the drip, size the treasury approval and authorize automation", async function () {
+        const { record, contracts } = await deployEcosystem(hre, loadNetworkConfig("hardhat"), { deploymentsDir, log: silent });
+        const { rdln, treasuryDrip: drip } = contracts;
+        const { wallets, deployer } = record.data;
+        const dripAddress = await drip.getAddress();
+
+        expect(record.getContract("treasuryDrip").args).to.deep.equal([
+            await rdln.getAddress(), wallets.treasury, wallets.devOps, wallets.admin
+        ]);
+        expect(await drip.owner()).to.equal(wallets.admin);
+
+        // 60M funded (above the 50M emergency threshold) - 3M minimum balance = 57 releases of 1M
+        expect(await rdln.balanceOf(wallets.treasury)).to.equal(parseEther("60000000"));
+        expect(record.data.phases.treasuryApproval).to.include({ remainingReleases: "57", approval: parseEther("57000000").toString() });
+        expect(await rdln.allowance(wallets.treasury, dripAddress)).to.equal(parseEther("57000000"));
+        expect(await drip.authorizedAutomationServices(deployer)).to.be.true;
+
+        const status = await readContractStatus(drip);
+        expect(status).to.include({ remainingReleases: "57", canReleaseNow: "false", automationEnabled: "true" });
+        expect(status.treasuryApproval).to.equal(parseEther("57000000").toString());
+
+        await time.increase(30 * 24 * 60 * 60);
+        await drip.performUpkeep("0x");
+        expect(await rdln.balanceOf(wallets.devOps)).to.equal(parseEther("1000000"));
+    });
+
+    it("Should leave the approval pending until the treasury is funded", async function () {
+        const config = loadNetworkConfig("hardhat");
+        config.treasuryDrip = { automationServices: [] };
+
+        const { record, contracts } = await deployEcosystem(hre, config, { deploymentsDir, log: silent });
+        expect(record.data.phases.treasuryApproval.status).to.equal("pending");
+        expect(record.isPhaseComplete("testSetup")).to.be.true;
+
+        await contracts.rdln.mintTreasury(record.data.wallets.treasury, parseEther("5000000"));
+        const resumed = await deployEcosystem(hre, config, { deploymentsDir, log: silent });
+
+        expect(resumed.record.isPhaseComplete("treasuryApproval")).to.be.true;
+        expect(await contracts.rdln.allowance(record.data.wallets.treasury, await contracts.treasuryDrip.getAddress()))
+            .to.equal(parseEther("2000000"));
+    });
+
+    it("Should leave the approval to an EOA treasury whose key is not available", async function () {
+        const treasury = hre.ethers.Wallet.createRandom().address;
+        const walletProfile = { ...loadWalletProfile("hardhat"), treasury };
+        const { record, contracts } = await deployEcosystem(hre, loadNetworkConfig("hardhat"), {
+            deploymentsDir,
+            walletProfile,
+            log: silent
+        });
+
+        const phase = record.data.phases.treasuryApproval;
+        const spender = await contracts.treasuryDrip.getAddress();
+        expect(phase.status).to.equal("pending");
+        expect(phase.reason).to.include(`approve(${spender}, ${parseEther("57000000")})`);
+        const data = contracts.rdln.interface.encodeFunctionData("approve", [spender, parseEther("57000000")]);
+        expect(phase.reason).to.include(data);
+        expect(fs.existsSync(path.join(deploymentsDir, "safe"))).to.be.false;
+
+        // Once the treasury has sent the call, the next run completes the phase
+        await hre.network.provider.send("hardhat_impersonateAccount", [treasury]);
+        await hre.network.provider.send("hardhat_setBalance", [treasury, "0xde0b6b3a7640000"]);
+        const signer = await hre.ethers.getSigner(treasury);
+        await signer.sendTransaction({ to: await contracts.rdln.getAddress(), data });
+        await hre.network.provider.send("hardhat_stopImpersonatingAccount", [treasury]);
+
+        const resumed = await deployEcosystem(hre, loadNetworkConfig("hardhat"), { deploymentsDir, walletProfile, log: silent });
+        expect(resumed.record.isPhaseComplete("treasuryApproval")).to.be.true;
+    });
+
+    it("Should export the approval for a Safe treasury whose key is not available", async function () {
+        const treasury = hre.ethers.Wallet.createRandom().address;
+        await hre.network.provider.send("hardhat_setCode", [treasury, "0x00"]);
+        const walletProfile = { ...loadWalletProfile("hardhat"), treasury: { address: treasury, multisig: true } };
+
+        const { record, contracts } = await deployEcosystem(hre, loadNetworkConfig("hardhat"), {
+            deploymentsDir,
+            walletProfile,
+            log: silent
+        });
+
+        expect(record.isPhaseBatched("treasuryApproval")).to.be.true;
+        const batch = loadBatch(record.data.phases.treasuryApproval.batch);
+        expect(batch.meta.createdFromSafeAddress).to.equal(treasury);
+        expect(batch.transactions[0].contractMethod.name).to.equal("approve");
+        expect(batch.transactions[0].contractInputsValues).to.deep.equal({
+            spender: await contracts.treasuryDrip.getAddress(),
+            value: parseEther("57000000").toString()
+        });
+
+        const [simulation] = await simulateBatches(hre, [batch], { log: silent });
+        expect(simulation.status).to.equal("success");
+    });
+});
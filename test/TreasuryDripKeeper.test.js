@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TreasuryDripKeeper } = require("../scripts/lib/keeper");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Treasury Drip Keeper", function () {
+    const silent = () => {};
+    const MONTH = 30 * 24 * 60 * 60;
+    let deploymentsDir;
+    let drip;
+    let keeper;
+
+    beforeEach(async function () {
+        let contracts;
+        ({ deploymentsDir, contracts } = await deployedEcosystem());
+        drip = contracts.treasuryDrip;
+        keeper = new TreasuryDripKeeper(drip, { retryDelay: 1000, maxBackoff: 8000, log: silent });
+        await keeper.start();
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should wait until the release is due, then perform upkeep", async function () {
+        const waiting = await keeper.tick();
+        expect(waiting).to.include({ status: "waiting", reason: "NotTimeForRelease" });
+        expect(waiting.delay).to.be.closeTo(MONTH * 1000, 60_000);
+
+        await time.increase(MONTH);
+        const performed = await keeper.tick();
+        expect(performed.status).to.equal("performed");
+        expect(performed.amount).to.equal(hre.ethers.parseEther("1000000").toString());
+        expect(await drip.releasesExecuted()).to.equal(1n);
+    });
+
+    it("Should run the health check once automationCheckInterval has passed", async function () {
+        expect((await keeper.tick()).healthCheck).to.be.undefined;
+
+        await time.increase(2 * 24 * 60 * 60);
+        const { healthCheck } = await keeper.tick();
+        expect(healthCheck).to.deep.equal({ healthy: true });
+        expect(await drip.lastAutomationCheck()).to.equal(BigInt(await time.latest()));
+    });
+
+    it("Should back off on NotTimeForRelease and exponentially while paused", async function () {
+        const early = await keeper.submit();
+        expect(early).to.include({ status: "waiting", reason: "NotTimeForRelease" });
+
+        await drip.pause("maintenance");
+        await time.increase(MONTH);
+        expect((await keeper.tick()).delay).to.equal(1000);
+        expect((await keeper.tick()).delay).to.equal(2000);
+        expect((await keeper.tick()).delay).to.equal(4000);
+        expect((await keeper.tick()).delay).to.equal(8000);
+        expect((await keeper.tick())).to.include({ status: "backoff", reason: "paused", delay: 8000 });
+
+        await drip.unpause();
+        expect((await keeper.tick()).status).to.equal("performed");
+        expect(keeper.failures).to.equal(0);
+    });
+
+    it("Should advance a local chain to each release with time travel", async function () {
+        const traveller = new TreasuryDripKeeper(drip, { timeTravel: true, pollInterval: 0, healthChecks: false, log: silent });
+        await traveller.run({ maxTicks: 3 });
+
+        expect(await drip.releasesExecuted()).to.equal(3n);
+    });
+
+    it("Should only time travel on a Hardhat node, whatever its chain id", async function () {
+        const traveller = new TreasuryDripKeeper(drip, { timeTravel: true, log: silent });
+        await traveller.start();
+
+        traveller.provider = { send: async () => "Geth/v1.14.11-stable/linux-amd64/go1.22.8" };
+        await expect(traveller.start()).to.be.rejectedWith("Time travel is only available on a Hardhat node");
+        traveller.provider = { send: async () => { throw new Error("method not found"); } };
+        await expect(traveller.start()).to.be.rejectedWith("Time travel is only available on a Hardhat node");
+    });
+
+    it("Should refuse a key that is not an authorized automation service", async function () {
+        const outsider = (await hre.ethers.getSigners())[12];
+        const stranger = new TreasuryDripKeeper(drip.connect(outsider), { log: silent });
+
+        await expect(stranger.start()).to.be.rejectedWith("is not an authorized automation service");
+    });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { fileSink, webhookSink } = require("../scripts/lib/poller");
+const { TreasuryMonitor } = require("../scripts/lib/treasury-monitor");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Treasury Monitor", function () {
+    const silent = () => {};
+    const DAY = 24 * 60 * 60;
+    let deploymentsDir;
+    let contracts;
+    let drip;
+    let alerts;
+    let monitor;
+
+    beforeEach(async function () {
+        ({ deploymentsDir, contracts } = await deployedEcosystem());
+        drip = contracts.treasuryDrip;
+
+        alerts = [];
+        const collector = { name: "collector", send: async (alert) => alerts.push(alert) };
+        monitor = new TreasuryMonitor(drip, { sinks: [collector], log: silent });
+        await monitor.start();
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should stay quiet for a healthy drip", async function () {
+        expect(await monitor.tick()).to.deep.equal([]);
+        expect(alerts).to.deep.equal([]);
+    });
+
+    it("Should alert on a wallet update proposal and again once it is within 48h of executing", async function () {
+        const [, , , , , , , newTreasury] = await hre.ethers.getSigners();
+        await drip.proposeTreasuryWalletUpdate(newTreasury.address);
+
+        const proposed = await monitor.tick();
+        expect(proposed.map((alert) => alert.id)).to.deep.equal(["TreasuryWalletUpdateProposed"]);
+        expect(proposed[0]).to.include({ source: "event", severity: "warning", contract: await drip.getAddress() });
+        expect(proposed[0].message).to.contain(newTreasury.address);
+
+        await time.increase(6 * DAY);
+        const due = await monitor.tick();
+        expect(due.map((alert) => alert.id)).to.deep.equal(["treasury-wallet-update"]);
+        expect(due[0].message).to.contain("becomes executable in 24h");
+
+        await time.increase(DAY);
+        await drip.executeTreasuryWalletUpdate();
+        const resolved = await monitor.tick();
+        expect(resolved.map((alert) => alert.id)).to.include("treasury-wallet-update");
+        expect(resolved.find((alert) => alert.id === "treasury-wallet-update")).to.include({ resolved: true, severity: "info" });
+    });
+
+    it("Should alert once while the treasury approval is below the next release", async function () {
+        const [, treasury] = await hre.ethers.getSigners();
+        await contracts.rdln.connect(treasury).approve(await drip.getAddress(), 0);
+
+        const low = await monitor.tick();
+        expect(low.map((alert) => alert.id)).to.deep.equal(["allowance-below-next-release"]);
+        expect(low[0]).to.include({ source: "rule", severity: "critical" });
+        expect(await monitor.tick()).to.deep.equal([]);
+
+        await contracts.rdln.connect(treasury).approve(await drip.getAddress(), hre.ethers.parseEther("1000000"));
+        const resolved = await monitor.tick();
+        expect(resolved).to.have.length(1);
+        expect(resolved[0]).to.include({ id: "allowance-below-next-release", resolved: true });
+    });
+
+    it("Should evaluate consecutive failures and pauses from the contract status", async function () {
+        const state = await monitor.readState();
+        expect(monitor.evaluate({ ...state, consecutiveFailures: "2" }).map((alert) => alert.id))
+            .to.deep.equal(["consecutive-failures"]);
+
+        await drip.pause("maintenance");
+        const alerted = await monitor.tick();
+        expect(alerted.map((alert) => alert.id)).to.deep.equal(["consecutive-failures", "paused"]);
+        expect(alerted[0].resolved).to.equal(true);
+    });
+
+    it("Should deliver to every sink even when one of them fails", async function () {
+        const file = path.join(deploymentsDir, "alerts", "treasury.log");
+        const posted = [];
+        const fetch = async (url, request) => {
+            posted.push({ url, body: JSON.parse(request.body), headers: request.headers });
+            return { ok: true, status: 200 };
+        };
+        const broken = { name: "broken", send: async () => { throw new Error("unreachable"); } };
+        const logged = [];
+        const delivering = new TreasuryMonitor(drip, {
+            sinks: [broken, fileSink(file), webhookSink("https://hooks.example.com/riddlen", { fetch, headers: { Authorization: "Bearer t" } })],
+            log: (line) => logged.push(line)
+        });
+        await delivering.start();
+
+        await drip.pause("maintenance");
+        await delivering.tick();
+
+        const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+        expect(lines.map((alert) => alert.id)).to.deep.equal(["paused"]);
+        expect(posted).to.have.length(1);
+        expect(posted[0].body.id).to.equal("paused");
+        expect(posted[0].headers.Authorization).to.equal("Bearer t");
+        expect(logged.some((line) => line.includes("broken failed: unreachable"))).to.equal(true);
+    });
+});
@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ValidatorClient, yesNeeded } = require("../scripts/lib/validator");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Validator Client", function () {
+    let deploymentsDir;
+    let queryDir;
+    let ron;
+    let validators;
+    let outsider;
+
+    const clientFor = async (signer) => {
+        const client = new ValidatorClient(ron.connect(signer), { queryDir, confirmations: 1 });
+        await client.start();
+        return client;
+    };
+
+    beforeEach(async function () {
+        let contracts;
+        ({ deploymentsDir, contracts } = await deployedEcosystem());
+        queryDir = path.join(deploymentsDir, "queries");
+        ron = contracts.ron;
+        const signers = await hre.ethers.getSigners();
+        validators = signers.slice(9, 12);
+        outsider = signers[12];
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should list assigned queries, verify payloads and track consensus progress", async function () {
+        const oracle = await clientFor((await hre.ethers.getSigners())[0]);
+        const queryHash = await oracle.request(
+            { question: "Is 42 the answer?", riddleId: 7 },
+            validators.map((validator) => validator.address)
+        );
+        const [first, second, third] = await Promise.all(validators.map(clientFor));
+
+        const [open] = await first.queries();
+        expect(open).to.include({ queryHash, assigned: true, response: null, yes: 0, total: 3, threshold: 67, yesNeeded: 3 });
+        expect(await (await clientFor(outsider)).queries()).to.deep.equal([]);
+        expect(await first.payload(queryHash)).to.deep.include({
+            verified: true,
+            content: { question: "Is 42 the answer?", riddleId: 7 }
+        });
+        fs.writeFileSync(path.join(queryDir, `${queryHash}.json`), "{\"question\":\"Is 41 the answer?\"}");
+        expect((await first.payload(queryHash)).verified).to.equal(false);
+
+        expect(await first.respond(queryHash, true)).to.include({ yes: 1, percentage: 33, yesNeeded: 2 });
+        expect(await first.queries()).to.deep.equal([]);
+        await expect(first.respond(queryHash, true)).to.be.rejectedWith("already answered yes");
+        await expect((await clientFor(outsider)).respond(queryHash, true)).to.be.rejectedWith("is not a validator");
+
+        // Two of three is 66%, short of the 67% threshold; a no answer can still be changed to yes
+        await second.respond(queryHash, false);
+        const progress = await third.respond(queryHash, true);
+        expect(progress).to.include({ yes: 2, no: 1, pending: 0, percentage: 66, reached: false, yesNeeded: 1 });
+        expect(progress.validators.map((validator) => validator.response)).to.deep.equal(["yes", "no", "yes"]);
+        expect((await second.queries()).map((query) => query.response)).to.deep.equal(["no"]);
+
+        expect(await second.respond(queryHash, true)).to.include({ yes: 3, percentage: 100, reached: true, yesNeeded: 0 });
+        expect(await second.queries()).to.deep.equal([]);
+        expect((await second.queries({ all: true })).map((query) => query.open)).to.deep.equal([false]);
+    });
+
+    it("Should count the yes answers still needed with integer percentages", function () {
+        expect(yesNeeded(0, 3, 67)).to.equal(3);
+        expect(yesNeeded(2, 3, 67)).to.equal(1);
+        expect(yesNeeded(3, 4, 67)).to.equal(0);
+        expect(yesNeeded(0, 100, 67)).to.equal(67);
+    });
+});
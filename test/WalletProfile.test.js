@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadNetworkConfig } = require("../scripts/lib/config");
+const { deployEcosystem } = require("../scripts/lib/ecosystem");
+const { checkStoredWallets, checkWalletCode, loadWalletProfile, resolveWallets } = require("../scripts/lib/wallets");
+
+describe("Wallet Profile", function () {
+    const silent = () => {};
+    const deployer = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+    const env = {
+        TREASURY_WALLET: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        LIQUIDITY_WALLET: "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+        AIRDROP_WALLET: "0x90f79BF6eb2c4F870365e785982e1F8cbFCf2b34",
+        GRAND_PRIZE_WALLET: "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65",
+        DEVOPS_WALLET: "0x9965507D1A55c4C2b5bbaa3B6F3D89cD91E8D25e"
+    };
+    let deploymentsDir;
+
+    beforeEach(function () {
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "riddlen-wallets-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should resolve env references and require every wallet to be set", function () {
+        const profile = loadWalletProfile("amoy");
+
+        const wallets = resolveWallets(profile, { deployer, env });
+        expect(wallets.admin).to.equal(deployer);
+        expect(wallets.treasury).to.equal(env.TREASURY_WALLET);
+
+        expect(() => resolveWallets(profile, { deployer, env: { ...env, DEVOPS_WALLET: "" } }))
+            .to.throw('Wallet "devOps" expects DEVOPS_WALLET to be set');
+    });
+
+    it("Should reject zero, shared and deployer-owned fund wallets", function () {
+        const profile = loadWalletProfile("amoy");
+
+        expect(() => resolveWallets(profile, { deployer, env: { ...env, AIRDROP_WALLET: hre.ethers.ZeroAddress } }))
+            .to.throw('Wallet "airdrop" is the zero address');
+        expect(() => resolveWallets(profile, { deployer, env: { ...env, GRAND_PRIZE_WALLET: env.TREASURY_WALLET } }))
+            .to.throw('Wallet "grandPrize" is the same address as treasury');
+        expect(() => resolveWallets(profile, { deployer, env: { ...env, LIQUIDITY_WALLET: deployer } }))
+            .to.throw('Wallet "liquidity" is the same address as deployer');
+    });
+
+    it("Should only accept contract wallets flagged as multisig", async function () {
+        const RON = await hre.ethers.getContractFactory("RON");
+        const ron = await RON.deploy(deployer);
+        const multisig = await ron.getAddress();
+
+        const profile = { ...loadWalletProfile("amoy"), network: "hardhat" };
+        const wallets = resolveWallets(profile, { deployer, env: { ...env, TREASURY_WALLET: multisig } });
+
+        await expect(checkWalletCode(hre.ethers.provider, profile, wallets))
+            .to.be.rejectedWith('Wallet "treasury" (' + multisig + ") is a contract");
+
+        profile.treasury = { address: "env:TREASURY_WALLET", multisig: true };
+        await checkWalletCode(hre.ethers.provider, profile, wallets);
+
+        const undeployed = resolveWallets(profile, { deployer, env });
+        await expect(checkWalletCode(hre.ethers.provider, profile, undeployed))
+            .to.be.rejectedWith("is flagged as multisig but has no code on hardhat");
+    });
+
+    it("Should deploy with distinct wallets and detect stored wallets that drift from the profile", async function () {
+        const { record, contracts } = await deployEcosystem(hre, loadNetworkConfig("hardhat"), { deploymentsDir, log: silent });
+        const [, treasury, liquidity, airdrop, grandPrize, devOps, other] = await hre.ethers.getSigners();
+
+        expect(record.data.wallets).to.include({
+            treasury: treasury.address,
+            liquidity: liquidity.address,
+            airdrop: airdrop.address,
+            grandPrize: grandPrize.address,
+            devOps: devOps.address
+        });
+        expect(record.data.phases.wallets.status).to.equal("completed");
+        expect(await checkStoredWallets(hre, record, record.data.wallets)).to.deep.equal([]);
+
+        const mismatches = await checkStoredWallets(hre, record, { ...record.data.wallets, grandPrize: other.address });
+        expect(mismatches.map((mismatch) => `${mismatch.contract}.${mismatch.view}`)).to.deep.equal([
+            "rdln.grandPrizeWallet",
+            "riddleNFT.grandPrizeWallet"
+        ]);
+        expect(mismatches[0].actual).to.equal(await contracts.rdln.grandPrizeWallet());
+    });
+});
@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const { loadNetworkConfig } = require("../scripts/lib/config");
+const { deployWeeklyNFT } = require("../scripts/lib/ecosystem");
+const { auditRoles, loadRolePolicy } = require("../scripts/lib/roles");
+const { deployedEcosystem } = require("./helpers/ecosystem");
+
+describe("Weekly NFT Deployment", function () {
+    const silent = () => {};
+    const { parseEther } = hre.ethers;
+    let deploymentsDir;
+    let config;
+
+    beforeEach(async function () {
+        ({ deploymentsDir } = await deployedEcosystem());
+        config = loadNetworkConfig("hardhat");
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should refuse to deploy without RDLN and RON in the record", async function () {
+        await expect(deployWeeklyNFT(hre, config, { deploymentsDir, reset: true, log: silent }))
+            .to.be.rejectedWith("has no rdln; deploy the ecosystem first");
+    });
+
+    it("Should wire the weekly NFT into the recorded ecosystem", async function () {
+        const { record, contracts } = await deployWeeklyNFT(hre, config, { deploymentsDir, log: silent });
+        const { rdln, ron, weeklyNFT } = contracts;
+        const nftAddress = await weeklyNFT.getAddress();
+
+        expect(record.getContract("weeklyNFT")).to.include({ name: "RiddleNFT", address: nftAddress, proxy: false });
+        expect(record.getContract("riddleNFT").name).to.equal("RiddleNFTAdvanced");
+        expect(await weeklyNFT.rdlnToken()).to.equal(await rdln.getAddress());
+        expect(await weeklyNFT.ronToken()).to.equal(await ron.getAddress());
+
+        expect(await rdln.hasRole(await rdln.GAME_ROLE(), nftAddress)).to.be.true;
+        expect(await ron.hasRole(await ron.GAME_ROLE(), nftAddress)).to.be.true;
+        expect(await rdln.balanceOf(nftAddress)).to.equal(parseEther(config.weeklyNFT.prizePool));
+        expect(record.data.phases.weeklyNFTPrizePool).to.include({ status: "completed", prizePool: config.weeklyNFT.prizePool });
+
+        const report = await auditRoles(hre, record, loadRolePolicy("hardhat"));
+        expect(report.findings).to.deep.equal([]);
+    });
+
+    it("Should let a player mint, solve and claim against the deployed ecosystem", async function () {
+        const { contracts } = await deployWeeklyNFT(hre, config, { deploymentsDir, log: silent });
+        const { rdln, ron, weeklyNFT } = contracts;
+        const player = (await hre.ethers.getSigners())[10];
+
+        await rdln.mintAirdrop(player.address, parseEther("5000"));
+        await weeklyNFT.releaseWeeklyRiddle("Mathematics", 0, hre.ethers.id("42"), "ipfs://riddle");
+        const riddleId = await weeklyNFT.getWeeklyRiddle(await weeklyNFT.getCurrentWeek());
+
+        await rdln.connect(player).approve(await weeklyNFT.getAddress(), await weeklyNFT.getCurrentMintCost());
+        await weeklyNFT.connect(player).mintRiddleNFT(riddleId);
+        const tokenId = await weeklyNFT.tokenOfOwnerByIndex(player.address, 0);
+
+        // burnFailedAttempt on RDLN and awardRON on RON both need the GAME_ROLE grants
+        await weeklyNFT.connect(player).attemptSolution(tokenId, "42");
+        expect(await ron.balanceOf(player.address)).to.be.greaterThan(0n);
+
+        const { prizeAmount } = await weeklyNFT.getNFTSolveData(tokenId);
+        await expect(weeklyNFT.connect(player).claimPrize(tokenId))
+            .to.emit(weeklyNFT, "PrizeClaimed")
+            .withArgs(tokenId, player.address, prizeAmount);
+    });
+});
@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { computeDirectoryCid, computeFileCid } = require("../scripts/lib/ipfs");
+const { answerHash, loadRiddle, publishWeeklyRiddle } = require("../scripts/lib/weekly-riddle");
+const { deployedWeeklyNFT } = require("./helpers/ecosystem");
+
+describe("Weekly Riddle Publishing", function () {
+    const silent = () => {};
+    let deploymentsDir;
+    let record;
+    let weeklyNFT;
+
+    function riddleFolder(files) {
+        const dir = fs.mkdtempSync(path.join(deploymentsDir, "riddle-"));
+        for (const [name, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+            fs.writeFileSync(path.join(dir, name), content);
+        }
+        return dir;
+    }
+
+    beforeEach(async function () {
+        let contracts;
+        ({ deploymentsDir, record, contracts } = await deployedWeeklyNFT());
+        weeklyNFT = contracts.weeklyNFT;
+    });
+
+    afterEach(function () {
+        fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    it("Should compute the same CIDs as ipfs add --cid-version=1", function () {
+        expect(computeFileCid("hello world")).to.equal("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e");
+        expect(computeFileCid("")).to.equal("bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku");
+        expect(computeDirectoryCid(riddleFolder({})).cid).to.equal("bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354");
+
+        // Hidden files are not part of the content, and the CID only depends on names and bytes
+        const a = riddleFolder({ "riddle.json": "{}", "media/clue.txt": "x" });
+        const b = riddleFolder({ "media/clue.txt": "x", "riddle.json": "{}", ".DS_Store": "junk" });
+        expect(computeDirectoryCid(a)).to.deep.equal(computeDirectoryCid(b));
+        expect(computeDirectoryCid(a).files.map((file) => file.path)).to.deep.equal(["media/clue.txt", "riddle.json"]);
+    });
+
+    it("Should refuse content folders that would publish the answer", function () {
+        const metadata = JSON.stringify({ category: "Logic", difficulty: "EASY" });
+        expect(() => loadRiddle(riddleFolder({ "question.md": "?" }))).to.throw("has no riddle.json");
+        expect(() => loadRiddle(riddleFolder({ "riddle.json": JSON.stringify({ category: "Logic", difficulty: "EASY", answer: "42" }) })))
+            .to.throw("contains the answer");
+        expect(() => loadRiddle(riddleFolder({ "riddle.json": metadata, "notes/Answer.txt": "42" })))
+            .to.throw("contains notes/Answer.txt");
+        expect(() => loadRiddle(riddleFolder({ "riddle.json": JSON.stringify({ category: "Logic", difficulty: "EPIC" }) })))
+            .to.throw("difficulty must be one of");
+    });
+
+    it("Should show what will go on chain in a dry run without sending anything", async function () {
+        const riddle = loadRiddle(riddleFolder({
+            "riddle.json": JSON.stringify({ category: "Mathematics", difficulty: "medium" }),
+            "question.md": "What is six times seven? (Hint: not 41, and not 4.2E1 either)"
+        }));
+        const warnings = [];
+        const { plan, published } = await publishWeeklyRiddle(weeklyNFT, riddle, " 042 ", record, {
+            dryRun: true,
+            log: (line) => warnings.push(line)
+        });
+
+        const week = await weeklyNFT.getCurrentWeek();
+        expect(published).to.be.undefined;
+        expect(plan).to.include({ week: week.toString(), category: "Mathematics", difficulty: "MEDIUM", ipfsHash: riddle.cid });
+        expect(plan.answerHash).to.equal(hre.ethers.keccak256(hre.ethers.toUtf8Bytes("42")));
+        expect(plan.problems).to.deep.equal([]);
+        expect(warnings.join("\n")).to.contain("question.md contains the answer text");
+        expect(await weeklyNFT.getWeeklyRiddle(week)).to.equal(0n);
+        expect(record.data.weeklyRiddles).to.be.undefined;
+    });
+
+    it("Should publish once per week with the canonical answer hashed like attemptSolution", async function () {
+        const riddle = loadRiddle(riddleFolder({
+            "riddle.json": JSON.stringify({ category: "Crypto", difficulty: "HARD" }),
+            "question.md": "Which café serves the block?"
+        }));
+        const answer = "Café Nakamoto";
+        const { plan, published } = await publishWeeklyRiddle(weeklyNFT, riddle, answer, record, { log: silent });
+
+        const onChain = await weeklyNFT.getRiddle(published.riddleId);
+        expect(onChain.weekNumber.toString()).to.equal(plan.week);
+        expect(onChain.answerHash).to.equal(answerHash(answer));
+        expect(onChain.answerHash).to.equal(hre.ethers.keccak256(hre.ethers.toUtf8Bytes("café nakamoto")));
+        expect(onChain.ipfsHash).to.equal(riddle.cid);
+        expect(onChain.category).to.equal("Crypto");
+        expect(onChain.difficulty).to.equal(2n);
+        expect(onChain.params.winnerSlots.toString()).to.equal(published.winnerSlots);
+        expect(JSON.parse(fs.readFileSync(record.file, "utf8")).weeklyRiddles[plan.week].riddleId).to.equal(published.riddleId);
+
+        await expect(publishWeeklyRiddle(weeklyNFT, riddle, answer, record, { log: silent }))
+            .to.be.rejectedWith(`Week ${plan.week} already has riddle ${published.riddleId}`);
+
+        const [, , , , , , , outsider] = await hre.ethers.getSigners();
+        const { plan: outsiderPlan } = await publishWeeklyRiddle(weeklyNFT.connect(outsider), riddle, "", record, { dryRun: true, log: silent });
+        expect(outsiderPlan.problems).to.have.members([
+            "No answer given",
+            `${outsider.address} does not hold CREATOR_ROLE`,
+            `Week ${plan.week} already has riddle ${published.riddleId}`
+        ]);
+    });
+});
@@ -0,0 +1,89 @@
+// Deployed-ecosystem fixtures shared by the script and library tests. Each deployment runs once per test run and is
+// restored with loadFixture; the deployment records it wrote are copied for every test, as a chain snapshot does not
+// roll back files
+
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadNetworkConfig } = require("../../scripts/lib/config");
+const { DeploymentRecord } = require("../../scripts/lib/deployment-record");
+const { deployEcosystem, deployWeeklyNFT } = require("../../scripts/lib/ecosystem");
+
+const silent = () => {};
+const fixtureDirs = [];
+
+after(function () {
+    for (const dir of fixtureDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * @dev Temporary deployments directory for a fixture, removed once every test has run
+ */
+function fixtureDir(prefix = "riddlen-fixture-") {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    fixtureDirs.push(dir);
+    return dir;
+}
+
+/**
+ * @dev Restore a fixture that deploys into its own deploymentsDir, and hand the test a fresh copy of that directory.
+ * Deployment records in the fixture's result are reloaded from the copy, and the paths they store and the fixture
+ * returns (Safe batches) are pointed into it; the test removes the copy when done
+ */
+async function withDeployments(fixture) {
+    const deployed = await loadFixture(fixture);
+    const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "riddlen-test-"));
+    fs.cpSync(deployed.deploymentsDir, deploymentsDir, { recursive: true });
+
+    const relocate = (text) => text.replaceAll(deployed.deploymentsDir, deploymentsDir);
+
+    const result = { ...deployed, deploymentsDir };
+    for (const [key, value] of Object.entries(deployed)) {
+        if (value instanceof DeploymentRecord) {
+            const file = relocate(value.file);
+            const json = relocate(fs.readFileSync(file, "utf8"));
+            fs.writeFileSync(file, json);
+            result[key] = new DeploymentRecord(file, JSON.parse(json));
+        } else if (Array.isArray(value) && value.every((item) => typeof item === "string")) {
+            result[key] = value.map(relocate);
+        }
+    }
+    return result;
+}
+
+async function ecosystemFixture() {
+    const deploymentsDir = fixtureDir();
+    const { record, contracts } = await deployEcosystem(hre, loadNetworkConfig("hardhat"), { deploymentsDir, log: silent });
+    return { deploymentsDir, record, contracts };
+}
+
+async function weeklyNFTFixture() {
+    const deploymentsDir = fixtureDir();
+    const config = loadNetworkConfig("hardhat");
+    await deployEcosystem(hre, config, { deploymentsDir, log: silent });
+    const { record, contracts } = await deployWeeklyNFT(hre, config, { deploymentsDir, log: silent });
+    return { deploymentsDir, record, contracts };
+}
+
+/**
+ * @dev The ecosystem as deployed from config/networks/hardhat.json: { deploymentsDir, record, contracts }
+ */
+function deployedEcosystem() {
+    return withDeployments(ecosystemFixture);
+}
+
+/**
+ * @dev The ecosystem with the weekly RiddleNFT added to its record
+ */
+function deployedWeeklyNFT() {
+    return withDeployments(weeklyNFTFixture);
+}
+
+module.exports = {
+    deployedEcosystem,
+    deployedWeeklyNFT,
+    fixtureDir,
+    withDeployments
+};